@@ -0,0 +1,100 @@
+const db = require('./db');
+
+// --- Alert rules (thresholds and budgets) and the log of notifications they raised
+const RULE_COLUMNS = `id, name, kind, sector, region, gas, limit_value AS "limit", unit, start_year AS startYear, end_year AS endYear,
+  warn_pct AS warnPct, owner, status, signature, evaluated_at AS evaluatedAt, created_at AS createdAt, updated_at AS updatedAt`;
+const NOTIFICATION_COLUMNS = `id, rule_id AS ruleId, rule_name AS ruleName, status, message, details,
+  dataset_version AS datasetVersion, webhook, created_at AS createdAt`;
+
+const statements = {
+  list: db.prepare(`SELECT ${RULE_COLUMNS} FROM alert_rules ORDER BY id`),
+  get: db.prepare(`SELECT ${RULE_COLUMNS} FROM alert_rules WHERE id = ?`),
+  insert: db.prepare(`
+    INSERT INTO alert_rules (name, kind, sector, region, gas, limit_value, unit, start_year, end_year, warn_pct, owner, created_at, updated_at)
+    VALUES (@name, @kind, @sector, @region, @gas, @limit, @unit, @startYear, @endYear, @warnPct, @owner, @now, @now)
+  `),
+  // a changed rule is evaluated afresh, so its last state is cleared
+  update: db.prepare(`
+    UPDATE alert_rules SET name = @name, kind = @kind, sector = @sector, region = @region, gas = @gas, limit_value = @limit, unit = @unit,
+      start_year = @startYear, end_year = @endYear, warn_pct = @warnPct, status = NULL, signature = NULL, updated_at = @now
+    WHERE id = @id
+  `),
+  setState: db.prepare('UPDATE alert_rules SET status = @status, signature = @signature, evaluated_at = @now WHERE id = @id'),
+  remove: db.prepare('DELETE FROM alert_rules WHERE id = ?'),
+  insertNotification: db.prepare(`
+    INSERT INTO alert_notifications (rule_id, rule_name, status, message, details, dataset_version, created_at)
+    VALUES (@ruleId, @ruleName, @status, @message, @details, @datasetVersion, @now)
+  `),
+  getNotification: db.prepare(`SELECT ${NOTIFICATION_COLUMNS} FROM alert_notifications WHERE id = ?`),
+  listNotifications: db.prepare(`
+    SELECT ${NOTIFICATION_COLUMNS} FROM alert_notifications
+    WHERE @ruleId IS NULL OR rule_id = @ruleId
+    ORDER BY id DESC LIMIT @limit
+  `),
+  setWebhook: db.prepare('UPDATE alert_notifications SET webhook = ? WHERE id = ?'),
+};
+
+function parseNotification(row) {
+  return row ? { ...row, details: row.details ? JSON.parse(row.details) : null } : null;
+}
+
+function list() {
+  return statements.list.all();
+}
+
+function get(id) {
+  return statements.get.get(id) || null;
+}
+
+function create(rule, owner = null) {
+  const { lastInsertRowid } = statements.insert.run({ ...rule, owner, now: new Date().toISOString() });
+  return get(lastInsertRowid);
+}
+
+function update(id, rule) {
+  const { changes } = statements.update.run({ ...rule, id, now: new Date().toISOString() });
+  return changes ? get(id) : null;
+}
+
+// Remembers the last evaluation so the next one only logs what changed
+function setState(id, { status, signature }) {
+  statements.setState.run({ id, status, signature, now: new Date().toISOString() });
+}
+
+function remove(id) {
+  return statements.remove.run(id).changes > 0;
+}
+
+// { ruleId, ruleName, status, message, details, datasetVersion } -> the stored notification
+function addNotification({ details = null, ruleId = null, datasetVersion = null, ...notification }) {
+  const { lastInsertRowid } = statements.insertNotification.run({
+    ...notification,
+    ruleId,
+    datasetVersion,
+    details: details ? JSON.stringify(details) : null,
+    now: new Date().toISOString(),
+  });
+  return parseNotification(statements.getNotification.get(lastInsertRowid));
+}
+
+// Newest first; ruleId narrows the log to one rule
+function listNotifications({ ruleId = null, limit = 100 } = {}) {
+  return statements.listNotifications.all({ ruleId, limit }).map(parseNotification);
+}
+
+// 'sent', or 'failed: <reason>'; left null when no webhook is configured
+function setWebhookResult(id, result) {
+  statements.setWebhook.run(result, id);
+}
+
+module.exports = {
+  list,
+  get,
+  create,
+  update,
+  setState,
+  remove,
+  addNotification,
+  listNotifications,
+  setWebhookResult,
+};
@@ -0,0 +1,26 @@
+const store = require('./store');
+const alertStore = require('./alertStore');
+const versionStore = require('./versionStore');
+const { REFERENCE_GWP } = require('./lib/units');
+const { scopeFilters } = require('./lib/alerts');
+const { createWebhook } = require('./lib/alerts/webhook');
+const { createAlertService } = require('./lib/alerts/service');
+
+// --- Alerts configured from the environment: ALERT_WEBHOOK_URL (unset: no webhook),
+// ALERT_WEBHOOK_SECRET to sign its payloads, ALERT_WEBHOOK_TIMEOUT_MS (default 5s).
+// Rules are evaluated on the current data within their sector / region / gas scope
+// (unset: all of them), on the reference GWP basis.
+function seriesFor(rule) {
+  return store.aggregate(scopeFilters(rule), ['year'], { unit: rule.unit, ...REFERENCE_GWP });
+}
+
+module.exports = createAlertService({
+  rules: alertStore,
+  seriesFor,
+  currentVersion: () => versionStore.currentId(),
+  webhook: createWebhook({
+    url: process.env.ALERT_WEBHOOK_URL,
+    secret: process.env.ALERT_WEBHOOK_SECRET || null,
+    timeoutMs: Number(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 5000,
+  }),
+});
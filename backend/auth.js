@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const userStore = require('./userStore');
+const { createAuth, parseApiKeys, parseOrigins, ROLES } = require('./lib/auth');
+
+// --- Auth configured from the environment:
+// JWT_SECRET, JWT_EXPIRES_IN (default 8h), API_KEYS (see parseApiKeys),
+// ANONYMOUS_ROLE (unset: everyone signs in), CORS_ORIGINS (default the dev server),
+// ADMIN_USERNAME / ADMIN_PASSWORD for the first admin account.
+const DEFAULT_ORIGINS = ['http://localhost:3000'];
+
+let secret = process.env.JWT_SECRET;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  console.warn('[AUTH] JWT_SECRET not set: using a random one, sign-ins will not survive a restart');
+}
+
+const anonymousRole = process.env.ANONYMOUS_ROLE || null;
+if (anonymousRole && !ROLES.includes(anonymousRole)) {
+  throw new Error(`ANONYMOUS_ROLE must be one of ${ROLES.join(', ')}`);
+}
+
+// First start: create an admin so someone can sign in and add the other accounts
+function ensureAdmin() {
+  if (userStore.countUsers() > 0) return;
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  userStore.createUser({ username, password, role: 'admin' });
+  console.log(`[AUTH] created admin account "${username}"${process.env.ADMIN_PASSWORD ? '' : ` with password ${password} (change it, or set ADMIN_PASSWORD)`}`);
+}
+
+const auth = createAuth({
+  secret,
+  expiresIn: process.env.JWT_EXPIRES_IN || '8h',
+  apiKeys: parseApiKeys(process.env.API_KEYS),
+  findUser: userStore.findUser,
+  anonymousRole,
+});
+
+module.exports = {
+  ...auth,
+  ensureAdmin,
+  corsOrigins: parseOrigins(process.env.CORS_ORIGINS, DEFAULT_ORIGINS),
+};
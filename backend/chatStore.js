@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+// --- Chat sessions and their message history
+const TITLE_LENGTH = 60;
+
+const statements = {
+  insertSession: db.prepare('INSERT INTO chat_sessions (id, title, owner, created_at, updated_at) VALUES (?, ?, ?, ?, ?)'),
+  getSession: db.prepare('SELECT id, title, owner, created_at AS createdAt, updated_at AS updatedAt FROM chat_sessions WHERE id = ?'),
+  listSessions: db.prepare(`
+    SELECT s.id, s.title, s.owner, s.created_at AS createdAt, s.updated_at AS updatedAt, COUNT(m.id) AS messageCount
+    FROM chat_sessions s LEFT JOIN chat_messages m ON m.session_id = s.id
+    WHERE @owner IS NULL OR s.owner = @owner OR (@unowned = 1 AND s.owner IS NULL)
+    GROUP BY s.id ORDER BY s.updated_at DESC LIMIT @limit
+  `),
+  touchSession: db.prepare("UPDATE chat_sessions SET updated_at = ?, title = CASE WHEN title = '' THEN ? ELSE title END WHERE id = ?"),
+  deleteSession: db.prepare('DELETE FROM chat_sessions WHERE id = ?'),
+  insertMessage: db.prepare(`
+    INSERT INTO chat_messages (session_id, role, text, source, meta, created_at)
+    VALUES (@sessionId, @role, @text, @source, @meta, @createdAt)
+  `),
+  messages: db.prepare('SELECT id, role, text, source, meta, created_at AS createdAt FROM chat_messages WHERE session_id = ? ORDER BY id'),
+  lastBotMessage: db.prepare("SELECT meta FROM chat_messages WHERE session_id = ? AND role = 'bot' ORDER BY id DESC LIMIT 1"),
+};
+
+// Same shape the chat panel keeps in React state: { from, text, source, time, ...meta }
+function toMessage(row) {
+  const { context, ...meta } = JSON.parse(row.meta);
+  return { id: row.id, from: row.role, text: row.text, source: row.source, time: row.createdAt, ...meta };
+}
+
+function createSession(owner = null) {
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+  statements.insertSession.run(id, '', owner, now, now);
+  return statements.getSession.get(id);
+}
+
+function getSession(id) {
+  const session = statements.getSession.get(id);
+  if (!session) return null;
+  return { ...session, messages: statements.messages.all(id).map(toMessage) };
+}
+
+// owner: that user's sessions, plus the ones from before sign-in existed (which have none)
+// when `unowned` is set; owner null lists all
+function listSessions({ owner = null, unowned = false, limit = 50 } = {}) {
+  return statements.listSessions.all({ owner, unowned: unowned ? 1 : 0, limit });
+}
+
+// Sessions belong to whoever created them; admins can open anyone's, including the ownerless ones
+function canAccess(session, user) {
+  return Boolean(user) && (session.owner === user.username || user.role === 'admin');
+}
+
+function deleteSession(id) {
+  return statements.deleteSession.run(id).changes > 0;
+}
+
+/**
+ * role: 'user' | 'bot'. meta is stored as JSON; its `context` key is kept
+ * server-side for resolving follow-ups and isn't returned with the history.
+ */
+const addMessage = db.transaction((sessionId, { role, text, source = null, meta = {} }) => {
+  const createdAt = new Date().toISOString();
+  const { lastInsertRowid } = statements.insertMessage.run({
+    sessionId, role, text, source, meta: JSON.stringify(meta), createdAt,
+  });
+  const title = role === 'user' ? text.replace(/\s+/g, ' ').slice(0, TITLE_LENGTH) : '';
+  statements.touchSession.run(createdAt, title, sessionId);
+  return lastInsertRowid;
+});
+
+// What the last answer was about, used to resolve "and in 2015?" / "how did it change?"
+function getLastContext(sessionId) {
+  const row = statements.lastBotMessage.get(sessionId);
+  return row ? JSON.parse(row.meta).context || null : null;
+}
+
+module.exports = { createSession, getSession, listSessions, canAccess, deleteSession, addMessage, getLastContext };
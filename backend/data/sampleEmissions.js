@@ -0,0 +1,48 @@
+// --- Sample emissions data (MtCO₂e) seeded into an empty database.
+// Transport and Energy are split into sub-sectors and Agriculture by gas;
+// the parts add up to the sector totals.
+const rows = [
+  { year: 2010, sector: 'Energy', subSector: 'Electricity & heat', value: 15.2 },
+  { year: 2010, sector: 'Energy', subSector: 'Other fuel combustion', value: 3.6 },
+  { year: 2010, sector: 'Energy', subSector: 'Fugitive emissions', value: 1.7 },
+  { year: 2010, sector: 'Transport', subSector: 'Road', value: 5.3 },
+  { year: 2010, sector: 'Transport', subSector: 'Aviation', value: 0.9 },
+  { year: 2010, sector: 'Transport', subSector: 'Shipping', value: 0.8 },
+  { year: 2010, sector: 'Transport', subSector: 'Other transport', value: 0.3 },
+  { year: 2010, sector: 'Industry', value: 6.1 },
+  { year: 2010, sector: 'Buildings', value: 4.2 },
+  { year: 2010, sector: 'Agriculture', gas: 'CH4', value: 3.1 },
+  { year: 2010, sector: 'Agriculture', gas: 'N2O', value: 1.5 },
+  { year: 2010, sector: 'Agriculture', gas: 'CO2', value: 0.4 },
+  { year: 2010, sector: 'Waste', value: 1.4 },
+
+  { year: 2015, sector: 'Energy', subSector: 'Electricity & heat', value: 16.3 },
+  { year: 2015, sector: 'Energy', subSector: 'Other fuel combustion', value: 3.9 },
+  { year: 2015, sector: 'Energy', subSector: 'Fugitive emissions', value: 1.8 },
+  { year: 2015, sector: 'Transport', subSector: 'Road', value: 5.8 },
+  { year: 2015, sector: 'Transport', subSector: 'Aviation', value: 1.0 },
+  { year: 2015, sector: 'Transport', subSector: 'Shipping', value: 0.9 },
+  { year: 2015, sector: 'Transport', subSector: 'Other transport', value: 0.3 },
+  { year: 2015, sector: 'Industry', value: 6.8 },
+  { year: 2015, sector: 'Buildings', value: 4.5 },
+  { year: 2015, sector: 'Agriculture', gas: 'CH4', value: 3.3 },
+  { year: 2015, sector: 'Agriculture', gas: 'N2O', value: 1.6 },
+  { year: 2015, sector: 'Agriculture', gas: 'CO2', value: 0.4 },
+  { year: 2015, sector: 'Waste', value: 1.6 },
+
+  { year: 2020, sector: 'Energy', subSector: 'Electricity & heat', value: 15.4 },
+  { year: 2020, sector: 'Energy', subSector: 'Other fuel combustion', value: 3.8 },
+  { year: 2020, sector: 'Energy', subSector: 'Fugitive emissions', value: 1.8 },
+  { year: 2020, sector: 'Transport', subSector: 'Road', value: 5.9 },
+  { year: 2020, sector: 'Transport', subSector: 'Aviation', value: 0.6 },
+  { year: 2020, sector: 'Transport', subSector: 'Shipping', value: 0.9 },
+  { year: 2020, sector: 'Transport', subSector: 'Other transport', value: 0.4 },
+  { year: 2020, sector: 'Industry', value: 7.2 },
+  { year: 2020, sector: 'Buildings', value: 4.8 },
+  { year: 2020, sector: 'Agriculture', gas: 'CH4', value: 3.4 },
+  { year: 2020, sector: 'Agriculture', gas: 'N2O', value: 1.7 },
+  { year: 2020, sector: 'Agriculture', gas: 'CO2', value: 0.4 },
+  { year: 2020, sector: 'Waste', value: 1.7 },
+];
+
+module.exports = rows.map(r => ({ subSector: '', region: 'Global', gas: 'GHG', unit: 'MtCO2e', ...r }));
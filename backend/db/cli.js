@@ -0,0 +1,40 @@
+// Usage: node db/cli.js migrate | seed [--force] | kb [dir] | user <name> <role> [password]
+const db = require('./index');
+const { seed } = require('./seed');
+
+const [command, flag, ...rest] = process.argv.slice(2);
+
+if (command === 'migrate') {
+  // opening the database already applies pending migrations
+  const { n } = db.prepare('SELECT MAX(id) AS n FROM schema_migrations').get();
+  console.log(`Database is at migration ${n}.`);
+} else if (command === 'seed') {
+  // loaded first so the data being replaced is already a version
+  const versionStore = require('../versionStore');
+  const inserted = seed(db, { force: flag === '--force' });
+  if (inserted) versionStore.record({ label: 'Sample data', source: 'sample', action: 'replace' });
+  console.log(inserted ? `Seeded ${inserted} sample rows.` : 'Emissions table not empty, skipped (use --force to reset).');
+} else if (command === 'kb') {
+  // required here so the other commands don't load the knowledge base modules
+  const kbStore = require('../kbStore');
+  const { ingestDirectory } = require('../lib/kb/ingest');
+  ingestDirectory(kbStore, flag).then(({ added, unchanged, failed }) => {
+    console.log(`Indexed ${added.length} document(s), ${unchanged} unchanged.`);
+    failed.forEach(f => console.error(`Skipped ${f.name}: ${f.error}`));
+    if (failed.length) process.exitCode = 1;
+  });
+} else if (command === 'user') {
+  const crypto = require('crypto');
+  const userStore = require('../userStore');
+  const [role, password = crypto.randomBytes(9).toString('base64url')] = rest;
+  try {
+    const user = userStore.createUser({ username: flag, password, role });
+    console.log(`Created ${user.role} "${user.username}"${rest[1] ? '' : ` with password ${password}`}.`);
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+} else {
+  console.error('Usage: node db/cli.js migrate | seed [--force] | kb [dir] | user <name> <role> [password]');
+  process.exitCode = 1;
+}
@@ -0,0 +1,37 @@
+const path = require('path');
+const Database = require('better-sqlite3');
+const migrations = require('./migrations');
+const { seed } = require('./seed');
+
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', 'data', 'emissions.db');
+
+function migrate(db) {
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (id INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)');
+  const applied = new Set(db.prepare('SELECT id FROM schema_migrations').all().map(r => r.id));
+  const record = db.prepare('INSERT INTO schema_migrations (id, name, applied_at) VALUES (?, ?, ?)');
+
+  const pending = migrations.filter(m => !applied.has(m.id));
+  pending.forEach(m => {
+    db.transaction(() => {
+      m.up(db);
+      record.run(m.id, m.name, new Date().toISOString());
+    })();
+    console.log(`[DB] applied migration ${m.id} (${m.name})`);
+  });
+  return pending.length;
+}
+
+function open(file = DB_PATH) {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL'); // lets several server instances share the file
+  db.pragma('busy_timeout = 5000');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+  seed(db);
+  return db;
+}
+
+const db = open();
+
+module.exports = db;
+module.exports.migrate = migrate;
@@ -0,0 +1,290 @@
+// --- Schema migrations, applied in order and recorded in schema_migrations.
+// Never edit a migration that has shipped; add a new one instead.
+module.exports = [
+  {
+    id: 1,
+    name: 'create emissions',
+    up: db => {
+      db.exec(`
+        CREATE TABLE emissions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          year INTEGER NOT NULL,
+          sector TEXT NOT NULL,
+          value REAL NOT NULL,
+          unit TEXT NOT NULL DEFAULT 'MtCO2e'
+        );
+        CREATE UNIQUE INDEX idx_emissions_year_sector ON emissions (year, sector);
+        CREATE INDEX idx_emissions_sector ON emissions (sector);
+
+        CREATE TABLE dataset_info (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          source TEXT NOT NULL,
+          imported_at TEXT
+        );
+      `);
+    },
+  },
+  {
+    id: 2,
+    name: 'create search cache',
+    up: db => {
+      db.exec(`
+        CREATE TABLE search_cache (
+          key TEXT PRIMARY KEY,
+          ts INTEGER NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX idx_search_cache_ts ON search_cache (ts);
+      `);
+    },
+  },
+  {
+    id: 3,
+    name: 'add region, gas and sub-sector dimensions',
+    up: db => {
+      db.exec(`
+        ALTER TABLE emissions ADD COLUMN sub_sector TEXT NOT NULL DEFAULT '';
+        ALTER TABLE emissions ADD COLUMN region TEXT NOT NULL DEFAULT 'Global';
+        ALTER TABLE emissions ADD COLUMN gas TEXT NOT NULL DEFAULT 'GHG';
+
+        DROP INDEX idx_emissions_year_sector;
+        CREATE UNIQUE INDEX idx_emissions_key ON emissions (year, sector, sub_sector, region, gas);
+        CREATE INDEX idx_emissions_region ON emissions (region);
+        CREATE INDEX idx_emissions_gas ON emissions (gas);
+      `);
+    },
+  },
+  {
+    id: 4,
+    name: 'create targets',
+    up: db => {
+      db.exec(`
+        CREATE TABLE targets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          sector TEXT,
+          base_year INTEGER NOT NULL,
+          target_year INTEGER NOT NULL,
+          reduction_pct REAL NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    id: 5,
+    name: 'create scenarios',
+    up: db => {
+      db.exec(`
+        CREATE TABLE scenarios (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          description TEXT NOT NULL DEFAULT '',
+          rules TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    id: 6,
+    name: 'create chat sessions',
+    up: db => {
+      db.exec(`
+        CREATE TABLE chat_sessions (
+          id TEXT PRIMARY KEY,
+          title TEXT NOT NULL DEFAULT '',
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE TABLE chat_messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL REFERENCES chat_sessions (id) ON DELETE CASCADE,
+          role TEXT NOT NULL CHECK (role IN ('user', 'bot')),
+          text TEXT NOT NULL,
+          source TEXT,
+          meta TEXT NOT NULL DEFAULT '{}',
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_chat_messages_session ON chat_messages (session_id, id);
+      `);
+    },
+  },
+  {
+    id: 7,
+    name: 'track search cache use for LRU eviction',
+    up: db => {
+      db.exec(`
+        ALTER TABLE search_cache ADD COLUMN last_used INTEGER NOT NULL DEFAULT 0;
+        UPDATE search_cache SET last_used = ts;
+        CREATE INDEX idx_search_cache_last_used ON search_cache (last_used);
+      `);
+    },
+  },
+  {
+    id: 8,
+    name: 'create knowledge base',
+    up: db => {
+      // kb_chunks_fts mirrors kb_chunks (external content) and is kept in sync by the triggers
+      db.exec(`
+        CREATE TABLE kb_documents (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          title TEXT NOT NULL,
+          type TEXT NOT NULL CHECK (type IN ('markdown', 'text', 'pdf')),
+          size INTEGER NOT NULL,
+          checksum TEXT NOT NULL,
+          content BLOB NOT NULL,
+          ingested_at TEXT NOT NULL
+        );
+        CREATE TABLE kb_chunks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          document_id INTEGER NOT NULL REFERENCES kb_documents (id) ON DELETE CASCADE,
+          position INTEGER NOT NULL,
+          page INTEGER,
+          heading TEXT,
+          text TEXT NOT NULL
+        );
+        CREATE INDEX idx_kb_chunks_document ON kb_chunks (document_id, position);
+        CREATE VIRTUAL TABLE kb_chunks_fts USING fts5(
+          text, heading, content = 'kb_chunks', content_rowid = 'id', tokenize = 'porter unicode61'
+        );
+        CREATE TRIGGER kb_chunks_ai AFTER INSERT ON kb_chunks BEGIN
+          INSERT INTO kb_chunks_fts (rowid, text, heading) VALUES (new.id, new.text, new.heading);
+        END;
+        CREATE TRIGGER kb_chunks_ad AFTER DELETE ON kb_chunks BEGIN
+          INSERT INTO kb_chunks_fts (kb_chunks_fts, rowid, text, heading) VALUES ('delete', old.id, old.text, old.heading);
+        END;
+      `);
+    },
+  },
+  {
+    id: 9,
+    name: 'create users and chat session owners',
+    up: db => {
+      db.exec(`
+        CREATE TABLE users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          password_hash TEXT NOT NULL,
+          role TEXT NOT NULL CHECK (role IN ('viewer', 'analyst', 'admin')),
+          created_at TEXT NOT NULL
+        );
+        ALTER TABLE chat_sessions ADD COLUMN owner TEXT;
+        CREATE INDEX idx_chat_sessions_owner ON chat_sessions (owner, updated_at);
+      `);
+    },
+  },
+  {
+    id: 10,
+    name: 'create saved views',
+    up: db => {
+      db.exec(`
+        CREATE TABLE saved_views (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          state TEXT NOT NULL,
+          owner TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    id: 11,
+    name: 'create dataset versions and change log',
+    up: db => {
+      // each import / rollback stores a full snapshot plus the row-level changes it made;
+      // the emissions table keeps serving the current data
+      db.exec(`
+        CREATE TABLE dataset_versions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          label TEXT NOT NULL,
+          source TEXT NOT NULL,
+          action TEXT NOT NULL CHECK (action IN ('initial', 'replace', 'append', 'rollback')),
+          author TEXT,
+          row_count INTEGER NOT NULL,
+          created_at TEXT NOT NULL
+        );
+        CREATE TABLE emission_snapshots (
+          version_id INTEGER NOT NULL REFERENCES dataset_versions (id) ON DELETE CASCADE,
+          year INTEGER NOT NULL,
+          sector TEXT NOT NULL,
+          sub_sector TEXT NOT NULL,
+          region TEXT NOT NULL,
+          gas TEXT NOT NULL,
+          value REAL NOT NULL,
+          unit TEXT NOT NULL,
+          PRIMARY KEY (version_id, year, sector, sub_sector, region, gas)
+        );
+        CREATE TABLE dataset_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          version_id INTEGER NOT NULL REFERENCES dataset_versions (id) ON DELETE CASCADE,
+          change TEXT NOT NULL CHECK (change IN ('added', 'removed', 'changed')),
+          year INTEGER NOT NULL,
+          sector TEXT NOT NULL,
+          sub_sector TEXT NOT NULL,
+          region TEXT NOT NULL,
+          gas TEXT NOT NULL,
+          old_value REAL,
+          old_unit TEXT,
+          new_value REAL,
+          new_unit TEXT
+        );
+        CREATE INDEX idx_dataset_changes_version ON dataset_changes (version_id);
+      `);
+    },
+  },
+  {
+    id: 12,
+    name: 'create alert rules and notification log',
+    up: db => {
+      // status / signature hold the last evaluation, so only changes are logged and sent
+      db.exec(`
+        CREATE TABLE alert_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          kind TEXT NOT NULL CHECK (kind IN ('threshold', 'budget')),
+          sector TEXT,
+          limit_value REAL NOT NULL,
+          unit TEXT NOT NULL,
+          start_year INTEGER,
+          end_year INTEGER,
+          warn_pct REAL,
+          owner TEXT,
+          status TEXT,
+          signature TEXT,
+          evaluated_at TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE TABLE alert_notifications (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rule_id INTEGER REFERENCES alert_rules (id) ON DELETE SET NULL,
+          rule_name TEXT NOT NULL,
+          status TEXT NOT NULL CHECK (status IN ('breached', 'warning', 'resolved', 'test')),
+          message TEXT NOT NULL,
+          details TEXT,
+          dataset_version INTEGER,
+          webhook TEXT,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_alert_notifications_rule ON alert_notifications (rule_id, id);
+      `);
+    },
+  },
+  {
+    id: 13,
+    name: 'scope alert rules to a region and gas',
+    up: db => {
+      // null keeps the old behaviour: every region / every gas
+      db.exec(`
+        ALTER TABLE alert_rules ADD COLUMN region TEXT;
+        ALTER TABLE alert_rules ADD COLUMN gas TEXT;
+      `);
+    },
+  },
+];
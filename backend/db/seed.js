@@ -0,0 +1,24 @@
+const sampleEmissions = require('../data/sampleEmissions');
+
+// Loads the sample rows into an empty emissions table; a no-op otherwise
+// unless `force` is set, which wipes the table first.
+function seed(db, { force = false } = {}) {
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM emissions').get();
+  if (count > 0 && !force) return 0;
+
+  const insert = db.prepare(`
+    INSERT INTO emissions (year, sector, sub_sector, region, gas, value, unit)
+    VALUES (@year, @sector, @subSector, @region, @gas, @value, @unit)
+  `);
+  db.transaction(() => {
+    db.prepare('DELETE FROM emissions').run();
+    sampleEmissions.forEach(r => insert.run(r));
+    db.prepare(`
+      INSERT INTO dataset_info (id, source, imported_at) VALUES (1, 'sample', NULL)
+      ON CONFLICT (id) DO UPDATE SET source = excluded.source, imported_at = excluded.imported_at
+    `).run();
+  })();
+  return sampleEmissions.length;
+}
+
+module.exports = { seed };
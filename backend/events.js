@@ -0,0 +1,8 @@
+const { createEventHub } = require('./lib/events');
+
+// --- The process-wide /api/events hub. EVENTS_HEARTBEAT_MS (default 25s) keeps idle
+// streams open through proxies, EVENTS_MAX_CLIENTS (default 200) caps open streams.
+module.exports = createEventHub({
+  heartbeatMs: Number(process.env.EVENTS_HEARTBEAT_MS) || 25000,
+  maxClients: Number(process.env.EVENTS_MAX_CLIENTS) || 200,
+});
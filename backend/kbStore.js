@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { searchTerms, toMatchExpression, coverage, citationLink } = require('./lib/kb/query');
+
+// --- Knowledge base documents and their passages, ranked with SQLite FTS5's BM25.
+// Headings weigh half as much as passage text.
+const DOCUMENT_COLUMNS = 'd.id, d.name, d.title, d.type, d.size, d.checksum, d.ingested_at AS ingestedAt';
+
+const statements = {
+  list: db.prepare(`
+    SELECT ${DOCUMENT_COLUMNS}, COUNT(c.id) AS chunkCount
+    FROM kb_documents d LEFT JOIN kb_chunks c ON c.document_id = d.id
+    GROUP BY d.id ORDER BY d.title
+  `),
+  get: db.prepare(`
+    SELECT ${DOCUMENT_COLUMNS}, (SELECT COUNT(*) FROM kb_chunks WHERE document_id = d.id) AS chunkCount
+    FROM kb_documents d WHERE d.id = ?
+  `),
+  checksumByName: db.prepare('SELECT checksum FROM kb_documents WHERE name = ?'),
+  file: db.prepare('SELECT name, type, content FROM kb_documents WHERE id = ?'),
+  insert: db.prepare(`
+    INSERT INTO kb_documents (name, title, type, size, checksum, content, ingested_at)
+    VALUES (@name, @title, @type, @size, @checksum, @content, @ingestedAt)
+  `),
+  insertChunk: db.prepare(`
+    INSERT INTO kb_chunks (document_id, position, page, heading, text)
+    VALUES (@documentId, @position, @page, @heading, @text)
+  `),
+  deleteByName: db.prepare('DELETE FROM kb_documents WHERE name = ?'),
+  delete: db.prepare('DELETE FROM kb_documents WHERE id = ?'),
+  search: db.prepare(`
+    SELECT c.id, c.document_id AS documentId, d.title, d.name, c.page, c.heading, c.text,
+      ROUND(bm25(kb_chunks_fts, 1.0, 0.5), 4) AS score
+    FROM kb_chunks_fts
+    JOIN kb_chunks c ON c.id = kb_chunks_fts.rowid
+    JOIN kb_documents d ON d.id = c.document_id
+    WHERE kb_chunks_fts MATCH ?
+    ORDER BY score LIMIT ?
+  `),
+};
+
+function checksumOf(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function listDocuments() {
+  return statements.list.all();
+}
+
+function getDocument(id) {
+  return statements.get.get(id) || null;
+}
+
+// Original upload, for citation links
+function getFile(id) {
+  return statements.file.get(id) || null;
+}
+
+// True when a file with this name and content is already indexed
+function isCurrent(name, buffer) {
+  const row = statements.checksumByName.get(name);
+  return Boolean(row && row.checksum === checksumOf(buffer));
+}
+
+// Replaces any document with the same name, so re-ingesting an edited file updates it
+const saveDocument = db.transaction(({ name, title, type, buffer }, chunks) => {
+  statements.deleteByName.run(name);
+  const { lastInsertRowid } = statements.insert.run({
+    name,
+    title,
+    type,
+    size: buffer.length,
+    checksum: checksumOf(buffer),
+    content: buffer,
+    ingestedAt: new Date().toISOString(),
+  });
+  chunks.forEach(c => statements.insertChunk.run({ documentId: lastInsertRowid, ...c }));
+  return getDocument(lastInsertRowid);
+});
+
+function deleteDocument(id) {
+  return statements.delete.run(id).changes > 0;
+}
+
+/**
+ * Passages ranked by BM25 (lower score = better match), each with the share of
+ * query terms it contains and a link to cite it by.
+ */
+function search(q, { limit = 5 } = {}) {
+  const terms = searchTerms(q);
+  if (terms.length === 0) return { terms, results: [] };
+  return {
+    terms,
+    results: statements.search.all(toMatchExpression(terms), limit).map(r => ({
+      ...r,
+      coverage: Number(coverage(`${r.heading || ''} ${r.text}`, terms).toFixed(2)),
+      link: citationLink(r.documentId, r.page),
+    })),
+  };
+}
+
+module.exports = { listDocuments, getDocument, getFile, isCurrent, saveDocument, deleteDocument, search };
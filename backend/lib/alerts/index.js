@@ -0,0 +1,211 @@
+const { DEFAULT_UNIT, normalizeUnit, formatValue } = require('../units');
+const { GASES, normalizeGas, normalizeRegion } = require('../dimensions');
+
+// --- Alert rules: a threshold is an annual limit (breached by any reported year above it),
+// a budget a cumulative allowance over a period (breached once the sum of its years exceeds it).
+// Both can warn early at warnPct percent of the limit. A rule covers one sector, region
+// and gas, or all of them where one is left unset.
+
+class AlertError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const ALERT_KINDS = ['threshold', 'budget'];
+// budgets warn at 90% used unless told otherwise; thresholds only warn when asked to
+const DEFAULT_BUDGET_WARN_PCT = 90;
+
+function round(value) {
+  return Number.isFinite(value) ? Number(value.toFixed(6)) : null;
+}
+
+function optionalYear(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const year = Number(value);
+  if (!Number.isInteger(year)) throw new AlertError(`${field} must be a year`);
+  return year;
+}
+
+// 'All' and empty mean the rule isn't narrowed to one value
+function scopeValue(value) {
+  return value && value !== 'All' ? `${value}`.trim() || null : null;
+}
+
+// "Energy", "Total (EU, CH4)"
+function scopeLabel(rule, total = 'Total') {
+  const narrowed = [rule.region, rule.gas].filter(Boolean);
+  return `${rule.sector || total}${narrowed.length ? ` (${narrowed.join(', ')})` : ''}`;
+}
+
+// The store filters a rule's series is read with
+function scopeFilters(rule) {
+  const filters = {};
+  ['sector', 'region', 'gas'].forEach(dim => {
+    if (rule[dim]) filters[dim] = [rule[dim]];
+  });
+  return filters;
+}
+
+// Checks a request body and returns the fields the alert store expects
+function validateRule(body = {}) {
+  const kind = body.kind || 'threshold';
+  if (!ALERT_KINDS.includes(kind)) throw new AlertError(`kind must be one of ${ALERT_KINDS.join(', ')}`);
+  const sector = scopeValue(body.sector);
+  const region = scopeValue(body.region) && normalizeRegion(body.region);
+  if (region && region.length > 64) throw new AlertError('region must be at most 64 characters');
+  const rawGas = scopeValue(body.gas);
+  const gas = rawGas && normalizeGas(rawGas);
+  if (rawGas && !gas) throw new AlertError(`unknown gas "${rawGas}" (use ${GASES.join(', ')})`);
+
+  const limit = Number(body.limit);
+  if (!Number.isFinite(limit) || limit <= 0) throw new AlertError('limit must be a positive number');
+  // a bare scale ('kt') means CO2e, as in the unit query param
+  const unit = body.unit ? normalizeUnit(/CO/i.test(body.unit) ? body.unit : `${body.unit}CO2e`) : DEFAULT_UNIT;
+  if (!unit) throw new AlertError(`unknown unit "${body.unit}"`);
+
+  const startYear = optionalYear(body.startYear, 'startYear');
+  const endYear = optionalYear(body.endYear, 'endYear');
+  if (startYear !== null && endYear !== null && endYear < startYear) throw new AlertError('endYear must not be before startYear');
+
+  const hasWarn = body.warnPct !== undefined && body.warnPct !== null && body.warnPct !== '';
+  const warnPct = hasWarn ? Number(body.warnPct) : (kind === 'budget' ? DEFAULT_BUDGET_WARN_PCT : null);
+  if (warnPct !== null && (!Number.isFinite(warnPct) || warnPct <= 0 || warnPct >= 100)) {
+    throw new AlertError('warnPct must be a number between 0 and 100');
+  }
+
+  const period = startYear || endYear ? ` ${startYear ?? '…'}–${endYear ?? '…'}` : '';
+  const scope = scopeLabel({ sector, region, gas });
+  const fallbackName = kind === 'budget'
+    ? `${scope} budget ${formatValue(limit, unit)}${period}`
+    : `${scope} above ${formatValue(limit, unit)}`;
+  const name = `${body.name || ''}`.trim() || fallbackName;
+  return { name: name.slice(0, 120), kind, sector, region, gas, limit, unit, startYear, endYear, warnPct };
+}
+
+/**
+ * One point per calendar year from the first to the last reported year. Data often
+ * comes in steps (2010, 2015, ...); the years between are filled in on a straight
+ * line and marked estimated, so a budget counts every year of its period.
+ */
+function annualSeries(series) {
+  const annual = [];
+  series.forEach((p, i) => {
+    annual.push({ year: p.year, value: p.value, estimated: false });
+    const next = series[i + 1];
+    if (!next) return;
+    for (let year = p.year + 1; year < next.year; year += 1) {
+      const t = (year - p.year) / (next.year - p.year);
+      annual.push({ year, value: p.value + (next.value - p.value) * t, estimated: true });
+    }
+  });
+  return annual;
+}
+
+/**
+ * Evaluates a rule against its series ([{ year, value }] in the rule's unit, sorted by year).
+ * Every result has status 'ok' | 'warning' | 'breached'; thresholds list the reported years
+ * above the limit, budgets how much of the allowance the years from..to used and what remains
+ * (estimatedYears of them interpolated). Years after the last reported one are not counted.
+ */
+function evaluateRule(rule, series) {
+  const inPeriod = p => (rule.startYear === null || p.year >= rule.startYear)
+    && (rule.endYear === null || p.year <= rule.endYear);
+  const warnAt = rule.warnPct ? rule.limit * (rule.warnPct / 100) : Infinity;
+  const base = {
+    ruleId: rule.id,
+    name: rule.name,
+    kind: rule.kind,
+    sector: rule.sector,
+    region: rule.region || null,
+    gas: rule.gas || null,
+    limit: rule.limit,
+    unit: rule.unit,
+    startYear: rule.startYear,
+    endYear: rule.endYear,
+    warnPct: rule.warnPct,
+  };
+
+  if (rule.kind === 'budget') {
+    const years = annualSeries(series).filter(inPeriod);
+    const used = years.reduce((sum, p) => sum + p.value, 0);
+    const status = used > rule.limit ? 'breached' : used >= warnAt ? 'warning' : 'ok';
+    return {
+      ...base,
+      status,
+      from: years.length ? years[0].year : null,
+      to: years.length ? years[years.length - 1].year : null,
+      estimatedYears: years.filter(p => p.estimated).length,
+      used: round(used),
+      remaining: round(rule.limit - used),
+      usedPct: round((used / rule.limit) * 100),
+    };
+  }
+
+  const points = series.filter(inPeriod);
+  const breaches = points.filter(p => p.value > rule.limit)
+    .map(p => ({ year: p.year, value: p.value, excess: round(p.value - rule.limit) }));
+  const warnings = points.filter(p => p.value <= rule.limit && p.value >= warnAt).map(p => ({ year: p.year, value: p.value }));
+  const latest = points[points.length - 1] || null;
+  return {
+    ...base,
+    status: breaches.length ? 'breached' : warnings.length ? 'warning' : 'ok',
+    breaches,
+    warnings,
+    latest,
+  };
+}
+
+// What a notification compares: a threshold breached in a new year is news, a budget only on a status change
+function signatureOf(result) {
+  if (result.kind === 'threshold' && result.status !== 'ok') {
+    const years = (result.status === 'breached' ? result.breaches : result.warnings).map(p => p.year);
+    return `${result.status}:${years.join(',')}`;
+  }
+  return result.status;
+}
+
+// One line for the notification log and the webhook; the rule's name is sent alongside it
+function describeResult(result) {
+  const who = scopeLabel(result, 'Total emissions');
+  const fmt = value => formatValue(value, result.unit);
+  if (result.kind === 'budget') {
+    return result.status === 'breached'
+      ? `${who} overspent the ${fmt(result.limit)} budget by ${fmt(-result.remaining)} (${result.usedPct.toFixed(1)}% used)`
+      : `${who} used ${result.usedPct.toFixed(1)}% of the ${fmt(result.limit)} budget, ${fmt(result.remaining)} left`;
+  }
+  if (result.status === 'breached') {
+    const worst = result.breaches.reduce((a, b) => (b.value > a.value ? b : a));
+    return `${who} above ${fmt(result.limit)} in ${result.breaches.map(b => b.year).join(', ')} (highest ${fmt(worst.value)} in ${worst.year})`;
+  }
+  const years = result.warnings.map(w => w.year).join(', ');
+  return `${who} within ${100 - result.warnPct}% of the ${fmt(result.limit)} limit in ${years}`;
+}
+
+/**
+ * The notification to log when a rule's evaluation differs from the last one stored
+ * with it (rule.status / rule.signature), or null. Going back to ok is logged as resolved.
+ */
+function notificationFor(rule, result) {
+  const signature = signatureOf(result);
+  if (signature === (rule.signature || 'ok')) return null;
+  if (result.status === 'ok') {
+    return { status: 'resolved', message: `${result.name} is back within its limit`, signature };
+  }
+  return { status: result.status, message: describeResult(result), signature };
+}
+
+module.exports = {
+  AlertError,
+  ALERT_KINDS,
+  DEFAULT_BUDGET_WARN_PCT,
+  scopeLabel,
+  scopeFilters,
+  validateRule,
+  annualSeries,
+  evaluateRule,
+  signatureOf,
+  describeResult,
+  notificationFor,
+};
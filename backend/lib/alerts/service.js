@@ -0,0 +1,72 @@
+const { AlertError, evaluateRule, signatureOf, notificationFor } = require('./index');
+const { createWebhook } = require('./webhook');
+
+/**
+ * Ties the alert rules to the data. rules is the alert store; seriesFor(rule) returns
+ * the rule's [{ year, value }] in its unit; currentVersion() the dataset version the
+ * notifications are about; webhook comes from createWebhook().
+ */
+function createAlertService({ rules, seriesFor, currentVersion = () => null, webhook = createWebhook() }) {
+  // Every rule evaluated against the current data; nothing is stored
+  function evaluateAll() {
+    return rules.list().map(rule => evaluateRule(rule, seriesFor(rule)));
+  }
+
+  function breaches() {
+    return evaluateAll().filter(r => r.status !== 'ok');
+  }
+
+  // Sends logged notifications to the webhook and records how that went on each of them
+  async function deliver(event, notifications) {
+    if (!webhook.configured || notifications.length === 0) return null;
+    const result = await webhook.send(event, notifications);
+    const outcome = result.ok ? 'sent' : `failed: ${result.error}`;
+    notifications.forEach(n => rules.setWebhookResult(n.id, outcome));
+    if (!result.ok) console.warn(`[ALERTS] webhook delivery failed: ${result.error}`);
+    return result;
+  }
+
+  /**
+   * Evaluates every rule, logs the ones whose state changed since the last check and
+   * sends those to the webhook. Call it whenever the data or the rules change.
+   * -> { results, notifications, delivered } where delivered settles once the webhook answered.
+   */
+  function check() {
+    const datasetVersion = currentVersion();
+    const notifications = [];
+    const results = rules.list().map(rule => {
+      const result = evaluateRule(rule, seriesFor(rule));
+      const notification = notificationFor(rule, result);
+      rules.setState(rule.id, { status: result.status, signature: signatureOf(result) });
+      if (notification) {
+        notifications.push(rules.addNotification({
+          ruleId: rule.id,
+          ruleName: rule.name,
+          status: notification.status,
+          message: notification.message,
+          details: result,
+          datasetVersion,
+        }));
+      }
+      return result;
+    });
+    return { results, notifications, delivered: deliver('alerts', notifications) };
+  }
+
+  // Logs a test notification and sends it, so the webhook set-up can be checked end to end
+  async function sendTest(author) {
+    if (!webhook.configured) throw new AlertError('no alert webhook is configured (set ALERT_WEBHOOK_URL)', 409);
+    const notification = rules.addNotification({
+      ruleName: 'Webhook test',
+      status: 'test',
+      message: `Test notification sent by ${author || 'an unknown user'}`,
+      datasetVersion: currentVersion(),
+    });
+    const result = await deliver('test', [notification]);
+    return { ...result, notificationId: notification.id };
+  }
+
+  return { evaluateAll, breaches, check, sendTest, webhookConfigured: webhook.configured };
+}
+
+module.exports = { createAlertService };
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { withRetry } = require('../search/retry');
+
+const SIGNATURE_HEADER = 'x-alert-signature';
+
+// HMAC-SHA256 of the exact body sent, so the receiver can check it came from us
+function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Outgoing alert webhook: POSTs { event, sentAt, notifications } as JSON to `url`,
+ * signed with `secret` when one is set. send() never throws; it resolves to
+ * { ok: true, status } or { ok: false, error } so callers can log the delivery.
+ * Without a url the webhook is off and send() resolves to null.
+ * post is axios.post unless a test swaps it.
+ */
+function createWebhook({ url, secret = null, timeoutMs = 5000, retry = {}, post = axios.post } = {}) {
+  return {
+    configured: Boolean(url),
+    async send(event, notifications) {
+      if (!url) return null;
+      const body = JSON.stringify({ event, sentAt: new Date().toISOString(), notifications });
+      const headers = { 'Content-Type': 'application/json', 'X-Alert-Event': event };
+      if (secret) headers[SIGNATURE_HEADER] = signPayload(body, secret);
+      try {
+        const res = await withRetry(
+          () => post(url, body, { headers, timeout: timeoutMs, transformRequest: [data => data] }),
+          {
+            ...retry,
+            onRetry: (err, attempt, delay) => console.warn(`[ALERTS] webhook attempt ${attempt} failed (${err.message}), retrying in ${delay}ms`),
+          },
+        );
+        return { ok: true, status: res.status };
+      } catch (err) {
+        const status = err.response && err.response.status;
+        return { ok: false, error: status ? `HTTP ${status}` : err.message };
+      }
+    },
+  };
+}
+
+module.exports = { SIGNATURE_HEADER, signPayload, createWebhook };
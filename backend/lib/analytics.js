@@ -0,0 +1,88 @@
+// --- Derived metrics over per-year, per-sector totals
+
+function round(value, digits = 6) {
+  return value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits));
+}
+
+// Absolute and percent change from `previous` to `value`; percent is null when there is no base
+function change(value, previous) {
+  if (value === null || value === undefined || previous === null || previous === undefined) {
+    return { change: null, changePct: null };
+  }
+  return {
+    change: round(value - previous),
+    changePct: previous === 0 ? null : round(((value - previous) / Math.abs(previous)) * 100, 3),
+  };
+}
+
+// Compound annual growth rate in percent; undefined for non-positive endpoints
+function cagr(start, end, years) {
+  if (!(start > 0) || !(end > 0) || !(years > 0)) return null;
+  return round((Math.pow(end / start, 1 / years) - 1) * 100, 3);
+}
+
+// 1 = largest emitter
+function ranks(bySector) {
+  const order = Object.keys(bySector).sort((a, b) => bySector[b] - bySector[a]);
+  const result = {};
+  order.forEach((sector, i) => {
+    result[sector] = i + 1;
+  });
+  return result;
+}
+
+function sum(bySector) {
+  return Object.values(bySector).reduce((a, b) => a + b, 0);
+}
+
+/**
+ * rows: [{ year, sector, value }] covering at least the years asked for.
+ * Returns YoY change between `compareYear` and `year`, CAGR over `from`..`to`,
+ * and each sector's share and rank movement.
+ */
+function computeAnalytics(rows, { year, compareYear, from, to }) {
+  const byYear = new Map();
+  rows.forEach(r => {
+    if (!byYear.has(r.year)) byYear.set(r.year, {});
+    byYear.get(r.year)[r.sector] = r.value;
+  });
+  const current = byYear.get(year) || {};
+  const previous = compareYear !== null ? byYear.get(compareYear) || {} : {};
+  const hasPrevious = compareYear !== null && byYear.has(compareYear);
+
+  const total = sum(current);
+  const previousTotal = hasPrevious ? sum(previous) : null;
+  const currentRanks = ranks(current);
+  const previousRanks = ranks(previous);
+
+  const sectors = Object.keys(current)
+    .sort((a, b) => currentRanks[a] - currentRanks[b])
+    .map(sector => {
+      const prev = hasPrevious && sector in previous ? previous[sector] : null;
+      const previousRank = previousRanks[sector] || null;
+      return {
+        sector,
+        value: current[sector],
+        previous: prev,
+        ...change(current[sector], prev),
+        share: total === 0 ? null : round((current[sector] / total) * 100, 3),
+        rank: currentRanks[sector],
+        previousRank,
+        // positive = moved up the ranking (became a bigger emitter)
+        rankChange: previousRank ? previousRank - currentRanks[sector] : null,
+      };
+    });
+
+  const start = byYear.has(from) ? sum(byYear.get(from)) : null;
+  const end = byYear.has(to) ? sum(byYear.get(to)) : null;
+
+  return {
+    year,
+    compareYear,
+    total: { value: round(total), previous: round(previousTotal), ...change(total, previousTotal) },
+    cagr: { from, to, start: round(start), end: round(end), rate: cagr(start, end, to - from) },
+    sectors,
+  };
+}
+
+module.exports = { change, cagr, ranks, computeAnalytics };
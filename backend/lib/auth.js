@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// --- Authentication (JWT bearer tokens or API keys) and role checks.
+// Roles are ordered: each one can do everything the roles before it can.
+const ROLES = ['viewer', 'analyst', 'admin'];
+const API_KEY_HEADER = 'x-api-key';
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// "scrypt$<salt>$<hash>", both hex
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(`${password}`, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = `${stored || ''}`.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(`${password}`, Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function digest(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * API_KEYS="reports:analyst:<key>,ops:admin:<key>" (name optional: "analyst:<key>").
+ * Returns a Map of sha256(key) -> { username, role } so keys aren't kept in memory as-is.
+ */
+function parseApiKeys(value) {
+  const keys = new Map();
+  `${value || ''}`.split(',').map(s => s.trim()).filter(Boolean).forEach((entry, i) => {
+    const parts = entry.split(':');
+    const key = parts.pop();
+    const role = parts.pop();
+    const name = parts.pop() || `api-key-${i + 1}`;
+    if (!ROLES.includes(role) || !key) throw new Error(`API_KEYS entry ${i + 1} must look like [name:]role:key with role ${ROLES.join(', ')}`);
+    keys.set(digest(key), { username: name, role, via: 'api-key' });
+  });
+  return keys;
+}
+
+// CORS_ORIGINS="https://a.example,https://b.example" -> list; "*" allows any origin
+function parseOrigins(value, fallback) {
+  const origins = `${value || ''}`.split(',').map(s => s.trim()).filter(Boolean);
+  if (origins.length === 0) return fallback;
+  return origins.includes('*') ? true : origins;
+}
+
+/**
+ * findUser(username) -> { username, role, passwordHash } | null, e.g. from userStore.
+ * anonymousRole lets requests without credentials act as that role (e.g. 'viewer'
+ * for a public read-only dashboard); null requires everyone to sign in.
+ */
+function createAuth({ secret, expiresIn = '8h', apiKeys = new Map(), findUser, anonymousRole = null }) {
+  let dummyHash;
+
+  function issueToken(user) {
+    const token = jwt.sign({ role: user.role }, secret, { subject: user.username, expiresIn });
+    const { exp } = jwt.decode(token);
+    return { token, expiresAt: new Date(exp * 1000).toISOString(), user: { username: user.username, role: user.role } };
+  }
+
+  function login(username, password) {
+    const user = findUser(`${username || ''}`);
+    // unknown usernames still cost a hash, so timing doesn't reveal which accounts exist
+    dummyHash = dummyHash || hashPassword(crypto.randomUUID());
+    const valid = verifyPassword(password, user ? user.passwordHash : dummyHash);
+    if (!user || !valid) throw new AuthError('invalid username or password');
+    return issueToken(user);
+  }
+
+  // The user behind a request, null when it carries no credentials
+  function identify(req) {
+    const apiKey = req.get(API_KEY_HEADER);
+    if (apiKey) {
+      const user = apiKeys.get(digest(apiKey));
+      if (!user) throw new AuthError('invalid API key');
+      return user;
+    }
+    const header = req.get('authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (!match) return anonymousRole ? { username: 'anonymous', role: anonymousRole, via: 'anonymous' } : null;
+
+    let payload;
+    try {
+      payload = jwt.verify(match[1], secret);
+    } catch (err) {
+      throw new AuthError(err.name === 'TokenExpiredError' ? 'session expired, please sign in again' : 'invalid token');
+    }
+    // the account may have been deleted or its role changed since the token was issued
+    const user = findUser(payload.sub);
+    if (!user) throw new AuthError('user no longer exists');
+    return { username: user.username, role: user.role, via: 'token' };
+  }
+
+  // Sets req.user (or null); bad credentials are rejected even on open routes
+  function authenticate(req, res, next) {
+    try {
+      req.user = identify(req);
+      next();
+    } catch (err) {
+      res.status(err.status).json({ error: err.message });
+    }
+  }
+
+  return { issueToken, login, authenticate };
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'sign in required' });
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `${role} role required` });
+    return next();
+  };
+}
+
+// GET / HEAD need readRole, anything else writeRole
+function requireRoleByMethod(readRole, writeRole) {
+  const read = requireRole(readRole);
+  const write = requireRole(writeRole);
+  return (req, res, next) => (['GET', 'HEAD'].includes(req.method) ? read : write)(req, res, next);
+}
+
+module.exports = {
+  ROLES,
+  AuthError,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  parseApiKeys,
+  parseOrigins,
+  createAuth,
+  requireRole,
+  requireRoleByMethod,
+};
@@ -0,0 +1,43 @@
+const { findYears, findSectors, detectIntent } = require('./parseQuery');
+
+// --- Multi-turn support: fills in what a follow-up leaves out from the previous turn
+
+const FOLLOW_UP_START = /^(and|what about|how about|same for|also|then|ok(ay)?,? and)\b/;
+const PRONOUNS = /\b(it|its|it's|they|them|their|that sector|this sector|those|these|same)\b/;
+const SHORT_MESSAGE_WORDS = 5;
+
+/**
+ * message: the new chat message; query: parseQuery's result for it (may be null);
+ * previous: { query, focus } stored with the last answer, where focus lists the
+ * sectors that answer was about (e.g. the top sector of a "highest" question).
+ * Returns the query to answer, or null when this isn't a data question.
+ */
+function resolveQuery(message, query, previous, { sectors = [] } = {}) {
+  if (!previous || !previous.query) return query;
+  const text = `${message || ''}`.toLowerCase().trim();
+  const years = findYears(text);
+  const named = findSectors(text, sectors);
+  const usesPronoun = PRONOUNS.test(text);
+
+  const isFollowUp = FOLLOW_UP_START.test(text)
+    || usesPronoun
+    || (!query && (years.length > 0 || named.length > 0) && text.split(/\s+/).length <= SHORT_MESSAGE_WORDS);
+  if (!isFollowUp) return query;
+
+  const prev = previous.query;
+  let resolvedSectors = named;
+  if (resolvedSectors.length === 0) {
+    resolvedSectors = usesPronoun && previous.focus && previous.focus.length ? previous.focus : prev.sectors;
+  }
+
+  return {
+    intent: detectIntent(text) || prev.intent,
+    sectors: resolvedSectors,
+    years: years.length ? years : prev.years,
+    metric: /%|\bper ?cent|\bpercentage\b/.test(text) ? 'percent' : prev.metric,
+    since: years.length ? /\bsince\b/.test(text) : prev.since,
+    followUp: true,
+  };
+}
+
+module.exports = { resolveQuery };
@@ -0,0 +1,34 @@
+const { quote } = require('../kb/query');
+
+// --- Answers general questions with passages quoted from the knowledge base
+
+const MIN_COVERAGE = 0.5; // share of the question's terms a passage must contain
+const MAX_PASSAGES = 2;
+
+// { title, heading, page, link } as shown under a chat answer
+function toCitation(result) {
+  return { title: result.title, heading: result.heading || null, page: result.page || null, link: result.link };
+}
+
+function citeLabel(result) {
+  const where = [result.heading, result.page ? `p. ${result.page}` : null].filter(Boolean).join(', ');
+  return where ? `${result.title} (${where})` : result.title;
+}
+
+/**
+ * kb: the knowledge base store. Returns { answer, citations } built from the
+ * best matching passages, or null when nothing matches the question well enough.
+ */
+function answerFromKb(kb, message) {
+  const { terms, results } = kb.search(message, { limit: MAX_PASSAGES * 3 });
+  const passages = results.filter(r => r.coverage >= MIN_COVERAGE).slice(0, MAX_PASSAGES);
+  if (passages.length === 0) return null;
+
+  const quoted = passages.map(r => `“${quote(r.text, terms)}”\n— ${citeLabel(r)}`);
+  return {
+    answer: `From the knowledge base:\n\n${quoted.join('\n\n')}`,
+    citations: passages.map(toCitation),
+  };
+}
+
+module.exports = { answerFromKb, toCitation };
@@ -0,0 +1,229 @@
+const { formatValue } = require('../units');
+
+// --- Answers parsed data questions from per-year, per-sector totals
+
+// rows: [{ year, sector, value }] -> { years: [...], byYear: Map(year -> { sector: value }) }
+function toDataset(rows) {
+  const byYear = new Map();
+  rows.forEach(r => {
+    if (!byYear.has(r.year)) byYear.set(r.year, {});
+    const sectors = byYear.get(r.year);
+    sectors[r.sector] = (sectors[r.sector] || 0) + r.value;
+  });
+  return { years: [...byYear.keys()].sort((a, b) => a - b), byYear };
+}
+
+function round(value) {
+  return Number(value.toFixed(6));
+}
+
+function pct(value) {
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+function total(sectors) {
+  return round(Object.values(sectors).reduce((a, b) => a + b, 0));
+}
+
+function noData(year) {
+  return `In this dashboard, there is no data available for year ${year}.`;
+}
+
+// "+0.5 MtCO₂e, +6.8%"
+function describeChange(from, to, unit) {
+  const diff = round(to - from);
+  const sign = diff > 0 ? '+' : diff < 0 ? '-' : '';
+  const parts = [`${sign}${formatValue(Math.abs(diff), unit)}`];
+  if (from !== 0) parts.push(pct(((to - from) / Math.abs(from)) * 100));
+  return parts.join(', ');
+}
+
+// --- Structured payloads sent with an answer for the chat panel to draw.
+// filters is what "apply to dashboard" sets; sector null means all sectors.
+
+function filtersFor(year, sector = null) {
+  return { year, sector };
+}
+
+// rows: [[label, value]] largest first; share adds each row's percentage of the year total
+function table(title, entries, unit, filters, { share = false } = {}) {
+  const sum = entries.reduce((a, [, v]) => a + v, 0);
+  const rows = entries.map(([label, value]) => (share && sum
+    ? { label, value: round(value), share: Number(((value / sum) * 100).toFixed(1)) }
+    : { label, value: round(value) }));
+  return { type: 'table', title, unit, rows, filters };
+}
+
+// one line per key over the given years: points [{ year, Energy: 21, ... }]
+function series(title, keys, years, valueOf, unit, filters) {
+  const points = years.map(year => {
+    const point = { year };
+    keys.forEach(key => {
+      const value = valueOf(key, year);
+      if (value !== undefined) point[key] = round(value);
+    });
+    return point;
+  });
+  return { type: 'series', title, unit, keys, points, filters };
+}
+
+function comparison(title, items, unit, filters) {
+  return { type: 'comparison', title, unit, items: items.map(([label, value]) => ({ label, value: round(value) })), filters };
+}
+
+/**
+ * query: output of parseQuery. unit: the CO2e unit values are expressed in.
+ * Returns { answer, intent, focus, data } computed from `dataset`; focus lists the
+ * sectors the answer is about, for resolving "it" in a follow-up, and data is
+ * the payload the figures came from (table, series, comparison or set-filters).
+ */
+function answerQuery(query, dataset, { unit } = {}) {
+  const { years: available, byYear } = dataset;
+  const latest = available[available.length - 1];
+  const first = available[0];
+  const fmt = value => formatValue(value, unit);
+  const reply = (answer, data = null, focus = query.sectors) => ({ answer, intent: query.intent, focus, data });
+
+  if (available.length === 0) return reply('This dashboard has no emissions data loaded yet.');
+
+  const missing = query.years.find(y => !byYear.has(y));
+  if (missing !== undefined) return reply(noData(missing));
+
+  const valueOf = (sector, year) => (sector ? byYear.get(year)[sector] : total(byYear.get(year)));
+  const label = sector => sector || 'Total emissions';
+  // series lines are keyed by label, so the total reads 'Total emissions'
+  const seriesValue = (key, year) => (byYear.has(year) ? valueOf(key === label(null) ? null : key, year) : undefined);
+  const hasSector = (sector, year) => !sector || byYear.get(year)[sector] !== undefined;
+
+  switch (query.intent) {
+    case 'highest':
+    case 'lowest': {
+      const year = query.years[0] || latest;
+      const sorted = Object.entries(byYear.get(year)).sort((a, b) => b[1] - a[1]);
+      const [sector, value] = query.intent === 'highest' ? sorted[0] : sorted[sorted.length - 1];
+      const listText = sorted.map(([s, v]) => `${s}: ${fmt(v)}`).join('; ');
+      return reply(
+        `In ${year}, the ${query.intent} emitting sector in this dashboard is ${sector} with ${fmt(value)}. Full breakdown: ${listText}.`,
+        table(`Emissions by sector, ${year}`, sorted, unit, filtersFor(year, sector)),
+        [sector],
+      );
+    }
+
+    case 'breakdown': {
+      const year = query.years[0] || latest;
+      const sorted = Object.entries(byYear.get(year)).sort((a, b) => b[1] - a[1]);
+      return reply(
+        `Emissions by sector in ${year}: ${sorted.map(([s, v]) => `${s}: ${fmt(v)}`).join('; ')}. Total: ${fmt(total(byYear.get(year)))}.`,
+        table(`Emissions by sector, ${year}`, sorted, unit, filtersFor(year), { share: true }),
+      );
+    }
+
+    case 'total': {
+      const years = query.years.length ? query.years : [latest];
+      return reply(
+        years.map(y => `Total emissions in ${y} were ${fmt(total(byYear.get(y)))}.`).join(' '),
+        series('Total emissions', [label(null)], available, seriesValue, unit, filtersFor(years[years.length - 1])),
+      );
+    }
+
+    case 'value': {
+      const years = query.years.length ? query.years : [latest];
+      const parts = [];
+      query.sectors.forEach(sector => years.forEach(year => {
+        parts.push(hasSector(sector, year) ? `${sector} emitted ${fmt(valueOf(sector, year))} in ${year}.` : `There is no ${sector} data for ${year}.`);
+      }));
+      const present = query.sectors.filter(sector => years.some(year => hasSector(sector, year)));
+      const data = present.length
+        ? series(present.join(', '), present, available, seriesValue, unit, filtersFor(years[years.length - 1], present[0]))
+        : null;
+      return reply(parts.join(' '), data);
+    }
+
+    case 'share': {
+      const year = query.years[0] || latest;
+      const sectors = query.sectors.length ? query.sectors : Object.keys(byYear.get(year));
+      const sum = total(byYear.get(year));
+      const parts = sectors.map(sector => {
+        if (!hasSector(sector, year)) return `There is no ${sector} data for ${year}.`;
+        const value = valueOf(sector, year);
+        return `${sector} accounted for ${((value / sum) * 100).toFixed(1)}% of total emissions (${fmt(value)} of ${fmt(sum)}).`;
+      });
+      const entries = Object.entries(byYear.get(year)).sort((a, b) => b[1] - a[1]);
+      const focus = query.sectors.length === 1 ? query.sectors[0] : null;
+      return reply(`In ${year}, ${parts.join(' ')}`, table(`Share of emissions, ${year}`, entries, unit, filtersFor(year, focus), { share: true }));
+    }
+
+    case 'change':
+    case 'compare': {
+      // two or more sectors in one year: compare them side by side
+      if (query.intent === 'compare' && query.sectors.length >= 2 && query.years.length <= 1) {
+        const year = query.years[0] || latest;
+        const present = query.sectors.filter(s => hasSector(s, year));
+        if (present.length < 2) return reply(`There isn't data for all of ${query.sectors.join(', ')} in ${year}.`);
+        const sorted = present.map(s => [s, valueOf(s, year)]).sort((a, b) => b[1] - a[1]);
+        const [[topSector, topValue], [nextSector, nextValue]] = sorted;
+        const ratio = nextValue ? ` (${(topValue / nextValue).toFixed(2)}×)` : '';
+        return reply(
+          `In ${year}: ${sorted.map(([s, v]) => `${s} ${fmt(v)}`).join(' vs ')}. ${topSector} is higher than ${nextSector} by ${fmt(round(topValue - nextValue))}${ratio}.`,
+          comparison(`${present.join(' vs ')}, ${year}`, sorted, unit, filtersFor(year)),
+        );
+      }
+
+      // otherwise: each sector (or the total) between two years
+      let from;
+      let to;
+      if (query.years.length >= 2) {
+        [from, to] = [Math.min(...query.years), Math.max(...query.years)];
+      } else if (query.years.length === 1) {
+        // "since 2015" counts forward from that year, "by 2015" up to it
+        const [year] = query.years;
+        [from, to] = query.since || year === first ? [year, latest] : [first, year];
+      } else {
+        [from, to] = [first, latest];
+      }
+      if (from === to) return reply(`Only ${from} is available here, so there is nothing to compare it with.`);
+
+      const sectors = query.sectors.length ? query.sectors : [null];
+      const parts = sectors.map(sector => {
+        if (!hasSector(sector, from) || !hasSector(sector, to)) return `There isn't ${sector} data for both ${from} and ${to}.`;
+        const a = valueOf(sector, from);
+        const b = valueOf(sector, to);
+        const verb = b > a ? 'grew' : b < a ? 'fell' : 'stayed flat';
+        if (query.metric === 'percent' && a !== 0 && a !== b) {
+          return `${label(sector)} ${verb} by ${Math.abs(((b - a) / a) * 100).toFixed(1)}% between ${from} and ${to} (${fmt(a)} to ${fmt(b)}).`;
+        }
+        return `${label(sector)} ${verb} from ${fmt(a)} in ${from} to ${fmt(b)} in ${to} (${describeChange(a, b, unit)}).`;
+      });
+      const keys = sectors.filter(s => hasSector(s, from) && hasSector(s, to)).map(label);
+      const years = available.filter(y => y >= from && y <= to);
+      const sector = query.sectors.length === 1 ? query.sectors[0] : null;
+      let data = null;
+      if (query.intent === 'compare' && keys.length === 1) {
+        // one sector (or the total) in two years: two bars
+        data = comparison(`${keys[0]}, ${from} vs ${to}`, [[`${from}`, seriesValue(keys[0], from)], [`${to}`, seriesValue(keys[0], to)]], unit, filtersFor(to, sector));
+      } else if (keys.length) {
+        data = series(`${keys.join(', ')}, ${from}–${to}`, keys, years, seriesValue, unit, filtersFor(to, sector));
+      }
+      return reply(parts.join(' '), data);
+    }
+
+    case 'filter': {
+      // the dashboard shows one sector at a time, so only the first one named is applied
+      const [year] = query.years;
+      const [sector] = query.sectors;
+      if (year === undefined && sector === undefined) {
+        return reply('Which year or sector should the dashboard show? For example: "show Transport in 2015 on the dashboard".');
+      }
+      const filters = {};
+      if (year !== undefined) filters.year = year;
+      if (sector !== undefined) filters.sector = sector;
+      const target = [sector, year].filter(v => v !== undefined).join(' in ');
+      return reply(`Ready to show ${target} on the dashboard: press "Apply to dashboard".`, { type: 'set-filters', filters });
+    }
+
+    default:
+      return null;
+  }
+}
+
+module.exports = { toDataset, answerQuery };
@@ -0,0 +1,81 @@
+// --- Turns a chat message into a structured data query:
+// { intent, sectors, years, metric } or null when it isn't about the dashboard data.
+
+// Checked in order; the first intent whose pattern matches wins
+const INTENT_PATTERNS = [
+  ['filter', /^(please |can you )?(set|switch|filter|show|open|select)\b.*\b(dashboard|filters?|view|chart)\b|\bfilter (by|to|on)\b|^(please )?(switch|go|jump) to\b/],
+  ['share', /\b(share|proportion|portion|percentage of|fraction)\b/],
+  ['compare', /\b(compare|comparison|versus|vs\.?|against|difference between)\b/],
+  ['change', /\b(grow|grew|grown|growth|increase[ds]?|decrease[ds]?|decline[ds]?|drop(ped|s)?|fell|fall|rise|rose|risen|change[ds]?|trend|since)\b/],
+  ['lowest', /\b(lowest|least|smallest|bottom|minimum|fewest)\b/],
+  ['highest', /\b(highest|most|largest|biggest|top|maximum|leading)\b/],
+  ['breakdown', /\b(breakdown|break down|list|each sector|all sectors|by sector)\b/],
+  ['total', /\b(total|overall|altogether|combined)\b/],
+];
+
+// Words that make a message about the dashboard data even without an intent keyword
+const DATA_HINTS = /(year|sector|dashboard)/;
+// Without one of these (or a sector / year) an intent word alone isn't a data question
+const EMISSION_WORDS = /\b(emi(t|ts|tted|tting|ssion|ssions)|total)\b/;
+
+const YEAR_PATTERN = /\b(19\d{2}|20\d{2})\b/g;
+
+function findYears(text) {
+  return [...new Set((text.match(YEAR_PATTERN) || []).map(Number))];
+}
+
+/**
+ * Sector names are matched on word starts so "transportation" finds Transport
+ * and "industrial" finds Industry (via the shared stem). Returned in the order
+ * they appear in the message.
+ */
+function findSectors(text, sectors) {
+  const found = [];
+  sectors.forEach(sector => {
+    const name = sector.toLowerCase();
+    const stem = name.length > 5 ? name.slice(0, name.length - 1) : name;
+    const index = text.search(new RegExp(`\\b${stem.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`));
+    if (index !== -1) found.push({ sector, index });
+  });
+  return found.sort((a, b) => a.index - b.index).map(f => f.sector);
+}
+
+function detectIntent(text) {
+  const match = INTENT_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : null;
+}
+
+/**
+ * sectors: the sector names in the dataset, used to spot them in the message.
+ * Returns null for messages that aren't data questions.
+ */
+function parseQuery(message, { sectors = [] } = {}) {
+  const text = `${message || ''}`.toLowerCase().trim();
+  if (!text) return null;
+
+  const years = findYears(text);
+  const matchedSectors = findSectors(text, sectors);
+  const hasContext = matchedSectors.length > 0 || years.length > 0 || DATA_HINTS.test(text) || EMISSION_WORDS.test(text);
+  if (!hasContext) return null;
+
+  let intent = detectIntent(text);
+  if (!intent) {
+    // "Transport in 2015" / "how much did Energy emit" -> a plain value lookup
+    if (matchedSectors.length > 0 && (years.length > 0 || /\b(how much|emit|emitted)\b/.test(text))) {
+      intent = 'value';
+    } else if (DATA_HINTS.test(text)) {
+      // the original catch-all: anything mentioning years or sectors gets the ranking
+      intent = 'highest';
+    } else {
+      return null;
+    }
+  }
+
+  const metric = /%|\bper ?cent|\bpercentage\b/.test(text) || intent === 'share' ? 'percent' : 'absolute';
+  // "since 2015" means from that year to the latest one
+  const since = /\bsince\b/.test(text);
+
+  return { intent, sectors: matchedSectors, years, metric, since };
+}
+
+module.exports = { parseQuery, findYears, findSectors, detectIntent };
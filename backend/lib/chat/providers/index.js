@@ -0,0 +1,42 @@
+const { createRulesProvider } = require('./rules');
+const { createOpenAiProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+// --- Picks the chat provider from the environment:
+// CHAT_PROVIDER=rules (default, offline) | openai | mock
+// openai also reads LLM_BASE_URL, LLM_MODEL, LLM_API_KEY and LLM_TIMEOUT_MS.
+const PROVIDERS = ['rules', 'openai', 'mock'];
+
+/**
+ * Every provider has reply({ message, history, previous, conversion }) resolving to
+ * { answer, source, intent, context, data?, citations?, tools? }; data is the chart /
+ * table payload drawn in the chat bubble, citations the knowledge base passages
+ * quoted ({ title, heading, page, link }) and context is stored with the answer and
+ * handed back as `previous` on the next turn. LLM providers fall back to the
+ * rule-based one when their endpoint fails.
+ */
+function createProvider({ store, kb }, env = process.env) {
+  const rules = createRulesProvider({ store, kb });
+  const name = (env.CHAT_PROVIDER || 'rules').toLowerCase();
+
+  if (name === 'mock') return createMockProvider({ store, kb, fallback: rules });
+  if (name === 'openai') {
+    if (!env.LLM_BASE_URL || !env.LLM_MODEL) {
+      console.warn('[CHAT] CHAT_PROVIDER=openai needs LLM_BASE_URL and LLM_MODEL, using rule-based answers');
+      return rules;
+    }
+    return createOpenAiProvider({
+      store,
+      kb,
+      fallback: rules,
+      baseUrl: env.LLM_BASE_URL,
+      apiKey: env.LLM_API_KEY,
+      model: env.LLM_MODEL,
+      timeoutMs: Number(env.LLM_TIMEOUT_MS) || undefined,
+    });
+  }
+  if (name !== 'rules') console.warn(`[CHAT] unknown CHAT_PROVIDER "${name}" (use ${PROVIDERS.join(', ')}), using rules`);
+  return rules;
+}
+
+module.exports = { createProvider, PROVIDERS };
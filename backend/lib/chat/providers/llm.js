@@ -0,0 +1,85 @@
+const { TOOLS, runTool, toPayload, toCitations } = require('../tools');
+
+// --- Tool-calling loop shared by every chat-completions style provider
+
+const MAX_TOOL_ROUNDS = 4;
+const HISTORY_MESSAGES = 10;
+
+const SYSTEM_PROMPT = [
+  'You answer questions about a greenhouse-gas emissions dashboard.',
+  'Use the tools to look up figures instead of guessing, and always state the unit.',
+  'Keep answers short. If the data does not cover a question, say so.',
+].join(' ');
+
+// Session history ({ from, text }) -> chat-completions messages
+function toChatMessages(history = []) {
+  return history
+    .filter(m => m.text)
+    .slice(-HISTORY_MESSAGES)
+    .map(m => ({ role: m.from === 'user' ? 'user' : 'assistant', content: m.text }));
+}
+
+function parseArguments(raw) {
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * complete(messages, { tools }) sends one chat-completions request and resolves
+ * to the assistant message ({ content, tool_calls }). Tool calls are run
+ * against the store until the model answers in text; after MAX_TOOL_ROUNDS the
+ * tools are withdrawn so it has to. When complete fails (endpoint down,
+ * timeout) the fallback provider answers instead.
+ */
+function createLlmProvider({ name, source, store, kb, complete, fallback }) {
+  return {
+    name,
+    async reply(request) {
+      const { message, history, previous, conversion } = request;
+      const messages = [
+        { role: 'system', content: `${SYSTEM_PROMPT} The dashboard currently shows values in ${conversion.unit}.` },
+        ...toChatMessages(history),
+        { role: 'user', content: message },
+      ];
+      const toolCalls = [];
+      let data = null; // payload of the last tool result that has one
+      const citations = [];
+
+      try {
+        for (let round = 0; round <= MAX_TOOL_ROUNDS; round += 1) {
+          const tools = round < MAX_TOOL_ROUNDS ? TOOLS : undefined;
+          const reply = await complete(messages, { tools });
+          const calls = reply.tool_calls || [];
+          if (calls.length === 0) {
+            const answer = `${reply.content || ''}`.trim() || 'No answer returned.';
+            return { answer, source, intent: null, context: previous, tools: toolCalls, data, citations };
+          }
+
+          messages.push({ role: 'assistant', content: reply.content || null, tool_calls: calls });
+          calls.forEach(call => {
+            const args = parseArguments(call.function.arguments);
+            const result = args
+              ? runTool({ store, kb }, call.function.name, args, conversion)
+              : { error: 'arguments must be a JSON object' };
+            toolCalls.push({ name: call.function.name, args });
+            data = toPayload(call.function.name, args, result) || data;
+            citations.push(...toCitations(call.function.name, result).filter(c => !citations.some(x => x.link === c.link)));
+            messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+          });
+        }
+        throw new Error(`no answer after ${MAX_TOOL_ROUNDS} tool rounds`);
+      } catch (err) {
+        if (!fallback) throw err;
+        console.warn(`[CHAT] ${name} provider failed, using ${fallback.name}:`, err.message);
+        return fallback.reply(request);
+      }
+    },
+  };
+}
+
+module.exports = { createLlmProvider, toChatMessages, MAX_TOOL_ROUNDS };
@@ -0,0 +1,53 @@
+const { findYears, findSectors } = require('../parseQuery');
+const { formatValue } = require('../../units');
+const { createLlmProvider } = require('./llm');
+
+// --- Stand-in for a chat-completions endpoint, for tests and offline demos.
+// Same message in, same tool calls and answer out: a named year asks
+// get_summary for that year, anything else asks get_emissions by year.
+
+function describe(result) {
+  if (result.error) return `The lookup failed: ${result.error}.`;
+  if (result.summary) {
+    const entries = Object.entries(result.summary).sort((a, b) => b[1] - a[1]);
+    if (entries.length === 0) return `There is no data for ${result.year}.`;
+    const total = Number(entries.reduce((sum, [, v]) => sum + v, 0).toFixed(6));
+    const parts = entries.map(([key, value]) => `${key} ${formatValue(value, result.unit)}`);
+    return `In ${result.year}: ${parts.join(', ')} (total ${formatValue(total, result.unit)}).`;
+  }
+  if (result.rows) {
+    if (result.rows.length === 0) return 'There is no data for that selection.';
+    return `By year: ${result.rows.map(r => `${r.year} ${formatValue(r.value, result.unit)}`).join(', ')}.`;
+  }
+  return 'No data was looked up.';
+}
+
+function createMockComplete(store) {
+  return async (messages, { tools }) => {
+    const lastUser = messages.map(m => m.role).lastIndexOf('user');
+    const results = messages.slice(lastUser + 1).filter(m => m.role === 'tool');
+
+    if (results.length === 0 && tools) {
+      const text = messages[lastUser].content.toLowerCase();
+      const years = findYears(text);
+      const sectors = findSectors(text, store.getSectors());
+      const name = years.length ? 'get_summary' : 'get_emissions';
+      const args = years.length ? { year: years[years.length - 1] } : { groupBy: 'year' };
+      if (sectors.length) args.sector = sectors.join(',');
+      return {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name, arguments: JSON.stringify(args) } }],
+      };
+    }
+
+    const content = results.map(m => describe(JSON.parse(m.content))).join(' ') || describe({});
+    return { role: 'assistant', content };
+  };
+}
+
+function createMockProvider({ store, kb, fallback }) {
+  return createLlmProvider({ name: 'mock', source: 'mock-llm', store, kb, complete: createMockComplete(store), fallback });
+}
+
+module.exports = { createMockProvider, createMockComplete };
@@ -0,0 +1,25 @@
+const axios = require('axios');
+const { createLlmProvider } = require('./llm');
+
+/**
+ * Any endpoint speaking the OpenAI chat-completions API: OpenAI itself or a
+ * self-hosted model (Ollama, llama.cpp server, vLLM...). baseUrl is the part
+ * before /chat/completions, e.g. http://localhost:11434/v1.
+ */
+function createOpenAiProvider({ store, kb, fallback, baseUrl, apiKey, model, timeoutMs = 30000 }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  async function complete(messages, { tools }) {
+    const body = { model, messages, temperature: 0 };
+    if (tools) body.tools = tools;
+    const res = await axios.post(url, body, { headers, timeout: timeoutMs });
+    const choice = res.data && res.data.choices && res.data.choices[0];
+    if (!choice || !choice.message) throw new Error('chat completion returned no choices');
+    return choice.message;
+  }
+
+  return createLlmProvider({ name: 'openai', source: 'llm', store, kb, complete, fallback });
+}
+
+module.exports = { createOpenAiProvider };
@@ -0,0 +1,54 @@
+const { parseQuery } = require('../parseQuery');
+const { resolveQuery } = require('../context');
+const { toDataset, answerQuery } = require('../localAnswers');
+const { answerFromKb } = require('../kbAnswers');
+
+// General fallback answers
+function generalAnswer(lower) {
+  if (lower.includes('transport')) {
+    return 'Transport emissions mainly come from road vehicles, aviation and shipping. Solutions: EVs, public transport, fuel efficiency.';
+  }
+  if (lower.includes('energy')) {
+    return 'The energy sector (electricity & heat) is usually the largest source of global emissions. Renewables and efficiency help reduce it.';
+  }
+  if (lower.includes('agriculture')) {
+    return 'Agriculture emits methane and nitrous oxide from livestock and fertilisers. Improved practices and dietary shifts help.';
+  }
+  return 'This dashboard compares sectors over time. Ask e.g. "Which sector is highest in 2020?" for local data, or "India latest emissions" to demo internet queries.';
+}
+
+/**
+ * Offline provider: parsed data questions answered from the store, other
+ * questions from passages in the knowledge base (kb, optional), canned
+ * answers for the rest. Needs no configuration or network.
+ */
+function createRulesProvider({ store, kb }) {
+  return {
+    name: 'rules',
+    async reply({ message, previous, conversion }) {
+      const sectors = store.getSectors();
+      const query = resolveQuery(message, parseQuery(message, { sectors }), previous, { sectors });
+      if (query) {
+        const dataset = toDataset(store.aggregate({}, ['year', 'sector'], conversion));
+        const result = answerQuery(query, dataset, { unit: conversion.unit });
+        if (result) {
+          return {
+            answer: result.answer,
+            source: 'local',
+            intent: result.intent,
+            data: result.data,
+            context: { query, focus: result.focus },
+          };
+        }
+      }
+      // keep the old context so "and in 2015?" still works after a general question
+      const fromKb = kb && answerFromKb(kb, message);
+      if (fromKb) {
+        return { answer: fromKb.answer, source: 'knowledge-base', intent: null, citations: fromKb.citations, context: previous };
+      }
+      return { answer: generalAnswer(message.toLowerCase()), source: 'general-info', intent: null, context: previous };
+    },
+  };
+}
+
+module.exports = { createRulesProvider };
@@ -0,0 +1,141 @@
+const { parseFilters, parseGroupBy } = require('../dimensions');
+const { parseConversion } = require('../units');
+const { toCitation } = require('./kbAnswers');
+const { quote } = require('../kb/query');
+
+// --- Tools an LLM provider can call. Each one answers from the same store
+// functions as the matching endpoint, with the same query parameters.
+// sources: { store, kb } - the emissions store and the knowledge base store.
+
+const MAX_ROWS = 200; // keeps tool results small enough for a prompt
+const MAX_PASSAGES = 4;
+
+const FILTER_PROPERTIES = {
+  year: { type: 'string', description: 'Comma-separated years, e.g. "2015,2020"' },
+  sector: { type: 'string', description: 'Comma-separated sectors, e.g. "Energy,Transport"' },
+  subSector: { type: 'string', description: 'Comma-separated sub-sectors' },
+  region: { type: 'string', description: 'Comma-separated regions' },
+  gas: { type: 'string', description: 'Comma-separated gases: CO2, CH4, N2O, F-gases or GHG' },
+  unit: { type: 'string', description: 'Output unit, e.g. MtCO2e, ktCO2e, GtCO2e. Defaults to the dashboard unit.' },
+};
+
+const TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'get_meta',
+      description: 'Lists the years, sectors, sub-sectors, regions and gases in the dataset.',
+      parameters: { type: 'object', properties: {} },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_emissions',
+      description: 'Emissions rows like GET /api/emissions. With groupBy, values are summed per group.',
+      parameters: {
+        type: 'object',
+        properties: {
+          ...FILTER_PROPERTIES,
+          groupBy: { type: 'string', description: 'Comma-separated dimensions: year, sector, subSector, region, gas' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_summary',
+      description: 'Totals for one year keyed by a dimension, like GET /api/summary. Defaults to the latest year by sector.',
+      parameters: {
+        type: 'object',
+        properties: {
+          ...FILTER_PROPERTIES,
+          year: { type: 'integer', description: 'Year to summarise' },
+          groupBy: { type: 'string', description: 'One of year, sector, subSector, region, gas' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'search_knowledge_base',
+      description: 'Full-text search over the team\'s climate reports and methodology notes. Cite the returned titles and links.',
+      parameters: {
+        type: 'object',
+        properties: { query: { type: 'string', description: 'What to look for' } },
+        required: ['query'],
+      },
+    },
+  },
+];
+
+const HANDLERS = {
+  get_meta: ({ store }) => store.getMeta(),
+  get_emissions: ({ store }, args, conversion) => {
+    const groupBy = parseGroupBy(args.groupBy);
+    const rows = groupBy.length
+      ? store.aggregate(parseFilters(args), groupBy, conversion)
+      : store.findEmissions(parseFilters(args), conversion);
+    return { unit: conversion.unit, rows: rows.slice(0, MAX_ROWS), truncated: rows.length > MAX_ROWS };
+  },
+  get_summary: ({ store }, args, conversion) => {
+    const year = Number(args.year) || store.getLatestYear();
+    const [groupBy] = parseGroupBy(args.groupBy, ['sector']);
+    return { year, groupBy, unit: conversion.unit, summary: store.getSummary(year, parseFilters(args), groupBy, conversion) };
+  },
+  search_knowledge_base: ({ kb }, args) => {
+    if (!kb) return { error: 'no knowledge base configured' };
+    const { terms, results } = kb.search(`${args.query || ''}`, { limit: MAX_PASSAGES });
+    return { results: results.map(r => ({ ...toCitation(r), quote: quote(r.text, terms) })) };
+  },
+};
+
+/**
+ * Runs one tool call. conversion is the dashboard's unit / GWP, used unless the
+ * call names its own unit. Bad arguments come back as { error } for the model
+ * to correct rather than failing the chat request.
+ */
+function runTool(sources, name, args = {}, conversion = parseConversion()) {
+  const handler = HANDLERS[name];
+  if (!handler) return { error: `unknown tool ${name}` };
+  try {
+    const callConversion = args.unit ? parseConversion({ ...conversion, unit: args.unit }) : conversion;
+    return handler(sources, args, callConversion);
+  } catch (err) {
+    if (err.status === 400) return { error: err.message };
+    throw err;
+  }
+}
+
+// Knowledge base passages a tool result quoted, as citations for the answer
+function toCitations(name, result) {
+  if (name !== 'search_knowledge_base' || !result || !result.results) return [];
+  return result.results.map(({ title, heading, page, link }) => ({ title, heading, page, link }));
+}
+
+/**
+ * Chat payload (see localAnswers) for a tool result, so LLM answers get a chart
+ * or table too: summaries become tables, yearly totals a series. Anything
+ * else has no payload.
+ */
+function toPayload(name, args, result) {
+  if (!result || result.error) return null;
+  if (name === 'get_summary' && result.groupBy === 'sector') {
+    const rows = Object.entries(result.summary)
+      .sort((a, b) => b[1] - a[1])
+      .map(([label, value]) => ({ label, value }));
+    return { type: 'table', title: `Emissions by sector, ${result.year}`, unit: result.unit, rows, filters: { year: result.year, sector: null } };
+  }
+  if (name === 'get_emissions' && `${args.groupBy || ''}`.trim() === 'year') {
+    const key = args.sector || 'Total emissions';
+    const points = result.rows.map(r => ({ year: r.year, [key]: r.value }));
+    const sector = args.sector && !`${args.sector}`.includes(',') ? args.sector : null;
+    const latest = points.length ? points[points.length - 1].year : null;
+    return { type: 'series', title: key, unit: result.unit, keys: [key], points, filters: { year: latest, sector } };
+  }
+  return null;
+}
+
+module.exports = { TOOLS, runTool, toPayload, toCitations };
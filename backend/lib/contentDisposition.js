@@ -0,0 +1,24 @@
+// --- Content-Disposition headers for any file name. Header values must be Latin-1,
+// so filename= carries an ASCII stand-in and filename*= (RFC 6266 / 5987) the real
+// name percent-encoded as UTF-8, which browsers prefer when both are present.
+
+// 'Émissions_2023.pdf' -> 'Emissions_2023.pdf'; characters without an ASCII form become '_'
+function asciiFilename(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]|["\\]/g, '_');
+}
+
+// encodeURIComponent leaves ' ( ) * alone, which RFC 5987 doesn't allow
+function encodeFilename(name) {
+  return encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// contentDisposition('inline', '排放报告.pdf') -> inline; filename="____.pdf"; filename*=UTF-8''%E6%8E%92...
+function contentDisposition(type, filename) {
+  const name = `${filename}`;
+  return `${type}; filename="${asciiFilename(name)}"; filename*=UTF-8''${encodeFilename(name)}`;
+}
+
+module.exports = { contentDisposition };
@@ -0,0 +1,181 @@
+const { parse } = require('csv-parse/sync');
+const { DEFAULT_REGION, DEFAULT_GAS, GASES, MIN_YEAR, MAX_YEAR, isYear, normalizeGas, normalizeRegion } = require('./dimensions');
+const { CO2E_UNITS, MASS_UNITS, CONVERTIBLE_GASES, normalizeUnit, isMassUnit } = require('./units');
+
+const REQUIRED_FIELDS = ['year', 'sector', 'value', 'unit'];
+
+// CSV headers are lower-cased first; these map to the row's field names
+const HEADER_ALIASES = {
+  subsector: 'subSector',
+  sub_sector: 'subSector',
+  'sub-sector': 'subSector',
+  country: 'region',
+};
+
+class ImportError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.errors = errors;
+  }
+}
+
+// Turns a CSV string into [{ line, record }] keeping the file line of each row
+function parseCsv(text) {
+  let parsed;
+  try {
+    parsed = parse(text, {
+      columns: header => header.map(h => {
+        const name = String(h).trim().toLowerCase();
+        return HEADER_ALIASES[name] || name;
+      }),
+      skip_empty_lines: true,
+      trim: true,
+      bom: true,
+      info: true,
+    });
+  } catch (err) {
+    throw new ImportError('Could not parse CSV', [{ line: err.lines || null, field: null, message: err.message }]);
+  }
+  return parsed.map(p => ({ line: p.info.lines, record: p.record }));
+}
+
+// Accepts either a bare array or { rows: [...] }; line is the 1-based item index
+function parseJson(body) {
+  let data = body;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (err) {
+      throw new ImportError('Could not parse JSON', [{ line: null, field: null, message: err.message }]);
+    }
+  }
+  const items = Array.isArray(data) ? data : data && Array.isArray(data.rows) ? data.rows : null;
+  if (!items) {
+    throw new ImportError('JSON body must be an array of rows or { rows: [...] }');
+  }
+  return items.map((record, i) => ({ line: i + 1, record: record || {} }));
+}
+
+function validateRecord(record) {
+  const errors = [];
+  const missing = REQUIRED_FIELDS.filter(f => record[f] === undefined || record[f] === null || `${record[f]}`.trim() === '');
+  missing.forEach(field => errors.push({ field, message: `${field} is required` }));
+
+  const year = Number(record.year);
+  if (!missing.includes('year') && !isYear(year)) {
+    errors.push({ field: 'year', message: `year must be a whole number between ${MIN_YEAR} and ${MAX_YEAR}` });
+  }
+
+  const sector = `${record.sector ?? ''}`.trim();
+  if (!missing.includes('sector') && sector.length > 64) {
+    errors.push({ field: 'sector', message: 'sector must be at most 64 characters' });
+  }
+
+  const value = typeof record.value === 'number' ? record.value : Number(`${record.value ?? ''}`.trim());
+  if (!missing.includes('value') && !Number.isFinite(value)) {
+    errors.push({ field: 'value', message: `value "${record.value}" is not a number` });
+  }
+
+  const unit = normalizeUnit(record.unit, { allowMass: true });
+  if (!missing.includes('unit') && !unit) {
+    errors.push({ field: 'unit', message: `unsupported unit "${record.unit}" (expected ${CO2E_UNITS.join(', ')} or ${MASS_UNITS.join(', ')} of a single gas)` });
+  }
+
+  // Optional dimensions fall back to an unsplit, global row
+  const subSector = `${record.subSector ?? record.sub_sector ?? ''}`.trim();
+  const region = normalizeRegion(record.region) || DEFAULT_REGION;
+  const rawGas = `${record.gas ?? ''}`.trim();
+  const gas = rawGas ? normalizeGas(rawGas) : DEFAULT_GAS;
+  if (!gas) {
+    errors.push({ field: 'gas', message: `unknown gas "${rawGas}" (expected one of ${GASES.join(', ')})` });
+  }
+  // Plain mass needs a known gas to be converted to CO2e
+  if (unit && gas && isMassUnit(unit) && !CONVERTIBLE_GASES.includes(gas)) {
+    errors.push({ field: 'unit', message: `${gas} values must be given in a CO2e unit, not "${unit}"` });
+  }
+  if (subSector.length > 64) errors.push({ field: 'subSector', message: 'subSector must be at most 64 characters' });
+  if (region.length > 64) errors.push({ field: 'region', message: 'region must be at most 64 characters' });
+
+  return { row: { year, sector, subSector, region, gas, value, unit }, errors };
+}
+
+function rowKey(r) {
+  return [r.year, r.sector, r.subSector || '', r.region, r.gas].join('|');
+}
+
+// Rows that could describe the same emissions: one year of one sector
+function groupKey(r) {
+  return [r.year, r.sector].join('|');
+}
+
+// A row without a sub-sector is the whole sector, a GHG row covers every gas and a Global
+// row every region, so a total next to its parts (or two partly split rows) would be
+// counted twice when summed
+function overlaps(a, b) {
+  const subSector = !a.subSector || !b.subSector || a.subSector === b.subSector;
+  const region = a.region === DEFAULT_REGION || b.region === DEFAULT_REGION || a.region === b.region;
+  const gas = a.gas === DEFAULT_GAS || b.gas === DEFAULT_GAS || a.gas === b.gas;
+  return subSector && region && gas;
+}
+
+function describeRow(r) {
+  const parts = [r.subSector ? `${r.sector} / ${r.subSector}` : r.sector, r.year, r.region, r.gas];
+  return parts.join(', ');
+}
+
+function groupRows(rows) {
+  const groups = new Map(); // groupKey -> [row]
+  rows.forEach(row => {
+    const key = groupKey(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+}
+
+/**
+ * Checks every record and reports problems per line.
+ * Duplicates are rows with the same year, sector, sub-sector, region and gas
+ * seen earlier in the file, or already present in `existingRows` when appending.
+ * Rows at a different granularity for the same year and sector are rejected too when
+ * they overlap, e.g. a sector total next to its sub-sectors or a Global row next to countries.
+ */
+function validateRecords(records, { existingRows = [], mode = 'replace' } = {}) {
+  const rows = [];
+  const errors = [];
+  const seen = new Map(); // groupKey -> [{ row, line }]
+  const existing = groupRows(mode === 'append' ? existingRows : []);
+
+  for (const { line, record } of records) {
+    const result = validateRecord(record);
+    if (result.errors.length > 0) {
+      result.errors.forEach(e => errors.push({ line, ...e }));
+      continue;
+    }
+    const row = result.row;
+    const key = groupKey(row);
+    const earlier = (seen.get(key) || []).find(other => overlaps(row, other.row));
+    if (earlier) {
+      const message = rowKey(earlier.row) === rowKey(row)
+        ? `duplicate of line ${earlier.line} (${describeRow(row)})`
+        : `${describeRow(row)} overlaps line ${earlier.line} (${describeRow(earlier.row)}); use either the total or its parts`;
+      errors.push({ line, field: null, message });
+      continue;
+    }
+    const present = (existing.get(key) || []).find(other => overlaps(row, other));
+    if (present) {
+      const message = rowKey(present) === rowKey(row)
+        ? `${describeRow(row)} already exists in the current dataset`
+        : `${describeRow(row)} overlaps ${describeRow(present)} in the current dataset; use either the total or its parts`;
+      errors.push({ line, field: null, message });
+      continue;
+    }
+    if (!seen.has(key)) seen.set(key, []);
+    seen.get(key).push({ row, line });
+    rows.push(row);
+  }
+
+  return { rows, errors, total: records.length };
+}
+
+module.exports = { ImportError, parseCsv, parseJson, validateRecords };
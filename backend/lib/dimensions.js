@@ -0,0 +1,99 @@
+// --- Dimensions an emissions row can be filtered and grouped by.
+// API names on the left, SQLite columns on the right.
+const DIMENSIONS = {
+  year: 'year',
+  sector: 'sector',
+  subSector: 'sub_sector',
+  region: 'region',
+  gas: 'gas',
+};
+
+const DEFAULT_REGION = 'Global';
+// other names for the unsplit, global region
+const REGION_ALIASES = { global: DEFAULT_REGION, world: DEFAULT_REGION };
+// 'GHG' marks rows that already combine all gases (not split by gas)
+const DEFAULT_GAS = 'GHG';
+const UNSPECIFIED = 'Unspecified';
+// Years the dataset, targets and projections may refer to
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2100;
+
+const GASES = ['CO2', 'CH4', 'N2O', 'F-gases', DEFAULT_GAS];
+const GAS_ALIASES = {
+  co2: 'CO2',
+  'co₂': 'CO2',
+  ch4: 'CH4',
+  'ch₄': 'CH4',
+  n2o: 'N2O',
+  'n₂o': 'N2O',
+  'f-gases': 'F-gases',
+  fgases: 'F-gases',
+  'f-gas': 'F-gases',
+  ghg: DEFAULT_GAS,
+  all: DEFAULT_GAS,
+};
+
+function normalizeGas(value) {
+  return GAS_ALIASES[`${value ?? ''}`.trim().toLowerCase()] || null;
+}
+
+// 'world' -> 'Global'; any other region is kept as given
+function normalizeRegion(value) {
+  const region = `${value ?? ''}`.trim();
+  return REGION_ALIASES[region.toLowerCase()] || region;
+}
+
+// "Energy,Transport" -> ['Energy', 'Transport']; 'All' and empty mean no filter
+function listParam(value) {
+  if (value === undefined || value === null) return undefined;
+  const items = (Array.isArray(value) ? value : `${value}`.split(','))
+    .map(v => `${v}`.trim())
+    .filter(v => v && v !== 'All');
+  return items.length ? items : undefined;
+}
+
+// Pulls dimension filters out of a query string object
+function parseFilters(query = {}) {
+  const filters = {};
+  Object.keys(DIMENSIONS).forEach(dim => {
+    let values = listParam(query[dim]);
+    if (!values) return;
+    if (dim === 'year') values = values.map(Number).filter(Number.isInteger);
+    if (dim === 'gas') values = values.map(v => normalizeGas(v) || v);
+    if (dim === 'region') values = values.map(normalizeRegion);
+    if (dim === 'subSector') values = values.map(v => (v === UNSPECIFIED ? '' : v));
+    if (values.length) filters[dim] = values;
+  });
+  return filters;
+}
+
+function isYear(value) {
+  return Number.isInteger(value) && value >= MIN_YEAR && value <= MAX_YEAR;
+}
+
+// "sector,gas" -> ['sector', 'gas']; unknown dimensions are reported, not ignored
+function parseGroupBy(value, fallback = []) {
+  const dims = listParam(value) || fallback;
+  const unknown = dims.filter(d => !DIMENSIONS[d]);
+  if (unknown.length) {
+    const err = new Error(`unknown groupBy dimension: ${unknown.join(', ')} (use ${Object.keys(DIMENSIONS).join(', ')})`);
+    err.status = 400;
+    throw err;
+  }
+  return dims;
+}
+
+module.exports = {
+  DIMENSIONS,
+  DEFAULT_REGION,
+  DEFAULT_GAS,
+  UNSPECIFIED,
+  MIN_YEAR,
+  MAX_YEAR,
+  GASES,
+  isYear,
+  normalizeGas,
+  normalizeRegion,
+  parseFilters,
+  parseGroupBy,
+};
@@ -0,0 +1,99 @@
+/**
+ * Server-Sent Events hub: keeps the open /api/events responses and writes every
+ * published event to each of them. Events are { id, type, data }; ids increase
+ * per process so clients can tell the order, and a comment line is sent as a
+ * heartbeat so proxies don't close idle streams.
+ */
+class EventsError extends Error {
+  constructor(message, status = 503) {
+    super(message);
+    this.name = 'EventsError';
+    this.status = status;
+  }
+}
+
+// One SSE frame; multi-line data is split into several data: lines as the format requires
+function formatEvent({ id, type, data }) {
+  const lines = [];
+  if (id !== undefined && id !== null) lines.push(`id: ${id}`);
+  if (type) lines.push(`event: ${type}`);
+  JSON.stringify(data === undefined ? null : data).split('\n').forEach(line => lines.push(`data: ${line}`));
+  return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * heartbeatMs: how often idle streams get a ": ping" comment
+ * retryMs: reconnect delay suggested to EventSource-style clients
+ * maxClients: further connections are refused with EventsError (503)
+ */
+function createEventHub({ heartbeatMs = 25000, retryMs = 3000, maxClients = 200, now = () => new Date() } = {}) {
+  const clients = new Set();
+  let lastId = 0;
+  let heartbeat = null;
+
+  function send(res, frame) {
+    try {
+      res.write(frame);
+    } catch (err) {
+      // the socket went away between the close event and this write
+      clients.delete(res);
+    }
+  }
+
+  function startHeartbeat() {
+    if (heartbeat || !heartbeatMs) return;
+    heartbeat = setInterval(() => clients.forEach(res => send(res, ': ping\n\n')), heartbeatMs);
+    // an idle hub must not keep the process (or a test run) alive
+    if (heartbeat.unref) heartbeat.unref();
+  }
+
+  function stopHeartbeat() {
+    if (heartbeat && clients.size === 0) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  }
+
+  /**
+   * Turns res into an event stream and keeps it until the client disconnects.
+   * `ready` ({ type, data }) is sent first, only to this client, e.g. the current
+   * revision so a reconnecting client can tell whether it missed a change.
+   */
+  function connect(req, res, ready = null) {
+    if (clients.size >= maxClients) throw new EventsError('too many open event streams, try again later');
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // nginx buffers responses unless told otherwise
+      'X-Accel-Buffering': 'no',
+    });
+    send(res, `retry: ${retryMs}\n\n`);
+    if (ready) send(res, formatEvent({ id: lastId, ...ready }));
+    clients.add(res);
+    startHeartbeat();
+    req.on('close', () => {
+      clients.delete(res);
+      stopHeartbeat();
+    });
+  }
+
+  // Sends { ...data, at } to every open stream; returns the event that was sent
+  function publish(type, data = {}) {
+    lastId += 1;
+    const event = { id: lastId, type, data: { ...data, at: now().toISOString() } };
+    const frame = formatEvent(event);
+    clients.forEach(res => send(res, frame));
+    return event;
+  }
+
+  function close() {
+    clients.forEach(res => res.end());
+    clients.clear();
+    stopHeartbeat();
+  }
+
+  return { connect, publish, close, clientCount: () => clients.size, lastId: () => lastId };
+}
+
+module.exports = { EventsError, formatEvent, createEventHub };
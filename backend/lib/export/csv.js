@@ -0,0 +1,14 @@
+// RFC 4180: quote fields containing commas, quotes or line breaks
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = `${value}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(r => lines.push(columns.map(c => csvField(r[c])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { csvField, toCsv };
@@ -0,0 +1,54 @@
+const { toCsv } = require('./csv');
+const { toXlsx } = require('./xlsx');
+const { toPdf } = require('./pdf');
+const { buildReport } = require('./report');
+
+// --- Downloadable exports of the emissions data (GET /api/export)
+
+class ExportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+function parseFormat(value) {
+  const format = `${value || 'csv'}`.toLowerCase();
+  if (!FORMATS[format]) throw new ExportError(`format must be one of ${Object.keys(FORMATS).join(', ')}`);
+  return format;
+}
+
+// Column order for a set of rows: dimensions first, then value / unit and whatever else
+const COLUMN_ORDER = ['year', 'sector', 'subSector', 'region', 'gas', 'value', 'unit', 'sourceValue', 'sourceUnit'];
+
+function columnsFor(rows) {
+  const keys = new Set();
+  rows.forEach(r => Object.keys(r).forEach(k => keys.add(k)));
+  return [...COLUMN_ORDER.filter(k => keys.has(k)), ...[...keys].filter(k => !COLUMN_ORDER.includes(k))];
+}
+
+// emissions_2020_Energy.csv, emissions_all-years_v3.xlsx, ...
+function exportFilename(filters, format) {
+  const parts = [filters.year ? filters.year.join('-') : 'all-years', ...(filters.sector || []), ...(filters.version ? [`v${filters.version}`] : [])];
+  const name = ['emissions', ...parts].join('_').replace(/[^\w.-]+/g, '-');
+  return `${name}.${FORMATS[format].extension}`;
+}
+
+module.exports = {
+  ExportError,
+  FORMATS,
+  parseFormat,
+  columnsFor,
+  exportFilename,
+  buildReport,
+  toCsv,
+  toXlsx,
+  toPdf,
+};
@@ -0,0 +1,161 @@
+const PDFDocument = require('pdfkit');
+
+// --- One-page PDF summary: KPIs, sector bar chart, trend line and a breakdown table.
+// Charts are drawn with PDF vector primitives, so no browser or canvas is needed.
+const PAGE_MARGIN = 50;
+const ACCENT = '#7b68ee';
+const TREND = '#4caf50';
+const MUTED = '#6b7280';
+const UP = '#d32f2f';
+const DOWN = '#2e7d32';
+// the table below still lists every sector
+const MAX_BARS = 12;
+
+// The built-in PDF fonts have no subscript ₂, so units stay as "MtCO2e"
+function amount(value, unit) {
+  if (value === null || value === undefined) return '-';
+  const digits = Math.abs(value) >= 100 ? 1 : 3;
+  return `${Number(value).toLocaleString('en-US', { maximumFractionDigits: digits })} ${unit}`;
+}
+
+function percent(value) {
+  if (value === null || value === undefined) return '-';
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+function kpis(report, unit) {
+  const top = report.sectors[0];
+  return [
+    [`Total ${report.year}`, amount(report.total.value, unit)],
+    [`Change vs ${report.compareYear || 'previous year'}`, report.total.change === null
+      ? '-'
+      : `${report.total.change > 0 ? '+' : ''}${amount(report.total.change, unit)} (${percent(report.total.changePct)})`],
+    [`CAGR ${report.cagr.from}-${report.cagr.to}`, report.cagr.rate === null ? '-' : `${percent(report.cagr.rate)} / yr`],
+    ['Largest sector', top ? `${top.sector} (${top.share === null ? '-' : `${top.share.toFixed(1)}%`})` : '-'],
+  ];
+}
+
+function drawKpis(doc, items, top) {
+  const gap = 10;
+  const width = (doc.page.width - PAGE_MARGIN * 2 - gap * (items.length - 1)) / items.length;
+  items.forEach(([label, value], i) => {
+    const x = PAGE_MARGIN + i * (width + gap);
+    doc.roundedRect(x, top, width, 54, 6).fillAndStroke('#f5f5fb', '#e3e3ef');
+    doc.fillColor(MUTED).fontSize(8).text(label, x + 8, top + 8, { width: width - 16 });
+    doc.fillColor('black').fontSize(11).text(value, x + 8, top + 24, { width: width - 16 });
+  });
+  return top + 54;
+}
+
+// Horizontal bars, one per sector, largest first
+function drawSectorBars(doc, sectors, unit, top) {
+  const labelWidth = 90;
+  const valueWidth = 90;
+  const barHeight = 14;
+  const left = PAGE_MARGIN + labelWidth;
+  const maxWidth = doc.page.width - PAGE_MARGIN * 2 - labelWidth - valueWidth;
+  const max = Math.max(...sectors.map(s => s.value), 0);
+  sectors.forEach((s, i) => {
+    const y = top + i * (barHeight + 6);
+    const width = max > 0 ? Math.max(1, (s.value / max) * maxWidth) : 1;
+    doc.fillColor('black').fontSize(9).text(s.sector, PAGE_MARGIN, y + 3, { width: labelWidth - 6, ellipsis: true, lineBreak: false });
+    doc.rect(left, y, width, barHeight).fill(ACCENT);
+    doc.fillColor(MUTED).fontSize(8).text(amount(s.value, unit), left + width + 4, y + 3, { lineBreak: false });
+  });
+  return top + sectors.length * (barHeight + 6);
+}
+
+// Total per year with min / max labels on the y axis
+function drawTrend(doc, totals, unit, top) {
+  const height = 140;
+  const left = PAGE_MARGIN + 60;
+  const width = doc.page.width - PAGE_MARGIN - left;
+  const values = totals.map(t => t.value);
+  const min = Math.min(...values, 0);
+  const max = Math.max(...values, 0);
+  const span = max - min || 1;
+  const x = i => left + (totals.length === 1 ? width / 2 : (i / (totals.length - 1)) * width);
+  const y = v => top + height - ((v - min) / span) * height;
+
+  doc.strokeColor('#dddddd').lineWidth(0.5);
+  doc.moveTo(left, top).lineTo(left, top + height).lineTo(left + width, top + height).stroke();
+  doc.fillColor(MUTED).fontSize(7);
+  doc.text(amount(max, unit), PAGE_MARGIN, top - 3, { width: 56, align: 'right' });
+  doc.text(amount(min, unit), PAGE_MARGIN, top + height - 6, { width: 56, align: 'right' });
+
+  doc.strokeColor(TREND).lineWidth(2);
+  totals.forEach((t, i) => (i === 0 ? doc.moveTo(x(i), y(t.value)) : doc.lineTo(x(i), y(t.value))));
+  doc.stroke();
+  totals.forEach((t, i) => {
+    doc.circle(x(i), y(t.value), 2.5).fill(TREND);
+    doc.fillColor(MUTED).fontSize(7).text(String(t.year), x(i) - 15, top + height + 4, { width: 30, align: 'center' });
+  });
+  return top + height + 16;
+}
+
+function drawTable(doc, report, unit, top) {
+  const columns = [
+    ['Sector', 150, s => s.sector],
+    [`${report.year}`, 110, s => amount(s.value, unit)],
+    ['Share', 70, s => (s.share === null ? '-' : `${s.share.toFixed(1)}%`)],
+    [`vs ${report.compareYear || '-'}`, 80, s => percent(s.changePct)],
+    ['Rank', 50, s => String(s.rank)],
+  ];
+  let y = top;
+  const row = (cells, options = {}) => {
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, i) => {
+      doc.fillColor(options.colors ? options.colors[i] : 'black').fontSize(9).font(options.bold ? 'Helvetica-Bold' : 'Helvetica')
+        .text(cell, x, y, { width: columns[i][1] - 6, lineBreak: false, ellipsis: true });
+      x += columns[i][1];
+    });
+    y += 16;
+  };
+  row(columns.map(c => c[0]), { bold: true });
+  report.sectors.forEach(s => {
+    const colors = columns.map((c, i) => (i === 3 && s.changePct ? (s.changePct > 0 ? UP : DOWN) : 'black'));
+    row(columns.map(c => c[2](s)), { colors });
+  });
+  doc.font('Helvetica');
+  return y;
+}
+
+/**
+ * report: from buildReport(); about: { Filters, Unit, GWP, ... } printed under the title.
+ * Resolves to a Buffer.
+ */
+function toPdf(report, about, unit) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: 'Emissions report' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(20).fillColor('black').text('Emissions report');
+    doc.moveDown(0.3).fontSize(9).fillColor(MUTED)
+      .text(Object.entries(about).map(([name, value]) => `${name}: ${value}`).join('   |   '));
+
+    if (!report.year) {
+      doc.moveDown().fontSize(12).fillColor('black').text('No data matches these filters.');
+      doc.end();
+      return;
+    }
+
+    let y = drawKpis(doc, kpis(report, unit), doc.y + 14) + 24;
+    doc.fontSize(12).fillColor('black').text(`Emissions by sector, ${report.year}`, PAGE_MARGIN, y);
+    y = drawSectorBars(doc, report.sectors.slice(0, MAX_BARS), unit, y + 20) + 20;
+    doc.fontSize(12).fillColor('black').text('Total emissions by year', PAGE_MARGIN, y);
+    y = drawTrend(doc, report.totals, unit, y + 24) + 16;
+    // many sectors: start the table on a fresh page rather than run off this one
+    if (y + 40 + report.sectors.length * 16 > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    doc.fontSize(12).fillColor('black').text('Sector breakdown', PAGE_MARGIN, y);
+    drawTable(doc, report, unit, y + 20);
+    doc.end();
+  });
+}
+
+module.exports = { toPdf };
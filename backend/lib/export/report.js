@@ -0,0 +1,27 @@
+const { computeAnalytics } = require('../analytics');
+
+/**
+ * rows: [{ year, sector, value }] for every year. Builds what the PDF report shows:
+ * totals per year, and KPIs / sector breakdown for `year` (default: the latest)
+ * compared with the year before it.
+ */
+function buildReport(rows, { year } = {}) {
+  const byYear = new Map();
+  rows.forEach(r => byYear.set(r.year, (byYear.get(r.year) || 0) + r.value));
+  const years = [...byYear.keys()].sort((a, b) => a - b);
+  const focus = year && byYear.has(year) ? year : years[years.length - 1] || null;
+  const earlier = years.filter(y => y < focus);
+
+  return {
+    year: focus,
+    totals: years.map(y => ({ year: y, value: byYear.get(y) })),
+    ...computeAnalytics(rows, {
+      year: focus,
+      compareYear: earlier.length ? earlier[earlier.length - 1] : null,
+      from: years[0],
+      to: focus,
+    }),
+  };
+}
+
+module.exports = { buildReport };
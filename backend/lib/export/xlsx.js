@@ -0,0 +1,40 @@
+const ExcelJS = require('exceljs');
+
+const LABELS = {
+  year: 'Year',
+  sector: 'Sector',
+  subSector: 'Sub-sector',
+  region: 'Region',
+  gas: 'Gas',
+  value: 'Value',
+  unit: 'Unit',
+  sourceValue: 'Source value',
+  sourceUnit: 'Source unit',
+};
+
+/**
+ * Workbook with the rows on a "Data" sheet and what was exported
+ * (filters, unit, GWP basis, time) on an "About" sheet. Resolves to a Buffer.
+ */
+async function toXlsx(rows, columns, about) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const data = workbook.addWorksheet('Data', { views: [{ state: 'frozen', ySplit: 1 }] });
+  data.columns = columns.map(key => ({ header: LABELS[key] || key, key, width: key === 'value' || key === 'sourceValue' ? 14 : 16 }));
+  data.addRows(rows);
+  data.getRow(1).font = { bold: true };
+  ['value', 'sourceValue'].filter(k => columns.includes(k)).forEach(k => {
+    data.getColumn(k).numFmt = '#,##0.###';
+  });
+  if (rows.length) data.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+  const info = workbook.addWorksheet('About');
+  info.columns = [{ key: 'name', width: 18 }, { key: 'value', width: 48 }];
+  Object.entries(about).forEach(([name, value]) => info.addRow({ name, value }));
+  info.getColumn('name').font = { bold: true };
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = { toXlsx };
@@ -0,0 +1,101 @@
+// --- Trend fitting and projection for yearly emission series
+
+const METHODS = ['linear', 'exponential'];
+
+// Two-sided Student t quantiles by degrees of freedom; larger df fall back to the normal value
+const T_QUANTILES = {
+  80: { 1: 3.078, 2: 1.886, 3: 1.638, 4: 1.533, 5: 1.476, 6: 1.44, 7: 1.415, 8: 1.397, 9: 1.383, 10: 1.372, 15: 1.341, 20: 1.325, 30: 1.31, Infinity: 1.282 },
+  95: { 1: 12.706, 2: 4.303, 3: 3.182, 4: 2.776, 5: 2.571, 6: 2.447, 7: 2.365, 8: 2.306, 9: 2.262, 10: 2.228, 15: 2.131, 20: 2.086, 30: 2.042, Infinity: 1.96 },
+};
+const LEVELS = Object.keys(T_QUANTILES).map(Number);
+
+// Uses the nearest tabulated df at or below `df`, which errs on the wide side
+function tQuantile(df, level) {
+  const table = T_QUANTILES[level];
+  const keys = Object.keys(table).map(Number).sort((a, b) => a - b);
+  const key = keys.filter(k => k <= df).pop();
+  return table[key];
+}
+
+function round(value) {
+  return Number.isFinite(value) ? Number(value.toFixed(6)) : null;
+}
+
+/**
+ * Ordinary least squares of y on x. `stdError(x)` is the standard error of a
+ * new observation at x, or null when there are too few points to estimate it.
+ */
+function ols(xs, ys) {
+  const n = xs.length;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  xs.forEach((x, i) => {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (ys[i] - meanY);
+  });
+  const slope = sxx === 0 ? 0 : sxy / sxx;
+  const intercept = meanY - slope * meanX;
+
+  const sse = xs.reduce((acc, x, i) => acc + (ys[i] - (intercept + slope * x)) ** 2, 0);
+  const sst = ys.reduce((acc, y) => acc + (y - meanY) ** 2, 0);
+  const df = n - 2;
+  const s = df > 0 ? Math.sqrt(sse / df) : null;
+
+  return {
+    slope,
+    intercept,
+    df,
+    r2: sst === 0 ? 1 : 1 - sse / sst,
+    stdError: x => (s === null || sxx === 0 ? null : s * Math.sqrt(1 + 1 / n + (x - meanX) ** 2 / sxx)),
+  };
+}
+
+/**
+ * Fits `method` to points [{ year, value }] and returns a model with
+ * predict(year) -> { value, lower, upper } at the given confidence level.
+ * Exponential fits work on log values, so they need every value > 0.
+ */
+function fit(points, { method = 'linear', level = 95 } = {}) {
+  if (!METHODS.includes(method)) throw new Error(`unknown method "${method}" (use ${METHODS.join(', ')})`);
+  if (!LEVELS.includes(level)) throw new Error(`unsupported level ${level} (use ${LEVELS.join(' or ')})`);
+  if (points.length < 2) throw new Error('at least two years of data are needed for a projection');
+
+  const xs = points.map(p => p.year);
+  const log = method === 'exponential';
+  if (log && points.some(p => !(p.value > 0))) {
+    throw new Error('exponential projection needs positive values in every year');
+  }
+  const ys = points.map(p => (log ? Math.log(p.value) : p.value));
+  const model = ols(xs, ys);
+  const back = v => (log ? Math.exp(v) : v);
+
+  return {
+    method,
+    level,
+    r2: round(model.r2),
+    // linear: change per year; exponential: growth rate per year in percent
+    slope: round(log ? (Math.exp(model.slope) - 1) * 100 : model.slope),
+    predict(year) {
+      const center = model.intercept + model.slope * year;
+      const se = model.stdError(year);
+      if (se === null) return { value: round(back(center)), lower: null, upper: null };
+      const margin = tQuantile(model.df, level) * se;
+      return { value: round(back(center)), lower: round(back(center - margin)), upper: round(back(center + margin)) };
+    },
+  };
+}
+
+// Predictions for every year after the last data point up to `until`
+function project(points, until, options) {
+  const model = fit(points, options);
+  const last = points[points.length - 1].year;
+  const projection = [];
+  for (let year = last + 1; year <= until; year += 1) {
+    projection.push({ year, ...model.predict(year) });
+  }
+  return { model, projection };
+}
+
+module.exports = { METHODS, LEVELS, fit, project };
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+/**
+ * Sends build()'s result as JSON with an ETag derived from the dataset
+ * revision and the request URL, so unchanged data costs a 304 and no query.
+ * Clients must revalidate (no-cache) because imports can change the data at any time.
+ */
+function sendCached(req, res, revision, build) {
+  const hash = crypto.createHash('sha1').update(`${revision}|${req.originalUrl}`).digest('base64url');
+  const etag = `W/"${hash}"`;
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'no-cache');
+
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch && ifNoneMatch.split(',').map(t => t.trim()).includes(etag)) {
+    return res.status(304).end();
+  }
+  return res.json(build());
+}
+
+module.exports = { sendCached };
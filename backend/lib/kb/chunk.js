@@ -0,0 +1,75 @@
+const path = require('path');
+
+// --- Splits document text into passages small enough to quote in a chat answer.
+// Paragraphs are packed into chunks of up to MAX_CHUNK_CHARS; longer paragraphs
+// are split on sentence ends. Markdown headings start a new chunk and label it.
+
+const MAX_CHUNK_CHARS = 900;
+const HEADING = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+
+function splitLong(paragraph) {
+  if (paragraph.length <= MAX_CHUNK_CHARS) return [paragraph];
+  const parts = [];
+  let current = '';
+  // a run-on "sentence" longer than a chunk is cut hard
+  const sentences = paragraph.split(/(?<=[.!?])\s+/).flatMap(s => s.match(new RegExp(`.{1,${MAX_CHUNK_CHARS}}`, 'g')));
+  sentences.forEach(sentence => {
+    if (current && current.length + sentence.length + 1 > MAX_CHUNK_CHARS) {
+      parts.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${sentence}` : sentence;
+  });
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * pages: [{ page, text }] from extractPages.
+ * Returns [{ position, page, heading, text }] in document order.
+ */
+function chunkPages(pages, { type } = {}) {
+  const chunks = [];
+  let heading = null;
+  let buffer = [];
+  let bufferPage = null;
+
+  const flush = () => {
+    const text = buffer.join('\n\n').trim();
+    if (text) chunks.push({ position: chunks.length, page: bufferPage, heading, text });
+    buffer = [];
+  };
+
+  pages.forEach(({ page, text }) => {
+    if (buffer.length && page !== bufferPage) flush();
+    bufferPage = page;
+    text.replace(/\r\n?/g, '\n').split(/\n\s*\n/).forEach(block => {
+      const lines = block.trim().split('\n');
+      if (type === 'markdown' && HEADING.test(lines[0])) {
+        flush();
+        heading = lines[0].match(HEADING)[1];
+        lines.shift();
+      }
+      // pdf.js marks page ends with "-- 1 of 3 --"
+      const paragraph = lines.filter(l => !/^-- \d+ of \d+ --$/.test(l.trim())).join(' ').replace(/\s+/g, ' ').trim();
+      if (!paragraph) return;
+      splitLong(paragraph).forEach(part => {
+        if (buffer.length && buffer.join('\n\n').length + part.length > MAX_CHUNK_CHARS) flush();
+        buffer.push(part);
+      });
+    });
+  });
+  flush();
+  return chunks;
+}
+
+// First Markdown H1, else the file name without extension
+function titleOf(pages, name, type) {
+  if (type === 'markdown') {
+    const match = pages[0].text.match(/^#\s+(.+?)\s*#*\s*$/m);
+    if (match) return match[1];
+  }
+  return path.basename(name, path.extname(name)).replace(/[-_]+/g, ' ');
+}
+
+module.exports = { chunkPages, titleOf, MAX_CHUNK_CHARS };
@@ -0,0 +1,42 @@
+const path = require('path');
+
+// --- Turns an uploaded file into text pages: [{ page, text }], page null for Markdown / text
+
+const TYPES = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text',
+  '.pdf': 'pdf',
+};
+
+class KbError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function typeOf(name) {
+  return TYPES[path.extname(`${name || ''}`).toLowerCase()] || null;
+}
+
+async function pdfPages(buffer) {
+  // loaded on first use, pdf.js is heavy and most knowledge bases are Markdown
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+  try {
+    const result = await parser.getText();
+    return result.pages.map(p => ({ page: p.num, text: p.text }));
+  } catch (err) {
+    throw new KbError(`could not read PDF: ${err.message}`, 422);
+  } finally {
+    await parser.destroy();
+  }
+}
+
+async function extractPages(buffer, type) {
+  if (type === 'pdf') return pdfPages(buffer);
+  return [{ page: null, text: buffer.toString('utf8').replace(/^\uFEFF/, '') }];
+}
+
+module.exports = { TYPES, KbError, typeOf, extractPages };
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const { TYPES, KbError, typeOf, extractPages } = require('./extract');
+const { chunkPages, titleOf } = require('./chunk');
+
+// --- Ingestion: extract text, chunk it, hand it to the knowledge base store
+
+const KB_DIR = process.env.KB_DIR || path.join(__dirname, '..', '..', 'kb');
+
+/**
+ * kb: the knowledge base store (kbStore.js). name decides the type by its
+ * extension and identifies the document: ingesting the same name again replaces it.
+ */
+async function ingestBuffer(kb, name, buffer) {
+  const type = typeOf(name);
+  if (!type) throw new KbError(`unsupported file type "${name}" (use ${Object.keys(TYPES).join(', ')})`, 415);
+  if (!buffer || buffer.length === 0) throw new KbError(`"${name}" is empty`);
+
+  const pages = await extractPages(buffer, type);
+  const chunks = chunkPages(pages, { type });
+  if (chunks.length === 0) throw new KbError(`no text found in "${name}"`, 422);
+  return kb.saveDocument({ name, title: titleOf(pages, name, type), type, buffer }, chunks);
+}
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(full);
+    return entry.isFile() && typeOf(entry.name) ? [full] : [];
+  });
+}
+
+// Indexes the supported files under dir that are new or changed since last time
+async function ingestDirectory(kb, dir = KB_DIR) {
+  const report = { added: [], unchanged: 0, failed: [] };
+  if (!fs.existsSync(dir)) return report;
+  for (const file of listFiles(dir)) {
+    const name = path.relative(dir, file).split(path.sep).join('/');
+    const buffer = fs.readFileSync(file);
+    if (kb.isCurrent(name, buffer)) {
+      report.unchanged += 1;
+    } else {
+      try {
+        await ingestBuffer(kb, name, buffer);
+        report.added.push(name);
+      } catch (err) {
+        report.failed.push({ name, error: err.message });
+      }
+    }
+  }
+  return report;
+}
+
+module.exports = { KB_DIR, ingestBuffer, ingestDirectory };
@@ -0,0 +1,62 @@
+// --- Turning questions into full-text queries, and passages into quotes
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'could', 'did', 'do', 'does', 'explain', 'for',
+  'from', 'how', 'i', 'in', 'is', 'it', 'me', 'mean', 'means', 'of', 'on', 'or', 'please', 'tell', 'that', 'the',
+  'this', 'to', 'us', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you',
+]);
+const QUOTE_CHARS = 320;
+
+// "What does GWP mean?" -> ['gwp']
+function searchTerms(q) {
+  const words = `${q || ''}`.toLowerCase().replace(/₂/g, '2').match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.filter(w => !STOP_WORDS.has(w) && (w.length > 1 || /\d/.test(w))))];
+}
+
+// FTS5 MATCH expression; every term quoted so user input can't inject query syntax
+function toMatchExpression(terms) {
+  return terms.map(t => `"${t.replace(/"/g, '""')}"`).join(' OR ');
+}
+
+// Rough stem so "emissions" finds "emission" and "projected" finds "projection"
+function stemOf(term) {
+  return term.length > 5 ? term.slice(0, term.length - 2) : term;
+}
+
+// Share of the terms that appear in text, 0..1
+function coverage(text, terms) {
+  if (terms.length === 0) return 0;
+  const lower = text.toLowerCase();
+  return terms.filter(t => lower.includes(stemOf(t))).length / terms.length;
+}
+
+/**
+ * The sentence mentioning the most terms, plus the ones after it while the
+ * quote stays under QUOTE_CHARS. Cut ends are marked with "…".
+ */
+function quote(text, terms, maxChars = QUOTE_CHARS) {
+  if (text.length <= maxChars) return text;
+  const sentences = text.split(/(?<=[.!?])\s+/);
+  let best = 0;
+  let bestHits = -1;
+  sentences.forEach((s, i) => {
+    const hits = coverage(s, terms);
+    if (hits > bestHits) {
+      best = i;
+      bestHits = hits;
+    }
+  });
+  let passage = sentences[best].slice(0, maxChars);
+  for (let i = best + 1; i < sentences.length && passage.length + sentences[i].length + 1 <= maxChars; i += 1) {
+    passage += ` ${sentences[i]}`;
+  }
+  const cutStart = best > 0;
+  const cutEnd = passage.length < text.length - (cutStart ? text.indexOf(sentences[best]) : 0);
+  return `${cutStart ? '…' : ''}${passage}${cutEnd ? '…' : ''}`;
+}
+
+function citationLink(documentId, page) {
+  return `/api/kb/documents/${documentId}/file${page ? `#page=${page}` : ''}`;
+}
+
+module.exports = { searchTerms, toMatchExpression, coverage, quote, citationLink };
@@ -0,0 +1,82 @@
+// --- Token-bucket rate limiting, one bucket per client IP and limiter.
+// A bucket holds up to `capacity` requests and refills at `perMinute`, so short
+// bursts (a quick follow-up question) pass while sustained floods get 429s.
+
+const RATE_LIMITS = {
+  chat: { capacity: 5, perMinute: 20 },
+  search: { capacity: 5, perMinute: 30 },
+  data: { capacity: 60, perMinute: 600 },
+  login: { capacity: 5, perMinute: 5 },
+  export: { capacity: 5, perMinute: 20 },
+};
+
+// Exposed to the browser through CORS so the frontend can show a countdown
+const RATE_LIMIT_HEADERS = ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'];
+
+// RATE_LIMIT_CHAT=10/30 -> { capacity: 10, perMinute: 30 }; bad values keep the default
+function limitsFor(name, env = process.env) {
+  const defaults = RATE_LIMITS[name];
+  const match = `${env[`RATE_LIMIT_${name.toUpperCase()}`] || ''}`.match(/^\s*(\d+)\s*\/\s*(\d+(?:\.\d+)?)\s*$/);
+  if (!match || Number(match[1]) < 1 || Number(match[2]) <= 0) return defaults;
+  return { capacity: Number(match[1]), perMinute: Number(match[2]) };
+}
+
+/**
+ * Express middleware. options: { capacity, perMinute, idleMs, key(req), body(retryAfter), now() }.
+ * Buckets untouched for idleMs (default: long enough to refill completely) are
+ * swept on later requests, so memory stays bounded by the number of active clients.
+ */
+function rateLimit(options) {
+  const {
+    capacity,
+    perMinute,
+    key = req => req.ip || 'unknown',
+    body = retryAfter => ({ error: 'Too many requests', retryAfter }),
+    now = Date.now,
+  } = options;
+  const perMs = perMinute / 60000;
+  const idleMs = options.idleMs || Math.ceil(capacity / perMs);
+  const windowSeconds = Math.ceil(capacity / perMs / 1000);
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+  let lastSweep = now();
+
+  function sweep(t) {
+    if (t - lastSweep < idleMs) return;
+    lastSweep = t;
+    buckets.forEach((bucket, k) => {
+      if (t - bucket.updatedAt >= idleMs) buckets.delete(k);
+    });
+  }
+
+  function middleware(req, res, next) {
+    const t = now();
+    sweep(t);
+    const k = key(req);
+    const bucket = buckets.get(k) || { tokens: capacity, updatedAt: t };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (t - bucket.updatedAt) * perMs);
+    bucket.updatedAt = t;
+    buckets.set(k, bucket);
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    res.set('RateLimit-Limit', String(capacity));
+    res.set('RateLimit-Remaining', String(Math.floor(bucket.tokens)));
+    res.set('RateLimit-Reset', String(Math.ceil((capacity - bucket.tokens) / perMs / 1000)));
+    res.set('RateLimit-Policy', `${capacity};w=${windowSeconds}`);
+    if (allowed) return next();
+
+    const retryAfter = Math.ceil((1 - bucket.tokens) / perMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json(body(retryAfter));
+  }
+
+  middleware.size = () => buckets.size;
+  return middleware;
+}
+
+// Limiter for one of the RATE_LIMITS routes, with env overrides applied
+function routeLimit(name, options = {}) {
+  return rateLimit({ ...limitsFor(name), ...options });
+}
+
+module.exports = { RATE_LIMITS, RATE_LIMIT_HEADERS, limitsFor, rateLimit, routeLimit };
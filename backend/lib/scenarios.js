@@ -0,0 +1,108 @@
+const { project } = require('./forecast');
+
+// --- What-if scenarios: per-sector annual reduction rules applied to a baseline
+const ALL_SECTORS = '*';
+const BASELINES = ['flat', 'linear', 'exponential'];
+
+class ScenarioError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+/**
+ * Validates { name, description, rules: [{ sector, startYear, endYear?, annualReductionPct }] }.
+ * sector '*' applies a rule to every sector; rules on the same sector compound.
+ */
+function validateScenario(body = {}) {
+  const name = `${body.name || ''}`.trim();
+  if (!name) throw new ScenarioError('name is required');
+  if (!Array.isArray(body.rules) || body.rules.length === 0) throw new ScenarioError('rules must be a non-empty array');
+
+  const rules = body.rules.map((rule, i) => {
+    const where = `rules[${i}]`;
+    if (!rule || typeof rule !== 'object') throw new ScenarioError(`${where} must be an object`);
+    const sector = `${rule.sector || ''}`.trim();
+    const startYear = Number(rule.startYear);
+    const endYear = rule.endYear === undefined || rule.endYear === null || rule.endYear === '' ? null : Number(rule.endYear);
+    const annualReductionPct = Number(rule.annualReductionPct);
+    if (!sector) throw new ScenarioError(`${where}.sector is required (use "${ALL_SECTORS}" for all sectors)`);
+    if (!Number.isInteger(startYear)) throw new ScenarioError(`${where}.startYear must be a year`);
+    if (endYear !== null && (!Number.isInteger(endYear) || endYear < startYear)) {
+      throw new ScenarioError(`${where}.endYear must be a year not before startYear`);
+    }
+    if (!Number.isFinite(annualReductionPct) || annualReductionPct <= -100 || annualReductionPct >= 100) {
+      throw new ScenarioError(`${where}.annualReductionPct must be between -100 and 100`);
+    }
+    return { sector, startYear, endYear, annualReductionPct };
+  });
+
+  return { name: name.slice(0, 120), description: `${body.description || ''}`.trim().slice(0, 500), rules };
+}
+
+function round(value) {
+  return Number(value.toFixed(6));
+}
+
+/**
+ * Extends each sector's history to `until`. 'flat' repeats the last actual
+ * value; 'linear' / 'exponential' use the forecast module and fall back to
+ * flat when a sector has too little data to fit.
+ */
+function buildBaseline(rows, { until, baseline = 'flat' }) {
+  const bySector = new Map();
+  rows.forEach(r => {
+    if (!bySector.has(r.sector)) bySector.set(r.sector, []);
+    bySector.get(r.sector).push({ year: r.year, value: r.value });
+  });
+
+  const result = {};
+  bySector.forEach((history, sector) => {
+    history.sort((a, b) => a.year - b.year);
+    const last = history[history.length - 1];
+    let future = [];
+    if (baseline !== 'flat') {
+      try {
+        // a projected sector can't go below zero emissions
+        future = project(history, until, { method: baseline }).projection.map(p => ({ year: p.year, value: Math.max(0, p.value) }));
+      } catch (err) {
+        future = [];
+      }
+    }
+    if (future.length === 0) {
+      for (let year = last.year + 1; year <= until; year += 1) future.push({ year, value: last.value });
+    }
+    result[sector] = [...history, ...future];
+  });
+  return result;
+}
+
+// Multiplier for one sector in one year after every matching rule has compounded
+function factorFor(rules, sector, year) {
+  return rules
+    .filter(r => r.sector === ALL_SECTORS || r.sector === sector)
+    .reduce((factor, r) => {
+      if (year < r.startYear) return factor;
+      const years = Math.min(year, r.endYear ?? year) - r.startYear + 1;
+      return factor * Math.pow(1 - r.annualReductionPct / 100, years);
+    }, 1);
+}
+
+function totals(bySector) {
+  const byYear = new Map();
+  Object.values(bySector).forEach(points => points.forEach(p => {
+    byYear.set(p.year, (byYear.get(p.year) || 0) + p.value);
+  }));
+  return [...byYear].sort((a, b) => a[0] - b[0]).map(([year, value]) => ({ year, value: round(value) }));
+}
+
+function applyScenario(baseline, rules) {
+  const sectors = {};
+  Object.keys(baseline).forEach(sector => {
+    sectors[sector] = baseline[sector].map(p => ({ year: p.year, value: round(p.value * factorFor(rules, sector, p.year)) }));
+  });
+  return { sectors, total: totals(sectors) };
+}
+
+module.exports = { ALL_SECTORS, BASELINES, ScenarioError, validateScenario, buildBaseline, applyScenario, totals };
@@ -0,0 +1,10 @@
+// Search failures the route can report as they are; status is the HTTP status to send
+class SearchError extends Error {
+  constructor(message, status = 502, details) {
+    super(message);
+    this.status = status;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+module.exports = { SearchError };
@@ -0,0 +1,51 @@
+const axios = require('axios');
+const { withRetry } = require('./retry');
+const { SearchError } = require('./errors');
+
+const GOOGLE_CSE_URL = 'https://www.googleapis.com/customsearch/v1';
+
+function hostOf(link) {
+  try {
+    return new URL(link).hostname;
+  } catch (err) {
+    return '';
+  }
+}
+
+// Google's item shape -> { title, link, snippet, source }
+function normalizeItem(item) {
+  return {
+    title: `${item.title || ''}`.trim(),
+    link: item.link,
+    snippet: `${item.snippet || ''}`.replace(/\s+/g, ' ').trim(),
+    source: item.displayLink || hostOf(item.link),
+  };
+}
+
+/**
+ * Google Custom Search JSON API. num is capped at 10 by Google; the default 5
+ * stays within the free quota. get is axios.get unless a test swaps it.
+ */
+function createGoogleProvider({ apiKey, cx, num = 5, timeoutMs = 8000, retry = {}, get = axios.get }) {
+  return {
+    name: 'google',
+    async search(q) {
+      try {
+        const res = await withRetry(
+          () => get(GOOGLE_CSE_URL, { params: { key: apiKey, cx, q, num }, timeout: timeoutMs }),
+          {
+            ...retry,
+            onRetry: (err, attempt, delay) => console.warn(`[SEARCH] google attempt ${attempt} failed (${err.message}), retrying in ${delay}ms`),
+          },
+        );
+        return ((res.data && res.data.items) || []).map(normalizeItem).filter(r => r.link);
+      } catch (err) {
+        const status = err.response && err.response.status;
+        const details = err.response && err.response.data ? err.response.data : err.message;
+        throw new SearchError('Google Custom Search failed', status === 429 ? 429 : 502, details);
+      }
+    },
+  };
+}
+
+module.exports = { createGoogleProvider, normalizeItem };
@@ -0,0 +1,44 @@
+const { createGoogleProvider } = require('./google');
+const { createLocalProvider } = require('./local');
+const { SearchError } = require('./errors');
+
+// --- Picks the web search provider from the environment:
+// SEARCH_PROVIDER=google | local. Unset means google when GOOGLE_API_KEY and
+// GOOGLE_CX are set, local otherwise. Retries: SEARCH_RETRIES,
+// SEARCH_RETRY_BASE_MS, SEARCH_RETRY_MAX_MS; SEARCH_TIMEOUT_MS per attempt.
+// Every provider has search(q) resolving to [{ title, link, snippet, source }].
+const PROVIDERS = ['google', 'local'];
+
+function numberOr(value, fallback) {
+  return value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback;
+}
+
+function createSearchProvider(env = process.env) {
+  const hasGoogleKeys = Boolean(env.GOOGLE_API_KEY && env.GOOGLE_CX);
+  const name = (env.SEARCH_PROVIDER || (hasGoogleKeys ? 'google' : 'local')).toLowerCase();
+
+  if (name === 'google') {
+    if (!hasGoogleKeys) {
+      return {
+        name,
+        async search() {
+          throw new SearchError('Search is not configured: set GOOGLE_API_KEY and GOOGLE_CX, or SEARCH_PROVIDER=local', 503);
+        },
+      };
+    }
+    return createGoogleProvider({
+      apiKey: env.GOOGLE_API_KEY,
+      cx: env.GOOGLE_CX,
+      timeoutMs: numberOr(env.SEARCH_TIMEOUT_MS, 8000),
+      retry: {
+        retries: numberOr(env.SEARCH_RETRIES, 2),
+        baseDelayMs: numberOr(env.SEARCH_RETRY_BASE_MS, 300),
+        maxDelayMs: numberOr(env.SEARCH_RETRY_MAX_MS, 4000),
+      },
+    });
+  }
+  if (name !== 'local') console.warn(`[SEARCH] unknown SEARCH_PROVIDER "${name}" (use ${PROVIDERS.join(', ')}), using local`);
+  return createLocalProvider();
+}
+
+module.exports = { createSearchProvider, SearchError, PROVIDERS };
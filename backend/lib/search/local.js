@@ -0,0 +1,30 @@
+const FIXTURES = require('../../data/searchFixtures.json');
+
+// --- Offline provider for development and tests: ranks a fixed list of pages
+// by how many query words appear in their title, snippet or keywords.
+
+const STOP_WORDS = new Set(['the', 'and', 'for', 'of', 'in', 'on', 'to', 'a', 'an', 'is', 'what', 'how', 'by']);
+
+function terms(text) {
+  return `${text || ''}`.toLowerCase().split(/[^a-z0-9.]+/).filter(t => t.length > 1 && !STOP_WORDS.has(t));
+}
+
+function createLocalProvider({ fixtures = FIXTURES, num = 5 } = {}) {
+  return {
+    name: 'local',
+    async search(q) {
+      const words = terms(q.replace(/₂/g, '2'));
+      return fixtures
+        .map((f, index) => {
+          const text = `${f.title} ${f.snippet} ${(f.keywords || []).join(' ')}`.toLowerCase();
+          return { f, index, score: words.filter(w => text.includes(w)).length };
+        })
+        .filter(r => r.score > 0)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, num)
+        .map(({ f }) => ({ title: f.title, link: f.link, snippet: f.snippet, source: f.source }));
+    },
+  };
+}
+
+module.exports = { createLocalProvider };
@@ -0,0 +1,42 @@
+// --- Retries a failing upstream call with exponential backoff
+
+const DEFAULT_RETRY = { retries: 2, baseDelayMs: 300, maxDelayMs: 4000 };
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Network errors, timeouts, 429 and 5xx are worth another try; other 4xx are not
+function isRetryable(err) {
+  const status = err.response && err.response.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+}
+
+// baseDelayMs, 2×, 4×... capped at maxDelayMs; a Retry-After header (seconds) wins when shorter than the cap
+function backoffDelay(attempt, { baseDelayMs, maxDelayMs }, err) {
+  const retryAfter = Number(err && err.response && err.response.headers && err.response.headers['retry-after']);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, maxDelayMs);
+  return Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+}
+
+/**
+ * Calls fn(attempt) until it resolves or `retries` extra attempts have failed.
+ * options: { retries, baseDelayMs, maxDelayMs, shouldRetry(err), sleep(ms), onRetry(err, attempt, delay) };
+ * sleep is swappable so tests don't wait.
+ */
+async function withRetry(fn, options = {}) {
+  const config = { ...DEFAULT_RETRY, shouldRetry: isRetryable, sleep, ...options };
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= config.retries || !config.shouldRetry(err)) throw err;
+      const delay = backoffDelay(attempt, config, err);
+      if (config.onRetry) config.onRetry(err, attempt + 1, delay);
+      await config.sleep(delay);
+    }
+  }
+}
+
+module.exports = { withRetry, isRetryable, backoffDelay, DEFAULT_RETRY };
@@ -0,0 +1,72 @@
+const { MIN_YEAR, MAX_YEAR, isYear } = require('./dimensions');
+
+// --- Target validation and gap-to-target evaluation against a fitted series
+
+class TargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Checks a request body and returns the fields the target store expects
+function validateTarget(body = {}) {
+  const baseYear = Number(body.baseYear);
+  const targetYear = Number(body.targetYear);
+  const reductionPct = Number(body.reductionPct);
+  const sector = body.sector && body.sector !== 'All' ? `${body.sector}`.trim() : null;
+
+  if (!isYear(baseYear)) throw new TargetError(`baseYear must be a year between ${MIN_YEAR} and ${MAX_YEAR}`);
+  if (!isYear(targetYear)) throw new TargetError(`targetYear must be a year between ${MIN_YEAR} and ${MAX_YEAR}`);
+  if (targetYear <= baseYear) throw new TargetError('targetYear must be after baseYear');
+  if (!Number.isFinite(reductionPct) || reductionPct <= 0 || reductionPct > 100) {
+    throw new TargetError('reductionPct must be a number between 0 and 100');
+  }
+
+  const name = `${body.name || ''}`.trim() || `${sector || 'Total'} -${reductionPct}% by ${targetYear}`;
+  return { name: name.slice(0, 120), sector, baseYear, targetYear, reductionPct };
+}
+
+function round(value) {
+  return Number.isFinite(value) ? Number(value.toFixed(6)) : null;
+}
+
+/**
+ * Compares a target with its series. The base value is the actual figure for
+ * the base year when there is one, otherwise the model's estimate; likewise the
+ * target year uses actual data once it exists, the projection before that.
+ */
+function evaluateTarget(target, { history, model }) {
+  const actual = year => history.find(p => p.year === year);
+  const base = actual(target.baseYear);
+  const baseValue = base ? base.value : model.predict(target.baseYear).value;
+  const targetValue = baseValue * (1 - target.reductionPct / 100);
+
+  const pathway = [];
+  for (let year = target.baseYear; year <= target.targetYear; year += 1) {
+    const t = (year - target.baseYear) / (target.targetYear - target.baseYear);
+    pathway.push({ year, value: round(baseValue + (targetValue - baseValue) * t) });
+  }
+
+  const reached = actual(target.targetYear);
+  const projected = reached ? { value: reached.value, lower: null, upper: null } : model.predict(target.targetYear);
+  const gap = projected.value - targetValue;
+
+  return {
+    ...target,
+    baseValue: round(baseValue),
+    baseEstimated: !base,
+    targetValue: round(targetValue),
+    projectedValue: projected.value,
+    projectedLower: projected.lower,
+    projectedUpper: projected.upper,
+    projectedIsActual: Boolean(reached),
+    // positive gap = emissions above the target
+    gap: round(gap),
+    projectedReductionPct: baseValue ? round(((baseValue - projected.value) / baseValue) * 100) : null,
+    onTrack: gap <= 0,
+    pathway,
+  };
+}
+
+module.exports = { TargetError, validateTarget, evaluateTarget };
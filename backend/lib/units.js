@@ -0,0 +1,124 @@
+// --- Units and GWP (global warming potential) conversions.
+// Rows are stored in the unit they were imported with: either a CO2e unit
+// (tCO2e .. GtCO2e) or, for single gases, a plain mass unit (t .. Gt of that gas).
+
+const SCALE = { t: 1, kt: 1e3, Mt: 1e6, Gt: 1e9 }; // tonnes per unit
+const CO2E_UNITS = Object.keys(SCALE).map(u => `${u}CO2e`);
+const MASS_UNITS = Object.keys(SCALE);
+const DEFAULT_UNIT = 'MtCO2e';
+
+// IPCC assessment report GWP values, keyed by time horizon in years
+const GWP = {
+  AR4: { 100: { CO2: 1, CH4: 25, N2O: 298 }, 20: { CO2: 1, CH4: 72, N2O: 289 } },
+  AR5: { 100: { CO2: 1, CH4: 28, N2O: 265 }, 20: { CO2: 1, CH4: 84, N2O: 264 } },
+  AR6: { 100: { CO2: 1, CH4: 27.9, N2O: 273 }, 20: { CO2: 1, CH4: 81.2, N2O: 273 } },
+};
+// Basis that CO2e values are assumed to be reported on
+const REFERENCE_GWP = { gwp: 'AR5', horizon: 100 };
+// Gases that can be converted between bases; F-gases and GHG totals are baskets
+const CONVERTIBLE_GASES = ['CO2', 'CH4', 'N2O'];
+
+const UNIT_ALIASES = {};
+Object.keys(SCALE).forEach(u => {
+  const co2e = `${u}CO2e`;
+  [co2e, `${u}CO₂e`, `${u} CO2e`, `${u} CO₂e`, `${u}CO2eq`, `${u} CO2eq`].forEach(a => {
+    UNIT_ALIASES[a.toLowerCase()] = co2e;
+  });
+});
+
+class UnitError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// 'Mt CO₂e' -> 'MtCO2e'; mass units are only recognised when `allowMass` is set
+function normalizeUnit(value, { allowMass = false } = {}) {
+  const raw = `${value ?? ''}`.trim();
+  const co2e = UNIT_ALIASES[raw.toLowerCase()];
+  if (co2e) return co2e;
+  if (allowMass) return MASS_UNITS.find(u => u.toLowerCase() === raw.toLowerCase()) || null;
+  return null;
+}
+
+function isMassUnit(unit) {
+  return MASS_UNITS.includes(unit);
+}
+
+function scaleOf(unit) {
+  return SCALE[isMassUnit(unit) ? unit : unit.replace(/CO2e$/, '')];
+}
+
+/**
+ * Reads ?unit=Mt|MtCO2e&gwp=AR6&horizon=20 into a conversion spec.
+ * A bare scale ('kt') means CO2e output, since results are always CO2e.
+ */
+function parseConversion(query = {}) {
+  const unit = query.unit ? normalizeUnit(/CO/i.test(query.unit) ? query.unit : `${query.unit}CO2e`) : DEFAULT_UNIT;
+  if (!unit) throw new UnitError(`unknown unit "${query.unit}" (use ${CO2E_UNITS.join(', ')})`);
+
+  const gwp = query.gwp ? `${query.gwp}`.toUpperCase() : REFERENCE_GWP.gwp;
+  if (!GWP[gwp]) throw new UnitError(`unknown gwp basis "${query.gwp}" (use ${Object.keys(GWP).join(', ')})`);
+
+  const horizon = query.horizon ? Number(query.horizon) : REFERENCE_GWP.horizon;
+  if (!GWP[gwp][horizon]) throw new UnitError(`unknown gwp horizon "${query.horizon}" (use 20 or 100)`);
+
+  return { unit, gwp, horizon };
+}
+
+// Multiplier taking a stored (unit, gas) value to the requested CO2e unit
+function factorFor(sourceUnit, gas, { unit, gwp, horizon }) {
+  const table = GWP[gwp][horizon];
+  const reference = GWP[REFERENCE_GWP.gwp][REFERENCE_GWP.horizon];
+  let gasFactor = 1;
+  if (isMassUnit(sourceUnit)) {
+    gasFactor = table[gas] || 1;
+  } else if (CONVERTIBLE_GASES.includes(gas)) {
+    gasFactor = table[gas] / reference[gas];
+  }
+  return (scaleOf(sourceUnit) * gasFactor) / scaleOf(unit);
+}
+
+// toPrecision drops float noise such as 2.8000000000000003
+function convertValue(value, sourceUnit, gas, conversion) {
+  return Number((value * factorFor(sourceUnit, gas, conversion)).toPrecision(12));
+}
+
+/**
+ * Same conversion as an SQL expression over the `value`, `unit` and `gas`
+ * columns, so sums can be taken in the database. Only constants from the
+ * tables above are inlined, never request input.
+ */
+function sqlValueExpression(conversion) {
+  const cases = [];
+  [...CO2E_UNITS, ...MASS_UNITS].forEach(sourceUnit => {
+    CONVERTIBLE_GASES.forEach(gas => {
+      cases.push(`WHEN unit = '${sourceUnit}' AND gas = '${gas}' THEN ${factorFor(sourceUnit, gas, conversion)}`);
+    });
+    cases.push(`WHEN unit = '${sourceUnit}' THEN ${factorFor(sourceUnit, null, conversion)}`);
+  });
+  return `(value * CASE ${cases.join(' ')} ELSE 1 END)`;
+}
+
+// 21000000 tCO2e -> '21,000,000 tCO₂e'
+function formatValue(value, unit = DEFAULT_UNIT) {
+  const digits = Math.abs(value) >= 100 ? 1 : 3;
+  return `${Number(value).toLocaleString('en-US', { maximumFractionDigits: digits })} ${unit.replace('CO2e', 'CO₂e')}`;
+}
+
+module.exports = {
+  CO2E_UNITS,
+  MASS_UNITS,
+  DEFAULT_UNIT,
+  GWP,
+  REFERENCE_GWP,
+  CONVERTIBLE_GASES,
+  UnitError,
+  normalizeUnit,
+  isMassUnit,
+  parseConversion,
+  convertValue,
+  sqlValueExpression,
+  formatValue,
+};
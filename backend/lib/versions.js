@@ -0,0 +1,89 @@
+// --- Dataset versions: parsing the ?version param and diffing two sets of rows
+
+class VersionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// A row is identified by its dimensions; value (and unit) are what can be restated
+const KEY_FIELDS = ['year', 'sector', 'subSector', 'region', 'gas'];
+
+// undefined / '' / 'current' -> null (the live data)
+function parseVersion(value) {
+  if (value === undefined || value === null || value === '' || value === 'current') return null;
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) throw new VersionError('version must be a version number');
+  return version;
+}
+
+function rowKey(row) {
+  return KEY_FIELDS.map(k => row[k] ?? '').join('|');
+}
+
+function compareRows(a, b) {
+  for (const k of KEY_FIELDS) {
+    const x = a[k] ?? '';
+    const y = b[k] ?? '';
+    if (x !== y) return typeof x === 'number' && typeof y === 'number' ? x - y : `${x}`.localeCompare(`${y}`);
+  }
+  return 0;
+}
+
+// Float noise from unit conversion isn't a restatement
+function sameValue(a, b) {
+  return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+function round(value) {
+  return Number(value.toFixed(6));
+}
+
+/**
+ * Compares rows by their dimensions. Each entry of `rows` is
+ * { change: 'added' | 'removed' | 'changed' (| 'unchanged'), year, sector, ..., before, after, delta, deltaPct }.
+ * With `units`, rows are compared in their stored units and entries carry beforeUnit / afterUnit;
+ * otherwise both sides are expected to be in the same unit.
+ */
+function diffRows(beforeRows, afterRows, { includeUnchanged = false, units = false } = {}) {
+  const remaining = new Map(beforeRows.map(r => [rowKey(r), r]));
+  const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  const rows = [];
+
+  const entry = (change, before, after) => {
+    const row = before || after;
+    const comparable = before && after && (!units || before.unit === after.unit);
+    const result = { change };
+    KEY_FIELDS.forEach(k => {
+      result[k] = row[k] ?? null;
+    });
+    result.before = before ? before.value : null;
+    result.after = after ? after.value : null;
+    if (units) {
+      result.beforeUnit = before ? before.unit : null;
+      result.afterUnit = after ? after.unit : null;
+    }
+    result.delta = comparable ? round(after.value - before.value) : null;
+    result.deltaPct = comparable && before.value !== 0 ? round(((after.value - before.value) / Math.abs(before.value)) * 100) : null;
+    return result;
+  };
+
+  afterRows.forEach(after => {
+    const key = rowKey(after);
+    const before = remaining.get(key);
+    remaining.delete(key);
+    let change = 'added';
+    if (before) change = sameValue(before.value, after.value) && (!units || before.unit === after.unit) ? 'unchanged' : 'changed';
+    counts[change] += 1;
+    if (change !== 'unchanged' || includeUnchanged) rows.push(entry(change, before, after));
+  });
+  remaining.forEach(before => {
+    counts.removed += 1;
+    rows.push(entry('removed', before, null));
+  });
+
+  return { counts, rows: rows.sort(compareRows) };
+}
+
+module.exports = { VersionError, KEY_FIELDS, parseVersion, rowKey, diffRows };
@@ -0,0 +1,44 @@
+// --- Saved dashboard views: a name plus the dashboard state as URL query params
+
+class ViewError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// The query params the dashboard syncs to its URL; anything else is dropped
+const VIEW_PARAMS = ['year', 'sector', 'region', 'gas', 'drill', 'unit', 'gwp', 'lines', 'projection', 'method', 'version', 'stack', 'compare', 'from'];
+const MAX_NAME_LENGTH = 80;
+const MAX_VALUE_LENGTH = 200;
+
+function validateName(value) {
+  const name = `${value ?? ''}`.trim();
+  if (!name) throw new ViewError('name is required');
+  if (name.length > MAX_NAME_LENGTH) throw new ViewError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  return name;
+}
+
+// { year: 2015, sector: 'Transport', foo: 1 } -> { year: '2015', sector: 'Transport' }
+function validateState(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw new ViewError('state must be an object of dashboard params');
+  const state = {};
+  VIEW_PARAMS.forEach(key => {
+    const v = value[key];
+    if (v === undefined || v === null || v === '') return;
+    if (!['string', 'number', 'boolean'].includes(typeof v)) throw new ViewError(`state.${key} must be a string`);
+    state[key] = `${v}`.slice(0, MAX_VALUE_LENGTH);
+  });
+  return state;
+}
+
+// POST bodies need both fields, PATCH bodies at least one
+function validateView(body = {}, { partial = false } = {}) {
+  const view = {};
+  if (!partial || body.name !== undefined) view.name = validateName(body.name);
+  if (!partial || body.state !== undefined) view.state = validateState(body.state);
+  if (partial && Object.keys(view).length === 0) throw new ViewError('send a new name and/or state');
+  return view;
+}
+
+module.exports = { ViewError, VIEW_PARAMS, validateView };
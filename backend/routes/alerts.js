@@ -0,0 +1,90 @@
+const express = require('express');
+const alertStore = require('../alertStore');
+const alerts = require('../alerts');
+const events = require('../events');
+const { requireRole } = require('../lib/auth');
+const { validateRule } = require('../lib/alerts');
+
+const router = express.Router();
+
+function handleError(res, err) {
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  console.error('[ALERTS] Unexpected error:', err && err.stack ? err.stack : err);
+  return res.status(500).json({ error: 'alert request failed' });
+}
+
+// A rule changed: evaluate at once (a new breach is logged right away) and tell open dashboards
+function rulesChanged(req, action, id) {
+  alerts.check();
+  events.publish('alerts-changed', { action, id, author: req.user.username });
+}
+
+router.get('/rules', (req, res) => {
+  res.json(alertStore.list());
+});
+
+// POST /api/alerts/rules { kind: 'threshold' | 'budget', sector, region, gas, limit, unit, startYear, endYear, warnPct, name }
+router.post('/rules', (req, res) => {
+  try {
+    const rule = alertStore.create(validateRule(req.body), req.user.username);
+    rulesChanged(req, 'created', rule.id);
+    res.status(201).json(alertStore.get(rule.id));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+router.put('/rules/:id', (req, res) => {
+  try {
+    const rule = alertStore.update(Number(req.params.id), validateRule(req.body));
+    if (!rule) return res.status(404).json({ error: 'alert rule not found' });
+    rulesChanged(req, 'updated', rule.id);
+    res.json(alertStore.get(rule.id));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+router.delete('/rules/:id', (req, res) => {
+  const id = Number(req.params.id);
+  if (!alertStore.remove(id)) return res.status(404).json({ error: 'alert rule not found' });
+  events.publish('alerts-changed', { action: 'deleted', id, author: req.user.username });
+  res.status(204).end();
+});
+
+// GET /api/alerts/status -> every rule evaluated against the current data (budgets carry used / remaining)
+router.get('/status', (req, res) => {
+  try {
+    res.json({ webhook: alerts.webhookConfigured, results: alerts.evaluateAll() });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// GET /api/alerts/breaches -> the rules currently breached or close to it
+router.get('/breaches', (req, res) => {
+  try {
+    res.json({ breaches: alerts.breaches() });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// GET /api/alerts/notifications?rule=3&limit=50 -> the notification log, newest first
+router.get('/notifications', (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+  const ruleId = req.query.rule ? Number(req.query.rule) : null;
+  res.json(alertStore.listNotifications({ ruleId, limit }));
+});
+
+// POST /api/alerts/webhook/test -> sends a test notification and reports how the webhook answered
+router.post('/webhook/test', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await alerts.sendTest(req.user.username);
+    res.status(result.ok ? 200 : 502).json(result);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const store = require('../store');
+const { parseFilters } = require('../lib/dimensions');
+const { parseConversion } = require('../lib/units');
+const { sendCached } = require('../lib/httpCache');
+const { computeAnalytics } = require('../lib/analytics');
+const { parseVersion } = require('../lib/versions');
+
+const router = express.Router();
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function yearParam(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const year = Number(value);
+  if (!Number.isInteger(year)) throw badRequest(`${name} must be a year`);
+  return year;
+}
+
+/**
+ * GET /api/analytics?year=2020&compareYear=2015&from=2010&to=2020 (+ the /api/emissions filters, unit params and version)
+ * compareYear defaults to the latest year before `year`; from/to default to the first and last years.
+ */
+router.get('/', (req, res) => {
+  try {
+    const version = parseVersion(req.query.version);
+    const years = store.getYears(version);
+    const year = yearParam(req.query.year, 'year', years[years.length - 1]);
+    const earlier = years.filter(y => y < year);
+    const compareYear = yearParam(req.query.compareYear, 'compareYear', earlier.length ? earlier[earlier.length - 1] : null);
+    const from = yearParam(req.query.from, 'from', years[0]);
+    const to = yearParam(req.query.to, 'to', year);
+    if (from > to) throw badRequest('from must not be after to');
+
+    // year filters come from the params above, not the generic filter list
+    const { year: _year, ...filters } = parseFilters(req.query);
+    filters.version = version;
+    const conversion = parseConversion(req.query);
+
+    sendCached(req, res, store.getRevision(), () => {
+      const wanted = [...new Set([year, compareYear, from, to].filter(y => y !== null))];
+      const rows = store.aggregate({ ...filters, year: wanted }, ['year', 'sector'], conversion);
+      return { ...conversion, ...computeAnalytics(rows, { year, compareYear, from, to }) };
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
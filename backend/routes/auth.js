@@ -0,0 +1,62 @@
+const express = require('express');
+const auth = require('../auth');
+const userStore = require('../userStore');
+const { requireRole } = require('../lib/auth');
+const { routeLimit } = require('../lib/rateLimit');
+
+const router = express.Router();
+
+function handleError(res, err) {
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  console.error('[AUTH] Unexpected error:', err && err.stack ? err.stack : err);
+  return res.status(500).json({ error: 'auth request failed' });
+}
+
+// A request without credentials is malformed, not a failed attempt, so it spends no login token
+function requireCredentials(req, res, next) {
+  const { username, password } = req.body || {};
+  if (!username || !password) return res.status(400).json({ error: 'username and password are required' });
+  return next();
+}
+
+// POST /api/auth/login { username, password } -> { token, expiresAt, user }
+router.post('/login', requireCredentials, routeLimit('login'), (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    res.json(auth.login(username, password));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+// Who the request is signed in as; user is null when signed out
+router.get('/me', (req, res) => {
+  res.json({ user: req.user ? { username: req.user.username, role: req.user.role, via: req.user.via } : null });
+});
+
+// --- Account management (admin)
+router.get('/users', requireRole('admin'), (req, res) => {
+  res.json(userStore.listUsers());
+});
+
+router.post('/users', requireRole('admin'), (req, res) => {
+  try {
+    res.status(201).json(userStore.createUser(req.body || {}));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+router.delete('/users/:username', requireRole('admin'), (req, res) => {
+  try {
+    if (req.params.username.toLowerCase() === req.user.username.toLowerCase()) {
+      return res.status(409).json({ error: 'cannot delete your own account' });
+    }
+    if (!userStore.deleteUser(req.params.username)) return res.status(404).json({ error: 'user not found' });
+    return res.status(204).end();
+  } catch (err) {
+    return handleError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require('express');
+const store = require('../store');
+const chatStore = require('../chatStore');
+const kbStore = require('../kbStore');
+const { parseConversion } = require('../lib/units');
+const { createProvider } = require('../lib/chat/providers');
+const { routeLimit } = require('../lib/rateLimit');
+const { contentDisposition } = require('../lib/contentDisposition');
+
+const router = express.Router();
+const provider = createProvider({ store, kb: kbStore });
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+// 429s keep the chat reply shape so older clients still show something sensible
+const chatLimit = routeLimit('chat', {
+  body: retryAfter => ({ answer: `Too many requests — try again in ${retryAfter}s.`, source: 'rate-limit', retryAfter }),
+});
+
+// --- Chat endpoint: POST /api/chat { message, sessionId?, unit?, gwp?, horizon? }
+router.post('/', chatLimit, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const message = `${body.message || ''}`.trim().slice(0, MAX_MESSAGE_LENGTH);
+    if (!message) return res.status(400).json({ answer: 'message is required', source: 'bad-request' });
+    // unit / gwp / horizon are sent along so answers match the dashboard's unit selector
+    const conversion = parseConversion(body);
+
+    // unknown or missing ids start a new session, e.g. after the server's database was reset
+    const existing = body.sessionId && chatStore.getSession(body.sessionId);
+    if (existing && !chatStore.canAccess(existing, req.user)) return res.status(404).json({ answer: 'session not found', source: 'bad-request' });
+    const session = existing || chatStore.createSession(req.user.username);
+    const previous = chatStore.getLastContext(session.id);
+    const history = session.messages || [];
+    chatStore.addMessage(session.id, { role: 'user', text: message });
+
+    const reply = await provider.reply({ message, history, previous, conversion });
+    chatStore.addMessage(session.id, {
+      role: 'bot',
+      text: reply.answer,
+      source: reply.source,
+      meta: { intent: reply.intent, data: reply.data, citations: reply.citations, tools: reply.tools, context: reply.context },
+    });
+
+    return res.json({
+      answer: reply.answer,
+      source: reply.source,
+      intent: reply.intent,
+      data: reply.data || null,
+      citations: reply.citations || [],
+      tools: reply.tools,
+      sessionId: session.id,
+    });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ answer: err.message, source: 'bad-request' });
+    }
+    console.error('[CHAT] Unexpected error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ answer: 'Server error in chat handler.', source: 'server-error', error: err.message || 'unknown' });
+  }
+});
+
+// --- Sessions (each user sees their own; someone else's session id reads as not found).
+// Sessions from before sign-in have no owner and are left to admins.
+function findSession(req, res) {
+  const session = chatStore.getSession(req.params.id);
+  if (session && chatStore.canAccess(session, req.user)) return session;
+  res.status(404).json({ error: 'session not found' });
+  return null;
+}
+
+router.get('/sessions', (req, res) => {
+  res.json(chatStore.listSessions({ owner: req.user.username, unowned: req.user.role === 'admin' }));
+});
+
+router.post('/sessions', (req, res) => {
+  res.status(201).json(chatStore.createSession(req.user.username));
+});
+
+router.get('/sessions/:id', (req, res) => {
+  const session = findSession(req, res);
+  if (session) res.json(session);
+});
+
+router.delete('/sessions/:id', (req, res) => {
+  if (!findSession(req, res)) return;
+  chatStore.deleteSession(req.params.id);
+  res.status(204).end();
+});
+
+// Messages produced in the browser (web search results) so the history stays complete
+router.post('/sessions/:id/messages', (req, res) => {
+  const session = findSession(req, res);
+  if (!session) return;
+  const body = req.body || {};
+  const messages = Array.isArray(body.messages) ? body.messages : [];
+  const invalid = messages.find(m => !m || !['user', 'bot'].includes(m.from) || typeof m.text !== 'string' || !m.text.trim());
+  if (messages.length === 0 || invalid) {
+    return res.status(400).json({ error: 'messages must be a non-empty array of { from: "user" | "bot", text }' });
+  }
+  messages.forEach(m => chatStore.addMessage(session.id, {
+    role: m.from,
+    text: m.text.slice(0, MAX_MESSAGE_LENGTH * 4),
+    source: m.source || null,
+    meta: m.url ? { url: `${m.url}`, title: m.title ? `${m.title}` : undefined } : {},
+  }));
+  res.status(201).json(chatStore.getSession(session.id));
+});
+
+// GET /api/chat/sessions/:id/export?format=md|json -> transcript download
+router.get('/sessions/:id/export', (req, res) => {
+  const session = findSession(req, res);
+  if (!session) return;
+  const format = req.query.format === 'json' ? 'json' : 'md';
+  const filename = `chat-${session.createdAt.slice(0, 10)}-${session.id.slice(0, 8)}.${format}`;
+  res.set('Content-Disposition', contentDisposition('attachment', filename));
+
+  if (format === 'json') return res.json(session);
+
+  const lines = [`# ${session.title || 'Chat transcript'}`, '', `_Started ${session.createdAt}_`, ''];
+  session.messages.forEach(m => {
+    const who = m.from === 'user' ? 'You' : 'Assistant';
+    lines.push(`**${who}**${m.source ? ` (${m.source})` : ''} — ${m.time}`, '', m.text);
+    if (m.url) lines.push('', `[${m.title || m.url}](${m.url})`);
+    lines.push('');
+  });
+  res.type('text/markdown').send(lines.join('\n'));
+});
+
+module.exports = router;
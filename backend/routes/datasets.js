@@ -0,0 +1,149 @@
+const express = require('express');
+const store = require('../store');
+const versionStore = require('../versionStore');
+const events = require('../events');
+const alerts = require('../alerts');
+const { ImportError, parseCsv, parseJson, validateRecords } = require('../lib/datasetImport');
+const { parseFilters } = require('../lib/dimensions');
+const { parseConversion } = require('../lib/units');
+const { VersionError, parseVersion, diffRows } = require('../lib/versions');
+
+const router = express.Router();
+const PREVIEW_LIMIT = 50;
+
+router.use(express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }));
+
+// Parse + validate the request body without touching the store
+function checkUpload(req) {
+  const mode = req.query.mode === 'append' ? 'append' : 'replace';
+  let format;
+  let records;
+  if (req.is('application/json')) {
+    format = 'json';
+    records = parseJson(req.body);
+  } else if (req.is('text/csv') || req.is('text/plain')) {
+    format = 'csv';
+    records = parseCsv(req.body || '');
+  } else {
+    throw new ImportError('Unsupported content type (send text/csv or application/json)');
+  }
+  if (records.length === 0) throw new ImportError('Upload contains no rows');
+
+  const result = validateRecords(records, { existingRows: store.getRows(), mode });
+  return { mode, format, ...result };
+}
+
+// Tells open dashboards the data changed (meta-changed only when years, sectors etc. did)
+// and re-evaluates the alert rules against the new data
+function announceChange(metaBefore, info, { action, author }) {
+  alerts.check();
+  events.publish('dataset-changed', { version: info.version, action, rowCount: info.rowCount, author, revision: store.getRevision() });
+  const meta = store.getMeta();
+  if (JSON.stringify(meta) !== JSON.stringify(metaBefore)) events.publish('meta-changed', meta);
+}
+
+function sendImportError(res, err) {
+  if (err instanceof ImportError) {
+    return res.status(400).json({ error: err.message, errors: err.errors });
+  }
+  console.error('[DATASETS] Unexpected error:', err && err.stack ? err.stack : err);
+  return res.status(500).json({ error: 'dataset import failed' });
+}
+
+// GET /api/datasets -> info about the active dataset
+router.get('/', (req, res) => {
+  res.json(store.getInfo());
+});
+
+// POST /api/datasets/preview?mode=replace|append -> validation report, nothing is saved
+router.post('/preview', (req, res) => {
+  try {
+    const { mode, format, rows, errors, total } = checkUpload(req);
+    res.json({ mode, format, total, valid: rows.length, errors, rows: rows.slice(0, PREVIEW_LIMIT) });
+  } catch (err) {
+    sendImportError(res, err);
+  }
+});
+
+// POST /api/datasets?mode=replace|append&label=2025%20resubmission -> commit as a new version,
+// rejected as a whole if any row is invalid
+router.post('/', (req, res) => {
+  try {
+    const { mode, format, rows, errors, total } = checkUpload(req);
+    if (errors.length > 0) {
+      return res.status(422).json({ error: 'validation failed', total, valid: rows.length, errors });
+    }
+    const label = `${req.query.label || ''}`.trim().slice(0, 120) || null;
+    const metaBefore = store.getMeta();
+    const info = store.importRows(rows, { mode, source: format, label, author: req.user.username });
+    announceChange(metaBefore, info, { action: mode, author: req.user.username });
+    res.status(201).json({ imported: rows.length, mode, dataset: info });
+  } catch (err) {
+    sendImportError(res, err);
+  }
+});
+
+// --- Versions: every import or rollback is kept as a snapshot
+function sendVersionError(res, err) {
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  console.error('[DATASETS] Unexpected error:', err && err.stack ? err.stack : err);
+  return res.status(500).json({ error: 'version request failed' });
+}
+
+// GET /api/datasets/versions -> newest first, with added / removed / changed row counts
+router.get('/versions', (req, res) => {
+  res.json({ current: versionStore.currentId(), versions: versionStore.list() });
+});
+
+/**
+ * GET /api/datasets/versions/diff?from=2&to=3 (+ the /api/emissions filters and unit params, includeUnchanged=1)
+ * -> { from, to, unit, gwp, horizon, counts: { added, removed, changed, unchanged }, rows: [{ change, year, ..., before, after, delta, deltaPct }] }
+ * to defaults to the current version, from to the one before `to`. Values are converted to one unit so restatements compare.
+ */
+router.get('/versions/diff', (req, res) => {
+  try {
+    const to = parseVersion(req.query.to) || versionStore.currentId();
+    const from = parseVersion(req.query.from) || versionStore.previousId(to);
+    if (!from || !to) throw new VersionError('there is no earlier version to compare with', 404);
+    const filters = parseFilters(req.query);
+    const conversion = parseConversion(req.query);
+    const rowsOf = version => store.findEmissions({ ...filters, version }, conversion)
+      .map(({ sourceValue, sourceUnit, unit, ...r }) => r);
+    const diff = diffRows(rowsOf(from), rowsOf(to), { includeUnchanged: ['1', 'true'].includes(req.query.includeUnchanged) });
+    res.json({ from, to, ...conversion, ...diff });
+  } catch (err) {
+    sendVersionError(res, err);
+  }
+});
+
+router.get('/versions/:id', (req, res) => {
+  const version = versionStore.get(Number(req.params.id));
+  if (!version) return res.status(404).json({ error: 'version not found' });
+  return res.json(version);
+});
+
+// POST /api/datasets/versions/3/rollback -> makes v3's data current, as a new version
+router.post('/versions/:id/rollback', (req, res) => {
+  try {
+    const id = parseVersion(req.params.id);
+    if (id === versionStore.currentId()) throw new VersionError(`version ${id} is already current`, 409);
+    const metaBefore = store.getMeta();
+    const info = store.rollback(id, { author: req.user.username });
+    announceChange(metaBefore, info, { action: 'rollback', author: req.user.username });
+    res.json({ dataset: info });
+  } catch (err) {
+    sendVersionError(res, err);
+  }
+});
+
+// GET /api/datasets/audit?version=3&limit=200 -> row-level changes with who made them and when
+router.get('/audit', (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 500, 1), 5000);
+    res.json(versionStore.auditLog({ versionId: parseVersion(req.query.version), limit }));
+  } catch (err) {
+    sendVersionError(res, err);
+  }
+});
+
+module.exports = router;
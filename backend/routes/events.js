@@ -0,0 +1,21 @@
+const express = require('express');
+const store = require('../store');
+const events = require('../events');
+
+const router = express.Router();
+
+/**
+ * GET /api/events -> text/event-stream
+ * Events: dataset-changed { version, action, rowCount, author, revision }, meta-changed { years, sectors, ... },
+ * targets-changed and scenarios-changed { action, id, author }.
+ * The first event, ready { revision }, tells a reconnecting client whether it missed a dataset change.
+ */
+router.get('/', (req, res) => {
+  try {
+    events.connect(req, res, { type: 'ready', data: { revision: store.getRevision() } });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
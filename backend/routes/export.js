@@ -0,0 +1,68 @@
+const express = require('express');
+const store = require('../store');
+const { parseFilters, parseGroupBy } = require('../lib/dimensions');
+const { parseConversion } = require('../lib/units');
+const { parseVersion } = require('../lib/versions');
+const { routeLimit } = require('../lib/rateLimit');
+const { contentDisposition } = require('../lib/contentDisposition');
+const {
+  FORMATS, parseFormat, columnsFor, exportFilename, buildReport, toCsv, toXlsx, toPdf,
+} = require('../lib/export');
+
+const router = express.Router();
+
+// Printed in the XLSX "About" sheet and the PDF header
+function describe(filters, groupBy, conversion, version) {
+  const list = dim => (filters[dim] ? filters[dim].join(', ') : 'All');
+  return {
+    Years: list('year'),
+    Sectors: list('sector'),
+    Regions: list('region'),
+    Gases: list('gas'),
+    Dataset: version ? `version ${version}` : 'current',
+    ...(groupBy.length ? { 'Grouped by': groupBy.join(', ') } : {}),
+    Unit: conversion.unit,
+    GWP: `${conversion.gwp}, ${conversion.horizon}-year`,
+    Generated: new Date().toISOString(),
+  };
+}
+
+/**
+ * GET /api/export?format=csv|xlsx|json|pdf + the /api/emissions filters, groupBy, unit and version params.
+ * csv / xlsx / json contain the rows /api/emissions would return. The pdf is a summary
+ * report: KPIs and sector breakdown for the (first) year filter, trend over all years.
+ */
+router.get('/', routeLimit('export'), async (req, res) => {
+  try {
+    const format = parseFormat(req.query.format);
+    const filters = parseFilters(req.query);
+    const groupBy = parseGroupBy(req.query.groupBy);
+    const conversion = parseConversion(req.query);
+    const version = parseVersion(req.query.version);
+    const about = describe(filters, format === 'pdf' ? [] : groupBy, conversion, version);
+
+    let body;
+    if (format === 'pdf') {
+      const { year, ...others } = filters;
+      const report = buildReport(store.aggregate({ ...others, version }, ['year', 'sector'], conversion), { year: year && year[0] });
+      body = await toPdf(report, about, conversion.unit);
+    } else {
+      const scoped = { ...filters, version };
+      const rows = groupBy.length ? store.aggregate(scoped, groupBy, conversion) : store.findEmissions(scoped, conversion);
+      const columns = columnsFor(rows);
+      if (format === 'csv') body = toCsv(rows, columns);
+      else if (format === 'xlsx') body = await toXlsx(rows, columns, about);
+      else body = JSON.stringify({ ...conversion, version, filters, groupBy, generatedAt: about.Generated, rows }, null, 2);
+    }
+
+    res.set('Content-Type', FORMATS[format].contentType);
+    res.set('Content-Disposition', contentDisposition('attachment', exportFilename({ ...filters, version }, format)));
+    return res.send(body);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('[EXPORT] Unexpected error:', err && err.stack ? err.stack : err);
+    return res.status(500).json({ error: 'export failed' });
+  }
+});
+
+module.exports = router;
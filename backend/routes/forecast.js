@@ -0,0 +1,82 @@
+const express = require('express');
+const store = require('../store');
+const targetStore = require('../targetStore');
+const { MIN_YEAR, MAX_YEAR, isYear, parseFilters } = require('../lib/dimensions');
+const { parseConversion } = require('../lib/units');
+const { METHODS, LEVELS, project } = require('../lib/forecast');
+const { evaluateTarget } = require('../lib/targets');
+const { parseVersion } = require('../lib/versions');
+
+const router = express.Router();
+const TOTAL = 'Total';
+const DEFAULT_HORIZON = 2030;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * GET /api/forecast?method=linear|exponential&level=80|95&until=2035&sector=&region=&gas=&unit=&gwp=&horizon=&version=
+ * -> { method, level, until, series: [{ key, sector, history, projection, model }], targets: [...] }
+ * Always fits the total (over every sector) so total targets stay comparable;
+ * `sector` only narrows which sector series are returned.
+ */
+router.get('/', (req, res) => {
+  try {
+    const method = req.query.method || 'linear';
+    const level = req.query.level ? Number(req.query.level) : 95;
+    if (!METHODS.includes(method)) throw badRequest(`unknown method "${method}" (use ${METHODS.join(', ')})`);
+    if (!LEVELS.includes(level)) throw badRequest(`level must be ${LEVELS.join(' or ')}`);
+
+    const { year: _year, sector: sectorFilter, ...filters } = parseFilters(req.query);
+    const conversion = parseConversion(req.query);
+    const targets = targetStore.list();
+
+    const rows = store.aggregate({ ...filters, version: parseVersion(req.query.version) }, ['year', 'sector'], conversion);
+    const lastYear = rows.reduce((max, r) => Math.max(max, r.year), 0);
+    // the projection is one point per year, so the horizon is bounded like every other year
+    const until = req.query.until
+      ? Number(req.query.until)
+      : Math.min(MAX_YEAR, Math.max(DEFAULT_HORIZON, lastYear + 1, ...targets.map(t => t.targetYear)));
+    if (!isYear(until)) throw badRequest(`until must be a year between ${MIN_YEAR} and ${MAX_YEAR}`);
+
+    const histories = new Map([[TOTAL, new Map()]]);
+    rows.forEach(r => {
+      const total = histories.get(TOTAL);
+      total.set(r.year, (total.get(r.year) || 0) + r.value);
+      if (!histories.has(r.sector)) histories.set(r.sector, new Map());
+      histories.get(r.sector).set(r.year, r.value);
+    });
+
+    const fitted = new Map();
+    histories.forEach((byYear, key) => {
+      const history = [...byYear].map(([year, value]) => ({ year, value: Number(value.toFixed(6)) }));
+      try {
+        const { model, projection } = project(history, until, { method, level });
+        fitted.set(key, { key, sector: key === TOTAL ? null : key, history, projection, model });
+      } catch (err) {
+        // too little data or non-positive values: report it on the series instead of failing the request
+        fitted.set(key, { key, sector: key === TOTAL ? null : key, history, projection: [], model: null, error: err.message });
+      }
+    });
+
+    const series = [...fitted.values()]
+      .filter(s => !s.sector || !sectorFilter || sectorFilter.includes(s.sector))
+      .map(({ model, ...s }) => ({ ...s, model: model && { method: model.method, level: model.level, r2: model.r2, slope: model.slope } }));
+
+    const evaluated = targets.map(target => {
+      const s = fitted.get(target.sector || TOTAL);
+      if (!s || !s.model) return { ...target, error: s ? s.error : `no data for ${target.sector}` };
+      return evaluateTarget(target, s);
+    });
+
+    res.json({ method, level, until, ...conversion, series, targets: evaluated });
+  } catch (err) {
+    if (!err.status) console.error('[FORECAST] Unexpected error:', err && err.stack ? err.stack : err);
+    res.status(err.status || 500).json({ error: err.status ? err.message : 'forecast failed' });
+  }
+});
+
+module.exports = router;
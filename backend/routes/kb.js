@@ -0,0 +1,76 @@
+const express = require('express');
+const path = require('path');
+const kbStore = require('../kbStore');
+const { KbError } = require('../lib/kb/extract');
+const { ingestBuffer, ingestDirectory } = require('../lib/kb/ingest');
+const { quote } = require('../lib/kb/query');
+const { routeLimit } = require('../lib/rateLimit');
+const { contentDisposition } = require('../lib/contentDisposition');
+
+const router = express.Router();
+const MAX_RESULTS = 20;
+const CONTENT_TYPES = { markdown: 'text/markdown; charset=utf-8', text: 'text/plain; charset=utf-8', pdf: 'application/pdf' };
+
+router.use(express.raw({ type: ['application/pdf', 'text/markdown', 'text/plain', 'application/octet-stream'], limit: '20mb' }));
+
+function sendKbError(res, err) {
+  if (err instanceof KbError) return res.status(err.status).json({ error: err.message });
+  console.error('[KB] Unexpected error:', err && err.stack ? err.stack : err);
+  return res.status(500).json({ error: 'knowledge base request failed' });
+}
+
+// GET /api/kb/search?q=gwp+horizon&limit=5 -> { query, terms, results: [{ title, heading, page, quote, link, score, coverage, ... }] }
+router.get('/search', routeLimit('search'), (req, res) => {
+  const q = `${req.query.q || ''}`.trim();
+  if (!q) return res.status(400).json({ error: 'q param required' });
+  const limit = Math.min(Math.max(Number(req.query.limit) || 5, 1), MAX_RESULTS);
+  const { terms, results } = kbStore.search(q, { limit });
+  res.json({ query: q, terms, results: results.map(r => ({ ...r, quote: quote(r.text, terms) })) });
+});
+
+router.get('/documents', (req, res) => {
+  res.json(kbStore.listDocuments());
+});
+
+// POST /api/kb/documents?name=methodology.md with the file as the body -> indexed document
+router.post('/documents', async (req, res) => {
+  try {
+    const name = path.basename(`${req.query.name || ''}`.trim());
+    if (!name) throw new KbError('name param required, e.g. ?name=report.pdf');
+    if (!Buffer.isBuffer(req.body)) throw new KbError('send the file as the body (application/pdf, text/markdown or text/plain)', 415);
+    res.status(201).json(await ingestBuffer(kbStore, name, req.body));
+  } catch (err) {
+    sendKbError(res, err);
+  }
+});
+
+// POST /api/kb/reindex -> picks up new or changed files in the knowledge base folder
+router.post('/reindex', async (req, res) => {
+  try {
+    res.json(await ingestDirectory(kbStore));
+  } catch (err) {
+    sendKbError(res, err);
+  }
+});
+
+router.get('/documents/:id', (req, res) => {
+  const doc = kbStore.getDocument(Number(req.params.id));
+  if (!doc) return res.status(404).json({ error: 'document not found' });
+  res.json(doc);
+});
+
+// The original file; citation links point here (with #page=N for PDFs)
+router.get('/documents/:id/file', (req, res) => {
+  const file = kbStore.getFile(Number(req.params.id));
+  if (!file) return res.status(404).json({ error: 'document not found' });
+  res.set('Content-Type', CONTENT_TYPES[file.type]);
+  res.set('Content-Disposition', contentDisposition('inline', file.name));
+  res.send(file.content);
+});
+
+router.delete('/documents/:id', (req, res) => {
+  if (!kbStore.deleteDocument(Number(req.params.id))) return res.status(404).json({ error: 'document not found' });
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const store = require('../store');
+const scenarioStore = require('../scenarioStore');
+const events = require('../events');
+const { MIN_YEAR, MAX_YEAR, isYear, parseFilters } = require('../lib/dimensions');
+const { parseConversion } = require('../lib/units');
+const { parseVersion } = require('../lib/versions');
+const { BASELINES, validateScenario, buildBaseline, applyScenario, totals } = require('../lib/scenarios');
+
+const router = express.Router();
+const DEFAULT_UNTIL = 2040;
+
+function announce(req, action, id) {
+  events.publish('scenarios-changed', { action, id, author: req.user.username });
+}
+
+function handleError(res, err) {
+  if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') return res.status(409).json({ error: 'a scenario with that name already exists' });
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  console.error('[SCENARIOS] Unexpected error:', err && err.stack ? err.stack : err);
+  return res.status(500).json({ error: 'scenario request failed' });
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+router.get('/', (req, res) => {
+  res.json(scenarioStore.list());
+});
+
+/**
+ * GET /api/scenarios/compare?ids=1,2&until=2040&baseline=flat|linear|exponential (+ region/gas/unit/version params)
+ * -> { until, baseline: { total, sectors }, scenarios: [{ id, name, total, sectors, reduction }] }
+ * `reduction` compares each scenario with the baseline in the final year.
+ */
+router.get('/compare', (req, res) => {
+  try {
+    const until = req.query.until ? Number(req.query.until) : DEFAULT_UNTIL;
+    if (!isYear(until)) throw badRequest(`until must be a year between ${MIN_YEAR} and ${MAX_YEAR}`);
+    const baselineMethod = req.query.baseline || 'flat';
+    if (!BASELINES.includes(baselineMethod)) throw badRequest(`baseline must be one of ${BASELINES.join(', ')}`);
+
+    const ids = `${req.query.ids || ''}`.split(',').filter(Boolean).map(Number);
+    const scenarios = ids.map(id => {
+      const scenario = scenarioStore.get(id);
+      if (!scenario) {
+        const err = new Error(`scenario ${id} not found`);
+        err.status = 404;
+        throw err;
+      }
+      return scenario;
+    });
+
+    const { year: _year, ...filters } = parseFilters(req.query);
+    const conversion = parseConversion(req.query);
+    const rows = store.aggregate({ ...filters, version: parseVersion(req.query.version) }, ['year', 'sector'], conversion);
+    const baselineSectors = buildBaseline(rows, { until, baseline: baselineMethod });
+    const baselineTotal = totals(baselineSectors);
+    const finalBaseline = baselineTotal.length ? baselineTotal[baselineTotal.length - 1].value : null;
+
+    res.json({
+      until,
+      baselineMethod,
+      ...conversion,
+      baseline: { total: baselineTotal, sectors: baselineSectors },
+      scenarios: scenarios.map(s => {
+        const result = applyScenario(baselineSectors, s.rules);
+        const final = result.total.length ? result.total[result.total.length - 1].value : null;
+        return {
+          id: s.id,
+          name: s.name,
+          rules: s.rules,
+          ...result,
+          reduction: finalBaseline
+            ? { year: until, value: Number((finalBaseline - final).toFixed(6)), pct: Number((((finalBaseline - final) / finalBaseline) * 100).toFixed(3)) }
+            : null,
+        };
+      }),
+    });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+router.get('/:id', (req, res) => {
+  const scenario = scenarioStore.get(Number(req.params.id));
+  if (!scenario) return res.status(404).json({ error: 'scenario not found' });
+  res.json(scenario);
+});
+
+router.post('/', (req, res) => {
+  try {
+    const scenario = scenarioStore.create(validateScenario(req.body));
+    announce(req, 'created', scenario.id);
+    res.status(201).json(scenario);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+router.put('/:id', (req, res) => {
+  try {
+    const scenario = scenarioStore.update(Number(req.params.id), validateScenario(req.body));
+    if (!scenario) return res.status(404).json({ error: 'scenario not found' });
+    announce(req, 'updated', scenario.id);
+    res.json(scenario);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  const id = Number(req.params.id);
+  if (!scenarioStore.remove(id)) return res.status(404).json({ error: 'scenario not found' });
+  announce(req, 'deleted', id);
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const searchCache = require('../searchCache');
+const { createSearchProvider } = require('../lib/search');
+const { routeLimit } = require('../lib/rateLimit');
+
+const router = express.Router();
+const provider = createSearchProvider();
+
+// GET /api/search?q=your+query -> { query, provider, cached, results: [{ title, link, snippet, source }] }
+router.get('/', routeLimit('search'), async (req, res) => {
+  try {
+    const q = `${req.query.q || ''}`.trim();
+    if (!q) return res.status(400).json({ error: 'q param required' });
+
+    const cacheKey = `${provider.name}:${q.toLowerCase()}`;
+    const cached = searchCache.get(cacheKey);
+    if (cached) {
+      return res.json({ query: q, provider: provider.name, cached: true, results: cached.results });
+    }
+
+    const results = await provider.search(q);
+    searchCache.set(cacheKey, { results });
+    res.json({ query: q, provider: provider.name, cached: false, results });
+  } catch (err) {
+    if (err.status) {
+      console.error('[SEARCH]', err.message, err.details || '');
+      return res.status(err.status).json({ error: err.message, details: err.details });
+    }
+    console.error('[SEARCH] Unexpected error:', err && err.stack ? err.stack : err);
+    res.status(500).json({ error: 'search failed' });
+  }
+});
+
+// GET /api/search/metrics -> provider name and cache hit / miss / eviction counts
+router.get('/metrics', (req, res) => {
+  res.json({ provider: provider.name, cache: searchCache.metrics() });
+});
+
+module.exports = router;
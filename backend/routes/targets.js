@@ -0,0 +1,50 @@
+const express = require('express');
+const targetStore = require('../targetStore');
+const events = require('../events');
+const { validateTarget } = require('../lib/targets');
+
+const router = express.Router();
+
+function announce(req, action, id) {
+  events.publish('targets-changed', { action, id, author: req.user.username });
+}
+
+function handleError(res, err) {
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  console.error('[TARGETS] Unexpected error:', err && err.stack ? err.stack : err);
+  return res.status(500).json({ error: 'target request failed' });
+}
+
+router.get('/', (req, res) => {
+  res.json(targetStore.list());
+});
+
+router.post('/', (req, res) => {
+  try {
+    const target = targetStore.create(validateTarget(req.body));
+    announce(req, 'created', target.id);
+    res.status(201).json(target);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+router.put('/:id', (req, res) => {
+  try {
+    const target = targetStore.update(Number(req.params.id), validateTarget(req.body));
+    if (!target) return res.status(404).json({ error: 'target not found' });
+    announce(req, 'updated', target.id);
+    res.json(target);
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  const id = Number(req.params.id);
+  if (!targetStore.remove(id)) return res.status(404).json({ error: 'target not found' });
+  announce(req, 'deleted', id);
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const store = require('../store');
+const { parseFilters } = require('../lib/dimensions');
+const { parseConversion } = require('../lib/units');
+const { sendCached } = require('../lib/httpCache');
+const { parseVersion } = require('../lib/versions');
+
+const router = express.Router();
+
+function parseYear(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const year = Number(value);
+  if (!Number.isInteger(year)) {
+    const err = new Error(`${name} must be a year`);
+    err.status = 400;
+    throw err;
+  }
+  return year;
+}
+
+/**
+ * GET /api/timeseries?from=2010&to=2020&sector=Energy,Transport&region=&gas=&unit=&gwp=&horizon=&version=
+ * -> { from, to, unit, gwp, horizon, totals: [{ year, value }], series: [{ sector, points: [{ year, value }] }] }
+ * One request for the whole trend chart instead of one per year.
+ */
+router.get('/', (req, res) => {
+  try {
+    const from = parseYear(req.query.from, 'from');
+    const to = parseYear(req.query.to, 'to');
+    const filters = { ...parseFilters(req.query), yearFrom: from, yearTo: to, version: parseVersion(req.query.version) };
+    const conversion = parseConversion(req.query);
+
+    sendCached(req, res, store.getRevision(), () => {
+      const rows = store.aggregate(filters, ['year', 'sector'], conversion);
+      const totals = new Map();
+      const bySector = new Map();
+      rows.forEach(r => {
+        totals.set(r.year, (totals.get(r.year) || 0) + r.value);
+        if (!bySector.has(r.sector)) bySector.set(r.sector, []);
+        bySector.get(r.sector).push({ year: r.year, value: r.value });
+      });
+
+      return {
+        from: from ?? null,
+        to: to ?? null,
+        ...conversion,
+        totals: [...totals].map(([year, value]) => ({ year, value: Number(value.toFixed(6)) })),
+        series: [...bySector].map(([sector, points]) => ({ sector, points })),
+      };
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const viewStore = require('../viewStore');
+const { hasRole } = require('../lib/auth');
+const { validateView } = require('../lib/views');
+
+const router = express.Router();
+
+function handleError(res, err) {
+  if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') return res.status(409).json({ error: 'a view with that name already exists' });
+  if (err.status) return res.status(err.status).json({ error: err.message });
+  console.error('[VIEWS] Unexpected error:', err && err.stack ? err.stack : err);
+  return res.status(500).json({ error: 'view request failed' });
+}
+
+// Everyone can open a saved view; only whoever saved it (or an admin) can change it
+function findEditable(req, res) {
+  const view = viewStore.get(Number(req.params.id));
+  if (!view) {
+    res.status(404).json({ error: 'view not found' });
+    return null;
+  }
+  if (view.owner && view.owner !== req.user.username && !hasRole(req.user, 'admin')) {
+    res.status(403).json({ error: 'only the owner or an admin can change this view' });
+    return null;
+  }
+  return view;
+}
+
+router.get('/', (req, res) => {
+  res.json(viewStore.list());
+});
+
+// POST /api/views { name, state: { year, sector, unit, ... } }
+router.post('/', (req, res) => {
+  try {
+    res.status(201).json(viewStore.create({ ...validateView(req.body), owner: req.user.username }));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+router.get('/:id', (req, res) => {
+  const view = viewStore.get(Number(req.params.id));
+  if (!view) return res.status(404).json({ error: 'view not found' });
+  return res.json(view);
+});
+
+// PATCH /api/views/:id { name?, state? } renames and/or overwrites the saved state
+router.patch('/:id', (req, res) => {
+  try {
+    const view = findEditable(req, res);
+    if (view) res.json(viewStore.update(view.id, validateView(req.body, { partial: true })));
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  const view = findEditable(req, res);
+  if (!view) return;
+  viewStore.remove(view.id);
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const db = require('./db');
+
+// --- Named what-if scenarios; rules are kept as a JSON array
+const COLUMNS = 'id, name, description, rules, created_at AS createdAt, updated_at AS updatedAt';
+
+const statements = {
+  list: db.prepare(`SELECT ${COLUMNS} FROM scenarios ORDER BY name`),
+  get: db.prepare(`SELECT ${COLUMNS} FROM scenarios WHERE id = ?`),
+  insert: db.prepare(`
+    INSERT INTO scenarios (name, description, rules, created_at, updated_at)
+    VALUES (@name, @description, @rules, @now, @now)
+  `),
+  update: db.prepare(`
+    UPDATE scenarios SET name = @name, description = @description, rules = @rules, updated_at = @now
+    WHERE id = @id
+  `),
+  remove: db.prepare('DELETE FROM scenarios WHERE id = ?'),
+};
+
+function fromRow(row) {
+  return row ? { ...row, rules: JSON.parse(row.rules) } : null;
+}
+
+function toParams(scenario) {
+  return { ...scenario, rules: JSON.stringify(scenario.rules), now: new Date().toISOString() };
+}
+
+function list() {
+  return statements.list.all().map(fromRow);
+}
+
+function get(id) {
+  return fromRow(statements.get.get(id));
+}
+
+function create(scenario) {
+  const { lastInsertRowid } = statements.insert.run(toParams(scenario));
+  return get(lastInsertRowid);
+}
+
+function update(id, scenario) {
+  const { changes } = statements.update.run({ ...toParams(scenario), id });
+  return changes ? get(id) : null;
+}
+
+function remove(id) {
+  return statements.remove.run(id).changes > 0;
+}
+
+module.exports = { list, get, create, update, remove };
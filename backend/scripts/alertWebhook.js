@@ -0,0 +1,28 @@
+// Local stand-in for the alert webhook receiver: prints what the backend sends.
+// Usage: node scripts/alertWebhook.js [port] [--fail]
+//   then start the backend with ALERT_WEBHOOK_URL=http://localhost:<port>/ (default port 5099).
+// With ALERT_WEBHOOK_SECRET set, signatures are checked; --fail answers 500 to test failed deliveries.
+const http = require('http');
+const { SIGNATURE_HEADER, signPayload } = require('../lib/alerts/webhook');
+
+const args = process.argv.slice(2);
+const port = Number(args.find(a => /^\d+$/.test(a))) || 5099;
+const fail = args.includes('--fail');
+const secret = process.env.ALERT_WEBHOOK_SECRET;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const signature = req.headers[SIGNATURE_HEADER];
+    const verified = !secret ? 'not checked' : signature === signPayload(body, secret) ? 'valid' : 'INVALID';
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url} event=${req.headers['x-alert-event']} signature=${verified}`);
+    try {
+      const payload = JSON.parse(body);
+      (payload.notifications || []).forEach(n => console.log(`  ${n.status}: ${n.message}`));
+    } catch (err) {
+      console.log(`  (body is not JSON) ${body.slice(0, 200)}`);
+    }
+    res.writeHead(fail ? 500 : 204).end();
+  });
+}).listen(port, () => console.log(`Alert webhook stand-in listening on http://localhost:${port}/`));
@@ -0,0 +1,77 @@
+const db = require('./db');
+
+// --- Search result cache stored in SQLite so it survives restarts and is shared between instances.
+// Bounded: entries expire after the TTL and the least recently used go first once it's full.
+const SEARCH_CACHE_TTL = Number(process.env.SEARCH_CACHE_TTL_MS) || 1000 * 60 * 2; // 2 minutes
+const SEARCH_CACHE_MAX = Number(process.env.SEARCH_CACHE_MAX) || 500;
+
+const statements = {
+  get: db.prepare('SELECT ts, data FROM search_cache WHERE key = ?'),
+  touch: db.prepare('UPDATE search_cache SET last_used = ? WHERE key = ?'),
+  set: db.prepare(`
+    INSERT INTO search_cache (key, ts, last_used, data) VALUES (?, ?, ?, ?)
+    ON CONFLICT (key) DO UPDATE SET ts = excluded.ts, last_used = excluded.last_used, data = excluded.data
+  `),
+  delete: db.prepare('DELETE FROM search_cache WHERE key = ?'),
+  prune: db.prepare('DELETE FROM search_cache WHERE ts < ?'),
+  count: db.prepare('SELECT COUNT(*) AS count FROM search_cache'),
+  evict: db.prepare(`
+    DELETE FROM search_cache WHERE key IN (
+      SELECT key FROM search_cache WHERE key != ? ORDER BY last_used, ts LIMIT ?
+    )
+  `),
+  clear: db.prepare('DELETE FROM search_cache'),
+};
+
+// Recency stamp for last_used: wall-clock ms, bumped so two uses in the same ms still order
+let lastStamp = 0;
+function useStamp() {
+  lastStamp = Math.max(Date.now(), lastStamp + 1);
+  return lastStamp;
+}
+
+// Counted per process; size is read from the shared table
+const counters = { hits: 0, misses: 0, expired: 0, evictions: 0 };
+
+function get(key) {
+  const row = statements.get.get(key);
+  const now = Date.now();
+  if (!row) {
+    counters.misses += 1;
+    return null;
+  }
+  if (now - row.ts >= SEARCH_CACHE_TTL) {
+    statements.delete.run(key);
+    counters.expired += 1;
+    counters.misses += 1;
+    return null;
+  }
+  statements.touch.run(useStamp(), key);
+  counters.hits += 1;
+  return JSON.parse(row.data);
+}
+
+const set = db.transaction((key, data) => {
+  const now = Date.now();
+  statements.prune.run(now - SEARCH_CACHE_TTL);
+  statements.set.run(key, now, useStamp(), JSON.stringify(data));
+  const overflow = statements.count.get().count - SEARCH_CACHE_MAX;
+  if (overflow > 0) counters.evictions += statements.evict.run(key, overflow).changes;
+});
+
+function clear() {
+  statements.clear.run();
+}
+
+function metrics() {
+  const lookups = counters.hits + counters.misses;
+  return {
+    ...counters,
+    size: statements.count.get().count,
+    maxEntries: SEARCH_CACHE_MAX,
+    ttlMs: SEARCH_CACHE_TTL,
+    hitRate: lookups ? Number((counters.hits / lookups).toFixed(3)) : null,
+  };
+}
+
+module.exports = { get, set, clear, metrics };
@@ -0,0 +1,200 @@
+const db = require('./db');
+const { DIMENSIONS, DEFAULT_REGION, DEFAULT_GAS, UNSPECIFIED } = require('./lib/dimensions');
+const { DEFAULT_UNIT, parseConversion, convertValue, sqlValueExpression } = require('./lib/units');
+const { VersionError } = require('./lib/versions');
+const versionStore = require('./versionStore');
+
+// --- Emissions store shared by all data endpoints (SQLite backed)
+// Values come back converted to `conversion.unit` on `conversion.gwp` / `horizon`.
+// Filters may name a `version` to read that stored snapshot instead of the current data.
+const DEFAULT_CONVERSION = parseConversion();
+const ROW_COLUMNS = 'year, sector, sub_sector AS subSector, region, gas, value, unit';
+
+const statements = {
+  latestYear: db.prepare('SELECT MAX(year) AS year FROM emissions'),
+  count: db.prepare('SELECT COUNT(*) AS count FROM emissions'),
+  info: db.prepare('SELECT source, imported_at AS importedAt FROM dataset_info WHERE id = 1'),
+  subSectors: db.prepare("SELECT DISTINCT sector, sub_sector AS subSector FROM emissions WHERE sub_sector != '' ORDER BY sector, sub_sector"),
+  insert: db.prepare(`
+    INSERT INTO emissions (year, sector, sub_sector, region, gas, value, unit)
+    VALUES (@year, @sector, @subSector, @region, @gas, @value, @unit)
+  `),
+  clear: db.prepare('DELETE FROM emissions'),
+  restore: db.prepare(`
+    INSERT INTO emissions (year, sector, sub_sector, region, gas, value, unit)
+    SELECT year, sector, sub_sector, region, gas, value, unit FROM emission_snapshots WHERE version_id = ?
+  `),
+  setInfo: db.prepare(`
+    INSERT INTO dataset_info (id, source, imported_at) VALUES (1, @source, @importedAt)
+    ON CONFLICT (id) DO UPDATE SET source = excluded.source, imported_at = excluded.imported_at
+  `),
+};
+
+// { sector: ['Energy'], year: [2020], yearFrom: 2010, version: 3 } -> table, WHERE clause on indexed columns, bound params
+function buildWhere(filters = {}) {
+  const clauses = [];
+  const params = {};
+  let table = 'emissions';
+  if (filters.version !== undefined && filters.version !== null) {
+    if (!versionStore.get(filters.version)) throw new VersionError(`version ${filters.version} not found`, 404);
+    table = 'emission_snapshots';
+    clauses.push('version_id = @version');
+    params.version = filters.version;
+  }
+  if (Number.isInteger(filters.yearFrom)) {
+    clauses.push('year >= @yearFrom');
+    params.yearFrom = filters.yearFrom;
+  }
+  if (Number.isInteger(filters.yearTo)) {
+    clauses.push('year <= @yearTo');
+    params.yearTo = filters.yearTo;
+  }
+  Object.keys(DIMENSIONS).forEach(dim => {
+    const values = filters[dim];
+    if (values === undefined || values === null) return;
+    const list = Array.isArray(values) ? values : [values];
+    if (list.length === 0) return;
+    const names = list.map((v, i) => {
+      params[`${dim}${i}`] = v;
+      return `@${dim}${i}`;
+    });
+    clauses.push(`${DIMENSIONS[dim]} IN (${names.join(', ')})`);
+  });
+  return { table, where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+// Rows come back with subSector null when the row isn't split
+function toRow(r) {
+  return { ...r, subSector: r.subSector || null };
+}
+
+// Raw rows; the stored figure is kept as sourceValue / sourceUnit
+function findEmissions(filters = {}, conversion = DEFAULT_CONVERSION) {
+  const { table, where, params } = buildWhere(filters);
+  return db.prepare(`SELECT ${ROW_COLUMNS} FROM ${table} ${where} ORDER BY year, sector, sub_sector, region, gas`)
+    .all(params)
+    .map(r => toRow({
+      ...r,
+      value: convertValue(r.value, r.unit, r.gas, conversion),
+      unit: conversion.unit,
+      sourceValue: r.value,
+      sourceUnit: r.unit,
+    }));
+}
+
+function getRows() {
+  return findEmissions();
+}
+
+// Sums value over the given dimensions, e.g. groupBy ['year', 'sector']
+function aggregate(filters = {}, groupBy = [], conversion = DEFAULT_CONVERSION) {
+  const { table, where, params } = buildWhere(filters);
+  const columns = groupBy.map(dim => `${DIMENSIONS[dim]} AS ${dim}`);
+  const group = groupBy.length ? `GROUP BY ${groupBy.map(dim => DIMENSIONS[dim]).join(', ')}` : '';
+  const order = groupBy.length ? `ORDER BY ${groupBy.map(dim => DIMENSIONS[dim]).join(', ')}` : '';
+  const value = `ROUND(SUM(${sqlValueExpression(conversion)}), 6) AS value`;
+  const sql = `SELECT ${[...columns, value].join(', ')} FROM ${table} ${where} ${group} ${order}`;
+  return db.prepare(sql).all(params)
+    .filter(r => r.value !== null)
+    .map(r => (groupBy.includes('subSector') ? { ...r, subSector: r.subSector || UNSPECIFIED } : r));
+}
+
+function distinct(dim, version = null) {
+  const column = DIMENSIONS[dim];
+  const { table, where, params } = buildWhere({ version });
+  return db.prepare(`SELECT DISTINCT ${column} AS v FROM ${table} ${where} ORDER BY ${column}`).all(params).map(r => r.v);
+}
+
+function getYears(version = null) {
+  return distinct('year', version);
+}
+
+function getSectors() {
+  return distinct('sector');
+}
+
+// Everything the filter dropdowns need, sub-sectors keyed by their sector
+function getMeta() {
+  const subSectors = {};
+  statements.subSectors.all().forEach(r => {
+    (subSectors[r.sector] = subSectors[r.sector] || []).push(r.subSector);
+  });
+  return {
+    years: getYears(),
+    sectors: getSectors(),
+    regions: distinct('region'),
+    gases: distinct('gas'),
+    subSectors,
+  };
+}
+
+// Used as the default year when a request doesn't name one
+function getLatestYear(version = null) {
+  if (version === null) return statements.latestYear.get().year;
+  const { table, where, params } = buildWhere({ version });
+  return db.prepare(`SELECT MAX(year) AS year FROM ${table} ${where}`).get(params).year;
+}
+
+// { key: total } for one year, keyed by a single dimension (sector by default)
+function getSummary(year, filters = {}, groupBy = 'sector', conversion = DEFAULT_CONVERSION) {
+  const summary = {};
+  aggregate({ ...filters, year: [year] }, [groupBy], conversion).forEach(r => {
+    summary[r[groupBy]] = r.value;
+  });
+  return summary;
+}
+
+// Changes whenever the dataset does; used to build cache validators
+function getRevision() {
+  const { source, importedAt, rowCount, version } = getInfo();
+  return `${source}|${importedAt || ''}|${rowCount}|${version || ''}`;
+}
+
+function getInfo() {
+  const info = statements.info.get() || { source: 'empty', importedAt: null };
+  return { ...info, rowCount: statements.count.get().count, version: versionStore.currentId() };
+}
+
+/**
+ * mode: 'replace' swaps the whole dataset, 'append' adds to it.
+ * Every import becomes a new version, labelled e.g. "2025 resubmission", recorded with its author.
+ */
+const importRows = db.transaction((newRows, { mode = 'replace', source = 'upload', author = null, label = null } = {}) => {
+  if (mode !== 'append') statements.clear.run();
+  newRows.forEach(r => statements.insert.run({
+    unit: DEFAULT_UNIT,
+    region: DEFAULT_REGION,
+    gas: DEFAULT_GAS,
+    ...r,
+    subSector: r.subSector || '',
+  }));
+  statements.setInfo.run({ source, importedAt: new Date().toISOString() });
+  versionStore.record({ label: label || `${source} import (${mode})`, source, action: mode === 'append' ? 'append' : 'replace', author });
+  return getInfo();
+});
+
+// Makes a stored version current again; recorded as a new version so nothing is lost
+const rollback = db.transaction((versionId, { author = null } = {}) => {
+  const target = versionStore.get(versionId);
+  if (!target) throw new VersionError(`version ${versionId} not found`, 404);
+  statements.clear.run();
+  statements.restore.run(versionId);
+  statements.setInfo.run({ source: target.source, importedAt: new Date().toISOString() });
+  versionStore.record({ label: `Rollback to v${versionId} (${target.label})`, source: target.source, action: 'rollback', author });
+  return getInfo();
+});
+
+module.exports = {
+  findEmissions,
+  aggregate,
+  getRows,
+  getYears,
+  getSectors,
+  getMeta,
+  getLatestYear,
+  getSummary,
+  getInfo,
+  getRevision,
+  importRows,
+  rollback,
+};
@@ -0,0 +1,44 @@
+const db = require('./db');
+
+// --- Reduction targets, e.g. -45% by 2030 against 2010; sector null means the total
+const COLUMNS = `id, name, sector, base_year AS baseYear, target_year AS targetYear,
+  reduction_pct AS reductionPct, created_at AS createdAt, updated_at AS updatedAt`;
+
+const statements = {
+  list: db.prepare(`SELECT ${COLUMNS} FROM targets ORDER BY target_year, id`),
+  get: db.prepare(`SELECT ${COLUMNS} FROM targets WHERE id = ?`),
+  insert: db.prepare(`
+    INSERT INTO targets (name, sector, base_year, target_year, reduction_pct, created_at, updated_at)
+    VALUES (@name, @sector, @baseYear, @targetYear, @reductionPct, @now, @now)
+  `),
+  update: db.prepare(`
+    UPDATE targets SET name = @name, sector = @sector, base_year = @baseYear, target_year = @targetYear,
+      reduction_pct = @reductionPct, updated_at = @now
+    WHERE id = @id
+  `),
+  remove: db.prepare('DELETE FROM targets WHERE id = ?'),
+};
+
+function list() {
+  return statements.list.all();
+}
+
+function get(id) {
+  return statements.get.get(id) || null;
+}
+
+function create(target) {
+  const { lastInsertRowid } = statements.insert.run({ ...target, now: new Date().toISOString() });
+  return get(lastInsertRowid);
+}
+
+function update(id, target) {
+  const { changes } = statements.update.run({ ...target, id, now: new Date().toISOString() });
+  return changes ? get(id) : null;
+}
+
+function remove(id) {
+  return statements.remove.run(id).changes > 0;
+}
+
+module.exports = { list, get, create, update, remove };
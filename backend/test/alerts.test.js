@@ -0,0 +1,212 @@
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const store = require('../store');
+const alertStore = require('../alertStore');
+const {
+  scopeFilters, validateRule, annualSeries, evaluateRule, describeResult, notificationFor,
+} = require('../lib/alerts');
+const { SIGNATURE_HEADER, signPayload, createWebhook } = require('../lib/alerts/webhook');
+const { createAlertService } = require('../lib/alerts/service');
+
+const SERIES = [{ year: 2010, value: 20.5 }, { year: 2015, value: 22 }, { year: 2020, value: 21 }];
+const rule = fields => ({ id: 1, ...validateRule({ limit: 21.5, ...fields }) });
+
+const VALID_CASES = [
+  [{ sector: 'Energy', limit: 21.5 }, { name: 'Energy above 21.5 MtCO₂e', kind: 'threshold', sector: 'Energy', region: null, gas: null, limit: 21.5, unit: 'MtCO2e', startYear: null, endYear: null, warnPct: null }],
+  [{ kind: 'budget', sector: 'All', region: 'All', limit: '60', unit: 'Mt', startYear: '2010', endYear: 2020 }, { name: 'Total budget 60 MtCO₂e 2010–2020', kind: 'budget', sector: null, region: null, gas: null, limit: 60, unit: 'MtCO2e', startYear: 2010, endYear: 2020, warnPct: 90 }],
+  [{ name: ' Waste cap ', sector: 'Waste', limit: 2000, unit: 'ktCO2e', warnPct: 80 }, { name: 'Waste cap', kind: 'threshold', sector: 'Waste', region: null, gas: null, limit: 2000, unit: 'ktCO2e', startYear: null, endYear: null, warnPct: 80 }],
+  [{ region: 'world', gas: 'ch4', limit: 3 }, { name: 'Total (Global, CH4) above 3 MtCO₂e', kind: 'threshold', sector: null, region: 'Global', gas: 'CH4', limit: 3, unit: 'MtCO2e', startYear: null, endYear: null, warnPct: null }],
+];
+
+const INVALID_CASES = [
+  [{ kind: 'quota', limit: 1 }, 'kind must be one of threshold, budget'],
+  [{ limit: 0 }, 'limit must be a positive number'],
+  [{ limit: 5, unit: 'bananas' }, 'unknown unit "bananas"'],
+  [{ limit: 5, gas: 'H2O' }, 'unknown gas "H2O" (use CO2, CH4, N2O, F-gases, GHG)'],
+  [{ limit: 5, startYear: 'soon' }, 'startYear must be a year'],
+  [{ limit: 5, startYear: 2020, endYear: 2010 }, 'endYear must not be before startYear'],
+  [{ limit: 5, warnPct: 120 }, 'warnPct must be a number between 0 and 100'],
+];
+
+// [budget rule fields, expected subset of the evaluation]; budgets count every year,
+// e.g. 2016-2019 lie on the line from 22 to 21
+const BUDGET_CASES = [
+  [{ kind: 'budget', limit: 200, startYear: 2015 }, { status: 'ok', from: 2015, to: 2020, estimatedYears: 4, used: 129, remaining: 71, usedPct: 64.5 }],
+  [{ kind: 'budget', limit: 100, startYear: 2012, endYear: 2013 }, { status: 'ok', from: 2012, to: 2013, estimatedYears: 2, used: 42.5 }],
+  [{ kind: 'budget', limit: 250 }, { status: 'warning', from: 2010, to: 2020, estimatedYears: 8, used: 234.5, remaining: 15.5 }],
+  [{ kind: 'budget', limit: 230 }, { status: 'breached', used: 234.5, remaining: -4.5 }],
+  [{ kind: 'budget', limit: 100, startYear: 2025 }, { status: 'ok', from: null, to: null, used: 0 }],
+];
+
+test('validateRule fills in defaults and normalizes units', async t => {
+  for (const [body, expected] of VALID_CASES) {
+    await t.test(expected.name, () => assert.deepEqual(validateRule(body), expected));
+  }
+});
+
+test('validateRule rejects malformed rules', async t => {
+  for (const [body, message] of INVALID_CASES) {
+    await t.test(message, () => assert.throws(() => validateRule(body), { status: 400, message }));
+  }
+});
+
+test('annualSeries fills the years between reported ones', () => {
+  assert.deepEqual(annualSeries([{ year: 2010, value: 10 }, { year: 2013, value: 4 }, { year: 2014, value: 5 }]), [
+    { year: 2010, value: 10, estimated: false },
+    { year: 2011, value: 8, estimated: true },
+    { year: 2012, value: 6, estimated: true },
+    { year: 2013, value: 4, estimated: false },
+    { year: 2014, value: 5, estimated: false },
+  ]);
+});
+
+test('evaluateRule checks thresholds against each reported year', () => {
+  const breached = evaluateRule(rule({ limit: 21.5 }), SERIES);
+  assert.equal(breached.status, 'breached');
+  assert.deepEqual(breached.breaches, [{ year: 2015, value: 22, excess: 0.5 }]);
+  assert.deepEqual(breached.latest, { year: 2020, value: 21 });
+
+  const before = evaluateRule(rule({ limit: 21.5, endYear: 2010 }), SERIES);
+  assert.deepEqual([before.status, before.breaches, before.latest], ['ok', [], { year: 2010, value: 20.5 }]);
+
+  const close = evaluateRule(rule({ limit: 23, warnPct: 95 }), SERIES);
+  assert.deepEqual([close.status, close.breaches, close.warnings], ['warning', [], [{ year: 2015, value: 22 }]]);
+});
+
+test('evaluateRule sums budgets over their period', async t => {
+  for (const [fields, expected] of BUDGET_CASES) {
+    await t.test(JSON.stringify(fields), () => {
+      const result = evaluateRule(rule(fields), SERIES);
+      Object.keys(expected).forEach(key => assert.deepEqual(result[key], expected[key], key));
+    });
+  }
+});
+
+test('notifications are raised on changes only, and when a breach is resolved', () => {
+  const breached = evaluateRule(rule({}), SERIES);
+  const first = notificationFor({ status: null, signature: null }, breached);
+  assert.equal(first.status, 'breached');
+  assert.equal(first.message, 'Total emissions above 21.5 MtCO₂e in 2015 (highest 22 MtCO₂e in 2015)');
+  assert.equal(notificationFor({ status: 'breached', signature: first.signature }, breached), null);
+
+  // a further year over the limit is news
+  const worse = evaluateRule(rule({}), [...SERIES, { year: 2025, value: 23 }]);
+  assert.equal(notificationFor({ status: 'breached', signature: first.signature }, worse).status, 'breached');
+
+  const fine = evaluateRule(rule({ limit: 30 }), SERIES);
+  assert.equal(notificationFor({ status: null, signature: null }, fine), null);
+  assert.deepEqual(notificationFor({ status: 'breached', signature: first.signature }, fine), {
+    status: 'resolved',
+    message: 'Total above 30 MtCO₂e is back within its limit',
+    signature: 'ok',
+  });
+});
+
+// A local stand-in for the webhook receiver: records requests, answers with `status`
+async function standIn(status = 204) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received, close: () => new Promise(r => server.close(r)) };
+}
+
+// as alerts.js does: the current data within the rule's scope
+function seriesFor(r) {
+  return store.aggregate(scopeFilters(r), ['year'], { unit: r.unit, gwp: 'AR5', horizon: 100 });
+}
+
+test('rules only see the region and gas they are scoped to', () => {
+  const evaluate = fields => {
+    const r = rule(fields);
+    return evaluateRule(r, seriesFor(r));
+  };
+  // Agriculture is 5.0 / 5.3 / 5.5 over all gases, of which CH4 3.1 / 3.3 / 3.4
+  assert.deepEqual(evaluate({ sector: 'Agriculture', limit: 5.2 }).breaches.map(b => b.year), [2015, 2020]);
+  assert.deepEqual(evaluate({ sector: 'Agriculture', gas: 'CH4', limit: 3.2 }).breaches.map(b => b.year), [2015, 2020]);
+  assert.equal(evaluate({ sector: 'Agriculture', gas: 'CH4', limit: 5.2 }).status, 'ok');
+  const elsewhere = evaluate({ region: 'EU', limit: 1 });
+  assert.deepEqual([elsewhere.status, elsewhere.latest], ['ok', null]);
+  assert.equal(describeResult(evaluate({ sector: 'Agriculture', region: 'World', gas: 'CH4', limit: 3.2 })),
+    'Agriculture (Global, CH4) above 3.2 MtCO₂e in 2015, 2020 (highest 3.4 MtCO₂e in 2020)');
+});
+
+test('check logs breaches once, sends them to the webhook and logs resolutions', async () => {
+  const receiver = await standIn();
+  try {
+    const alerts = createAlertService({
+      rules: alertStore,
+      seriesFor,
+      currentVersion: () => 7,
+      webhook: createWebhook({ url: receiver.url, secret: 's3cret', retry: { retries: 0 } }),
+    });
+    const threshold = alertStore.create(validateRule({ sector: 'Energy', limit: 21.5 }), 'alice');
+    alertStore.create(validateRule({ kind: 'budget', sector: 'Energy', limit: 1000 }), 'alice');
+
+    const first = alerts.check();
+    assert.deepEqual(first.results.map(r => r.status), ['breached', 'ok']);
+    assert.equal(first.notifications.length, 1);
+    assert.equal((await first.delivered).ok, true);
+
+    const [request] = receiver.received;
+    assert.equal(request.headers[SIGNATURE_HEADER], signPayload(request.body, 's3cret'));
+    assert.equal(request.headers['x-alert-event'], 'alerts');
+    const payload = JSON.parse(request.body);
+    assert.equal(payload.notifications[0].ruleId, threshold.id);
+    assert.equal(payload.notifications[0].datasetVersion, 7);
+    assert.equal(alertStore.listNotifications()[0].webhook, 'sent');
+
+    // nothing changed: nothing logged, nothing sent
+    const second = alerts.check();
+    assert.equal(second.notifications.length, 0);
+    assert.equal(await second.delivered, null);
+    assert.equal(receiver.received.length, 1);
+
+    alertStore.update(threshold.id, validateRule({ sector: 'Energy', limit: 30 }));
+    alertStore.setState(threshold.id, { status: 'breached', signature: 'breached:2015' });
+    const third = alerts.check();
+    assert.deepEqual(third.notifications.map(n => n.status), ['resolved']);
+    await third.delivered;
+
+    assert.deepEqual(alertStore.listNotifications({ ruleId: threshold.id }).map(n => n.status), ['resolved', 'breached']);
+    assert.deepEqual(alerts.breaches(), []);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('failed webhook deliveries are recorded on the notification', async () => {
+  const receiver = await standIn(500);
+  try {
+    const alerts = createAlertService({
+      rules: alertStore,
+      seriesFor,
+      webhook: createWebhook({ url: receiver.url, retry: { retries: 0 } }),
+    });
+    const result = await alerts.sendTest('admin');
+    assert.deepEqual({ ok: result.ok, error: result.error }, { ok: false, error: 'HTTP 500' });
+    const logged = alertStore.listNotifications({ limit: 1 })[0];
+    assert.deepEqual([logged.id, logged.status, logged.webhook], [result.notificationId, 'test', 'failed: HTTP 500']);
+    assert.equal(receiver.received[0].headers[SIGNATURE_HEADER], undefined);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('without a webhook url alerts are only logged', async () => {
+  const alerts = createAlertService({ rules: alertStore, seriesFor: seriesFor });
+  await assert.rejects(alerts.sendTest('admin'), { status: 409 });
+  const rule2 = alertStore.create(validateRule({ sector: 'Transport', limit: 7 }));
+  const { notifications, delivered } = alerts.check();
+  assert.deepEqual(notifications.map(n => [n.ruleId, n.webhook]), [[rule2.id, null]]);
+  assert.equal(await delivered, null);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { change, cagr, ranks, computeAnalytics } = require('../lib/analytics');
+
+// [name, value, previous, expected]
+const CHANGE_CASES = [
+  ['increase', 22, 20, { change: 2, changePct: 10 }],
+  ['decrease from a negative base', -3, -2, { change: -1, changePct: -50 }],
+  ['zero base has no percent', 5, 0, { change: 5, changePct: null }],
+  ['no previous value', 5, null, { change: null, changePct: null }],
+];
+
+test('change gives absolute and percent year-over-year change', async t => {
+  for (const [name, value, previous, expected] of CHANGE_CASES) {
+    await t.test(name, () => assert.deepEqual(change(value, previous), expected));
+  }
+});
+
+test('cagr compounds over the years between the endpoints', () => {
+  assert.equal(cagr(100, 121, 2), 10);
+  assert.equal(cagr(44.5, 48, 10), 0.76);
+  assert.equal(cagr(0, 10, 5), null);
+  assert.equal(cagr(10, 10, 0), null);
+});
+
+test('ranks puts the largest emitter first', () => {
+  assert.deepEqual(ranks({ Waste: 1, Energy: 20, Transport: 7 }), { Energy: 1, Transport: 2, Waste: 3 });
+});
+
+const ROWS = [
+  { year: 2015, sector: 'Energy', value: 22 },
+  { year: 2015, sector: 'Transport', value: 8 },
+  { year: 2015, sector: 'Waste', value: 10 },
+  { year: 2020, sector: 'Energy', value: 21 },
+  { year: 2020, sector: 'Transport', value: 9 },
+  { year: 2020, sector: 'Waste', value: 5 },
+  { year: 2020, sector: 'Industry', value: 5 },
+];
+
+test('computeAnalytics reports shares, rank movement and CAGR', () => {
+  const result = computeAnalytics(ROWS, { year: 2020, compareYear: 2015, from: 2015, to: 2020 });
+  assert.deepEqual(result.total, { value: 40, previous: 40, change: 0, changePct: 0 });
+  assert.deepEqual(result.cagr, { from: 2015, to: 2020, start: 40, end: 40, rate: 0 });
+  assert.deepEqual(result.sectors.map(s => [s.sector, s.share, s.rank, s.rankChange, s.changePct]), [
+    ['Energy', 52.5, 1, 0, -4.545],
+    ['Transport', 22.5, 2, 1, 12.5],
+    ['Waste', 12.5, 3, -1, -50],
+    ['Industry', 12.5, 4, null, null],
+  ]);
+  assert.equal(result.sectors.reduce((sum, s) => sum + s.share, 0), 100);
+});
+
+test('computeAnalytics without a comparison year leaves changes empty', () => {
+  const result = computeAnalytics(ROWS, { year: 2015, compareYear: null, from: 2010, to: 2015 });
+  assert.deepEqual(result.total, { value: 40, previous: null, change: null, changePct: null });
+  assert.equal(result.cagr.rate, null);
+  assert.ok(result.sectors.every(s => s.previous === null && s.change === null && s.previousRank === null));
+});
@@ -0,0 +1,208 @@
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const userStore = require('../userStore');
+const chatStore = require('../chatStore');
+const authRouter = require('../routes/auth');
+const {
+  hashPassword, verifyPassword, parseApiKeys, parseOrigins, createAuth, requireRole, requireRoleByMethod, hasRole,
+} = require('../lib/auth');
+
+const auth = createAuth({
+  secret: 'test-secret',
+  apiKeys: parseApiKeys('reports:analyst:k-123,viewer:k-456'),
+  findUser: userStore.findUser,
+});
+
+userStore.createUser({ username: 'alice', password: 'correct horse', role: 'admin' });
+userStore.createUser({ username: 'bob', password: 'battery staple', role: 'viewer' });
+
+function request(headers = {}, method = 'GET') {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { method, get: name => lower[name.toLowerCase()] };
+}
+
+// Runs one middleware; returns whether next() was called plus the response
+function run(middleware, req) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, res, user: req.user };
+}
+
+test('passwords are stored salted and verified against the hash', () => {
+  const stored = hashPassword('s3cret!');
+  assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.notEqual(stored, hashPassword('s3cret!'));
+  assert.equal(verifyPassword('s3cret!', stored), true);
+  assert.equal(verifyPassword('s3cret', stored), false);
+  assert.equal(verifyPassword('s3cret!', 'plain-text'), false);
+});
+
+test('API_KEYS entries map to a name and role', () => {
+  const keys = [...parseApiKeys(' ops:admin:abc , viewer:def ').values()];
+  assert.deepEqual(keys, [
+    { username: 'ops', role: 'admin', via: 'api-key' },
+    { username: 'api-key-2', role: 'viewer', via: 'api-key' },
+  ]);
+  assert.equal(parseApiKeys('').size, 0);
+  assert.throws(() => parseApiKeys('owner:abc'), /role viewer, analyst, admin/);
+});
+
+test('CORS_ORIGINS falls back to the default list and accepts *', () => {
+  assert.deepEqual(parseOrigins('', ['http://localhost:3000']), ['http://localhost:3000']);
+  assert.deepEqual(parseOrigins('https://a.example, https://b.example'), ['https://a.example', 'https://b.example']);
+  assert.equal(parseOrigins('*'), true);
+});
+
+test('roles include the ones below them', () => {
+  assert.equal(hasRole({ role: 'admin' }, 'analyst'), true);
+  assert.equal(hasRole({ role: 'analyst' }, 'viewer'), true);
+  assert.equal(hasRole({ role: 'viewer' }, 'analyst'), false);
+  assert.equal(hasRole(null, 'viewer'), false);
+});
+
+test('login issues a token that authenticates later requests', () => {
+  const { token, user } = auth.login('Alice', 'correct horse');
+  assert.deepEqual(user, { username: 'alice', role: 'admin' });
+  const { passed, user: requestUser } = run(auth.authenticate, request({ Authorization: `Bearer ${token}` }));
+  assert.equal(passed, true);
+  assert.deepEqual(requestUser, { username: 'alice', role: 'admin', via: 'token' });
+});
+
+test('wrong passwords and unknown users get the same error', () => {
+  assert.throws(() => auth.login('alice', 'wrong'), { status: 401, message: 'invalid username or password' });
+  assert.throws(() => auth.login('mallory', 'wrong'), { status: 401, message: 'invalid username or password' });
+});
+
+test('requests without credentials pass through unauthenticated', () => {
+  const { passed, res, user } = run(auth.authenticate, request());
+  assert.deepEqual([passed, res.statusCode, user], [true, 200, null]);
+});
+
+test('a known API key identifies the caller by its name and role', () => {
+  const { passed, user } = run(auth.authenticate, request({ 'X-API-Key': 'k-123' }));
+  assert.equal(passed, true);
+  assert.deepEqual(user, { username: 'reports', role: 'analyst', via: 'api-key' });
+  assert.equal(run(auth.authenticate, request({ 'X-API-Key': 'nope' })).res.body.error, 'invalid API key');
+});
+
+test('tokens that are malformed, signed with another secret or expired are rejected with 401', () => {
+  const otherSecret = createAuth({ secret: 'other', findUser: userStore.findUser }).issueToken({ username: 'bob', role: 'viewer' }).token;
+  const expired = createAuth({ secret: 'test-secret', expiresIn: -10, findUser: userStore.findUser }).issueToken({ username: 'bob', role: 'viewer' }).token;
+  const errorFor = token => {
+    const { passed, res } = run(auth.authenticate, request({ Authorization: `Bearer ${token}` }));
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 401);
+    return res.body.error;
+  };
+  assert.equal(errorFor('abc.def.ghi'), 'invalid token');
+  assert.equal(errorFor(otherSecret), 'invalid token');
+  assert.equal(errorFor(expired), 'session expired, please sign in again');
+});
+
+test('tokens stop working once the account is deleted', () => {
+  userStore.createUser({ username: 'carol', password: 'temporary1', role: 'analyst' });
+  const { token } = auth.login('carol', 'temporary1');
+  userStore.deleteUser('carol');
+  const { res } = run(auth.authenticate, request({ Authorization: `Bearer ${token}` }));
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, 'user no longer exists');
+});
+
+test('ANONYMOUS_ROLE lets requests without credentials act as that role', () => {
+  const open = createAuth({ secret: 's', findUser: userStore.findUser, anonymousRole: 'viewer' });
+  assert.deepEqual(run(open.authenticate, request()).user, { username: 'anonymous', role: 'viewer', via: 'anonymous' });
+});
+
+// Status requireRole / requireRoleByMethod answer with for `user`, 200 meaning next() was called
+function statusFor(middleware, user, method = 'GET') {
+  const { passed, res } = run(middleware, { ...request({}, method), user });
+  assert.equal(passed, res.statusCode === 200);
+  return res.statusCode;
+}
+
+test('requireRole answers 401 when signed out and 403 for too low a role', () => {
+  const analystOnly = requireRole('analyst');
+  assert.equal(statusFor(analystOnly, null), 401);
+  assert.equal(statusFor(analystOnly, { role: 'viewer' }), 403);
+  assert.equal(statusFor(analystOnly, { role: 'analyst' }), 200);
+  assert.equal(statusFor(analystOnly, { role: 'admin' }, 'POST'), 200);
+});
+
+test('requireRoleByMethod asks more of writes than of reads', () => {
+  const readOrAdmin = requireRoleByMethod('viewer', 'admin');
+  assert.equal(statusFor(readOrAdmin, { role: 'viewer' }), 200);
+  assert.equal(statusFor(readOrAdmin, { role: 'analyst' }, 'POST'), 403);
+  assert.equal(statusFor(readOrAdmin, { role: 'admin' }, 'DELETE'), 200);
+});
+
+test('user accounts are validated and the last admin is kept', () => {
+  assert.throws(() => userStore.createUser({ username: 'dave', password: 'short', role: 'viewer' }), /at least 8/);
+  assert.throws(() => userStore.createUser({ username: 'dave', password: 'long enough', role: 'owner' }), /role must be/);
+  assert.throws(() => userStore.createUser({ username: 'BOB', password: 'long enough', role: 'viewer' }), { status: 409 });
+  assert.throws(() => userStore.deleteUser('alice'), { status: 409, message: 'cannot delete the last admin' });
+  assert.equal(userStore.deleteUser('nobody'), false);
+});
+
+test('chat sessions are only visible to their owner and admins', () => {
+  const session = chatStore.createSession('bob');
+  chatStore.createSession('erin');
+  assert.deepEqual(chatStore.listSessions({ owner: 'bob' }).map(s => s.id), [session.id]);
+  assert.equal(chatStore.canAccess(session, { username: 'bob', role: 'analyst' }), true);
+  assert.equal(chatStore.canAccess(session, { username: 'erin', role: 'analyst' }), false);
+  assert.equal(chatStore.canAccess(session, { username: 'alice', role: 'admin' }), true);
+});
+
+test('sessions from before sign-in are left to admins', () => {
+  const legacy = chatStore.createSession(null);
+  assert.equal(chatStore.canAccess(legacy, { username: 'bob', role: 'analyst' }), false);
+  assert.equal(chatStore.canAccess(legacy, { username: 'alice', role: 'admin' }), true);
+  assert.ok(!chatStore.listSessions({ owner: 'bob' }).some(s => s.id === legacy.id));
+  assert.ok(chatStore.listSessions({ owner: 'alice', unowned: true }).some(s => s.id === legacy.id));
+});
+
+// The auth routes behind a JSON parser, signed in as `user`; requests without a body leave req.body undefined
+async function authApp(user) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => { req.user = user; next(); });
+  app.use('/api/auth', authRouter);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api/auth`;
+  const post = async (path, body) => {
+    const res = await fetch(`${base}${path}`, body === undefined ? { method: 'POST' } : {
+      method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body),
+    });
+    return { status: res.status, remaining: res.headers.get('ratelimit-remaining'), body: await res.json() };
+  };
+  return { post, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('requests without credentials or fields are rejected with 400', async () => {
+  const app = await authApp({ username: 'alice', role: 'admin', via: 'token' });
+  try {
+    // more than the login burst, none of them rate limited
+    for (let i = 0; i < 6; i += 1) {
+      assert.deepEqual(await app.post('/login'), { status: 400, remaining: null, body: { error: 'username and password are required' } });
+    }
+    assert.equal((await app.post('/login', { username: 'alice' })).status, 400);
+
+    const login = await app.post('/login', { username: 'alice', password: 'correct horse' });
+    assert.equal(login.status, 200);
+    assert.equal(login.remaining, '4');
+
+    assert.deepEqual(await app.post('/users'), { status: 400, remaining: null, body: { error: 'username must be 1-64 letters, digits or . _ @ -' } });
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,90 @@
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const chatStore = require('../chatStore');
+const chatRouter = require('../routes/chat');
+
+// The chat routes as mounted in server.js, with `user` standing in for the signed-in caller
+async function chatApp(user) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => { req.user = user; next(); });
+  app.use('/api/chat', chatRouter);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api/chat`;
+  const request = async (method, path, body) => {
+    const res = await fetch(`${base}${path}`, body === undefined ? { method } : {
+      method, headers: { 'content-type': 'application/json' }, body: JSON.stringify(body),
+    });
+    const type = res.headers.get('content-type') || '';
+    return { status: res.status, headers: res.headers, body: type.includes('json') ? await res.json() : await res.text() };
+  };
+  return { request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const alice = { username: 'alice', role: 'analyst', via: 'token' };
+
+test('chat requests without a body are rejected with 400', async () => {
+  const app = await chatApp(alice);
+  try {
+    assert.deepEqual((await app.request('POST', '')).body, { answer: 'message is required', source: 'bad-request' });
+    assert.equal((await app.request('POST', '', { message: '  ' })).status, 400);
+
+    const session = chatStore.createSession('alice');
+    const res = await app.request('POST', `/sessions/${session.id}/messages`);
+    assert.deepEqual([res.status, res.body], [400, { error: 'messages must be a non-empty array of { from: "user" | "bot", text }' }]);
+    assert.deepEqual(chatStore.getSession(session.id).messages, []);
+  } finally {
+    await app.close();
+  }
+});
+
+test('a chat turn is stored in the caller\'s session', async () => {
+  const app = await chatApp(alice);
+  try {
+    const reply = await app.request('POST', '', { message: 'Transport in 2015' });
+    assert.equal(reply.status, 200);
+    assert.equal(reply.body.source, 'local');
+    const session = chatStore.getSession(reply.body.sessionId);
+    assert.equal(session.owner, 'alice');
+    assert.deepEqual(session.messages.map(m => m.from), ['user', 'bot']);
+  } finally {
+    await app.close();
+  }
+});
+
+test('transcripts download as markdown or JSON', async () => {
+  const app = await chatApp(alice);
+  try {
+    const session = chatStore.createSession('alice');
+    chatStore.addMessage(session.id, { role: 'user', text: 'Energy in 2020' });
+    const name = `chat-${session.createdAt.slice(0, 10)}-${session.id.slice(0, 8)}`;
+
+    const md = await app.request('GET', `/sessions/${session.id}/export`);
+    assert.equal(md.headers.get('content-disposition'), `attachment; filename="${name}.md"; filename*=UTF-8''${name}.md`);
+    assert.match(md.body, /^# Energy in 2020\n/);
+
+    const json = await app.request('GET', `/sessions/${session.id}/export?format=json`);
+    assert.match(json.headers.get('content-disposition'), /filename="chat-.+\.json"/);
+    assert.deepEqual(json.body.messages.map(m => m.text), ['Energy in 2020']);
+  } finally {
+    await app.close();
+  }
+});
+
+test('sessions from before sign-in are only listed for admins', async () => {
+  const legacy = chatStore.createSession(null);
+  const analyst = await chatApp(alice);
+  const admin = await chatApp({ username: 'root', role: 'admin', via: 'token' });
+  try {
+    assert.equal((await analyst.request('GET', `/sessions/${legacy.id}`)).status, 404);
+    assert.ok(!(await analyst.request('GET', '/sessions')).body.some(s => s.id === legacy.id));
+    assert.equal((await admin.request('GET', `/sessions/${legacy.id}`)).status, 200);
+    assert.ok((await admin.request('GET', '/sessions')).body.some(s => s.id === legacy.id));
+  } finally {
+    await Promise.all([analyst.close(), admin.close()]);
+  }
+});
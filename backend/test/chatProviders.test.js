@@ -0,0 +1,112 @@
+process.env.DB_PATH = ':memory:'; // seeded with the sample dataset
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const store = require('../store');
+const { parseConversion } = require('../lib/units');
+const { runTool } = require('../lib/chat/tools');
+const { createProvider } = require('../lib/chat/providers');
+const { createLlmProvider, MAX_TOOL_ROUNDS } = require('../lib/chat/providers/llm');
+const { createRulesProvider } = require('../lib/chat/providers/rules');
+
+const conversion = parseConversion();
+const rules = createRulesProvider({ store });
+const sources = { store };
+
+function ask(provider, message, extra = {}) {
+  return provider.reply({ message, history: [], previous: null, conversion, ...extra });
+}
+
+test('createProvider keeps the rule-based provider as the default', () => {
+  assert.equal(createProvider(sources, {}).name, 'rules');
+  assert.equal(createProvider(sources, { CHAT_PROVIDER: 'openai' }).name, 'rules', 'no endpoint configured');
+  assert.equal(createProvider(sources, { CHAT_PROVIDER: 'openai', LLM_BASE_URL: 'http://localhost:1/v1', LLM_MODEL: 'm' }).name, 'openai');
+  assert.equal(createProvider(sources, { CHAT_PROVIDER: 'mock' }).name, 'mock');
+});
+
+test('tools answer from the same store functions as the endpoints', () => {
+  const summary = runTool(sources, 'get_summary', { year: 2020 }, conversion);
+  assert.deepEqual(summary.summary, store.getSummary(2020));
+  assert.equal(summary.unit, 'MtCO2e');
+
+  const byYear = runTool(sources, 'get_emissions', { groupBy: 'year', sector: 'Transport', unit: 'kt' }, conversion);
+  assert.equal(byYear.unit, 'ktCO2e');
+  assert.deepEqual(byYear.rows.map(r => r.year), [2010, 2015, 2020]);
+
+  assert.match(runTool(sources, 'get_emissions', { groupBy: 'colour' }, conversion).error, /colour/);
+  assert.equal(runTool(sources, 'drop_tables', {}, conversion).error, 'unknown tool drop_tables');
+});
+
+test('mock provider calls get_summary for a named year and answers from the result', async () => {
+  const reply = await ask(createProvider(sources, { CHAT_PROVIDER: 'mock' }), 'Which sector is highest in 2020?');
+  assert.deepEqual(reply.tools, [{ name: 'get_summary', args: { year: 2020 } }]);
+  assert.equal(reply.source, 'mock-llm');
+  assert.equal(
+    reply.answer,
+    'In 2020: Energy 21 MtCO₂e, Transport 7.8 MtCO₂e, Industry 7.2 MtCO₂e, Agriculture 5.5 MtCO₂e, Buildings 4.8 MtCO₂e, Waste 1.7 MtCO₂e (total 48 MtCO₂e).',
+  );
+});
+
+test('mock provider looks up a yearly series when no year is named', async () => {
+  const reply = await ask(createProvider(sources, { CHAT_PROVIDER: 'mock' }), 'how has transport changed?');
+  assert.deepEqual(reply.tools, [{ name: 'get_emissions', args: { groupBy: 'year', sector: 'Transport' } }]);
+  assert.equal(reply.answer, 'By year: 2010 7.3 MtCO₂e, 2015 8 MtCO₂e, 2020 7.8 MtCO₂e.');
+  assert.deepEqual(reply.data.points, [{ year: 2010, Transport: 7.3 }, { year: 2015, Transport: 8 }, { year: 2020, Transport: 7.8 }]);
+  assert.deepEqual(reply.data.filters, { year: 2020, sector: 'Transport' });
+});
+
+test('LLM providers send history and tool results back to the model', async () => {
+  const requests = [];
+  const provider = createLlmProvider({
+    name: 'scripted',
+    source: 'llm',
+    store,
+    complete: async (messages, { tools }) => {
+      requests.push({ messages: [...messages], tools });
+      if (requests.length === 1) {
+        return { tool_calls: [{ id: 'a', function: { name: 'get_summary', arguments: '{"year":2015,"sector":"Waste"}' } }] };
+      }
+      return { content: 'Waste was 1.6 MtCO₂e.' };
+    },
+  });
+
+  const history = [{ from: 'user', text: 'hi' }, { from: 'bot', text: 'hello' }];
+  const reply = await ask(provider, 'waste in 2015?', { history });
+  assert.equal(reply.answer, 'Waste was 1.6 MtCO₂e.');
+  assert.deepEqual(requests[0].messages.slice(1).map(m => m.role), ['user', 'assistant', 'user']);
+  const toolMessage = requests[1].messages.find(m => m.role === 'tool');
+  assert.equal(toolMessage.tool_call_id, 'a');
+  assert.deepEqual(JSON.parse(toolMessage.content).summary, { Waste: 1.6 });
+});
+
+test('LLM providers stop offering tools after the last round', async () => {
+  let calls = 0;
+  const provider = createLlmProvider({
+    name: 'looping',
+    source: 'llm',
+    store,
+    complete: async (messages, { tools }) => {
+      calls += 1;
+      if (!tools) return { content: 'done' };
+      return { tool_calls: [{ id: `c${calls}`, function: { name: 'get_meta', arguments: '{}' } }] };
+    },
+  });
+  const reply = await ask(provider, 'loop');
+  assert.equal(reply.answer, 'done');
+  assert.equal(reply.tools.length, MAX_TOOL_ROUNDS);
+});
+
+test('LLM providers fall back to the rule-based answers when the endpoint fails', async () => {
+  const provider = createLlmProvider({
+    name: 'down',
+    source: 'llm',
+    store,
+    fallback: rules,
+    complete: async () => {
+      throw new Error('connect ECONNREFUSED');
+    },
+  });
+  const reply = await ask(provider, 'Transport in 2015');
+  assert.equal(reply.source, 'local');
+  assert.equal(reply.answer, 'Transport emitted 8 MtCO₂e in 2015.');
+});
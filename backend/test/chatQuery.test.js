@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sampleEmissions = require('../data/sampleEmissions');
+const { parseQuery } = require('../lib/chat/parseQuery');
+const { resolveQuery } = require('../lib/chat/context');
+const { toDataset, answerQuery } = require('../lib/chat/localAnswers');
+
+const SECTORS = ['Agriculture', 'Buildings', 'Energy', 'Industry', 'Transport', 'Waste'];
+const dataset = toDataset(sampleEmissions);
+
+function ask(question) {
+  const query = parseQuery(question, { sectors: SECTORS });
+  return query && answerQuery(query, dataset, { unit: 'MtCO2e' });
+}
+
+// Plays a conversation the way the rule-based provider does and returns the last answer
+function converse(messages) {
+  let previous = null;
+  let answer = null;
+  for (const message of messages) {
+    const query = resolveQuery(message, parseQuery(message, { sectors: SECTORS }), previous, { sectors: SECTORS });
+    const result = query && answerQuery(query, dataset, { unit: 'MtCO2e' });
+    answer = result ? result.answer : null;
+    if (result) previous = { query, focus: result.focus };
+  }
+  return answer;
+}
+
+const PARSE_CASES = [
+  ['Which sector is highest in 2020?', { intent: 'highest', sectors: [], years: [2020] }],
+  ['lowest sector in 2015', { intent: 'lowest', sectors: [], years: [2015] }],
+  ['compare Transport 2010 vs 2020', { intent: 'compare', sectors: ['Transport'], years: [2010, 2020] }],
+  ['compare energy and transport', { intent: 'compare', sectors: ['Energy', 'Transport'], years: [] }],
+  ['how much did Industry grow?', { intent: 'change', sectors: ['Industry'], years: [] }],
+  ['share of Energy in 2020', { intent: 'share', sectors: ['Energy'], years: [2020], metric: 'percent' }],
+  ['what percentage of emissions came from transportation in 2010?', { intent: 'share', sectors: ['Transport'], years: [2010] }],
+  ['total emissions 2015', { intent: 'total', sectors: [], years: [2015] }],
+  ['Transport in 2015', { intent: 'value', sectors: ['Transport'], years: [2015] }],
+  ['how did emissions change since 2015', { intent: 'change', years: [2015], since: true }],
+  ['breakdown for 2010', { intent: 'breakdown', years: [2010] }],
+  ['how much did waste increase in percent between 2010 and 2015', { intent: 'change', sectors: ['Waste'], metric: 'percent' }],
+  ['show Transport in 2015 on the dashboard', { intent: 'filter', sectors: ['Transport'], years: [2015] }],
+  ['filter by energy', { intent: 'filter', sectors: ['Energy'], years: [] }],
+  ['switch to 2010', { intent: 'filter', years: [2010] }],
+];
+
+const NOT_DATA_QUESTIONS = [
+  'hello',
+  'what causes transport emissions?',
+  'Global CO2 emissions 2023',
+  'India CO2 emissions latest',
+];
+
+const ANSWER_CASES = [
+  [
+    'Which sector is highest in 2020?',
+    'In 2020, the highest emitting sector in this dashboard is Energy with 21 MtCO₂e. Full breakdown: Energy: 21 MtCO₂e; Transport: 7.8 MtCO₂e; Industry: 7.2 MtCO₂e; Agriculture: 5.5 MtCO₂e; Buildings: 4.8 MtCO₂e; Waste: 1.7 MtCO₂e.',
+  ],
+  [
+    'lowest sector in 2015',
+    'In 2015, the lowest emitting sector in this dashboard is Waste with 1.6 MtCO₂e. Full breakdown: Energy: 22 MtCO₂e; Transport: 8 MtCO₂e; Industry: 6.8 MtCO₂e; Agriculture: 5.3 MtCO₂e; Buildings: 4.5 MtCO₂e; Waste: 1.6 MtCO₂e.',
+  ],
+  ['compare Transport 2010 vs 2020', 'Transport grew from 7.3 MtCO₂e in 2010 to 7.8 MtCO₂e in 2020 (+0.5 MtCO₂e, +6.8%).'],
+  ['compare energy and transport', 'In 2020: Energy 21 MtCO₂e vs Transport 7.8 MtCO₂e. Energy is higher than Transport by 13.2 MtCO₂e (2.69×).'],
+  ['how much did Industry grow?', 'Industry grew from 6.1 MtCO₂e in 2010 to 7.2 MtCO₂e in 2020 (+1.1 MtCO₂e, +18.0%).'],
+  ['share of Energy in 2020', 'In 2020, Energy accounted for 43.8% of total emissions (21 MtCO₂e of 48 MtCO₂e).'],
+  ['total emissions 2015', 'Total emissions in 2015 were 48.2 MtCO₂e.'],
+  ['Transport in 2015', 'Transport emitted 8 MtCO₂e in 2015.'],
+  ['how did emissions change since 2015', 'Total emissions fell from 48.2 MtCO₂e in 2015 to 48 MtCO₂e in 2020 (-0.2 MtCO₂e, -0.4%).'],
+  ['how much did waste increase in percent between 2010 and 2015', 'Waste grew by 14.3% between 2010 and 2015 (1.4 MtCO₂e to 1.6 MtCO₂e).'],
+  ['did Energy drop between 2015 and 2020?', 'Energy fell from 22 MtCO₂e in 2015 to 21 MtCO₂e in 2020 (-1 MtCO₂e, -4.5%).'],
+  ['compare 2010 vs 2020', 'Total emissions grew from 44.5 MtCO₂e in 2010 to 48 MtCO₂e in 2020 (+3.5 MtCO₂e, +7.9%).'],
+  ['highest sector in 2012', 'In this dashboard, there is no data available for year 2012.'],
+];
+
+// The payload drawn in the chat bubble: its type, what "apply to dashboard" sets, and its data
+const PAYLOAD_CASES = [
+  ['Which sector is highest in 2020?', { type: 'table', filters: { year: 2020, sector: 'Energy' } }, d => d.rows[1], { label: 'Transport', value: 7.8 }],
+  ['breakdown for 2010', { type: 'table', filters: { year: 2010, sector: null } }, d => d.rows[0], { label: 'Energy', value: 20.5, share: 46.1 }],
+  ['Transport in 2015', { type: 'series', keys: ['Transport'] }, d => d.points.map(p => p.Transport), [7.3, 8, 7.8]],
+  ['how did emissions change since 2015', { type: 'series', keys: ['Total emissions'] }, d => d.points.map(p => p.year), [2015, 2020]],
+  ['compare energy and transport', { type: 'comparison', filters: { year: 2020, sector: null } }, d => d.items.map(i => i.label), ['Energy', 'Transport']],
+  ['compare Transport 2010 vs 2020', { type: 'comparison', filters: { year: 2020, sector: 'Transport' } }, d => d.items, [{ label: '2010', value: 7.3 }, { label: '2020', value: 7.8 }]],
+  ['show Transport in 2015 on the dashboard', { type: 'set-filters', filters: { year: 2015, sector: 'Transport' } }, d => Object.keys(d), ['type', 'filters']],
+  ['switch to 2010', { type: 'set-filters', filters: { year: 2010 } }, d => d.filters.sector, undefined],
+];
+
+const CONVERSATIONS = [
+  [['Transport in 2015', 'and in 2020?'], 'Transport emitted 7.8 MtCO₂e in 2020.'],
+  [['Which sector is highest in 2020?', 'how did it change since 2010?'], 'Energy grew from 20.5 MtCO₂e in 2010 to 21 MtCO₂e in 2020 (+0.5 MtCO₂e, +2.4%).'],
+  [['share of Energy in 2020', 'what about Transport?'], 'In 2020, Transport accounted for 16.3% of total emissions (7.8 MtCO₂e of 48 MtCO₂e).'],
+  [['total emissions 2015', '2010'], 'Total emissions in 2010 were 44.5 MtCO₂e.'],
+  [['Transport in 2015', 'what is the capital of France?'], null],
+];
+
+test('parseQuery extracts intent, sectors, years and metric', async t => {
+  for (const [question, expected] of PARSE_CASES) {
+    await t.test(question, () => {
+      const query = parseQuery(question, { sectors: SECTORS });
+      assert.ok(query, 'expected a data query');
+      Object.keys(expected).forEach(key => assert.deepEqual(query[key], expected[key], key));
+    });
+  }
+});
+
+test('parseQuery leaves general questions to the fallback answers', async t => {
+  for (const question of NOT_DATA_QUESTIONS) {
+    await t.test(question, () => assert.equal(parseQuery(question, { sectors: SECTORS }), null));
+  }
+});
+
+test('answerQuery computes answers from the dataset', async t => {
+  for (const [question, expected] of ANSWER_CASES) {
+    await t.test(question, () => assert.equal(ask(question).answer, expected));
+  }
+});
+
+test('answers label values with the unit the dataset was converted to', () => {
+  const kt = toDataset(sampleEmissions.map(r => ({ ...r, value: r.value * 1000 })));
+  const query = parseQuery('Transport in 2015', { sectors: SECTORS });
+  assert.equal(answerQuery(query, kt, { unit: 'ktCO2e' }).answer, 'Transport emitted 8,000 ktCO₂e in 2015.');
+});
+
+test('follow-ups reuse the sectors, years and intent of the previous turn', async t => {
+  for (const [messages, expected] of CONVERSATIONS) {
+    await t.test(messages.join(' / '), () => assert.equal(converse(messages), expected));
+  }
+});
+
+test('answers carry a structured payload for the chat panel', async t => {
+  for (const [question, expected, pick, picked] of PAYLOAD_CASES) {
+    await t.test(question, () => {
+      const { data } = ask(question);
+      Object.keys(expected).forEach(key => assert.deepEqual(data[key], expected[key], key));
+      assert.deepEqual(pick(data), picked);
+    });
+  }
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateHeaderValue } = require('node:http');
+const { contentDisposition } = require('../lib/contentDisposition');
+
+// [type, file name, expected header]
+const CASES = [
+  ['attachment', 'emissions_2020.csv', `attachment; filename="emissions_2020.csv"; filename*=UTF-8''emissions_2020.csv`],
+  ['inline', 'Émissions_2023.pdf', `inline; filename="Emissions_2023.pdf"; filename*=UTF-8''%C3%89missions_2023.pdf`],
+  ['inline', '排放报告.pdf', `inline; filename="____.pdf"; filename*=UTF-8''%E6%8E%92%E6%94%BE%E6%8A%A5%E5%91%8A.pdf`],
+  ['inline', `say "hi" (draft)'s.md`, `inline; filename="say _hi_ (draft)'s.md"; filename*=UTF-8''say%20%22hi%22%20%28draft%29%27s.md`],
+  ['inline', 'a\r\nb.txt', `inline; filename="a__b.txt"; filename*=UTF-8''a%0D%0Ab.txt`],
+];
+
+test('file names become a valid Content-Disposition header', async t => {
+  for (const [type, name, expected] of CASES) {
+    await t.test(name, () => {
+      const header = contentDisposition(type, name);
+      assert.equal(header, expected);
+      assert.doesNotThrow(() => validateHeaderValue('Content-Disposition', header));
+    });
+  }
+});
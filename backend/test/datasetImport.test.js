@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sampleRows = require('../data/sampleEmissions');
+const { ImportError, parseCsv, parseJson, validateRecords } = require('../lib/datasetImport');
+
+const records = rows => rows.map((record, i) => ({ line: i + 2, record: { unit: 'MtCO2e', ...record } }));
+const messages = result => result.errors.map(e => `${e.line}: ${e.message}`);
+
+// [name, incoming rows, expected errors] appended on top of the sample data
+const OVERLAP_CASES = [
+  ['sector total next to its sub-sectors', [{ year: 2020, sector: 'Energy', value: 21 }],
+    ['2: Energy, 2020, Global, GHG overlaps Energy / Electricity & heat, 2020, Global, GHG in the current dataset; use either the total or its parts']],
+  ['one gas of a sector split by sub-sector', [{ year: 2020, sector: 'Transport', gas: 'CO2', value: 5 }],
+    ['2: Transport, 2020, Global, CO2 overlaps Transport / Road, 2020, Global, GHG in the current dataset; use either the total or its parts']],
+  ['all gases of a sector split by gas', [{ year: 2015, sector: 'Agriculture', subSector: 'Livestock', value: 3 }],
+    ['2: Agriculture / Livestock, 2015, Global, GHG overlaps Agriculture, 2015, Global, CH4 in the current dataset; use either the total or its parts']],
+  ['one country of a global sector', [{ year: 2020, sector: 'Waste', region: 'EU', value: 0.4 }],
+    ['2: Waste, 2020, EU, GHG overlaps Waste, 2020, Global, GHG in the current dataset; use either the total or its parts']],
+  ['another gas of a sector split by gas', [{ year: 2015, sector: 'Agriculture', gas: 'F-gases', value: 0.1 }], []],
+  ['another year', [{ year: 2025, sector: 'Energy', value: 20 }], []],
+];
+
+test('append rejects rows that overlap the current data at another granularity', async t => {
+  for (const [name, rows, expected] of OVERLAP_CASES) {
+    await t.test(name, () => {
+      const result = validateRecords(records(rows), { existingRows: sampleRows, mode: 'append' });
+      assert.deepEqual(messages(result), expected);
+    });
+  }
+});
+
+test('a file may not hold a total and its parts', () => {
+  const result = validateRecords(records([
+    { year: 2020, sector: 'Energy', subSector: 'Electricity & heat', value: 15 },
+    { year: 2020, sector: 'Energy', subSector: 'Fugitive emissions', value: 2 },
+    { year: 2020, sector: 'Energy', value: 17 },
+  ]));
+  assert.deepEqual(messages(result), [
+    '4: Energy, 2020, Global, GHG overlaps line 2 (Energy / Electricity & heat, 2020, Global, GHG); use either the total or its parts',
+  ]);
+  assert.equal(result.rows.length, 2);
+});
+
+test('a file may hold several countries but not their world total', () => {
+  const result = validateRecords(records([
+    { year: 2020, sector: 'Energy', region: 'EU', value: 3 },
+    { year: 2020, sector: 'Energy', region: 'US', value: 5 },
+    { year: 2020, sector: 'Energy', region: 'World', value: 8 },
+  ]));
+  assert.deepEqual(messages(result), [
+    '4: Energy, 2020, Global, GHG overlaps line 2 (Energy, 2020, EU, GHG); use either the total or its parts',
+  ]);
+  assert.deepEqual(result.rows.map(r => r.region), ['EU', 'US']);
+});
+
+test('the sample data has no overlapping rows', () => {
+  assert.deepEqual(validateRecords(records(sampleRows)).errors, []);
+});
+
+// [name, record, expected errors as 'field: message']
+const RECORD_CASES = [
+  ['missing fields', { year: 2020 }, ['sector: sector is required', 'value: value is required', 'unit: unit is required']],
+  ['year out of range', { year: 1850, sector: 'Energy', value: 1, unit: 'MtCO2e' }, ['year: year must be a whole number between 1900 and 2100']],
+  ['value not a number', { year: 2020, sector: 'Energy', value: 'lots', unit: 'MtCO2e' }, ['value: value "lots" is not a number']],
+  ['unknown gas', { year: 2020, sector: 'Energy', value: 1, unit: 'MtCO2e', gas: 'SF7' }, ['gas: unknown gas "SF7" (expected one of CO2, CH4, N2O, F-gases, GHG)']],
+  ['unsupported unit', { year: 2020, sector: 'Energy', value: 1, unit: 'lbs' }, ['unit: unsupported unit "lbs" (expected tCO2e, ktCO2e, MtCO2e, GtCO2e or t, kt, Mt, Gt of a single gas)']],
+  ['mass unit of a basket', { year: 2020, sector: 'Energy', value: 1, unit: 'kt' }, ['unit: GHG values must be given in a CO2e unit, not "kt"']],
+];
+
+test('invalid records are reported per line and field', async t => {
+  for (const [name, record, expected] of RECORD_CASES) {
+    await t.test(name, () => {
+      const result = validateRecords([{ line: 7, record }]);
+      assert.deepEqual(result.errors.map(e => `${e.field}: ${e.message}`), expected);
+      assert.ok(result.errors.every(e => e.line === 7));
+      assert.deepEqual(result.rows, []);
+    });
+  }
+});
+
+test('records are normalized into rows with default dimensions', () => {
+  const { rows, errors } = validateRecords([{ line: 2, record: { year: '2020', sector: ' Energy ', value: '2.5', unit: 'Mt CO₂e', gas: 'ch4', region: 'world' } }]);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rows, [{ year: 2020, sector: 'Energy', subSector: '', region: 'Global', gas: 'CH4', value: 2.5, unit: 'MtCO2e' }]);
+});
+
+test('duplicates within a file point at the first line', () => {
+  const result = validateRecords(records([
+    { year: 2020, sector: 'Waste', value: 1.2 },
+    { year: 2020, sector: 'Waste', region: 'Global', gas: 'ghg', value: 1.3 },
+  ]));
+  assert.deepEqual(messages(result), ['3: duplicate of line 2 (Waste, 2020, Global, GHG)']);
+  assert.equal(result.total, 2);
+});
+
+test('existing rows only count as duplicates when appending', () => {
+  const incoming = records([{ year: 2020, sector: 'Waste', value: 1.6 }, { year: 2025, sector: 'Waste', value: 1.7 }]);
+  const replace = validateRecords(incoming, { existingRows: sampleRows, mode: 'replace' });
+  assert.deepEqual(replace.errors, []);
+  assert.equal(replace.rows.length, 2);
+
+  const append = validateRecords(incoming, { existingRows: sampleRows, mode: 'append' });
+  assert.deepEqual(messages(append), ['2: Waste, 2020, Global, GHG already exists in the current dataset']);
+  assert.deepEqual(append.rows.map(r => r.year), [2025]);
+});
+
+test('parseCsv maps header aliases and keeps file lines', () => {
+  const parsed = parseCsv('Year,Sector,Sub-Sector,Country,Value,Unit\n2020,Energy,Road,EU,1.5,MtCO2e\n\n2021,Energy,,EU,2,MtCO2e\n');
+  assert.deepEqual(parsed.map(p => p.line), [2, 4]);
+  assert.deepEqual(parsed[0].record, { year: '2020', sector: 'Energy', subSector: 'Road', region: 'EU', value: '1.5', unit: 'MtCO2e' });
+  assert.throws(() => parseCsv('year,sector\n"2020,Energy'), err => err instanceof ImportError && err.errors.length === 1);
+});
+
+test('parseJson accepts an array or { rows }', () => {
+  assert.deepEqual(parseJson('[{"year":2020}]'), [{ line: 1, record: { year: 2020 } }]);
+  assert.deepEqual(parseJson({ rows: [null] }), [{ line: 1, record: {} }]);
+  assert.throws(() => parseJson({ data: [] }), { message: 'JSON body must be an array of rows or { rows: [...] }' });
+  assert.throws(() => parseJson('{nope'), { message: 'Could not parse JSON' });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isYear, normalizeGas, normalizeRegion, parseFilters, parseGroupBy } = require('../lib/dimensions');
+
+// [query, expected filters]
+const FILTER_CASES = [
+  [{}, {}],
+  [{ sector: 'Energy,Transport' }, { sector: ['Energy', 'Transport'] }],
+  [{ sector: ['Energy', ' Waste '] }, { sector: ['Energy', 'Waste'] }],
+  [{ sector: 'All', region: '' }, {}],
+  [{ year: '2010,x,2020.5,2020' }, { year: [2010, 2020] }],
+  [{ year: 'x' }, {}],
+  [{ gas: 'co₂,ghg,SF7' }, { gas: ['CO2', 'GHG', 'SF7'] }],
+  [{ subSector: 'Road,Unspecified' }, { subSector: ['Road', ''] }],
+  [{ region: 'World,EU' }, { region: ['Global', 'EU'] }],
+  [{ unit: 'kt', colour: 'red' }, {}],
+];
+
+test('parseFilters reads comma lists per dimension', async t => {
+  for (const [query, expected] of FILTER_CASES) {
+    await t.test(JSON.stringify(query), () => assert.deepEqual(parseFilters(query), expected));
+  }
+});
+
+test('parseGroupBy keeps the order given and rejects unknown dimensions', () => {
+  assert.deepEqual(parseGroupBy('year, gas'), ['year', 'gas']);
+  assert.deepEqual(parseGroupBy(undefined, ['sector']), ['sector']);
+  assert.deepEqual(parseGroupBy(''), []);
+  assert.throws(() => parseGroupBy('year,colour,size'), {
+    status: 400,
+    message: 'unknown groupBy dimension: colour, size (use year, sector, subSector, region, gas)',
+  });
+});
+
+test('gas and region names are normalized', () => {
+  assert.equal(normalizeGas(' N₂O '), 'N2O');
+  assert.equal(normalizeGas('all'), 'GHG');
+  assert.equal(normalizeGas('water vapour'), null);
+  assert.equal(normalizeRegion('WORLD'), 'Global');
+  assert.equal(normalizeRegion(' EU '), 'EU');
+  assert.equal(normalizeRegion(undefined), '');
+});
+
+test('isYear accepts whole years in the supported range', () => {
+  assert.deepEqual([1900, 2100, 1899, 2101, 2020.5, NaN].map(isYear), [true, true, false, false, false, false]);
+});
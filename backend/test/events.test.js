@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { EventsError, formatEvent, createEventHub } = require('../lib/events');
+
+const FIXED_NOW = () => new Date('2025-01-01T00:00:00Z');
+
+// Just enough of a request / response pair for the hub: headers, writes and a close event
+function fakeStream() {
+  const req = new EventEmitter();
+  const res = {
+    status: null,
+    headers: null,
+    chunks: [],
+    ended: false,
+    writeHead(status, headers) { this.status = status; this.headers = headers; },
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.ended = true; },
+  };
+  return { req, res };
+}
+
+// The event frames a client received, parsed back into { id, type, data }
+function receivedEvents(res) {
+  return res.chunks.join('').split('\n\n').filter(f => f.includes('data: ')).map(frame => {
+    const fields = {};
+    frame.split('\n').forEach(line => {
+      const [name, ...rest] = line.split(': ');
+      fields[name] = rest.join(': ');
+    });
+    return { id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+const FORMAT_CASES = [
+  [{ id: 3, type: 'dataset-changed', data: { version: 2 } }, 'id: 3\nevent: dataset-changed\ndata: {"version":2}\n\n'],
+  [{ type: 'ready', data: { revision: 'a|b' } }, 'event: ready\ndata: {"revision":"a|b"}\n\n'],
+  [{ id: 0, data: undefined }, 'id: 0\ndata: null\n\n'],
+];
+
+test('formatEvent writes one SSE frame per event', async t => {
+  for (const [event, expected] of FORMAT_CASES) {
+    await t.test(JSON.stringify(event), () => assert.equal(formatEvent(event), expected));
+  }
+});
+
+test('connect opens an event stream and sends the ready event first', () => {
+  const hub = createEventHub({ heartbeatMs: 0, now: FIXED_NOW });
+  const { req, res } = fakeStream();
+  hub.connect(req, res, { type: 'ready', data: { revision: 'r1' } });
+  assert.equal(res.status, 200);
+  assert.match(res.headers['Content-Type'], /^text\/event-stream/);
+  assert.equal(res.chunks[0], 'retry: 3000\n\n');
+  assert.deepEqual(receivedEvents(res), [{ id: 0, type: 'ready', data: { revision: 'r1' } }]);
+  assert.equal(hub.clientCount(), 1);
+  hub.close();
+  assert.equal(res.ended, true);
+});
+
+test('publish reaches every open stream with increasing ids', () => {
+  const hub = createEventHub({ heartbeatMs: 0, now: FIXED_NOW });
+  const a = fakeStream();
+  const b = fakeStream();
+  hub.connect(a.req, a.res);
+  hub.connect(b.req, b.res);
+  hub.publish('dataset-changed', { version: 4 });
+  hub.publish('meta-changed', { years: [2020] });
+  const expected = [
+    { id: 1, type: 'dataset-changed', data: { version: 4, at: '2025-01-01T00:00:00.000Z' } },
+    { id: 2, type: 'meta-changed', data: { years: [2020], at: '2025-01-01T00:00:00.000Z' } },
+  ];
+  assert.deepEqual(receivedEvents(a.res), expected);
+  assert.deepEqual(receivedEvents(b.res), expected);
+  hub.close();
+});
+
+test('closed connections stop receiving events', () => {
+  const hub = createEventHub({ heartbeatMs: 0, now: FIXED_NOW });
+  const a = fakeStream();
+  const b = fakeStream();
+  hub.connect(a.req, a.res);
+  hub.connect(b.req, b.res);
+  a.req.emit('close');
+  assert.equal(hub.clientCount(), 1);
+  hub.publish('targets-changed', { action: 'created', id: 1 });
+  assert.equal(receivedEvents(a.res).length, 0);
+  assert.equal(receivedEvents(b.res).length, 1);
+  hub.close();
+});
+
+test('a stream whose socket fails to write is dropped', () => {
+  const hub = createEventHub({ heartbeatMs: 0 });
+  const { req, res } = fakeStream();
+  hub.connect(req, res);
+  res.write = () => { throw new Error('socket hang up'); };
+  hub.publish('dataset-changed', {});
+  assert.equal(hub.clientCount(), 0);
+});
+
+test('connections beyond maxClients are refused', () => {
+  const hub = createEventHub({ heartbeatMs: 0, maxClients: 1 });
+  const a = fakeStream();
+  const b = fakeStream();
+  hub.connect(a.req, a.res);
+  assert.throws(() => hub.connect(b.req, b.res), err => err instanceof EventsError && err.status === 503);
+  assert.equal(b.res.status, null);
+  hub.close();
+});
+
+test('idle streams get heartbeat comments', async () => {
+  const hub = createEventHub({ heartbeatMs: 10 });
+  const { req, res } = fakeStream();
+  hub.connect(req, res);
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.ok(res.chunks.filter(c => c === ': ping\n\n').length >= 1);
+  req.emit('close');
+  assert.equal(hub.clientCount(), 0);
+});
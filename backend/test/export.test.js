@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { PDFParse } = require('pdf-parse');
+const sampleEmissions = require('../data/sampleEmissions');
+const {
+  parseFormat, columnsFor, exportFilename, buildReport, toCsv, toXlsx, toPdf,
+} = require('../lib/export');
+
+// Per year and sector, the shape store.aggregate(filters, ['year', 'sector']) returns
+const bySector = Object.values(sampleEmissions.reduce((acc, r) => {
+  const key = `${r.year}|${r.sector}`;
+  acc[key] = acc[key] || { year: r.year, sector: r.sector, value: 0 };
+  acc[key].value += r.value;
+  return acc;
+}, {}));
+
+test('parseFormat accepts the four formats and defaults to csv', () => {
+  assert.equal(parseFormat(undefined), 'csv');
+  assert.equal(parseFormat('XLSX'), 'xlsx');
+  assert.throws(() => parseFormat('docx'), { status: 400, message: 'format must be one of csv, xlsx, json, pdf' });
+});
+
+test('columns put the dimensions first and keep extra keys', () => {
+  assert.deepEqual(columnsFor([{ value: 1, sector: 'Energy', year: 2020, note: 'x' }]), ['year', 'sector', 'value', 'note']);
+});
+
+const FILENAME_CASES = [
+  [{}, 'csv', 'emissions_all-years.csv'],
+  [{ year: [2020] }, 'pdf', 'emissions_2020.pdf'],
+  [{ year: [2010, 2020], sector: ['Energy', 'Land use & forestry'] }, 'xlsx', 'emissions_2010-2020_Energy_Land-use-forestry.xlsx'],
+  [{ sector: ['Waste'], version: 3 }, 'json', 'emissions_all-years_Waste_v3.json'],
+];
+
+test('export file names describe the filters', async t => {
+  for (const [filters, format, expected] of FILENAME_CASES) {
+    await t.test(expected, () => assert.equal(exportFilename(filters, format), expected));
+  }
+});
+
+test('CSV quotes only the fields that need it', () => {
+  const csv = toCsv([{ sector: 'Energy', note: 'a, "b"', value: 1.5 }, { sector: 'Waste', note: null, value: 0 }], ['sector', 'note', 'value']);
+  assert.equal(csv, 'sector,note,value\r\nEnergy,"a, ""b""",1.5\r\nWaste,,0\r\n');
+});
+
+test('the report has yearly totals and KPIs for the chosen year', () => {
+  const report = buildReport(bySector, { year: 2015 });
+  assert.deepEqual(report.totals.map(t => t.year), [2010, 2015, 2020]);
+  assert.equal(report.year, 2015);
+  assert.equal(report.compareYear, 2010);
+  assert.equal(report.sectors[0].sector, 'Energy');
+  assert.equal(buildReport(bySector).year, 2020);
+  assert.equal(buildReport([]).year, null);
+});
+
+test('XLSX has a data sheet with the rows and an about sheet', async () => {
+  const rows = bySector.filter(r => r.year === 2020);
+  const buffer = await toXlsx(rows, ['year', 'sector', 'value'], { Unit: 'MtCO2e' });
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const data = workbook.getWorksheet('Data');
+  assert.deepEqual(data.getRow(1).values.slice(1), ['Year', 'Sector', 'Value']);
+  assert.equal(data.rowCount, rows.length + 1);
+  assert.deepEqual(workbook.getWorksheet('About').getRow(1).values.slice(1), ['Unit', 'MtCO2e']);
+});
+
+test('the PDF report prints the KPIs and sector table', async () => {
+  const buffer = await toPdf(buildReport(bySector, { year: 2020 }), { Sectors: 'All', Unit: 'MtCO2e' }, 'MtCO2e');
+  assert.equal(buffer.subarray(0, 5).toString(), '%PDF-');
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+  try {
+    const { text } = await parser.getText();
+    ['Emissions report', 'Total 2020', '48 MtCO2e', 'Change vs 2015', 'Sector breakdown', 'Energy'].forEach(s => assert.ok(text.includes(s), s));
+  } finally {
+    await parser.destroy();
+  }
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fit, project } = require('../lib/forecast');
+
+const series = (start, values) => values.map((value, i) => ({ year: start + i, value }));
+// residuals -0.4, 0.8, -1, 1.2, -0.6 around 3 + 0.8 * (year - 2012)
+const NOISY = series(2010, [1, 3, 2, 5, 4]);
+
+// [level, year, expected prediction]; margins are t(df 3) * s * sqrt(1 + 1/n + (x - mean)² / sxx)
+const BAND_CASES = [
+  [95, 2015, { value: 5.4, lower: 0.348732, upper: 10.451268 }],
+  [80, 2015, { value: 5.4, lower: 2.799756, upper: 8.000244 }],
+  [95, 2012, { value: 3, lower: -0.8184, upper: 6.8184 }],
+];
+
+test('linear fit is ordinary least squares', () => {
+  const model = fit(NOISY);
+  assert.deepEqual([model.method, model.level, model.slope, model.r2], ['linear', 95, 0.8, 0.64]);
+});
+
+test('prediction bands widen with the level and away from the data', async t => {
+  for (const [level, year, expected] of BAND_CASES) {
+    await t.test(`${level}% in ${year}`, () => assert.deepEqual(fit(NOISY, { level }).predict(year), expected));
+  }
+});
+
+test('a perfect fit has no spread and two points have no band', () => {
+  assert.deepEqual(fit(series(2010, [30, 28, 26])).predict(2013), { value: 24, lower: 24, upper: 24 });
+  assert.deepEqual(fit(series(2010, [30, 28])).predict(2013), { value: 24, lower: null, upper: null });
+});
+
+test('exponential fits report the growth rate in percent', () => {
+  const model = fit(series(2000, [1, 2, 4]), { method: 'exponential' });
+  assert.equal(model.slope, 100);
+  assert.deepEqual(model.predict(2003), { value: 8, lower: 8, upper: 8 });
+});
+
+test('fit rejects what it cannot model', () => {
+  assert.throws(() => fit(series(2010, [5])), { message: 'at least two years of data are needed for a projection' });
+  assert.throws(() => fit(series(2010, [5, 0]), { method: 'exponential' }), { message: 'exponential projection needs positive values in every year' });
+  assert.throws(() => fit(NOISY, { method: 'quadratic' }), { message: 'unknown method "quadratic" (use linear, exponential)' });
+  assert.throws(() => fit(NOISY, { level: 90 }), { message: 'unsupported level 90 (use 80 or 95)' });
+});
+
+test('project predicts every year after the data up to until', () => {
+  const { projection } = project(NOISY, 2017);
+  assert.deepEqual(projection.map(p => [p.year, p.value]), [[2015, 5.4], [2016, 6.2], [2017, 7]]);
+  assert.deepEqual(project(NOISY, 2014).projection, []);
+});
@@ -0,0 +1,158 @@
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const kbStore = require('../kbStore');
+const kbRouter = require('../routes/kb');
+const store = require('../store');
+const { chunkPages, titleOf, MAX_CHUNK_CHARS } = require('../lib/kb/chunk');
+const { ingestBuffer } = require('../lib/kb/ingest');
+const { searchTerms, toMatchExpression, quote } = require('../lib/kb/query');
+const { createRulesProvider } = require('../lib/chat/providers/rules');
+const { parseConversion } = require('../lib/units');
+const { runTool, toCitations } = require('../lib/chat/tools');
+
+const NOTES = `# Methane notes
+
+Intro paragraph about this file.
+
+## Livestock
+
+Enteric fermentation in cattle releases methane. Manure management adds more.
+
+## Rice
+
+Flooded rice paddies emit methane because the soil runs out of oxygen.
+`;
+
+// Smallest valid PDF with one line of text per page
+function pdfWith(pageTexts) {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>'];
+  const kids = pageTexts.map((_, i) => `${3 + i * 2} 0 R`).join(' ');
+  objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pageTexts.length} >>`);
+  const font = 3 + pageTexts.length * 2;
+  pageTexts.forEach((text, i) => {
+    const stream = `BT /F1 12 Tf 20 100 Td (${text}) Tj ET`;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 400 144] /Contents ${4 + i * 2} 0 R /Resources << /Font << /F1 ${font} 0 R >> >> >>`);
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(o => { out += `${String(o).padStart(10, '0')} 00000 n \n`; });
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+test('markdown is chunked by heading and long paragraphs are split on sentences', () => {
+  const pages = [{ page: null, text: NOTES }];
+  const chunks = chunkPages(pages, { type: 'markdown' });
+  assert.deepEqual(chunks.map(c => c.heading), ['Methane notes', 'Livestock', 'Rice']);
+  assert.equal(chunks[1].text, 'Enteric fermentation in cattle releases methane. Manure management adds more.');
+  assert.equal(titleOf(pages, 'notes/methane.md', 'markdown'), 'Methane notes');
+  assert.equal(titleOf([{ page: null, text: 'x' }], 'notes/rice_paddies.txt', 'text'), 'rice paddies');
+
+  const long = Array.from({ length: 40 }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+  const split = chunkPages([{ page: null, text: long }], { type: 'text' });
+  assert.ok(split.length > 1);
+  split.forEach(c => assert.ok(c.text.length <= MAX_CHUNK_CHARS));
+  assert.ok(split.every(c => c.text.endsWith('.')));
+});
+
+test('questions become quoted FTS terms without stop words', () => {
+  assert.deepEqual(searchTerms('What does GWP mean for CH4?'), ['gwp', 'ch4']);
+  assert.equal(toMatchExpression(['rice', 'say "hi"']), '"rice" OR "say ""hi"""');
+  const text = 'First sentence. Rice paddies emit methane. Third sentence is long enough to be cut off here.';
+  assert.equal(quote(text, ['rice'], 45), '…Rice paddies emit methane.…');
+});
+
+test('ingested documents are ranked with BM25 and re-ingesting replaces them', async () => {
+  const doc = await ingestBuffer(kbStore, 'methane.md', Buffer.from(NOTES));
+  assert.equal(doc.chunkCount, 3);
+  assert.equal(kbStore.isCurrent('methane.md', Buffer.from(NOTES)), true);
+
+  const { results } = kbStore.search('why do rice paddies emit methane');
+  assert.equal(results[0].heading, 'Rice');
+  assert.equal(results[0].link, `/api/kb/documents/${doc.id}/file`);
+  assert.deepEqual(results.map(r => r.score), results.map(r => r.score).sort((a, b) => a - b), 'best (lowest) BM25 first');
+
+  const edited = await ingestBuffer(kbStore, 'methane.md', Buffer.from('# Methane notes\n\nOnly wetlands now.'));
+  assert.equal(kbStore.listDocuments().length, 1);
+  assert.equal(kbStore.getDocument(doc.id), null);
+  assert.equal(kbStore.search('rice').results.length, 0);
+  assert.equal(kbStore.search('wetlands').results[0].documentId, edited.id);
+
+  await assert.rejects(ingestBuffer(kbStore, 'table.xlsx', Buffer.from('x')), { status: 415 });
+});
+
+test('PDF passages keep their page number for citations', async () => {
+  const doc = await ingestBuffer(kbStore, 'budget.pdf', pdfWith(['Introduction to the report.', 'The remaining carbon budget shrinks each year.']));
+  assert.equal(doc.type, 'pdf');
+  const [hit] = kbStore.search('remaining carbon budget').results;
+  assert.equal(hit.page, 2);
+  assert.equal(hit.link, `/api/kb/documents/${doc.id}/file#page=2`);
+});
+
+test('the rule-based chat quotes knowledge base passages with citations', async () => {
+  await ingestBuffer(kbStore, 'methane.md', Buffer.from(NOTES));
+  const rules = createRulesProvider({ store, kb: kbStore });
+  const ask = message => rules.reply({ message, history: [], previous: null, conversion: parseConversion() });
+
+  const reply = await ask('why do flooded rice paddies emit methane?');
+  assert.equal(reply.source, 'knowledge-base');
+  assert.equal(
+    reply.answer,
+    'From the knowledge base:\n\n“Flooded rice paddies emit methane because the soil runs out of oxygen.”\n— Methane notes (Rice)',
+  );
+  assert.deepEqual(reply.citations.map(c => c.heading), ['Rice']);
+
+  assert.equal((await ask('Transport in 2015')).source, 'local', 'data questions still go to the dataset');
+  assert.equal((await ask('tell me about the weather')).source, 'general-info', 'no passage matches well enough');
+});
+
+test('LLM providers can search the knowledge base as a tool', async () => {
+  await ingestBuffer(kbStore, 'methane.md', Buffer.from(NOTES));
+  const result = runTool({ store, kb: kbStore }, 'search_knowledge_base', { query: 'cattle manure' });
+  assert.equal(result.results[0].heading, 'Livestock');
+  assert.match(result.results[0].quote, /^Enteric fermentation/);
+  assert.deepEqual(Object.keys(toCitations('search_knowledge_base', result)[0]), ['title', 'heading', 'page', 'link']);
+  assert.deepEqual(runTool({ store }, 'search_knowledge_base', { query: 'x' }), { error: 'no knowledge base configured' });
+});
+
+// [limit param, results returned]; SQLite reads a negative LIMIT as no limit at all
+const LIMIT_CASES = [
+  ['', 5],
+  ['3', 3],
+  ['0', 5],
+  ['-1', 1],
+  ['100', 20],
+];
+
+test('search results are capped between 1 and 20', async t => {
+  const sections = Array.from({ length: 25 }, (_, i) => `## Site ${i + 1}\n\nDrained peatland number ${i + 1} releases carbon.\n`);
+  await ingestBuffer(kbStore, 'peatlands.md', Buffer.from(`# Peatlands\n\n${sections.join('\n')}`));
+
+  const app = express();
+  app.use('/api/kb', kbRouter);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    for (const [limit, expected] of LIMIT_CASES) {
+      await t.test(`limit=${limit}`, async () => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}/api/kb/search?q=drained+peatland&limit=${limit}`);
+        assert.equal(res.status, 200);
+        assert.equal((await res.json()).results.length, expected);
+      });
+    }
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rateLimit, limitsFor, RATE_LIMITS } = require('../lib/rateLimit');
+
+// Minimal req / res pair; returns whether next() was called
+function call(limiter, ip = '1.2.3.4') {
+  const res = {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  limiter({ ip }, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('a full bucket allows a burst, then refills at the configured rate', () => {
+  let t = 0;
+  const limiter = rateLimit({ capacity: 3, perMinute: 60, now: () => t }); // one token per second
+
+  assert.deepEqual([1, 2, 3].map(() => call(limiter).passed), [true, true, true]);
+  const limited = call(limiter);
+  assert.equal(limited.passed, false);
+  assert.equal(limited.res.statusCode, 429);
+  assert.equal(limited.res.headers['Retry-After'], '1');
+  assert.deepEqual(limited.res.body, { error: 'Too many requests', retryAfter: 1 });
+
+  t = 1000;
+  const next = call(limiter);
+  assert.equal(next.passed, true);
+  assert.equal(next.res.headers['RateLimit-Remaining'], '0');
+  assert.equal(next.res.headers['RateLimit-Reset'], '3');
+  assert.equal(next.res.headers['RateLimit-Limit'], '3');
+  assert.equal(next.res.headers['RateLimit-Policy'], '3;w=3');
+
+  assert.equal(call(limiter, '5.6.7.8').passed, true, 'clients have separate buckets');
+});
+
+test('idle buckets are swept so memory stays bounded', () => {
+  let t = 0;
+  const limiter = rateLimit({ capacity: 2, perMinute: 60, idleMs: 5000, now: () => t });
+  ['a', 'b', 'c'].forEach(ip => call(limiter, ip));
+  assert.equal(limiter.size(), 3);
+
+  t = 4000;
+  call(limiter, 'c');
+  t = 6000;
+  call(limiter, 'd'); // a and b idle for 6s, c for 2s
+  assert.equal(limiter.size(), 2);
+});
+
+test('limits can be overridden per route from the environment', () => {
+  assert.deepEqual(limitsFor('chat', { RATE_LIMIT_CHAT: '10/30' }), { capacity: 10, perMinute: 30 });
+  assert.deepEqual(limitsFor('search', { RATE_LIMIT_SEARCH: 'lots' }), RATE_LIMITS.search);
+  assert.deepEqual(limitsFor('data', { RATE_LIMIT_CHAT: '1/1' }), RATE_LIMITS.data);
+});
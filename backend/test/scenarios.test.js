@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateScenario, buildBaseline, applyScenario, totals } = require('../lib/scenarios');
+
+const ROWS = [
+  { year: 2020, sector: 'Energy', value: 100 },
+  { year: 2020, sector: 'Transport', value: 50 },
+  { year: 2019, sector: 'Waste', value: 10 },
+  { year: 2020, sector: 'Waste', value: 5 },
+];
+const values = points => points.map(p => p.value);
+
+test('validateScenario checks every rule', () => {
+  const scenario = validateScenario({ name: ' Fast ', rules: [{ sector: '*', startYear: '2025', annualReductionPct: '4' }] });
+  assert.deepEqual(scenario, { name: 'Fast', description: '', rules: [{ sector: '*', startYear: 2025, endYear: null, annualReductionPct: 4 }] });
+  assert.throws(() => validateScenario({ name: 'x', rules: [] }), { status: 400, message: 'rules must be a non-empty array' });
+  assert.throws(() => validateScenario({ name: 'x', rules: [{ sector: 'Energy', startYear: 2030, endYear: 2025, annualReductionPct: 5 }] }),
+    { status: 400, message: 'rules[0].endYear must be a year not before startYear' });
+  assert.throws(() => validateScenario({ name: 'x', rules: [{ sector: 'Energy', startYear: 2030, annualReductionPct: 100 }] }),
+    { status: 400, message: 'rules[0].annualReductionPct must be between -100 and 100' });
+});
+
+test('a flat baseline repeats the last value of each sector', () => {
+  const baseline = buildBaseline(ROWS, { until: 2022 });
+  assert.deepEqual(values(baseline.Energy), [100, 100, 100]);
+  assert.deepEqual(values(baseline.Waste), [10, 5, 5, 5]);
+});
+
+test('a trend baseline never goes below zero and falls back to flat without a trend', () => {
+  const baseline = buildBaseline(ROWS, { until: 2022, baseline: 'linear' });
+  assert.deepEqual(values(baseline.Waste), [10, 5, 0, 0]);
+  assert.deepEqual(values(baseline.Energy), [100, 100, 100]);
+});
+
+// [name, rules, expected Energy values 2020..2023, expected Transport values]
+const APPLY_CASES = [
+  ['no rules keep the baseline', [], [100, 100, 100, 100], [50, 50, 50, 50]],
+  ['a sector rule compounds each year from its start', [{ sector: 'Energy', startYear: 2021, endYear: null, annualReductionPct: 10 }],
+    [100, 90, 81, 72.9], [50, 50, 50, 50]],
+  ['a rule stops compounding after its end year', [{ sector: 'Energy', startYear: 2021, endYear: 2022, annualReductionPct: 10 }],
+    [100, 90, 81, 81], [50, 50, 50, 50]],
+  ['rules on the same sector multiply', [
+    { sector: 'Energy', startYear: 2021, endYear: null, annualReductionPct: 10 },
+    { sector: '*', startYear: 2022, endYear: 2022, annualReductionPct: 5 },
+  ], [100, 90, 76.95, 69.255], [50, 50, 47.5, 47.5]],
+  ['a negative reduction is growth', [{ sector: 'Transport', startYear: 2023, endYear: null, annualReductionPct: -10 }],
+    [100, 100, 100, 100], [50, 50, 50, 55]],
+];
+
+test('applyScenario compounds reductions against the baseline', async t => {
+  const baseline = buildBaseline(ROWS.filter(r => r.sector !== 'Waste'), { until: 2023 });
+  for (const [name, rules, energy, transport] of APPLY_CASES) {
+    await t.test(name, () => {
+      const { sectors, total } = applyScenario(baseline, rules);
+      assert.deepEqual(values(sectors.Energy), energy);
+      assert.deepEqual(values(sectors.Transport), transport);
+      assert.deepEqual(values(total), energy.map((v, i) => Number((v + transport[i]).toFixed(6))));
+    });
+  }
+});
+
+test('totals sums sectors per year in year order', () => {
+  assert.deepEqual(totals({ A: [{ year: 2021, value: 1 }, { year: 2020, value: 2 }], B: [{ year: 2020, value: 0.5 }] }),
+    [{ year: 2020, value: 2.5 }, { year: 2021, value: 1 }]);
+});
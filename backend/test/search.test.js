@@ -0,0 +1,92 @@
+process.env.DB_PATH = ':memory:';
+process.env.SEARCH_CACHE_MAX = '3';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const searchCache = require('../searchCache');
+const { createSearchProvider } = require('../lib/search');
+const { createGoogleProvider } = require('../lib/search/google');
+const { createLocalProvider } = require('../lib/search/local');
+const { withRetry, backoffDelay } = require('../lib/search/retry');
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`status ${status}`), { response: { status, headers, data: { error: status } } });
+}
+
+const noWait = { baseDelayMs: 100, maxDelayMs: 1000, sleep: async () => {} };
+
+test('createSearchProvider picks google only when it is configured', async () => {
+  assert.equal(createSearchProvider({}).name, 'local');
+  assert.equal(createSearchProvider({ GOOGLE_API_KEY: 'k', GOOGLE_CX: 'c' }).name, 'google');
+  assert.equal(createSearchProvider({ GOOGLE_API_KEY: 'k', GOOGLE_CX: 'c', SEARCH_PROVIDER: 'local' }).name, 'local');
+  await assert.rejects(createSearchProvider({ SEARCH_PROVIDER: 'google' }).search('co2'), { status: 503 });
+});
+
+test('local provider ranks fixtures by matching words', async () => {
+  const results = await createLocalProvider().search('India CO₂ emissions latest');
+  assert.equal(results[0].link, 'https://ourworldindata.org/co2/country/india');
+  assert.deepEqual(Object.keys(results[0]), ['title', 'link', 'snippet', 'source']);
+  assert.deepEqual(await createLocalProvider().search('zzzz'), []);
+});
+
+test('google results are normalized to { title, link, snippet, source }', async () => {
+  const get = async (url, { params }) => ({
+    data: {
+      items: [
+        { title: ' CO2 ', link: 'https://example.org/a', snippet: 'line one\nline two', displayLink: 'example.org', pagemap: {} },
+        { title: 'no link' },
+      ],
+      queries: { request: [{ searchTerms: params.q }] },
+    },
+  });
+  const results = await createGoogleProvider({ apiKey: 'k', cx: 'c', get }).search('co2');
+  assert.deepEqual(results, [{ title: 'CO2', link: 'https://example.org/a', snippet: 'line one line two', source: 'example.org' }]);
+});
+
+test('google retries 5xx / 429 with backoff and gives up on other errors', async () => {
+  let calls = 0;
+  const flaky = async () => {
+    calls += 1;
+    if (calls < 3) throw httpError(calls === 1 ? 503 : 429);
+    return { data: { items: [{ title: 't', link: 'https://example.org' }] } };
+  };
+  const provider = createGoogleProvider({ apiKey: 'k', cx: 'c', get: flaky, retry: { retries: 2, ...noWait } });
+  assert.equal((await provider.search('co2')).length, 1);
+  assert.equal(calls, 3);
+
+  calls = 0;
+  const forbidden = async () => {
+    calls += 1;
+    throw httpError(403);
+  };
+  const failing = createGoogleProvider({ apiKey: 'k', cx: 'c', get: forbidden, retry: { retries: 2, ...noWait } });
+  await assert.rejects(failing.search('co2'), { status: 502, message: 'Google Custom Search failed' });
+  assert.equal(calls, 1);
+});
+
+test('withRetry waits longer after each failure, up to the cap', async () => {
+  const delays = [];
+  await assert.rejects(withRetry(async () => { throw httpError(500); }, {
+    retries: 4, baseDelayMs: 100, maxDelayMs: 500, sleep: async ms => delays.push(ms),
+  }));
+  assert.deepEqual(delays, [100, 200, 400, 500]);
+  assert.equal(backoffDelay(0, noWait, httpError(429, { 'retry-after': '2' })), 1000);
+});
+
+test('search cache is a bounded LRU and counts hits, misses and evictions', () => {
+  searchCache.clear();
+  ['a', 'b', 'c'].forEach(key => searchCache.set(key, { results: [key] }));
+  assert.deepEqual(searchCache.get('a'), { results: ['a'] }); // a is now the most recent
+  searchCache.set('d', { results: ['d'] }); // evicts b, the least recently used
+
+  assert.equal(searchCache.get('b'), null);
+  assert.deepEqual(searchCache.get('c'), { results: ['c'] });
+  assert.deepEqual(searchCache.get('d'), { results: ['d'] });
+
+  const metrics = searchCache.metrics();
+  assert.equal(metrics.size, 3);
+  assert.equal(metrics.maxEntries, 3);
+  assert.equal(metrics.evictions, 1);
+  assert.equal(metrics.hits, 3);
+  assert.equal(metrics.misses, 1);
+});
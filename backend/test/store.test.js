@@ -0,0 +1,77 @@
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const store = require('../store');
+const sampleRows = require('../data/sampleEmissions');
+const { parseConversion } = require('../lib/units');
+
+test('a new database is seeded with the sample data', () => {
+  assert.equal(store.getRows().length, sampleRows.length);
+  assert.deepEqual(store.getYears(), [2010, 2015, 2020]);
+  assert.equal(store.getLatestYear(), 2020);
+  assert.deepEqual(store.getInfo(), { source: 'sample', importedAt: null, rowCount: sampleRows.length, version: 1 });
+  assert.deepEqual(store.getMeta().gases, ['CH4', 'CO2', 'GHG', 'N2O']);
+  assert.deepEqual(store.getMeta().subSectors.Transport, ['Aviation', 'Other transport', 'Road', 'Shipping']);
+});
+
+test('filters match any of the listed values per dimension', () => {
+  assert.deepEqual(store.findEmissions({ year: [2015], sector: ['Waste'] }), [
+    { year: 2015, sector: 'Waste', subSector: null, region: 'Global', gas: 'GHG', value: 1.6, unit: 'MtCO2e', sourceValue: 1.6, sourceUnit: 'MtCO2e' },
+  ]);
+  assert.equal(store.findEmissions({ year: [2020], sector: ['Energy', 'Transport'] }).length, 7);
+  assert.deepEqual(store.findEmissions({ sector: 'Agriculture', gas: ['CH4'] }).map(r => r.year), [2010, 2015, 2020]);
+  assert.deepEqual(store.findEmissions({ region: ['EU'] }), []);
+  assert.equal(store.findEmissions({ sector: [] }).length, sampleRows.length);
+  assert.deepEqual(store.findEmissions({ sector: ['Waste'], yearFrom: 2012, yearTo: 2020 }).map(r => r.year), [2015, 2020]);
+  assert.deepEqual(store.aggregate({ yearTo: 2010 }, ['year']), [{ year: 2010, value: 44.5 }]);
+});
+
+test('aggregate sums over the grouped dimensions', () => {
+  assert.deepEqual(store.aggregate({ year: [2020], sector: ['Agriculture'] }, ['gas']), [
+    { gas: 'CH4', value: 3.4 },
+    { gas: 'CO2', value: 0.4 },
+    { gas: 'N2O', value: 1.7 },
+  ]);
+  assert.deepEqual(store.aggregate({ year: [2020], sector: ['Industry'] }, ['subSector']), [{ subSector: 'Unspecified', value: 7.2 }]);
+  assert.deepEqual(store.getSummary(2015), { Agriculture: 5.3, Buildings: 4.5, Energy: 22, Industry: 6.8, Transport: 8, Waste: 1.6 });
+});
+
+test('values are converted to the requested unit and GWP basis', () => {
+  const [waste] = store.findEmissions({ year: [2020], sector: ['Waste'] }, parseConversion({ unit: 'kt' }));
+  assert.deepEqual([waste.value, waste.unit, waste.sourceValue, waste.sourceUnit], [1700, 'ktCO2e', 1.7, 'MtCO2e']);
+  assert.deepEqual(store.aggregate({ year: [2020], gas: ['CH4'] }, ['gas'], parseConversion({ gwp: 'AR6' })), [{ gas: 'CH4', value: 3.387857 }]);
+});
+
+test('importRows appends to or replaces the dataset', () => {
+  const revision = store.getRevision();
+  const appended = store.importRows([{ year: 2025, sector: 'Energy', value: 19 }], { mode: 'append', source: 'csv' });
+  assert.equal(appended.rowCount, sampleRows.length + 1);
+  assert.equal(appended.source, 'csv');
+  assert.ok(appended.importedAt);
+  assert.equal(store.getLatestYear(), 2025);
+  assert.notEqual(store.getRevision(), revision);
+
+  const replaced = store.importRows([{ year: 2021, sector: 'Waste', region: 'EU', value: 1.5 }], { source: 'json' });
+  assert.equal(replaced.rowCount, 1);
+  assert.deepEqual(store.getRows().map(r => [r.year, r.sector, r.region, r.gas, r.value]), [[2021, 'Waste', 'EU', 'GHG', 1.5]]);
+});
+
+test('a failed import leaves the dataset untouched', () => {
+  const before = store.getRows();
+  assert.throws(() => store.importRows([{ year: 2022, sector: 'Energy', value: 1 }, { year: 2022, sector: null, value: 2 }]));
+  assert.deepEqual(store.getRows(), before);
+});
+
+test('a version can be read back and rolled back to', () => {
+  const before = store.getRows();
+  const version = store.getInfo().version;
+  store.importRows([{ year: 2030, sector: 'Energy', value: 12 }], { source: 'csv' });
+  assert.deepEqual(store.findEmissions({ version }), before);
+  assert.deepEqual(store.getYears(version), [2021]);
+
+  const restored = store.rollback(version, { author: 'carol' });
+  assert.equal(restored.version, version + 2);
+  assert.deepEqual(store.getRows(), before);
+  assert.throws(() => store.rollback(99), { status: 404, message: 'version 99 not found' });
+});
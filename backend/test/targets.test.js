@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fit } = require('../lib/forecast');
+const { validateTarget, evaluateTarget } = require('../lib/targets');
+
+// falls by 2 a year: 30 in 2010, 10 projected for 2020
+const HISTORY = [{ year: 2010, value: 30 }, { year: 2011, value: 28 }, { year: 2012, value: 26 }];
+const SERIES = { history: HISTORY, model: fit(HISTORY) };
+const target = fields => validateTarget({ baseYear: 2010, targetYear: 2020, reductionPct: 50, ...fields });
+
+test('validateTarget fills in a name and checks the years', () => {
+  assert.deepEqual(validateTarget({ sector: 'All', baseYear: '2010', targetYear: '2030', reductionPct: '45' }), {
+    name: 'Total -45% by 2030', sector: null, baseYear: 2010, targetYear: 2030, reductionPct: 45,
+  });
+  assert.throws(() => target({ baseYear: 'soon' }), { status: 400, message: 'baseYear must be a year between 1900 and 2100' });
+  assert.throws(() => target({ targetYear: 40000 }), { status: 400, message: 'targetYear must be a year between 1900 and 2100' });
+  assert.throws(() => target({ targetYear: 2010 }), { status: 400, message: 'targetYear must be after baseYear' });
+  assert.throws(() => target({ reductionPct: 0 }), { status: 400, message: 'reductionPct must be a number between 0 and 100' });
+});
+
+// [name, target fields, expected subset of the evaluation]
+const EVALUATION_CASES = [
+  ['projection beats the target', {}, { baseValue: 30, targetValue: 15, projectedValue: 10, gap: -5, onTrack: true, projectedIsActual: false }],
+  ['projection misses the target', { reductionPct: 80 }, { targetValue: 6, projectedValue: 10, gap: 4, onTrack: false, projectedReductionPct: 66.666667 }],
+  ['base year before the data is estimated', { baseYear: 2005 }, { baseValue: 40, baseEstimated: true, targetValue: 20, gap: -10, onTrack: true }],
+  ['target year with data uses the actual value', { targetYear: 2012, reductionPct: 10 },
+    { targetValue: 27, projectedValue: 26, projectedLower: null, projectedIsActual: true, gap: -1, onTrack: true }],
+  ['exactly on target counts as on track', { targetYear: 2012, reductionPct: 100 * (4 / 30) }, { gap: 0, onTrack: true }],
+];
+
+test('evaluateTarget compares the projection with the target', async t => {
+  for (const [name, fields, expected] of EVALUATION_CASES) {
+    await t.test(name, () => {
+      const result = evaluateTarget(target(fields), SERIES);
+      Object.keys(expected).forEach(key => assert.equal(result[key], expected[key], key));
+    });
+  }
+});
+
+test('the pathway runs straight from the base value to the target', () => {
+  const { pathway, projectedLower, projectedUpper } = evaluateTarget(target(), SERIES);
+  assert.equal(pathway.length, 11);
+  assert.deepEqual([pathway[0], pathway[5], pathway[10]], [{ year: 2010, value: 30 }, { year: 2015, value: 22.5 }, { year: 2020, value: 15 }]);
+  // a perfect fit has no spread around the projection
+  assert.deepEqual([projectedLower, projectedUpper], [10, 10]);
+});
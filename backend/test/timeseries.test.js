@@ -0,0 +1,77 @@
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const store = require('../store');
+const timeseriesRouter = require('../routes/timeseries');
+
+async function timeseriesApp() {
+  const app = express();
+  app.use('/api/timeseries', timeseriesRouter);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api/timeseries`;
+  const get = async (query = '', headers = {}) => {
+    const res = await fetch(`${base}${query}`, { headers });
+    return { status: res.status, etag: res.headers.get('etag'), body: res.status === 304 ? null : await res.json() };
+  };
+  return { get, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('totals and per-sector series cover the requested years', async () => {
+  const app = await timeseriesApp();
+  try {
+    const { status, body } = await app.get('?from=2015&sector=Energy,Waste&unit=kt');
+    assert.equal(status, 200);
+    assert.deepEqual([body.from, body.to, body.unit], [2015, null, 'ktCO2e']);
+    assert.deepEqual(body.totals, [{ year: 2015, value: 23600 }, { year: 2020, value: 22700 }]);
+    assert.deepEqual(body.series.map(s => [s.sector, s.points.map(p => p.year)]), [['Energy', [2015, 2020]], ['Waste', [2015, 2020]]]);
+
+    const invalid = await app.get('?to=soon');
+    assert.deepEqual([invalid.status, invalid.body], [400, { error: 'to must be a year' }]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('a matching If-None-Match gets a 304 until the dataset changes', async () => {
+  const app = await timeseriesApp();
+  try {
+    const first = await app.get('?sector=Waste');
+    assert.match(first.etag, /^W\/".+"$/);
+    assert.deepEqual(await app.get('?sector=Waste', { 'If-None-Match': first.etag }), { status: 304, etag: first.etag, body: null });
+    // the URL is part of the tag, so another query is answered in full
+    const other = await app.get('?sector=Energy', { 'If-None-Match': first.etag });
+    assert.equal(other.status, 200);
+    assert.notEqual(other.etag, first.etag);
+
+    store.importRows([{ year: 2025, sector: 'Waste', value: 1.8 }], { mode: 'append', source: 'csv' });
+    const changed = await app.get('?sector=Waste', { 'If-None-Match': first.etag });
+    assert.equal(changed.status, 200);
+    assert.notEqual(changed.etag, first.etag);
+    assert.deepEqual(changed.body.totals.map(t => t.year), [2010, 2015, 2020, 2025]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('rolling back serves the earlier rows under a new ETag', async () => {
+  const app = await timeseriesApp();
+  try {
+    const version = store.getInfo().version;
+    const before = await app.get('?sector=Waste');
+    store.importRows([{ year: 2030, sector: 'Waste', value: 1 }], { source: 'csv' });
+    assert.deepEqual((await app.get('?sector=Waste')).body.totals, [{ year: 2030, value: 1 }]);
+
+    store.rollback(version);
+    const after = await app.get('?sector=Waste', { 'If-None-Match': before.etag });
+    assert.equal(after.status, 200);
+    assert.notEqual(after.etag, before.etag);
+    assert.deepEqual(after.body.totals, before.body.totals);
+    // an older version is served from its snapshot
+    assert.deepEqual((await app.get(`?sector=Waste&version=${version}`)).body.totals, before.body.totals);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const { normalizeUnit, parseConversion, convertValue, sqlValueExpression, formatValue } = require('../lib/units');
+
+const AR5 = { unit: 'MtCO2e', gwp: 'AR5', horizon: 100 };
+
+// [query, expected conversion]
+const PARSE_CASES = [
+  [{}, AR5],
+  [{ unit: 'kt' }, { ...AR5, unit: 'ktCO2e' }],
+  [{ unit: 'Gt CO₂e', gwp: 'ar6', horizon: '20' }, { unit: 'GtCO2e', gwp: 'AR6', horizon: 20 }],
+];
+
+const INVALID_CASES = [
+  [{ unit: 'lbs' }, 'unknown unit "lbs" (use tCO2e, ktCO2e, MtCO2e, GtCO2e)'],
+  [{ gwp: 'AR3' }, 'unknown gwp basis "AR3" (use AR4, AR5, AR6)'],
+  [{ horizon: '50' }, 'unknown gwp horizon "50" (use 20 or 100)'],
+];
+
+test('parseConversion reads unit, gwp and horizon', async t => {
+  for (const [query, expected] of PARSE_CASES) {
+    await t.test(JSON.stringify(query), () => assert.deepEqual(parseConversion(query), expected));
+  }
+  for (const [query, message] of INVALID_CASES) {
+    await t.test(message, () => assert.throws(() => parseConversion(query), { status: 400, message }));
+  }
+});
+
+test('normalizeUnit only knows mass units when asked to', () => {
+  assert.equal(normalizeUnit(' kt co2eq '), 'ktCO2e');
+  assert.equal(normalizeUnit('kt'), null);
+  assert.equal(normalizeUnit('KT', { allowMass: true }), 'kt');
+  assert.equal(normalizeUnit('stone', { allowMass: true }), null);
+});
+
+// [value, stored unit, gas, conversion, expected]
+const CONVERT_CASES = [
+  ['scales between CO2e units', 2.5, 'MtCO2e', 'GHG', { ...AR5, unit: 'ktCO2e' }, 2500],
+  ['keeps the reference basis as is', 10, 'MtCO2e', 'CH4', AR5, 10],
+  ['rebases CH4 to AR6 GWP100', 28, 'MtCO2e', 'CH4', { ...AR5, gwp: 'AR6' }, 27.9],
+  ['rebases CH4 to GWP20', 28, 'MtCO2e', 'CH4', { ...AR5, horizon: 20 }, 84],
+  ['rebases N2O to AR4', 265, 'ktCO2e', 'N2O', { ...AR5, gwp: 'AR4' }, 0.298],
+  ['leaves baskets on their reported basis', 5, 'MtCO2e', 'F-gases', { ...AR5, gwp: 'AR6' }, 5],
+  ['weights a plain mass of CH4 by its GWP', 1, 'kt', 'CH4', AR5, 0.028],
+  ['weights a plain mass of N2O on AR6 GWP20', 1, 'Mt', 'N2O', { ...AR5, gwp: 'AR6', horizon: 20 }, 273],
+  ['counts a mass of CO2 one for one', 1500, 't', 'CO2', { ...AR5, unit: 'ktCO2e' }, 1.5],
+];
+
+test('convertValue applies scale and GWP factors', async t => {
+  for (const [name, value, unit, gas, conversion, expected] of CONVERT_CASES) {
+    await t.test(name, () => assert.equal(convertValue(value, unit, gas, conversion), expected));
+  }
+});
+
+test('the SQL expression applies the same factors', () => {
+  const db = new Database(':memory:');
+  try {
+    db.exec('CREATE TABLE t (value REAL, unit TEXT, gas TEXT)');
+    const insert = db.prepare('INSERT INTO t VALUES (?, ?, ?)');
+    CONVERT_CASES.forEach(([, value, unit, gas]) => insert.run(value, unit, gas));
+    CONVERT_CASES.forEach(([name, value, unit, gas, conversion, expected]) => {
+      const { v } = db.prepare(`SELECT ${sqlValueExpression(conversion)} AS v FROM t WHERE value = ? AND unit = ? AND gas = ?`).get(value, unit, gas);
+      assert.ok(Math.abs(v - expected) < 1e-9, `${name}: ${v}`);
+    });
+  } finally {
+    db.close();
+  }
+});
+
+test('formatValue groups digits and writes CO₂e', () => {
+  assert.equal(formatValue(21000000, 'tCO2e'), '21,000,000 tCO₂e');
+  assert.equal(formatValue(0.12345), '0.123 MtCO₂e');
+});
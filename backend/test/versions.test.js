@@ -0,0 +1,89 @@
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const store = require('../store');
+const versionStore = require('../versionStore');
+const { parseVersion, diffRows } = require('../lib/versions');
+
+const row = (sector, value, extra = {}) => ({ year: 2020, sector, subSector: null, region: 'Global', gas: 'GHG', value, ...extra });
+
+test('parseVersion reads version numbers and treats empty / current as the live data', () => {
+  assert.equal(parseVersion(undefined), null);
+  assert.equal(parseVersion('current'), null);
+  assert.equal(parseVersion('3'), 3);
+  assert.throws(() => parseVersion('0'), { status: 400 });
+  assert.throws(() => parseVersion('v2'), { status: 400 });
+});
+
+// [name, rows before, rows after, expected subset of the one diff row]
+const DIFF_CASES = [
+  ['restated value', [row('Energy', 20)], [row('Energy', 21)], { change: 'changed', before: 20, after: 21, delta: 1, deltaPct: 5 }],
+  ['new row', [], [row('Waste', 1.5)], { change: 'added', before: null, after: 1.5, delta: null }],
+  ['dropped row', [row('Waste', 1.5)], [], { change: 'removed', before: 1.5, after: null }],
+];
+
+test('diffRows matches rows by their dimensions', async t => {
+  for (const [name, before, after, expected] of DIFF_CASES) {
+    await t.test(name, () => {
+      const { rows } = diffRows(before, after);
+      assert.equal(rows.length, 1);
+      Object.keys(expected).forEach(key => assert.equal(rows[0][key], expected[key], key));
+    });
+  }
+});
+
+test('diffRows ignores floating point noise from unit conversion', () => {
+  assert.deepEqual(diffRows([row('Energy', 0.1 + 0.2)], [row('Energy', 0.3)]).rows, []);
+});
+
+test('diffRows counts every kind of change and sorts rows by dimension', () => {
+  const before = [row('Energy', 20), row('Transport', 7), row('Waste', 1.5)];
+  const after = [row('Waste', 1.6), row('Energy', 20), row('Agriculture', 5)];
+  const { counts, rows } = diffRows(before, after, { includeUnchanged: true });
+  assert.deepEqual(counts, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+  assert.deepEqual(rows.map(r => `${r.sector}:${r.change}`), ['Agriculture:added', 'Energy:unchanged', 'Transport:removed', 'Waste:changed']);
+});
+
+test('with units, a changed unit is a change and carries both units', () => {
+  const { rows } = diffRows([row('Energy', 20, { unit: 'MtCO2e' })], [row('Energy', 20, { unit: 'ktCO2e' })], { units: true });
+  assert.equal(rows[0].change, 'changed');
+  assert.equal(rows[0].delta, null);
+  assert.deepEqual([rows[0].beforeUnit, rows[0].afterUnit], ['MtCO2e', 'ktCO2e']);
+});
+
+test('imports become versions with an audit trail, and old versions stay queryable', () => {
+  const initial = versionStore.currentId();
+  assert.equal(versionStore.get(initial).action, 'initial');
+  const energy2020 = version => store.getSummary(2020, { version }, 'sector').Energy;
+  const original = energy2020(null);
+
+  // restate one Energy sub-sector and drop Waste 2010
+  const rows = store.getRows()
+    .filter(r => !(r.sector === 'Waste' && r.year === 2010))
+    .map(r => ({ year: r.year, sector: r.sector, subSector: r.subSector, region: r.region, gas: r.gas, value: r.sourceValue, unit: r.sourceUnit }));
+  const restated = rows.find(r => r.year === 2020 && r.sector === 'Energy');
+  restated.value += 1;
+  store.importRows(rows, { mode: 'replace', author: 'alice', label: '2025 resubmission' });
+
+  const version = versionStore.get(versionStore.currentId());
+  assert.deepEqual([version.label, version.author, version.action], ['2025 resubmission', 'alice', 'replace']);
+  assert.deepEqual([version.added, version.removed, version.changed], [0, 1, 1]);
+
+  const log = versionStore.auditLog({ versionId: version.id });
+  assert.deepEqual(log.map(c => `${c.author} ${c.change} ${c.year} ${c.sector}`), ['alice removed 2010 Waste', 'alice changed 2020 Energy']);
+  assert.equal(energy2020(initial), original);
+  assert.equal(energy2020(null), original + 1);
+});
+
+test('rollback restores a version as a new one and unknown versions are 404s', () => {
+  const initial = versionStore.list().at(-1).id;
+  store.rollback(initial, { author: 'bob' });
+  const latest = versionStore.get(versionStore.currentId());
+  assert.equal(latest.action, 'rollback');
+  assert.deepEqual([latest.author, latest.added, latest.changed], ['bob', 1, 1]);
+  assert.deepEqual(diffRows(versionStore.getRows(initial), versionStore.getRows(latest.id)).rows, []);
+
+  assert.throws(() => store.rollback(999), { status: 404, message: 'version 999 not found' });
+  assert.throws(() => store.findEmissions({ version: 999 }), { status: 404 });
+});
@@ -0,0 +1,51 @@
+process.env.DB_PATH = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const viewStore = require('../viewStore');
+const { validateView } = require('../lib/views');
+
+const VALID_CASES = [
+  [{ name: ' Transport 2015 ', state: { year: 2015, sector: 'Transport' } }, { name: 'Transport 2015', state: { year: '2015', sector: 'Transport' } }],
+  [{ name: 'Clean', state: { unit: 'ktCO2e', projection: false, extra: 'dropped', region: '' } }, { name: 'Clean', state: { unit: 'ktCO2e', projection: 'false' } }],
+  [{ name: 'Charts', state: { stack: 'pct', compare: 'Energy,Transport', from: 2010 } }, { name: 'Charts', state: { stack: 'pct', compare: 'Energy,Transport', from: '2010' } }],
+];
+
+const INVALID_CASES = [
+  [{ state: {} }, 'name is required'],
+  [{ name: 'x'.repeat(81), state: {} }, 'name must be at most 80 characters'],
+  [{ name: 'No state' }, 'state must be an object of dashboard params'],
+  [{ name: 'Array', state: ['year'] }, 'state must be an object of dashboard params'],
+  [{ name: 'Nested', state: { year: { value: 2015 } } }, 'state.year must be a string'],
+];
+
+test('validateView keeps the known dashboard params as strings', async t => {
+  for (const [body, expected] of VALID_CASES) {
+    await t.test(body.name, () => assert.deepEqual(validateView(body), expected));
+  }
+});
+
+test('validateView rejects missing names and malformed state', async t => {
+  for (const [body, message] of INVALID_CASES) {
+    await t.test(message, () => assert.throws(() => validateView(body), { status: 400, message }));
+  }
+});
+
+test('partial updates validate only the fields sent', () => {
+  assert.deepEqual(validateView({ name: 'Renamed' }, { partial: true }), { name: 'Renamed' });
+  assert.throws(() => validateView({}, { partial: true }), /new name and\/or state/);
+});
+
+test('views are stored, renamed and deleted', () => {
+  const view = viewStore.create({ name: 'Energy 2020', state: { year: '2020', sector: 'Energy' }, owner: 'alice' });
+  assert.deepEqual(viewStore.get(view.id).state, { year: '2020', sector: 'Energy' });
+  assert.throws(() => viewStore.create({ name: 'energy 2020', state: {} }), { code: 'SQLITE_CONSTRAINT_UNIQUE' });
+
+  const renamed = viewStore.update(view.id, { name: 'Energy, latest' });
+  assert.equal(renamed.name, 'Energy, latest');
+  assert.deepEqual(renamed.state, { year: '2020', sector: 'Energy' });
+  assert.equal(viewStore.update(999, { name: 'x' }), null);
+
+  assert.equal(viewStore.remove(view.id), true);
+  assert.deepEqual(viewStore.list(), []);
+});
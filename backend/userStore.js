@@ -0,0 +1,54 @@
+const db = require('./db');
+const { ROLES, hashPassword } = require('./lib/auth');
+
+// --- Dashboard accounts; passwords are stored as scrypt hashes
+
+class UserError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const statements = {
+  find: db.prepare('SELECT username, role, password_hash AS passwordHash FROM users WHERE username = ?'),
+  list: db.prepare('SELECT username, role, created_at AS createdAt FROM users ORDER BY username'),
+  count: db.prepare('SELECT COUNT(*) AS count FROM users'),
+  countAdmins: db.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'"),
+  insert: db.prepare('INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)'),
+  delete: db.prepare('DELETE FROM users WHERE username = ?'),
+};
+
+function findUser(username) {
+  return statements.find.get(username) || null;
+}
+
+function listUsers() {
+  return statements.list.all();
+}
+
+function countUsers() {
+  return statements.count.get().count;
+}
+
+function createUser({ username, password, role }) {
+  const name = `${username || ''}`.trim();
+  if (!/^[\w.@-]{1,64}$/.test(name)) throw new UserError('username must be 1-64 letters, digits or . _ @ -');
+  if (!ROLES.includes(role)) throw new UserError(`role must be one of ${ROLES.join(', ')}`);
+  if (`${password || ''}`.length < MIN_PASSWORD_LENGTH) throw new UserError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  if (findUser(name)) throw new UserError(`user "${name}" already exists`, 409);
+  statements.insert.run(name, hashPassword(password), role, new Date().toISOString());
+  return { username: name, role };
+}
+
+// The last admin can't be removed, or nobody could manage accounts any more
+function deleteUser(username) {
+  const user = findUser(username);
+  if (!user) return false;
+  if (user.role === 'admin' && statements.countAdmins.get().count === 1) throw new UserError('cannot delete the last admin', 409);
+  return statements.delete.run(username).changes > 0;
+}
+
+module.exports = { UserError, findUser, listUsers, countUsers, createUser, deleteUser };
@@ -0,0 +1,97 @@
+const db = require('./db');
+const { diffRows } = require('./lib/versions');
+
+// --- Dataset versions: a snapshot of the emissions table after every import or
+// rollback, with who made it and the row-level changes against the version before
+const VERSION_COLUMNS = `v.id, v.label, v.source, v.action, v.author, v.row_count AS rowCount, v.created_at AS createdAt,
+  COALESCE(SUM(c.change = 'added'), 0) AS added,
+  COALESCE(SUM(c.change = 'removed'), 0) AS removed,
+  COALESCE(SUM(c.change = 'changed'), 0) AS changed`;
+const ROW_COLUMNS = 'year, sector, sub_sector AS subSector, region, gas, value, unit';
+
+const statements = {
+  list: db.prepare(`
+    SELECT ${VERSION_COLUMNS} FROM dataset_versions v LEFT JOIN dataset_changes c ON c.version_id = v.id
+    GROUP BY v.id ORDER BY v.id DESC
+  `),
+  get: db.prepare(`
+    SELECT ${VERSION_COLUMNS} FROM dataset_versions v LEFT JOIN dataset_changes c ON c.version_id = v.id
+    WHERE v.id = ? GROUP BY v.id
+  `),
+  current: db.prepare('SELECT MAX(id) AS id FROM dataset_versions'),
+  previous: db.prepare('SELECT MAX(id) AS id FROM dataset_versions WHERE id < ?'),
+  insert: db.prepare(`
+    INSERT INTO dataset_versions (label, source, action, author, row_count, created_at)
+    VALUES (@label, @source, @action, @author, (SELECT COUNT(*) FROM emissions), @createdAt)
+  `),
+  snapshot: db.prepare(`
+    INSERT INTO emission_snapshots (version_id, year, sector, sub_sector, region, gas, value, unit)
+    SELECT ?, year, sector, sub_sector, region, gas, value, unit FROM emissions
+  `),
+  rows: db.prepare(`SELECT ${ROW_COLUMNS} FROM emission_snapshots WHERE version_id = ? ORDER BY year, sector, sub_sector, region, gas`),
+  insertChange: db.prepare(`
+    INSERT INTO dataset_changes (version_id, change, year, sector, sub_sector, region, gas, old_value, old_unit, new_value, new_unit)
+    VALUES (@versionId, @change, @year, @sector, @subSector, @region, @gas, @before, @beforeUnit, @after, @afterUnit)
+  `),
+  log: db.prepare(`
+    SELECT c.version_id AS versionId, v.label, v.author, v.created_at AS createdAt, c.change,
+      c.year, c.sector, c.sub_sector AS subSector, c.region, c.gas,
+      c.old_value AS before, c.old_unit AS beforeUnit, c.new_value AS after, c.new_unit AS afterUnit
+    FROM dataset_changes c JOIN dataset_versions v ON v.id = c.version_id
+    WHERE @versionId IS NULL OR c.version_id = @versionId
+    ORDER BY c.version_id DESC, c.id
+    LIMIT @limit
+  `),
+};
+
+function list() {
+  return statements.list.all();
+}
+
+function get(id) {
+  return statements.get.get(id) || null;
+}
+
+function currentId() {
+  return statements.current.get().id;
+}
+
+function previousId(id) {
+  return statements.previous.get(id).id;
+}
+
+// Stored rows of a version, in their original units
+function getRows(id) {
+  return statements.rows.all(id);
+}
+
+/**
+ * Snapshots the emissions table as a new version and logs what changed since the
+ * last one. Call inside the transaction that changed the table.
+ * action: 'initial' | 'replace' | 'append' | 'rollback'
+ */
+function record({ label, source, action, author = null }) {
+  const before = currentId();
+  const { lastInsertRowid: id } = statements.insert.run({ label, source, action, author, createdAt: new Date().toISOString() });
+  statements.snapshot.run(id);
+  // the first version is the baseline, not a list of additions
+  if (before) {
+    const { rows } = diffRows(getRows(before), getRows(id), { units: true });
+    rows.forEach(change => statements.insertChange.run({ ...change, versionId: id, subSector: change.subSector || '' }));
+  }
+  return get(id);
+}
+
+// Who changed which row when, newest version first
+function auditLog({ versionId = null, limit = 500 } = {}) {
+  return statements.log.all({ versionId, limit }).map(r => ({ ...r, subSector: r.subSector || null }));
+}
+
+// Databases created before versioning (or just seeded) start with their current data as version 1
+if (!currentId() && db.prepare('SELECT COUNT(*) AS count FROM emissions').get().count > 0) {
+  const info = db.prepare('SELECT source FROM dataset_info WHERE id = 1').get();
+  const source = info ? info.source : 'unknown';
+  db.transaction(() => record({ label: `Initial data (${source})`, source, action: 'initial' }))();
+}
+
+module.exports = { list, get, currentId, previousId, getRows, record, auditLog };
@@ -0,0 +1,49 @@
+const db = require('./db');
+
+// --- Named dashboard views; state is kept as JSON, shared with everyone signed in
+const COLUMNS = 'id, name, state, owner, created_at AS createdAt, updated_at AS updatedAt';
+
+const statements = {
+  list: db.prepare(`SELECT ${COLUMNS} FROM saved_views ORDER BY name`),
+  get: db.prepare(`SELECT ${COLUMNS} FROM saved_views WHERE id = ?`),
+  insert: db.prepare(`
+    INSERT INTO saved_views (name, state, owner, created_at, updated_at)
+    VALUES (@name, @state, @owner, @now, @now)
+  `),
+  update: db.prepare(`
+    UPDATE saved_views SET name = COALESCE(@name, name), state = COALESCE(@state, state), updated_at = @now
+    WHERE id = @id
+  `),
+  remove: db.prepare('DELETE FROM saved_views WHERE id = ?'),
+};
+
+function fromRow(row) {
+  return row ? { ...row, state: JSON.parse(row.state) } : null;
+}
+
+function list() {
+  return statements.list.all().map(fromRow);
+}
+
+function get(id) {
+  return fromRow(statements.get.get(id));
+}
+
+function create({ name, state, owner = null }) {
+  const { lastInsertRowid } = statements.insert.run({ name, state: JSON.stringify(state), owner, now: new Date().toISOString() });
+  return get(lastInsertRowid);
+}
+
+// Either field may be missing to keep its current value
+function update(id, { name = null, state = null }) {
+  const { changes } = statements.update.run({
+    id, name, state: state && JSON.stringify(state), now: new Date().toISOString(),
+  });
+  return changes ? get(id) : null;
+}
+
+function remove(id) {
+  return statements.remove.run(id).changes > 0;
+}
+
+module.exports = { list, get, create, update, remove };
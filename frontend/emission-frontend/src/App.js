@@ -1,84 +1,253 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import axios from "axios";
-import {
-  BarChart,
-  Bar,
-  XAxis,
-  YAxis,
-  Tooltip,
-  ResponsiveContainer,
-  LineChart,
-  Line,
-  CartesianGrid,
-  Legend,
-} from "recharts";
 import "./App.css";
-
-const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+import { BACKEND_URL } from "./config";
+import ImportPanel from "./components/ImportPanel";
+import ScenarioPanel from "./components/ScenarioPanel";
+import ChatPayload from "./components/ChatPayload";
+import ExportMenu from "./components/ExportMenu";
+import SavedViews from "./components/SavedViews";
+import VersionPanel from "./components/VersionPanel";
+import AlertsPanel from "./components/AlertsPanel";
+import ChartCard from "./components/charts/ChartCard";
+import SectorBarChart from "./components/charts/SectorBarChart";
+import TrendCard from "./components/charts/TrendCard";
+import StackedAreaChart from "./components/charts/StackedAreaChart";
+import SectorComparisonChart from "./components/charts/SectorComparisonChart";
+import WaterfallChart from "./components/charts/WaterfallChart";
+import SectorHistoryChart from "./components/charts/SectorHistoryChart";
+import BudgetGauge from "./components/charts/BudgetGauge";
+import { subSectorLabel, waterfallSteps } from "./components/charts/chartData";
+import { DEFAULT_UNIT, formatValue, gwpParams, unitLabel } from "./units";
+import { retryAfterSeconds } from "./rateLimit";
+import { downloadProtected, hasRole, openProtected } from "./auth";
+import { DEFAULT_VIEW, compactViewState, parseViewState, toQueryString } from "./viewState";
+import { subscribeEvents } from "./events";
 
 function numberOrZero(v) {
   return typeof v === "number" ? v : 0;
 }
 
-function downloadCSV(filename, rows) {
-  if (!rows || rows.length === 0) return;
-  const header = Object.keys(rows[0] || {});
-  const csv =
-    header.join(",") +
-    "\n" +
-    rows
-      .map((r) =>
-        header
-          .map((h) => {
-            const v = r[h] === undefined || r[h] === null ? "" : `${r[h]}`;
-            return `"${v.replace(/"/g, '""')}"`;
-          })
-          .join(",")
-      )
-      .join("\n");
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  a.click();
-  URL.revokeObjectURL(url);
+const CHAT_SESSION_KEY = "chatSessionId";
+
+const EMPTY_META = {
+  years: [],
+  sectors: [],
+  regions: [],
+  gases: [],
+  subSectors: {},
+  units: [DEFAULT_UNIT],
+  gwpBases: ["AR5"],
+  horizons: [100],
+};
+
+// "All" means no filter, so it is left out of the request
+function filterParams(filters) {
+  const params = {};
+  Object.keys(filters).forEach((k) => {
+    if (filters[k] && filters[k] !== "All") params[k] = filters[k];
+  });
+  return params;
+}
+
+function formatPct(value) {
+  if (typeof value !== "number") return "-";
+  return `${value > 0 ? "+" : ""}${value.toFixed(1)}%`;
 }
 
-export default function App() {
-  const [meta, setMeta] = useState({ years: [], sectors: [] });
+export default function App({ user, onLogout }) {
+  // the backend enforces these too; the UI just hides what the role can't use
+  const canAnalyse = hasRole(user, "analyst");
+  const isAdmin = hasRole(user, "admin");
+  // filters and chart options start from the URL, so shared links and bookmarks reopen the same view
+  const [initialView] = useState(() => parseViewState(window.location.search));
+  const [meta, setMeta] = useState(EMPTY_META);
   const [lineData, setLineData] = useState([]);
-  const [selectedYear, setSelectedYear] = useState("");
-  const [selectedSector, setSelectedSector] = useState("All");
+  const [lineSectors, setLineSectors] = useState([]);
+  const [showSectorLines, setShowSectorLines] = useState(initialView.lines === "1");
+  const [stackPercent, setStackPercent] = useState(initialView.stack === "pct");
+  // sectors picked for the comparison chart
+  const [compareSectors, setCompareSectors] = useState(() => initialView.compare.split(",").filter(Boolean));
+  // the waterfall breaks down the change from this year to the selected one
+  const [waterfallFrom, setWaterfallFrom] = useState(initialView.from);
+  const [forecast, setForecast] = useState(null);
+  const [forecastMethod, setForecastMethod] = useState(initialView.method);
+  const [showProjection, setShowProjection] = useState(initialView.projection !== "0");
+  // bumped when targets are added or removed
+  const [targetsVersion, setTargetsVersion] = useState(0);
+  const [selectedYear, setSelectedYear] = useState(initialView.year);
+  const [selectedSector, setSelectedSector] = useState(initialView.sector);
+  const [selectedRegion, setSelectedRegion] = useState(initialView.region);
+  const [selectedGas, setSelectedGas] = useState(initialView.gas);
+  // sector clicked in the bar chart: its sub-sectors and history are shown, null for the sector view
+  const [drillSector, setDrillSector] = useState(initialView.drill || null);
+  const [selectedUnit, setSelectedUnit] = useState(initialView.unit);
+  // "AR5:100" = AR5 values, 100-year horizon
+  const [selectedGwp, setSelectedGwp] = useState(initialView.gwp);
   const [emissions, setEmissions] = useState([]);
   const [summary, setSummary] = useState(null);
+  const [analytics, setAnalytics] = useState(null);
   const [loadingData, setLoadingData] = useState(false);
+  // bumped after an import, or a change announced over /api/events, so every data effect refetches
+  const [dataVersion, setDataVersion] = useState(0);
+  const [showImport, setShowImport] = useState(false);
+  // stored dataset versions; selectedVersion "" means the current data
+  const [versions, setVersions] = useState([]);
+  const [currentVersion, setCurrentVersion] = useState(null);
+  const [selectedVersion, setSelectedVersion] = useState(initialView.version);
+  const [showVersions, setShowVersions] = useState(false);
+  // bumped when scenarios are changed elsewhere, so the scenario panel reloads them
+  const [scenariosVersion, setScenariosVersion] = useState(0);
+  // alert rules evaluated against the current data, reloaded when the data or the rules change
+  const [alertStatus, setAlertStatus] = useState({ webhook: false, results: [] });
+  const [alertsVersion, setAlertsVersion] = useState(0);
+  const [showAlerts, setShowAlerts] = useState(false);
+  // live updates over /api/events: connection state and the last dataset change, shown as a notice
+  const [liveStatus, setLiveStatus] = useState("connecting");
+  const [dataUpdate, setDataUpdate] = useState(null);
+  const revisionRef = useRef(null);
 
   // Chat states
   const [chatMessages, setChatMessages] = useState([]);
   const [chatInput, setChatInput] = useState("");
   const [isSending, setIsSending] = useState(false);
   const [internetSearch, setInternetSearch] = useState(false);
+  // history lives on the server; the id is kept so a reload restores the last conversation
+  const [chatSessionId, setChatSessionId] = useState(() => localStorage.getItem(CHAT_SESSION_KEY));
+  const [chatSessions, setChatSessions] = useState([]);
+  // set when the server answers 429; the send button shows a countdown until then
+  const [chatRetryAt, setChatRetryAt] = useState(null);
+  const [clock, setClock] = useState(Date.now());
   const chatRef = useRef(null);
 
   useEffect(() => {
     if (chatRef.current) chatRef.current.scrollTop = chatRef.current.scrollHeight;
   }, [chatMessages]);
 
+  useEffect(() => {
+    if (!chatRetryAt) return undefined;
+    const id = setInterval(() => {
+      const now = Date.now();
+      setClock(now);
+      if (now >= chatRetryAt) setChatRetryAt(null);
+    }, 250);
+    return () => clearInterval(id);
+  }, [chatRetryAt]);
+  const chatRetryIn = chatRetryAt ? Math.max(1, Math.ceil((chatRetryAt - clock) / 1000)) : 0;
+
+  useEffect(() => {
+    const handlers = {
+      // sent first on every (re)connect; a different revision means a change was missed while offline
+      ready: ({ revision }) => {
+        if (revisionRef.current && revisionRef.current !== revision) {
+          setDataUpdate({ missed: true, at: new Date().toISOString() });
+          setDataVersion((v) => v + 1);
+        }
+        revisionRef.current = revision;
+      },
+      "dataset-changed": (change) => {
+        revisionRef.current = change.revision;
+        setDataUpdate(change);
+        setDataVersion((v) => v + 1);
+      },
+      "meta-changed": ({ at, ...changed }) => {
+        setMeta((prev) => ({ ...prev, ...changed }));
+      },
+      "targets-changed": () => setTargetsVersion((v) => v + 1),
+      "scenarios-changed": () => setScenariosVersion((v) => v + 1),
+      "alerts-changed": () => setAlertsVersion((v) => v + 1),
+    };
+    return subscribeEvents({
+      onEvent: (type, data) => handlers[type] && handlers[type](data),
+      onStatus: setLiveStatus,
+    });
+  }, []);
+
+  // the "data updated" notice clears itself after a while
+  useEffect(() => {
+    if (!dataUpdate) return undefined;
+    const id = setTimeout(() => setDataUpdate(null), 15000);
+    return () => clearTimeout(id);
+  }, [dataUpdate]);
+
+  const loadChatSessions = async () => {
+    try {
+      const res = await axios.get(`${BACKEND_URL}/api/chat/sessions`);
+      setChatSessions(res.data || []);
+    } catch (err) {
+      console.error("Error loading chat sessions", err);
+    }
+  };
+
+  useEffect(() => {
+    if (chatSessionId) localStorage.setItem(CHAT_SESSION_KEY, chatSessionId);
+    else localStorage.removeItem(CHAT_SESSION_KEY);
+  }, [chatSessionId]);
+
+  const openChatSession = async (id) => {
+    try {
+      const res = await axios.get(`${BACKEND_URL}/api/chat/sessions/${id}`);
+      setChatMessages(res.data.messages || []);
+      setChatSessionId(id);
+    } catch (err) {
+      // deleted elsewhere or the database was reset: start fresh
+      if (err.response?.status !== 404) console.error("Error loading chat session", err);
+      setChatMessages([]);
+      setChatSessionId(null);
+    }
+  };
+
+  useEffect(() => {
+    if (!canAnalyse) return;
+    const stored = localStorage.getItem(CHAT_SESSION_KEY);
+    if (stored) openChatSession(stored);
+    loadChatSessions();
+  }, [canAnalyse]);
+
   useEffect(() => {
     const fetchMeta = async () => {
       try {
         const res = await axios.get(`${BACKEND_URL}/api/meta`);
-        setMeta(res.data || { years: [], sectors: [] });
+        setMeta({ ...EMPTY_META, ...(res.data || {}) });
         if (res.data && res.data.years && res.data.years.length > 0) {
-          setSelectedYear(String(res.data.years[res.data.years.length - 1]));
+          const years = res.data.years.map(String);
+          // keep the current year if the (re)loaded data still has it
+          setSelectedYear((prev) => (years.includes(prev) ? prev : years[years.length - 1]));
         }
       } catch (err) {
         console.error("Error fetching meta", err);
       }
     };
     fetchMeta();
-  }, []);
+  }, [dataVersion]);
+
+  useEffect(() => {
+    const loadVersions = async () => {
+      try {
+        const res = await axios.get(`${BACKEND_URL}/api/datasets/versions`);
+        const list = res.data.versions || [];
+        setVersions(list);
+        setCurrentVersion(res.data.current);
+        // a link to a version that no longer exists falls back to the current data
+        setSelectedVersion((prev) => (list.some((v) => String(v.id) === prev) ? prev : ""));
+      } catch (err) {
+        console.error("Error loading dataset versions", err);
+      }
+    };
+    loadVersions();
+  }, [dataVersion]);
+
+  useEffect(() => {
+    const loadAlerts = async () => {
+      try {
+        const res = await axios.get(`${BACKEND_URL}/api/alerts/status`);
+        setAlertStatus(res.data || { webhook: false, results: [] });
+      } catch (err) {
+        console.error("Error loading alert status", err);
+      }
+    };
+    loadAlerts();
+  }, [dataVersion, alertsVersion]);
 
   useEffect(() => {
     const buildLineData = async () => {
@@ -87,15 +256,23 @@ export default function App() {
         return;
       }
       try {
-        const years = meta.years;
-        const arr = [];
-        for (const y of years) {
-          const res = await axios.get(`${BACKEND_URL}/api/emissions`, { params: { year: y } });
-          const rows = res.data || [];
-          const total = rows.reduce((s, it) => s + (typeof it.value === 'number' ? it.value : Number(it.value || 0)), 0);
-          arr.push({ year: y, total });
-        }
+        const res = await axios.get(`${BACKEND_URL}/api/timeseries`, {
+          params: {
+            ...filterParams({ region: selectedRegion, gas: selectedGas, sector: selectedSector, version: selectedVersion }),
+            unit: selectedUnit,
+            ...gwpParams(selectedGwp),
+          },
+        });
+        const { totals = [], series = [] } = res.data || {};
+        // one row per year: { year, total, Energy: …, Transport: … } for recharts
+        const byYear = new Map(totals.map((t) => [t.year, { year: t.year, total: t.value }]));
+        series.forEach((s) => s.points.forEach((p) => {
+          const row = byYear.get(p.year);
+          if (row) row[s.sector] = p.value;
+        }));
+        const arr = [...byYear.values()];
         setLineData(arr);
+        setLineSectors(series.map((s) => s.sector));
         console.log("lineData built:", arr);
       } catch (err) {
         console.error("Error building lineData:", err);
@@ -103,29 +280,54 @@ export default function App() {
       }
     };
     buildLineData();
-  }, [meta]);
+  }, [meta, selectedRegion, selectedGas, selectedSector, selectedUnit, selectedGwp, selectedVersion]);
+
+  useEffect(() => {
+    const loadForecast = async () => {
+      if (!showProjection) {
+        setForecast(null);
+        return;
+      }
+      try {
+        const res = await axios.get(`${BACKEND_URL}/api/forecast`, {
+          params: {
+            ...filterParams({ region: selectedRegion, gas: selectedGas, sector: selectedSector, version: selectedVersion }),
+            method: forecastMethod,
+            unit: selectedUnit,
+            ...gwpParams(selectedGwp),
+          },
+        });
+        setForecast(res.data || null);
+      } catch (err) {
+        console.error("Error loading forecast:", err);
+        setForecast(null);
+      }
+    };
+    loadForecast();
+  }, [meta, showProjection, forecastMethod, selectedRegion, selectedGas, selectedSector, selectedUnit, selectedGwp, selectedVersion, targetsVersion]);
 
   useEffect(() => {
     async function load() {
       if (!selectedYear) return;
       setLoadingData(true);
       try {
-        const params = { year: selectedYear };
-        const res = await axios.get(`${BACKEND_URL}/api/emissions`, { params });
+        const params = {
+          ...filterParams({ year: selectedYear, region: selectedRegion, gas: selectedGas, version: selectedVersion }),
+          unit: selectedUnit,
+          ...gwpParams(selectedGwp),
+        };
+        const barParams = drillSector
+          ? { ...params, sector: drillSector, groupBy: "subSector" }
+          : { ...params, ...filterParams({ sector: selectedSector }), groupBy: "sector" };
+        const res = await axios.get(`${BACKEND_URL}/api/emissions`, { params: barParams });
         const data = res.data || [];
-        const filtered = selectedSector && selectedSector !== "All"
-          ? data.filter((d) => d.sector === selectedSector)
-          : data;
-
-        const bySector = {};
-        filtered.forEach((r) => {
-          bySector[r.sector] = numberOrZero(r.value) + (bySector[r.sector] || 0);
-        });
-        const barArray = Object.keys(bySector).map((k) => ({ sector: k, value: bySector[k] }));
-        setEmissions(barArray);
+        setEmissions(data.map((r) => ({ name: drillSector ? subSectorLabel(r.subSector, drillSector) : r.sector, value: numberOrZero(r.value) })));
 
         const summRes = await axios.get(`${BACKEND_URL}/api/summary`, { params });
         setSummary(summRes.data || null);
+
+        const analyticsRes = await axios.get(`${BACKEND_URL}/api/analytics`, { params });
+        setAnalytics(analyticsRes.data || null);
       } catch (err) {
         console.error("Error loading data", err);
       } finally {
@@ -133,13 +335,13 @@ export default function App() {
       }
     }
     load();
-  }, [selectedYear, selectedSector]);
+  }, [selectedYear, selectedSector, selectedRegion, selectedGas, drillSector, selectedUnit, selectedGwp, selectedVersion, dataVersion]);
 
   // CHAT
   const handleKeyDown = (e) => {
     if (e.key === "Enter" && !e.shiftKey) {
       e.preventDefault();
-      if (!isSending && chatInput.trim() !== "") handleSendChat();
+      if (!isSending && !chatRetryAt && chatInput.trim() !== "") handleSendChat();
     }
   };
 
@@ -152,7 +354,7 @@ export default function App() {
 
   const handleSendChat = async () => {
     const message = chatInput.trim();
-    if (!message || isSending) return;
+    if (!message || isSending || chatRetryAt) return;
     addUserMessage(message);
     setChatInput("");
     setIsSending(true);
@@ -160,26 +362,86 @@ export default function App() {
     try {
       if (internetSearch) {
         const resp = await axios.get(`${BACKEND_URL}/api/search`, { params: { q: message } });
+        // results are normalized server-side to { title, link, snippet, source } whatever the provider
         const items = resp.data.results || [];
-        if (items.length === 0) {
-          addBotMessage("No web results found.", { source: "web" });
-        } else {
-          const listText = items.map((it, i) => `${i + 1}. ${it.title}\n${it.link}`).join("\n\n");
-          addBotMessage(`Top web results:\n\n${listText}`, { source: "web" });
-        }
+        const text = items.length === 0
+          ? "No web results found."
+          : `Top web results:\n\n${items.map((it, i) => `${i + 1}. ${it.title}${it.source ? ` (${it.source})` : ""}\n${it.snippet ? `${it.snippet}\n` : ""}${it.link}`).join("\n\n")}`;
+        const source = resp.data.provider === "local" ? "web (offline)" : "web";
+        addBotMessage(text, { source });
+        // web answers are built here, so hand them to the server to keep the history complete
+        const sessionId = chatSessionId || (await axios.post(`${BACKEND_URL}/api/chat/sessions`)).data.id;
+        await axios.post(`${BACKEND_URL}/api/chat/sessions/${sessionId}/messages`, {
+          messages: [{ from: "user", text: message }, { from: "bot", text, source }],
+        });
+        setChatSessionId(sessionId);
       } else {
-        const res = await axios.post(`${BACKEND_URL}/api/chat`, { message, internet: false });
+        const res = await axios.post(`${BACKEND_URL}/api/chat`, {
+          message,
+          sessionId: chatSessionId,
+          internet: false,
+          unit: selectedUnit,
+          ...gwpParams(selectedGwp),
+        });
         const data = res.data || {};
-        addBotMessage(data.answer || "No answer returned.", { source: data.source || "local" });
+        addBotMessage(data.answer || "No answer returned.", { source: data.source || "local", tools: data.tools, data: data.data, citations: data.citations });
+        if (data.sessionId) setChatSessionId(data.sessionId);
       }
+      loadChatSessions();
     } catch (err) {
+      const wait = retryAfterSeconds(err);
+      if (wait) {
+        // not answered: take the question back into the input so it can be resent after the countdown
+        setChatMessages((p) => p.slice(0, -1));
+        setChatInput(message);
+        setClock(Date.now());
+        setChatRetryAt(Date.now() + wait * 1000);
+        return;
+      }
       console.error("Chat/search error", err);
-      addBotMessage("Error contacting search/chat service.", { source: "error" });
+      addBotMessage(err.response?.data?.error || "Error contacting search/chat service.", { source: "error" });
     } finally {
       setIsSending(false);
     }
   };
 
+  // "Apply to dashboard" on a chat answer; years and sectors the dashboard doesn't have are ignored
+  const applyChatFilters = (filters) => {
+    if (filters.year != null && meta.years.includes(Number(filters.year))) setSelectedYear(String(filters.year));
+    if ("sector" in filters && (!filters.sector || meta.sectors.includes(filters.sector))) {
+      setSelectedSector(filters.sector || "All");
+      setDrillSector(null);
+    }
+  };
+
+  const handleNewChat = () => {
+    setChatMessages([]);
+    setChatSessionId(null);
+  };
+
+  const handleDeleteChat = async () => {
+    if (!chatSessionId || !window.confirm("Delete this conversation?")) return;
+    try {
+      await axios.delete(`${BACKEND_URL}/api/chat/sessions/${chatSessionId}`);
+    } catch (err) {
+      console.error("Error deleting chat session", err);
+    }
+    handleNewChat();
+    loadChatSessions();
+  };
+
+  const handleExportChat = () => {
+    downloadProtected(`/api/chat/sessions/${chatSessionId}/export?format=md`, "chat.md")
+      .catch((err) => console.error("Error exporting chat", err));
+  };
+
+  // knowledge base links point at the backend and need the auth header
+  const handleCitationClick = (e, link) => {
+    if (!link.startsWith("/")) return;
+    e.preventDefault();
+    openProtected(link).catch((err) => console.error("Error opening document", err));
+  };
+
   const suggestionClicks = (text) => {
     setChatInput(text);
     const el = document.querySelector(".chat-input");
@@ -189,16 +451,107 @@ export default function App() {
   const totalEmissions =
     summary && summary.summary ? Object.values(summary.summary).reduce((a, b) => a + b, 0) : null;
   const numberOfSectors = summary && summary.summary ? Object.keys(summary.summary).length : emissions.length;
+  const topShare = analytics && analytics.sectors.length > 0 ? analytics.sectors[0] : null;
+  // delta badges only make sense in the sector view, analytics is per sector
+  const barData = drillSector || !analytics
+    ? emissions
+    : emissions.map((r) => {
+      const a = analytics.sectors.find((x) => x.sector === r.name);
+      return { ...r, changePct: a ? a.changePct : null };
+    });
+
+  // Rules are evaluated on the current data within their own region / gas scope, so the dashboard
+  // only shows the ones whose scope is what it is filtered to, and none for an older version.
+  const inView = selectedVersion ? [] : alertStatus.results.filter((r) => (r.region || "All") === selectedRegion && (r.gas || "All") === selectedGas);
+  // Thresholds breached in the selected year: badges on the total card (for the sector filter) and on the bars.
+  const yearBreaches = inView.filter((r) => r.kind === "threshold" && r.breaches.some((b) => String(b.year) === selectedYear));
+  const focusBreaches = yearBreaches.filter((r) => (r.sector || "All") === selectedSector);
+  const breachedSectors = yearBreaches.filter((r) => r.sector).map((r) => r.sector);
+  // budgets of the selected sector, or all of them
+  const budgets = inView.filter((r) => r.kind === "budget" && (selectedSector === "All" || r.sector === selectedSector));
+  const activeAlerts = alertStatus.results.filter((r) => r.status !== "ok").length;
+
+  // The trend line shows the selected sector (or the total), so projections and targets follow it
+  const focusKey = selectedSector !== "All" ? selectedSector : "Total";
+
+  const scenarioParams = useMemo(
+    () => ({ ...filterParams({ region: selectedRegion, gas: selectedGas }), unit: selectedUnit, ...gwpParams(selectedGwp) }),
+    [selectedRegion, selectedGas, selectedUnit, selectedGwp]
+  );
+  const historyParams = useMemo(
+    () => ({ ...scenarioParams, ...filterParams({ version: selectedVersion }) }),
+    [scenarioParams, selectedVersion]
+  );
 
-  const handleExportCSV = () => {
-    if (!emissions || emissions.length === 0) {
-      alert("No data to export");
-      return;
+  // Waterfall from the chosen (default: first) year to the selected one, over the trend chart's sectors
+  const years = lineData.map((r) => r.year);
+  const fromYear = waterfallFrom || String(years[0] || "");
+  const waterfall = selectedYear && fromYear !== selectedYear
+    ? waterfallSteps(lineData, lineSectors, fromYear, selectedYear)
+    : null;
+
+  const handleImported = () => {
+    setShowImport(false);
+    setDataVersion((v) => v + 1);
+  };
+
+  const viewState = useMemo(() => compactViewState({
+    year: selectedYear,
+    sector: selectedSector,
+    region: selectedRegion,
+    gas: selectedGas,
+    drill: drillSector,
+    unit: selectedUnit,
+    gwp: selectedGwp,
+    lines: showSectorLines ? "1" : "0",
+    projection: showProjection ? "1" : "0",
+    method: forecastMethod,
+    version: selectedVersion,
+    stack: stackPercent ? "pct" : "abs",
+    compare: compareSectors.join(","),
+    from: waterfallFrom,
+  }), [selectedYear, selectedSector, selectedRegion, selectedGas, drillSector, selectedUnit, selectedGwp, showSectorLines, showProjection, forecastMethod, selectedVersion, stackPercent, compareSectors, waterfallFrom]);
+
+  // replaceState: filter changes shouldn't pile up browser history entries
+  useEffect(() => {
+    const query = toQueryString(viewState);
+    if (query !== window.location.search) {
+      window.history.replaceState(null, "", `${window.location.pathname}${query}${window.location.hash}`);
     }
-    const rows = emissions.map((r) => ({ year: selectedYear, sector: r.sector, value: r.value }));
-    downloadCSV(`emissions_${selectedYear}.csv`, rows);
+  }, [viewState]);
+
+  // Opening a saved view; a view saved without a year shows the latest one
+  const applyView = (state) => {
+    const view = { ...DEFAULT_VIEW, ...state };
+    setSelectedYear(view.year || String(meta.years[meta.years.length - 1] || ""));
+    setSelectedSector(view.sector);
+    setSelectedRegion(view.region);
+    setSelectedGas(view.gas);
+    setDrillSector(view.drill || null);
+    setSelectedUnit(view.unit);
+    setSelectedGwp(view.gwp);
+    setShowSectorLines(view.lines === "1");
+    setShowProjection(view.projection !== "0");
+    setForecastMethod(view.method);
+    setSelectedVersion(view.version);
+    setStackPercent(view.stack === "pct");
+    setCompareSectors(view.compare.split(",").filter(Boolean));
+    setWaterfallFrom(view.from);
   };
 
+  const handleRolledBack = () => {
+    setSelectedVersion("");
+    setDataVersion((v) => v + 1);
+  };
+
+  const viewedVersion = selectedVersion ? versions.find((v) => String(v.id) === selectedVersion) : null;
+
+  const handleSectorChange = (e) => {
+    setSelectedSector(e.target.value);
+    setDrillSector(null);
+  };
+
+
   return (
     <div className="app-container">
       <main className="dashboard">
@@ -207,6 +560,14 @@ export default function App() {
             <h1>Emissions Dashboard</h1>
             <p className="subtitle">Explore emissions by sector and year. Use the chat panel to ask questions or fetch live web insights.</p>
           </div>
+          <div className="user-badge">
+            <span className={`live-status live-${liveStatus}`} title={liveStatus === "open" ? "Receiving live updates" : "Live updates paused, reconnecting"}>
+              {liveStatus === "open" ? "Live" : liveStatus === "closed" ? "Offline" : "Reconnecting…"}
+            </span>{" "}
+            {user.via === "anonymous"
+              ? <>Browsing as guest ({user.role}) <button className="btn small" onClick={onLogout}>Sign in</button></>
+              : <>{user.username} · <span className="role-tag">{user.role}</span> <button className="btn small" onClick={onLogout}>Log out</button></>}
+          </div>
 
           <div className="controls-row">
             <div className="filter">
@@ -218,23 +579,115 @@ export default function App() {
               </label>
 
               <label style={{ marginLeft: 12 }}>Sector:&nbsp;
-                <select value={selectedSector} onChange={(e) => setSelectedSector(e.target.value)}>
+                <select value={selectedSector} onChange={handleSectorChange}>
                   <option value="All">All</option>
                   {meta.sectors.map((s) => <option key={s} value={s}>{s}</option>)}
                 </select>
               </label>
+
+              <label style={{ marginLeft: 12 }}>Region:&nbsp;
+                <select value={selectedRegion} onChange={(e) => setSelectedRegion(e.target.value)}>
+                  <option value="All">All</option>
+                  {meta.regions.map((r) => <option key={r} value={r}>{r}</option>)}
+                </select>
+              </label>
+
+              <label style={{ marginLeft: 12 }}>Gas:&nbsp;
+                <select value={selectedGas} onChange={(e) => setSelectedGas(e.target.value)}>
+                  <option value="All">All</option>
+                  {meta.gases.map((g) => <option key={g} value={g}>{g}</option>)}
+                </select>
+              </label>
+
+              <label style={{ marginLeft: 12 }}>Unit:&nbsp;
+                <select value={selectedUnit} onChange={(e) => setSelectedUnit(e.target.value)}>
+                  {meta.units.map((u) => <option key={u} value={u}>{unitLabel(u)}</option>)}
+                </select>
+              </label>
+
+              <label style={{ marginLeft: 12 }}>GWP:&nbsp;
+                <select value={selectedGwp} onChange={(e) => setSelectedGwp(e.target.value)}>
+                  {meta.gwpBases.flatMap((b) => meta.horizons.map((h) => (
+                    <option key={`${b}:${h}`} value={`${b}:${h}`}>{b} · {h}-yr</option>
+                  )))}
+                </select>
+              </label>
+
+              {versions.length > 1 && (
+                <label style={{ marginLeft: 12 }}>Version:&nbsp;
+                  <select value={selectedVersion} onChange={(e) => setSelectedVersion(e.target.value)}>
+                    <option value="">Current{currentVersion ? ` (v${currentVersion})` : ""}</option>
+                    {versions.filter((v) => v.id !== currentVersion).map((v) => (
+                      <option key={v.id} value={v.id}>v{v.id} · {v.label}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
             </div>
 
             <div className="actions">
-              <button className="btn small" onClick={handleExportCSV}>Export CSV</button>
+              <SavedViews state={viewState} onApply={applyView} user={user} />
+              {versions.length > 0 && <button className="btn small" onClick={() => setShowVersions((v) => !v)}>Versions</button>}
+              <button className="btn small" onClick={() => setShowAlerts((v) => !v)}>
+                Alerts{activeAlerts > 0 && <span className="alert-count" title={`${activeAlerts} rule(s) breached or close to it`}>{activeAlerts}</span>}
+              </button>
+              {isAdmin && <button className="btn small" onClick={() => setShowImport((v) => !v)}>Import data</button>}
+              <ExportMenu params={historyParams} year={selectedYear} sector={selectedSector} drillSector={drillSector} />
             </div>
           </div>
         </header>
 
+        {isAdmin && showImport && <ImportPanel onImported={handleImported} onClose={() => setShowImport(false)} />}
+        {showVersions && (
+          <VersionPanel
+            versions={versions}
+            current={currentVersion}
+            params={scenarioParams}
+            unit={selectedUnit}
+            canRollback={isAdmin}
+            onRolledBack={handleRolledBack}
+            onClose={() => setShowVersions(false)}
+          />
+        )}
+        {showAlerts && (
+          <AlertsPanel
+            results={alertStatus.results}
+            webhook={alertStatus.webhook}
+            sectors={meta.sectors}
+            regions={meta.regions}
+            gases={meta.gases}
+            unit={selectedUnit}
+            canEdit={canAnalyse}
+            isAdmin={isAdmin}
+            refreshKey={`${dataVersion}:${alertsVersion}`}
+            onChange={() => setAlertsVersion((v) => v + 1)}
+            onClose={() => setShowAlerts(false)}
+          />
+        )}
+        {dataUpdate && (
+          <div className="data-updated" role="status">
+            {dataUpdate.missed
+              ? "Data changed while the connection was down; the dashboard has been refreshed."
+              : `Data updated${dataUpdate.version ? ` to v${dataUpdate.version}` : ""}${dataUpdate.author ? ` by ${dataUpdate.author}` : ""} at ${new Date(dataUpdate.at).toLocaleTimeString()}; the dashboard has been refreshed.`}
+            <button className="chip" onClick={() => setDataUpdate(null)}>Dismiss</button>
+          </div>
+        )}
+        {viewedVersion && (
+          <div className="version-banner" role="status">
+            Showing dataset version v{viewedVersion.id} ({viewedVersion.label}), not the current data.
+            <button className="chip" onClick={() => setSelectedVersion("")}>Back to current</button>
+          </div>
+        )}
+
         <section className="cards">
           <div className="card">
             <h4>Total emissions (selected year)</h4>
-            <p className="card-value">{loadingData ? "Loading…" : totalEmissions !== null ? `${totalEmissions.toFixed(1)} MtCO₂e` : "-"}</p>
+            <p className="card-value">
+              {loadingData ? "Loading…" : totalEmissions !== null ? formatValue(totalEmissions, selectedUnit) : "-"}
+              {focusBreaches.length > 0 && (
+                <span className="breach-badge" title={focusBreaches.map((r) => r.name).join("\n")}>⚠ over limit</span>
+              )}
+            </p>
           </div>
 
           <div className="card">
@@ -242,84 +695,228 @@ export default function App() {
             <p className="card-value">{loadingData ? "…" : numberOfSectors}</p>
           </div>
 
+          <div className="card">
+            <h4>Change vs {analytics && analytics.compareYear ? analytics.compareYear : "previous year"}</h4>
+            <p className="card-value">
+              {loadingData || !analytics ? "…" : analytics.total.change === null ? "-" : (
+                <>
+                  {analytics.total.change > 0 ? "+" : ""}{formatValue(analytics.total.change, selectedUnit)}
+                  <span className={`delta ${analytics.total.change > 0 ? "delta-up" : "delta-down"}`}>{formatPct(analytics.total.changePct)}</span>
+                </>
+              )}
+            </p>
+          </div>
+
+          <div className="card">
+            <h4>CAGR {analytics ? `${analytics.cagr.from}–${analytics.cagr.to}` : ""}</h4>
+            <p className="card-value">{loadingData || !analytics ? "…" : analytics.cagr.rate === null ? "-" : `${formatPct(analytics.cagr.rate)} / yr`}</p>
+          </div>
+
+          <div className="card">
+            <h4>Largest share</h4>
+            <p className="card-value">
+              {loadingData || !topShare ? "…" : `${topShare.sector} · ${topShare.share.toFixed(1)}%`}
+              {topShare && topShare.rankChange ? <span className="delta">{topShare.rankChange > 0 ? "▲" : "▼"} {Math.abs(topShare.rankChange)} rank</span> : null}
+            </p>
+          </div>
+
           <div className="card">
             <h4>Selected filters</h4>
-            <p className="card-value small">Year: <strong>{selectedYear || "-"}</strong><br/>Sector: <strong>{selectedSector}</strong></p>
+            <p className="card-value small">Year: <strong>{selectedYear || "-"}</strong><br/>Sector: <strong>{selectedSector}</strong><br/>Region: <strong>{selectedRegion}</strong> · Gas: <strong>{selectedGas}</strong></p>
           </div>
         </section>
 
         <section className="charts">
-          <div className="chart-card">
-            <div className="chart-header"><h3>Emissions by sector (bar chart)</h3><div className="chart-help">Hover bars for details</div></div>
-            <div className="chart-body">
-              {loadingData ? <div className="loader">Loading chart…</div> :
-                <ResponsiveContainer width="100%" height={300}>
-                  <BarChart data={emissions} margin={{ top: 16, right: 16, left: 8, bottom: 32 }}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="sector" />
-                    <YAxis />
-                    <Tooltip formatter={(value) => `${value} MtCO₂e`} />
-                    <Bar dataKey="value" fill="#7b68ee" />
-                  </BarChart>
-                </ResponsiveContainer>
-              }
+          {budgets.length > 0 && (
+            <ChartCard title="Carbon budgets" options={<div className="chart-help">Share of each budget used so far, counting every year (years between reported ones are interpolated)</div>}>
+              <div className="budget-gauges">
+                {budgets.map((b) => <BudgetGauge key={b.ruleId} budget={b} />)}
+              </div>
+            </ChartCard>
+          )}
+
+          <ChartCard
+            title={drillSector ? `${drillSector} by sub-sector` : "Emissions by sector (bar chart)"}
+            options={drillSector
+              ? <button className="btn small" onClick={() => setDrillSector(null)}>Back to sectors</button>
+              : <div className="chart-help">Hover bars for details, click a bar to see that sector's history</div>}
+          >
+            {loadingData ? <div className="loader">Loading chart…</div> : (
+              <SectorBarChart
+                data={barData}
+                unit={selectedUnit}
+                onBarClick={drillSector ? null : setDrillSector}
+                breached={drillSector ? [] : breachedSectors}
+              />
+            )}
+            {!drillSector && breachedSectors.length > 0 && (
+              <small className="breach-note">
+                ⚠ Over an alert threshold in {selectedYear}: {yearBreaches.filter((r) => r.sector).map((r) => r.name).join("; ")}
+              </small>
+            )}
+          </ChartCard>
+
+          {drillSector && (
+            <ChartCard title={`${drillSector} over the years`}>
+              <SectorHistoryChart sector={drillSector} params={historyParams} unit={selectedUnit} dataVersion={dataVersion} />
+            </ChartCard>
+          )}
+
+          <TrendCard
+            lines={lineData}
+            lineSectors={lineSectors}
+            sectors={meta.sectors}
+            years={meta.years}
+            unit={selectedUnit}
+            focusKey={focusKey}
+            forecast={forecast}
+            showSectorLines={showSectorLines}
+            onShowSectorLines={setShowSectorLines}
+            showProjection={showProjection}
+            onShowProjection={setShowProjection}
+            method={forecastMethod}
+            onMethod={setForecastMethod}
+            targetsRefreshKey={targetsVersion}
+            canEditTargets={canAnalyse}
+            onTargetsChange={() => setTargetsVersion((v) => v + 1)}
+          />
+
+          <ChartCard
+            title="Sector mix over time (stacked area)"
+            options={(
+              <div className="chart-options">
+                <label className="search-toggle">
+                  <input type="checkbox" checked={stackPercent} onChange={(e) => setStackPercent(e.target.checked)} />
+                  <span>100% stacked</span>
+                </label>
+              </div>
+            )}
+          >
+            {lineData.length === 0 ? <div className="loader">Loading trend…</div> : (
+              <StackedAreaChart data={lineData} keys={lineSectors} colorKeys={meta.sectors} unit={selectedUnit} percent={stackPercent} />
+            )}
+          </ChartCard>
+
+          <ChartCard title="Compare sectors">
+            <SectorComparisonChart
+              data={lineData}
+              sectors={lineSectors}
+              selected={compareSectors.filter((s) => lineSectors.includes(s))}
+              onChange={setCompareSectors}
+              unit={selectedUnit}
+            />
+          </ChartCard>
+
+          <ChartCard
+            title={`Change by sector, ${fromYear || "…"} to ${selectedYear || "…"} (waterfall)`}
+            options={(
+              <div className="chart-options">
+                <label>From:&nbsp;
+                  <select value={fromYear} onChange={(e) => setWaterfallFrom(e.target.value)}>
+                    {years.map((y) => <option key={y} value={y}>{y}</option>)}
+                  </select>
+                </label>
+              </div>
+            )}
+          >
+            {waterfall ? <WaterfallChart steps={waterfall} unit={selectedUnit} /> : (
+              <div className="loader">
+                {fromYear === selectedYear ? `Pick a year other than ${selectedYear} to compare with.` : "No data for these years."}
+              </div>
+            )}
+          </ChartCard>
+
+          <ScenarioPanel
+            sectors={meta.sectors}
+            unit={selectedUnit}
+            params={historyParams}
+            dataVersion={dataVersion}
+            refreshKey={scenariosVersion}
+            canEdit={canAnalyse}
+          />
+        </section>
+
+        <footer className="footer-note"><small>Tip: Try chat suggestions or check "Search web" to fetch live web snippets (requires backend search API).</small></footer>
+      </main>
+
+      {!canAnalyse ? (
+        <aside className="chat-panel">
+          <div className="chat-title">
+            <h3>Chat Panel</h3>
+            <div className="chat-subtitle">Chat and web search are available to analysts. Ask an admin for access.</div>
+          </div>
+        </aside>
+      ) : (
+        <aside className="chat-panel" aria-live="polite">
+          <div className="chat-title">
+            <h3>Chat Panel</h3>
+            <div className="chat-subtitle">Ask about this dashboard or request web insights</div>
+            <div className="chat-session-row">
+              <select aria-label="Conversation" value={chatSessionId || ""}
+                onChange={(e) => (e.target.value ? openChatSession(e.target.value) : handleNewChat())}>
+                <option value="">New conversation</option>
+                {chatSessions.map((s) => (
+                  <option key={s.id} value={s.id}>{s.title || "Untitled"} ({s.messageCount})</option>
+                ))}
+              </select>
+              <button className="btn small" onClick={handleNewChat} disabled={!chatSessionId}>New</button>
+              {chatSessionId && (
+                <>
+                  <button className="btn small" onClick={handleExportChat}>Export</button>
+                  <button className="btn small" onClick={handleDeleteChat}>Delete</button>
+                </>
+              )}
             </div>
           </div>
 
-          <div className="chart-card">
-            <div className="chart-header"><h3>Trend over years (line chart)</h3><div className="chart-help">Total emissions trend across available years</div></div>
-            <div className="chart-body">
-              {lineData.length === 0 ? <div className="loader">Loading trend…</div> :
-                <ResponsiveContainer width="100%" height={240}>
-                  <LineChart data={lineData} margin={{ top: 8, right: 24, left: 8, bottom: 20 }}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="year" />
-                    <YAxis />
-                    <Tooltip formatter={(value) => `${value} MtCO₂e`} />
-                    <Line type="monotone" dataKey="total" stroke="#4caf50" strokeWidth={2} dot />
-                    <Legend />
-                  </LineChart>
-                </ResponsiveContainer>
-              }
-            </div>
+          <div className="chat-suggestions">
+            <button className="chip" onClick={() => suggestionClicks("Which sector is highest in 2020?")}>Which sector is highest in 2020?</button>
+            <button className="chip" onClick={() => suggestionClicks("Global CO2 emissions 2023")}>Global CO₂ emissions 2023</button>
+            <button className="chip" onClick={() => suggestionClicks("India CO2 emissions latest")}>India CO₂ emissions latest</button>
           </div>
-        </section>
 
-        <footer className="footer-note"><small>Tip: Try chat suggestions or check "Search web" to fetch live web snippets (requires backend search API).</small></footer>
-      </main>
+          <div className="chat-messages" ref={chatRef}>
+            {chatMessages.map((m, i) => (
+              <div key={i} className={`chat-bubble ${m.from === "user" ? "chat-user" : "chat-bot"}`}>
+                <div className="bubble-meta"><strong>{m.from === "user" ? "You" : "Assistant"}</strong>{m.source && <span className="source-tag">{m.source}</span>}</div>
+                {m.tools && m.tools.length > 0 && (
+                  <div className="bubble-tools">Looked up: {[...new Set(m.tools.map((t) => t.name))].join(", ")}</div>
+                )}
+                <div className="bubble-text" style={{whiteSpace: "pre-wrap"}}>{m.text}</div>
+                {m.data && <ChatPayload data={m.data} onApply={applyChatFilters} />}
+                {m.citations && m.citations.length > 0 && (
+                  <ol className="bubble-citations">
+                    {m.citations.map((c, j) => (
+                      <li key={j}>
+                        <a href={c.link.startsWith("/") ? `${BACKEND_URL}${c.link}` : c.link} target="_blank" rel="noreferrer"
+                          onClick={(e) => handleCitationClick(e, c.link)}>
+                          {c.title}{c.heading ? ` — ${c.heading}` : ""}{c.page ? `, p. ${c.page}` : ""}
+                        </a>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+                {m.url && <div className="bubble-link"><a href={m.url} target="_blank" rel="noreferrer">{m.title || m.url}</a></div>}
+              </div>
+            ))}
+          </div>
 
-      <aside className="chat-panel" aria-live="polite">
-        <div className="chat-title">
-          <h3>Chat Panel</h3>
-          <div className="chat-subtitle">Ask about this dashboard or request web insights</div>
-        </div>
-
-        <div className="chat-suggestions">
-          <button className="chip" onClick={() => suggestionClicks("Which sector is highest in 2020?")}>Which sector is highest in 2020?</button>
-          <button className="chip" onClick={() => suggestionClicks("Global CO2 emissions 2023")}>Global CO₂ emissions 2023</button>
-          <button className="chip" onClick={() => suggestionClicks("India CO2 emissions latest")}>India CO₂ emissions latest</button>
-        </div>
-
-        <div className="chat-messages" ref={chatRef}>
-          {chatMessages.map((m, i) => (
-            <div key={i} className={`chat-bubble ${m.from === "user" ? "chat-user" : "chat-bot"}`}>
-              <div className="bubble-meta"><strong>{m.from === "user" ? "You" : "Assistant"}</strong>{m.source && <span className="source-tag">{m.source}</span>}</div>
-              <div className="bubble-text" style={{whiteSpace: "pre-wrap"}}>{m.text}</div>
-              {m.url && <div className="bubble-link"><a href={m.url} target="_blank" rel="noreferrer">{m.title || m.url}</a></div>}
+          {chatRetryIn > 0 && (
+            <div className="chat-rate-limit" role="status">Rate limit reached. You can send again in {chatRetryIn}s.</div>
+          )}
+          <div className="chat-input-row">
+            <textarea className="chat-input" placeholder="Ask about emissions... (Enter to send, Shift+Enter for newline)"
+              value={chatInput} onChange={(e) => setChatInput(e.target.value)} onKeyDown={handleKeyDown}
+              rows={1} disabled={isSending} />
+            <div className="chat-controls">
+              <label className="search-toggle"><input type="checkbox" checked={internetSearch} onChange={(e) => setInternetSearch(e.target.checked)} /><span>Search web</span></label>
+              <button className="btn" onClick={handleSendChat} disabled={isSending || chatRetryIn > 0 || chatInput.trim() === ""}>
+                {isSending ? "Sending…" : chatRetryIn > 0 ? `Wait ${chatRetryIn}s` : "Send"}
+              </button>
             </div>
-          ))}
-        </div>
-
-        <div className="chat-input-row">
-          <textarea className="chat-input" placeholder="Ask about emissions... (Enter to send, Shift+Enter for newline)"
-            value={chatInput} onChange={(e) => setChatInput(e.target.value)} onKeyDown={handleKeyDown}
-            rows={1} disabled={isSending} />
-          <div className="chat-controls">
-            <label className="search-toggle"><input type="checkbox" checked={internetSearch} onChange={(e) => setInternetSearch(e.target.checked)} /><span>Search web</span></label>
-            <button className="btn" onClick={handleSendChat} disabled={isSending || chatInput.trim() === ""}>{isSending ? "Sending…" : "Send"}</button>
           </div>
-        </div>
-      </aside>
+        </aside>
+      )}
     </div>
   );
 }
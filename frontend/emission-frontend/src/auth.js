@@ -0,0 +1,84 @@
+import axios from "axios";
+import { BACKEND_URL } from "./config";
+
+// Signed-in state is a JWT from POST /api/auth/login, kept across reloads
+const TOKEN_KEY = "authToken";
+const ROLES = ["viewer", "analyst", "admin"];
+
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function setToken(token) {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+}
+
+// Roles are ordered: an admin can do everything an analyst can, and so on
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function isBackendRequest(config) {
+  return `${config.url || ""}`.startsWith(BACKEND_URL);
+}
+
+/**
+ * Sends the token with every backend request and calls onUnauthorized when the
+ * backend answers 401 (expired token, deleted account). Returns an uninstall function.
+ */
+export function installAuthInterceptors(onUnauthorized) {
+  const request = axios.interceptors.request.use((config) => {
+    const token = getToken();
+    if (token && isBackendRequest(config)) config.headers.Authorization = `Bearer ${token}`;
+    return config;
+  });
+  const response = axios.interceptors.response.use(undefined, (err) => {
+    if (err.response?.status === 401 && err.config && isBackendRequest(err.config) && !err.config.url.endsWith("/api/auth/login")) {
+      onUnauthorized();
+    }
+    return Promise.reject(err);
+  });
+  return () => {
+    axios.interceptors.request.eject(request);
+    axios.interceptors.response.eject(response);
+  };
+}
+
+// Protected files can't be plain links (no Authorization header), so fetch them as blobs
+async function fetchBlob(path) {
+  const res = await axios.get(`${BACKEND_URL}${path}`, { responseType: "blob" });
+  const disposition = res.headers["content-disposition"] || "";
+  // filename* has the real (UTF-8) name, filename an ASCII stand-in for older clients
+  const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+  const plain = disposition.match(/filename="?([^";]+)"?/);
+  return { blob: res.data, filename: encoded ? decodeURIComponent(encoded[1]) : plain ? plain[1] : null };
+}
+
+export async function downloadProtected(path, fallbackName) {
+  const { blob, filename } = await fetchBlob(path);
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename || fallbackName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Opens e.g. a knowledge base PDF in a new tab, keeping any #page=N fragment
+export async function openProtected(link) {
+  const [path, hash] = link.split("#");
+  const tab = window.open("", "_blank");
+  try {
+    const { blob } = await fetchBlob(path);
+    const url = URL.createObjectURL(blob);
+    if (tab) tab.location.href = hash ? `${url}#${hash}` : url;
+    // the tab has loaded the blob by then; free it eventually
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  } catch (err) {
+    if (tab) tab.close();
+    throw err;
+  }
+}
@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { BACKEND_URL } from "../config";
+import { formatValue, unitLabel } from "../units";
+
+const EMPTY_FORM = { kind: "threshold", sector: "", region: "", gas: "", limit: "", startYear: "", endYear: "", warnPct: "", name: "" };
+const STATUS_LABELS = { ok: "OK", warning: "Warning", breached: "Breached", resolved: "Resolved", test: "Test" };
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : "-";
+}
+
+// "Energy", "Total (EU, CH4)"
+function scope(r) {
+  const narrowed = [r.region, r.gas].filter(Boolean);
+  return `${r.sector || "Total"}${narrowed.length ? ` (${narrowed.join(", ")})` : ""}`;
+}
+
+// "2015–2020", "from 2015", or "all years"
+function period(r) {
+  if (r.startYear && r.endYear) return `${r.startYear}–${r.endYear}`;
+  if (r.startYear) return `from ${r.startYear}`;
+  if (r.endYear) return `until ${r.endYear}`;
+  return "all years";
+}
+
+/**
+ * Alert rules with their current status, and the notification log. `results` are the
+ * rules evaluated by /api/alerts/status; with canEdit (analysts) rules can be added
+ * and removed, admins can send a test notification to the webhook. A rule covers one
+ * sector / region / gas or all of them; budgets count every year of their period.
+ * A new refreshKey reloads the log.
+ */
+export default function AlertsPanel({ results, sectors, regions, gases, unit, webhook, canEdit, isAdmin, refreshKey, onChange, onClose }) {
+  const [notifications, setNotifications] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState("");
+  const [webhookResult, setWebhookResult] = useState("");
+
+  const loadNotifications = async () => {
+    try {
+      const res = await axios.get(`${BACKEND_URL}/api/alerts/notifications`, { params: { limit: 20 } });
+      setNotifications(res.data || []);
+    } catch (err) {
+      console.error("Error loading alert notifications", err);
+    }
+  };
+
+  useEffect(() => {
+    loadNotifications();
+  }, [refreshKey]);
+
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      await axios.post(`${BACKEND_URL}/api/alerts/rules`, { ...form, unit });
+      setForm(EMPTY_FORM);
+      onChange();
+    } catch (err) {
+      setError(err?.response?.data?.error || "Could not save the alert rule.");
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await axios.delete(`${BACKEND_URL}/api/alerts/rules/${id}`);
+      onChange();
+    } catch (err) {
+      console.error("Error deleting alert rule", err);
+    }
+  };
+
+  const handleTestWebhook = async () => {
+    setWebhookResult("Sending…");
+    try {
+      const res = await axios.post(`${BACKEND_URL}/api/alerts/webhook/test`);
+      setWebhookResult(`Delivered (HTTP ${res.data.status}).`);
+    } catch (err) {
+      setWebhookResult(`Not delivered: ${err?.response?.data?.error || err.message}`);
+    }
+    loadNotifications();
+  };
+
+  return (
+    <section className="chart-card alerts-panel">
+      <div className="chart-header">
+        <h3>Alerts and budgets</h3>
+        <button className="btn small" onClick={onClose}>Close</button>
+      </div>
+
+      {results.length === 0 ? <small>No alert rules yet.</small> : (
+        <table className="data-table">
+          <thead><tr><th>Rule</th><th>Scope</th><th>Limit</th><th>Period</th><th>Status</th>{canEdit && <th />}</tr></thead>
+          <tbody>
+            {results.map((r) => (
+              <tr key={r.ruleId}>
+                <td>{r.name}</td>
+                <td>{scope(r)}</td>
+                <td>{formatValue(r.limit, r.unit)}{r.kind === "threshold" ? " / yr" : " in total"}</td>
+                <td>{period(r)}</td>
+                <td>
+                  <span className={`alert-status alert-${r.status}`}>{STATUS_LABELS[r.status]}</span>
+                  {r.kind === "budget" && ` ${r.usedPct.toFixed(0)}% used`}
+                  {r.kind === "budget" && r.estimatedYears > 0 && <small> ({r.estimatedYears} interpolated years)</small>}
+                  {r.kind === "threshold" && r.breaches.length > 0 && ` in ${r.breaches.map((b) => b.year).join(", ")}`}
+                </td>
+                {canEdit && <td><button className="chip" onClick={() => handleDelete(r.ruleId)}>Remove</button></td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {canEdit && (
+        <form className="target-form" onSubmit={handleAdd}>
+          <select value={form.kind} onChange={update("kind")}>
+            <option value="threshold">Annual threshold</option>
+            <option value="budget">Carbon budget</option>
+          </select>
+          <select value={form.sector} onChange={update("sector")}>
+            <option value="">Total</option>
+            {sectors.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <select value={form.region} onChange={update("region")}>
+            <option value="">All regions</option>
+            {regions.map((r) => <option key={r} value={r}>{r}</option>)}
+          </select>
+          <select value={form.gas} onChange={update("gas")}>
+            <option value="">All gases</option>
+            {gases.map((g) => <option key={g} value={g}>{g}</option>)}
+          </select>
+          <label>Limit&nbsp;<input type="number" step="any" value={form.limit} onChange={update("limit")} style={{ width: 80 }} required /> {unitLabel(unit)}</label>
+          <label>From&nbsp;<input type="number" value={form.startYear} onChange={update("startYear")} style={{ width: 70 }} /></label>
+          <label>To&nbsp;<input type="number" value={form.endYear} onChange={update("endYear")} style={{ width: 70 }} /></label>
+          <label>Warn at %&nbsp;<input type="number" value={form.warnPct} onChange={update("warnPct")} placeholder={form.kind === "budget" ? "90" : ""} style={{ width: 56 }} /></label>
+          <input value={form.name} onChange={update("name")} placeholder="Name (optional)" />
+          <button className="btn small" type="submit">Add rule</button>
+        </form>
+      )}
+      {error && <div className="import-error">{error}</div>}
+
+      <div className="chart-header">
+        <h4>Notification log</h4>
+        {isAdmin && webhook && <button className="btn small" onClick={handleTestWebhook}>Send test webhook</button>}
+      </div>
+      {webhookResult && <small>{webhookResult}</small>}
+      {notifications.length === 0 ? <small>Nothing logged yet.</small> : (
+        <table className="data-table">
+          <thead><tr><th>When</th><th>Status</th><th>Rule</th><th>Message</th><th>Data</th>{webhook && <th>Webhook</th>}</tr></thead>
+          <tbody>
+            {notifications.map((n) => (
+              <tr key={n.id}>
+                <td>{formatDate(n.createdAt)}</td>
+                <td><span className={`alert-status alert-${n.status}`}>{STATUS_LABELS[n.status]}</span></td>
+                <td>{n.ruleName}</td>
+                <td>{n.message}</td>
+                <td>{n.datasetVersion ? `v${n.datasetVersion}` : "-"}</td>
+                {webhook && <td>{n.webhook || "-"}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
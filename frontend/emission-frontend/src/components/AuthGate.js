@@ -0,0 +1,41 @@
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { BACKEND_URL } from "../config";
+import { installAuthInterceptors, setToken } from "../auth";
+import LoginForm from "./LoginForm";
+
+/**
+ * Shows the login form until someone is signed in, then renders children(user, logout).
+ * A backend with ANONYMOUS_ROLE set signs visitors in as "anonymous" without a form;
+ * for them logout() opens the form instead.
+ */
+export default function AuthGate({ children }) {
+  const [user, setUser] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [notice, setNotice] = useState("");
+
+  const logout = useCallback((message = "") => {
+    setToken(null);
+    setUser(null);
+    setNotice(message);
+  }, []);
+
+  useEffect(() => installAuthInterceptors(() => logout("Your session has ended — please sign in again.")), [logout]);
+
+  useEffect(() => {
+    axios.get(`${BACKEND_URL}/api/auth/me`)
+      .then((res) => setUser(res.data.user))
+      .catch(() => setUser(null))
+      .finally(() => setChecking(false));
+  }, []);
+
+  const handleLogin = ({ token, user: signedIn }) => {
+    setToken(token);
+    setUser(signedIn);
+    setNotice("");
+  };
+
+  if (checking) return <div className="loader">Loading…</div>;
+  if (!user) return <LoginForm onLogin={handleLogin} notice={notice} />;
+  return children(user, () => logout());
+}
@@ -0,0 +1,86 @@
+import React from "react";
+import { Bar, BarChart, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { formatValue } from "../units";
+
+const COLORS = ["#7b68ee", "#ff9800", "#03a9f4", "#e91e63", "#009688"];
+const CHART_HEIGHT = 130;
+
+// "year 2015, Transport" for the apply button's tooltip
+function describeFilters(filters) {
+  const parts = [];
+  if (filters.year != null) parts.push(`year ${filters.year}`);
+  if ("sector" in filters) parts.push(filters.sector || "all sectors");
+  return parts.join(", ");
+}
+
+function PayloadTable({ data }) {
+  const hasShare = data.rows.some((r) => r.share != null);
+  return (
+    <table className="data-table chat-table">
+      <tbody>
+        {data.rows.map((r) => (
+          <tr key={r.label}>
+            <td>{r.label}</td>
+            <td>{formatValue(r.value, data.unit)}</td>
+            {hasShare && <td>{r.share != null ? `${r.share}%` : ""}</td>}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function PayloadSeries({ data }) {
+  return (
+    <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+      <LineChart data={data.points} margin={{ top: 5, right: 10, left: -10, bottom: 0 }}>
+        <XAxis dataKey="year" tick={{ fontSize: 10 }} />
+        <YAxis tick={{ fontSize: 10 }} />
+        <Tooltip formatter={(v) => formatValue(v, data.unit)} />
+        {data.keys.map((key, i) => (
+          <Line key={key} type="monotone" dataKey={key} stroke={COLORS[i % COLORS.length]} dot={{ r: 2 }} />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
+
+function PayloadComparison({ data }) {
+  return (
+    <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+      <BarChart data={data.items} margin={{ top: 5, right: 10, left: -10, bottom: 0 }}>
+        <XAxis dataKey="label" tick={{ fontSize: 10 }} />
+        <YAxis tick={{ fontSize: 10 }} />
+        <Tooltip formatter={(v) => formatValue(v, data.unit)} />
+        <Bar dataKey="value" fill={COLORS[0]} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
+
+const RENDERERS = {
+  table: PayloadTable,
+  series: PayloadSeries,
+  comparison: PayloadComparison,
+};
+
+/**
+ * Structured part of a chat answer (table / series / comparison / set-filters).
+ * `onApply(filters)` puts the answer's { year, sector } on the dashboard.
+ */
+export default function ChatPayload({ data, onApply }) {
+  const Renderer = RENDERERS[data.type];
+  const filters = data.filters || {};
+  const canApply = filters.year != null || "sector" in filters;
+  return (
+    <div className="chat-payload">
+      {data.title && <div className="chat-payload-title">{data.title}</div>}
+      {Renderer && <Renderer data={data} />}
+      {canApply && (
+        <button className="btn small" onClick={() => onApply(filters)} title={`Show ${describeFilters(filters)}`}>
+          Apply to dashboard
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { downloadProtected } from "../auth";
+
+const FORMATS = [
+  { id: "csv", label: "CSV" },
+  { id: "xlsx", label: "Excel (XLSX)" },
+  { id: "json", label: "JSON" },
+  { id: "pdf", label: "PDF report" },
+];
+
+// What goes into a CSV / XLSX / JSON file; the PDF report always covers the selected year plus the trend
+const SCOPES = [
+  { id: "view", label: "Current view (selected year)" },
+  { id: "years", label: "All years, per year" },
+  { id: "rows", label: "All rows, unaggregated" },
+];
+
+/**
+ * Export button plus a small menu to pick format and scope; files come from GET /api/export.
+ * `params` carries the region / gas / unit / GWP and dataset version query params, the sector filter is passed separately.
+ */
+export default function ExportMenu({ params, year, sector, drillSector }) {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState("csv");
+  const [scope, setScope] = useState("view");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const queryFor = () => {
+    const dim = drillSector ? "subSector" : "sector";
+    const query = { ...params, format };
+    const sectorFilter = drillSector || (sector !== "All" ? sector : null);
+    if (sectorFilter) query.sector = sectorFilter;
+    if (format === "pdf") {
+      if (year) query.year = year;
+    } else if (scope === "view") {
+      if (year) query.year = year;
+      query.groupBy = dim;
+    } else if (scope === "years") {
+      query.groupBy = `year,${dim}`;
+    }
+    return new URLSearchParams(query).toString();
+  };
+
+  const handleDownload = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      await downloadProtected(`/api/export?${queryFor()}`, `emissions.${format}`);
+      setOpen(false);
+    } catch (err) {
+      // error bodies arrive as blobs because of responseType, and may not be JSON (e.g. a proxy's page)
+      const response = err?.response;
+      let message = null;
+      if (response?.data instanceof Blob) {
+        try {
+          message = JSON.parse(await response.data.text()).error;
+        } catch (parseErr) {
+          // not JSON; fall back to the status text below
+        }
+      }
+      setError(message || response?.statusText || "Export failed.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="export-menu">
+      <button className="btn small" onClick={() => setOpen((v) => !v)} aria-expanded={open}>Export ▾</button>
+      {open && (
+        <div className="export-popover">
+          <label>Format&nbsp;
+            <select value={format} onChange={(e) => setFormat(e.target.value)}>
+              {FORMATS.map((f) => <option key={f.id} value={f.id}>{f.label}</option>)}
+            </select>
+          </label>
+          <label>Scope&nbsp;
+            <select value={scope} onChange={(e) => setScope(e.target.value)} disabled={format === "pdf"}>
+              {SCOPES.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+            </select>
+          </label>
+          <button className="btn small" onClick={handleDownload} disabled={busy}>{busy ? "Preparing…" : "Download"}</button>
+          {error && <div className="import-error">{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
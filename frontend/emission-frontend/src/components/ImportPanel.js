@@ -0,0 +1,141 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { BACKEND_URL } from "../config";
+
+const PREVIEW_ROWS = 20;
+
+// .json files are sent as JSON, anything else as CSV text
+function contentTypeFor(file) {
+  return /\.json$/i.test(file.name) ? "application/json" : "text/csv";
+}
+
+export default function ImportPanel({ onImported, onClose }) {
+  const [file, setFile] = useState(null);
+  const [fileText, setFileText] = useState("");
+  const [mode, setMode] = useState("replace");
+  // names the version this import creates, e.g. "2025 resubmission"
+  const [label, setLabel] = useState("");
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const post = (path, text, importMode, forFile = file, extra = {}) =>
+    axios.post(`${BACKEND_URL}${path}`, text, {
+      params: { mode: importMode, ...extra },
+      headers: { "Content-Type": contentTypeFor(forFile) },
+      transformRequest: [(d) => d], // send the file text untouched
+    });
+
+  const runPreview = async (text, importMode, forFile = file) => {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await post("/api/datasets/preview", text, importMode, forFile);
+      setReport(res.data);
+    } catch (err) {
+      const data = err?.response?.data;
+      setReport(data && data.errors ? { total: 0, valid: 0, rows: [], errors: data.errors } : null);
+      setError((data && data.error) || "Could not check file.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const picked = e.target.files && e.target.files[0];
+    setReport(null);
+    setError("");
+    setFile(picked || null);
+    if (!picked) return;
+    const text = await picked.text();
+    setFileText(text);
+    runPreview(text, mode, picked);
+  };
+
+  const handleModeChange = (e) => {
+    setMode(e.target.value);
+    if (file) runPreview(fileText, e.target.value);
+  };
+
+  const handleCommit = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await post("/api/datasets", fileText, mode, file, label.trim() ? { label: label.trim() } : {});
+      onImported(res.data);
+    } catch (err) {
+      const data = err?.response?.data;
+      if (data && data.errors) setReport((r) => ({ ...(r || {}), errors: data.errors }));
+      setError((data && data.error) || "Import failed.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const canCommit = report && report.valid > 0 && report.errors.length === 0 && !busy;
+
+  return (
+    <section className="chart-card import-panel">
+      <div className="chart-header">
+        <h3>Import dataset</h3>
+        <button className="btn small" onClick={onClose}>Close</button>
+      </div>
+      <p className="chart-help">CSV or JSON with columns <code>year, sector, value, unit</code> (unit: tCO2e to GtCO2e, or t to Gt of a single gas), optionally <code>subSector, region, gas</code>.</p>
+
+      <div className="controls-row">
+        <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} />
+        <label className="filter">Mode:&nbsp;
+          <select value={mode} onChange={handleModeChange}>
+            <option value="replace">Replace current data</option>
+            <option value="append">Append to current data</option>
+          </select>
+        </label>
+        <label className="filter">Version label:&nbsp;
+          <input value={label} onChange={(e) => setLabel(e.target.value)} placeholder="e.g. 2025 resubmission" maxLength={120} />
+        </label>
+      </div>
+
+      {busy && <div className="loader">Checking…</div>}
+      {error && <div className="import-error">{error}</div>}
+
+      {report && (
+        <>
+          <p className="card-value small">
+            {report.total} rows read, <strong>{report.valid}</strong> valid, <strong>{report.errors.length}</strong> problems
+          </p>
+
+          {report.errors.length > 0 && (
+            <table className="data-table import-errors">
+              <thead><tr><th>Line</th><th>Field</th><th>Problem</th></tr></thead>
+              <tbody>
+                {report.errors.map((e, i) => (
+                  <tr key={i}><td>{e.line ?? "-"}</td><td>{e.field || "-"}</td><td>{e.message}</td></tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {report.rows && report.rows.length > 0 && (
+            <table className="data-table">
+              <thead><tr><th>Year</th><th>Sector</th><th>Sub-sector</th><th>Region</th><th>Gas</th><th>Value</th><th>Unit</th></tr></thead>
+              <tbody>
+                {report.rows.slice(0, PREVIEW_ROWS).map((r, i) => (
+                  <tr key={i}>
+                    <td>{r.year}</td><td>{r.sector}</td><td>{r.subSector || "-"}</td><td>{r.region}</td><td>{r.gas}</td><td>{r.value}</td><td>{r.unit}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {report.valid > PREVIEW_ROWS && <small>Showing first {PREVIEW_ROWS} of {report.valid} valid rows.</small>}
+        </>
+      )}
+
+      <div className="actions">
+        <button className="btn" onClick={handleCommit} disabled={!canCommit}>
+          {report && report.valid > 0 ? `Import ${report.valid} rows` : "Import"}
+        </button>
+      </div>
+    </section>
+  );
+}
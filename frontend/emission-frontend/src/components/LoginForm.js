@@ -0,0 +1,45 @@
+import React, { useState } from "react";
+import axios from "axios";
+import { BACKEND_URL } from "../config";
+import { retryAfterSeconds } from "../rateLimit";
+
+export default function LoginForm({ onLogin, notice }) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const res = await axios.post(`${BACKEND_URL}/api/auth/login`, { username, password });
+      onLogin(res.data);
+    } catch (err) {
+      const wait = retryAfterSeconds(err);
+      setError(wait ? `Too many attempts — try again in ${wait}s.` : err?.response?.data?.error || "Could not reach the server.");
+      setPassword("");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h1>Emissions Dashboard</h1>
+        <p className="subtitle">Sign in to continue.</p>
+        {notice && <div className="login-notice">{notice}</div>}
+        <label>Username
+          <input value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" autoFocus required />
+        </label>
+        <label>Password
+          <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" required />
+        </label>
+        <button className="btn" type="submit" disabled={busy}>{busy ? "Signing in…" : "Sign in"}</button>
+        {error && <div className="import-error">{error}</div>}
+      </form>
+    </div>
+  );
+}
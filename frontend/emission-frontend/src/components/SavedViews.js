@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { BACKEND_URL } from "../config";
+import { hasRole } from "../auth";
+
+/**
+ * "Saved views" picker: opens a named view stored on the server, saves the current
+ * one, and renames / deletes views the user saved (admins: any view).
+ * `state` is the dashboard's compact view state; onApply(state) restores one.
+ */
+export default function SavedViews({ state, onApply, user }) {
+  const [views, setViews] = useState([]);
+  const [selectedId, setSelectedId] = useState("");
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  const loadViews = async () => {
+    try {
+      const res = await axios.get(`${BACKEND_URL}/api/views`);
+      setViews(res.data || []);
+    } catch (err) {
+      console.error("Error loading saved views", err);
+    }
+  };
+
+  useEffect(() => {
+    loadViews();
+  }, []);
+
+  const selected = views.find((v) => String(v.id) === selectedId) || null;
+  const canChange = selected && (!selected.owner || selected.owner === user.username || hasRole(user, "admin"));
+
+  const run = async (request) => {
+    setError("");
+    try {
+      await request();
+      await loadViews();
+    } catch (err) {
+      setError(err?.response?.data?.error || "Could not update saved views.");
+    }
+  };
+
+  const handleSelect = (e) => {
+    setSelectedId(e.target.value);
+    const view = views.find((v) => String(v.id) === e.target.value);
+    if (view) onApply(view.state);
+  };
+
+  const handleSave = () => {
+    const name = window.prompt("Name for this view:", selected ? selected.name : "");
+    if (!name || !name.trim()) return;
+    run(async () => {
+      const res = await axios.post(`${BACKEND_URL}/api/views`, { name, state });
+      setSelectedId(String(res.data.id));
+    });
+  };
+
+  const handleRename = () => {
+    const name = window.prompt("Rename view:", selected.name);
+    if (!name || !name.trim() || name === selected.name) return;
+    run(() => axios.patch(`${BACKEND_URL}/api/views/${selected.id}`, { name }));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the view "${selected.name}"?`)) return;
+    run(async () => {
+      await axios.delete(`${BACKEND_URL}/api/views/${selected.id}`);
+      setSelectedId("");
+    });
+  };
+
+  // the address bar already carries the current filters
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      window.prompt("Copy this link:", window.location.href);
+    }
+  };
+
+  return (
+    <div className="saved-views">
+      <select aria-label="Saved views" value={selectedId} onChange={handleSelect}>
+        <option value="">Saved views…</option>
+        {views.map((v) => <option key={v.id} value={v.id}>{v.name}</option>)}
+      </select>
+      <button className="btn small" onClick={handleSave}>Save view</button>
+      {canChange && <button className="chip" onClick={handleRename}>Rename</button>}
+      {canChange && <button className="chip" onClick={handleDelete}>Delete</button>}
+      <button className="chip" onClick={handleCopyLink}>{copied ? "Copied!" : "Copy link"}</button>
+      {error && <div className="import-error">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,203 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { BACKEND_URL } from "../config";
+import { formatValue } from "../units";
+
+const ALL_SECTORS = "*";
+const SCENARIO_COLORS = ["#7b68ee", "#ff9800", "#03a9f4", "#e91e63", "#009688"];
+const EMPTY_RULE = { sector: ALL_SECTORS, startYear: "2025", endYear: "", annualReductionPct: "3" };
+const EMPTY_DRAFT = { id: null, name: "", description: "", rules: [EMPTY_RULE] };
+
+/**
+ * Scenario editor plus a chart comparing the chosen scenarios with the baseline.
+ * `params` carries the dashboard's region / gas / unit / GWP and dataset version query params (memoized by the caller).
+ * Without canEdit (viewers) saved scenarios can be compared but not changed; a new refreshKey reloads them.
+ */
+export default function ScenarioPanel({ sectors, params, unit, dataVersion, refreshKey, canEdit }) {
+  const [scenarios, setScenarios] = useState([]);
+  const [compareIds, setCompareIds] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [baseline, setBaseline] = useState("flat");
+  const [until, setUntil] = useState("2040");
+  const [comparison, setComparison] = useState(null);
+  const [error, setError] = useState("");
+
+  const loadScenarios = async () => {
+    try {
+      const res = await axios.get(`${BACKEND_URL}/api/scenarios`);
+      setScenarios(res.data || []);
+    } catch (err) {
+      console.error("Error loading scenarios", err);
+    }
+  };
+
+  useEffect(() => {
+    loadScenarios();
+  }, [refreshKey]);
+
+  useEffect(() => {
+    const loadComparison = async () => {
+      try {
+        const res = await axios.get(`${BACKEND_URL}/api/scenarios/compare`, {
+          params: { ...params, ids: compareIds.join(","), baseline, until },
+        });
+        setComparison(res.data || null);
+      } catch (err) {
+        console.error("Error comparing scenarios", err);
+        setComparison(null);
+      }
+    };
+    loadComparison();
+  }, [compareIds, baseline, until, params, scenarios, dataVersion]);
+
+  const updateRule = (i, field) => (e) => {
+    const value = e.target.value;
+    setDraft((d) => ({ ...d, rules: d.rules.map((r, j) => (j === i ? { ...r, [field]: value } : r)) }));
+  };
+  const addRule = () => setDraft((d) => ({ ...d, rules: [...d.rules, EMPTY_RULE] }));
+  const removeRule = (i) => setDraft((d) => ({ ...d, rules: d.rules.filter((_, j) => j !== i) }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError("");
+    const body = {
+      name: draft.name,
+      description: draft.description,
+      rules: draft.rules.map((r) => ({
+        sector: r.sector,
+        startYear: Number(r.startYear),
+        endYear: r.endYear === "" ? null : Number(r.endYear),
+        annualReductionPct: Number(r.annualReductionPct),
+      })),
+    };
+    try {
+      const res = draft.id
+        ? await axios.put(`${BACKEND_URL}/api/scenarios/${draft.id}`, body)
+        : await axios.post(`${BACKEND_URL}/api/scenarios`, body);
+      setDraft(EMPTY_DRAFT);
+      setCompareIds((ids) => (ids.includes(res.data.id) ? ids : [...ids, res.data.id]));
+      await loadScenarios();
+    } catch (err) {
+      setError(err?.response?.data?.error || "Could not save scenario.");
+    }
+  };
+
+  const handleEdit = (s) => {
+    setDraft({
+      id: s.id,
+      name: s.name,
+      description: s.description,
+      rules: s.rules.map((r) => ({ ...r, startYear: String(r.startYear), endYear: r.endYear ? String(r.endYear) : "", annualReductionPct: String(r.annualReductionPct) })),
+    });
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await axios.delete(`${BACKEND_URL}/api/scenarios/${id}`);
+      setCompareIds((ids) => ids.filter((x) => x !== id));
+      if (draft.id === id) setDraft(EMPTY_DRAFT);
+      await loadScenarios();
+    } catch (err) {
+      console.error("Error deleting scenario", err);
+    }
+  };
+
+  const toggleCompare = (id) => {
+    setCompareIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]));
+  };
+
+  // { year, baseline, "scenario-1": …, "scenario-2": … } rows for the chart
+  const chartData = (() => {
+    if (!comparison) return [];
+    const byYear = new Map(comparison.baseline.total.map((p) => [p.year, { year: p.year, baseline: p.value }]));
+    comparison.scenarios.forEach((s) => s.total.forEach((p) => {
+      const row = byYear.get(p.year);
+      if (row) row[`scenario-${s.id}`] = p.value;
+    }));
+    return [...byYear.values()];
+  })();
+
+  return (
+    <div className="chart-card">
+      <div className="chart-header">
+        <h3>Scenario comparison</h3>
+        <div className="chart-options">
+          <label className="search-toggle">Baseline&nbsp;
+            <select value={baseline} onChange={(e) => setBaseline(e.target.value)}>
+              <option value="flat">Flat (last year)</option>
+              <option value="linear">Linear trend</option>
+              <option value="exponential">Exponential trend</option>
+            </select>
+          </label>
+          <label className="search-toggle">Until&nbsp;
+            <input type="number" value={until} onChange={(e) => setUntil(e.target.value)} style={{ width: 70 }} />
+          </label>
+        </div>
+      </div>
+
+      <div className="scenario-layout">
+        <div className="scenario-list">
+          {scenarios.length === 0 && <small>No scenarios yet.</small>}
+          {scenarios.map((s) => (
+            <div key={s.id} className="scenario-item">
+              <label className="search-toggle">
+                <input type="checkbox" checked={compareIds.includes(s.id)} onChange={() => toggleCompare(s.id)} />
+                <span>{s.name}</span>
+              </label>
+              {canEdit && <button className="chip" onClick={() => handleEdit(s)}>Edit</button>}
+              {canEdit && <button className="chip" onClick={() => handleDelete(s.id)}>Delete</button>}
+            </div>
+          ))}
+        </div>
+
+        {canEdit && (
+          <form className="scenario-editor" onSubmit={handleSave}>
+            <input placeholder="Scenario name" value={draft.name} onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))} />
+            {draft.rules.map((r, i) => (
+              <div key={i} className="target-form">
+                <select value={r.sector} onChange={updateRule(i, "sector")}>
+                  <option value={ALL_SECTORS}>All sectors</option>
+                  {sectors.map((s) => <option key={s} value={s}>{s}</option>)}
+                </select>
+                <label>cut&nbsp;<input type="number" step="0.1" value={r.annualReductionPct} onChange={updateRule(i, "annualReductionPct")} style={{ width: 56 }} />% / yr</label>
+                <label>from&nbsp;<input type="number" value={r.startYear} onChange={updateRule(i, "startYear")} style={{ width: 70 }} /></label>
+                <label>to&nbsp;<input type="number" value={r.endYear} placeholder="end" onChange={updateRule(i, "endYear")} style={{ width: 70 }} /></label>
+                {draft.rules.length > 1 && <button type="button" className="chip" onClick={() => removeRule(i)}>×</button>}
+              </div>
+            ))}
+            <div className="target-form">
+              <button type="button" className="chip" onClick={addRule}>+ Rule</button>
+              <button type="submit" className="btn small">{draft.id ? "Update scenario" : "Save scenario"}</button>
+              {draft.id && <button type="button" className="chip" onClick={() => setDraft(EMPTY_DRAFT)}>Cancel</button>}
+            </div>
+            {error && <div className="import-error">{error}</div>}
+          </form>
+        )}
+      </div>
+
+      <div className="chart-body">
+        {chartData.length === 0 ? <div className="loader">No data to compare</div> :
+          <ResponsiveContainer width="100%" height={260}>
+            <LineChart data={chartData} margin={{ top: 8, right: 24, left: 8, bottom: 20 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="year" type="number" domain={["dataMin", "dataMax"]} allowDecimals={false} />
+              <YAxis />
+              <Tooltip formatter={(value) => formatValue(value, unit)} />
+              <Line type="monotone" dataKey="baseline" stroke="#9e9e9e" strokeDasharray="6 4" dot={false} />
+              {comparison.scenarios.map((s, i) => (
+                <Line key={s.id} type="monotone" dataKey={`scenario-${s.id}`} name={s.name} stroke={SCENARIO_COLORS[i % SCENARIO_COLORS.length]} strokeWidth={2} dot={false} />
+              ))}
+              <Legend />
+            </LineChart>
+          </ResponsiveContainer>
+        }
+      </div>
+      {comparison && comparison.scenarios.map((s) => s.reduction && (
+        <div key={s.id} className="target-readout">
+          <strong>{s.name}</strong>: {formatValue(s.reduction.value, unit)} ({s.reduction.pct.toFixed(1)}%) below baseline in {s.reduction.year}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { BACKEND_URL } from "../config";
+
+const EMPTY_FORM = { sector: "", baseYear: "", targetYear: "2030", reductionPct: "45", name: "" };
+
+// Lists reduction targets; with canEdit (analysts) the user can also add or remove them.
+// A new refreshKey reloads the list, e.g. after another user changed it.
+export default function TargetsPanel({ sectors, years, refreshKey, canEdit, onChange }) {
+  const [targets, setTargets] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState("");
+
+  const loadTargets = async () => {
+    try {
+      const res = await axios.get(`${BACKEND_URL}/api/targets`);
+      setTargets(res.data || []);
+    } catch (err) {
+      console.error("Error loading targets", err);
+    }
+  };
+
+  useEffect(() => {
+    loadTargets();
+  }, [refreshKey]);
+
+  const update = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      await axios.post(`${BACKEND_URL}/api/targets`, {
+        ...form,
+        sector: form.sector || null,
+        baseYear: Number(form.baseYear || years[0]),
+        targetYear: Number(form.targetYear),
+        reductionPct: Number(form.reductionPct),
+      });
+      setForm(EMPTY_FORM);
+      await loadTargets();
+      onChange();
+    } catch (err) {
+      setError(err?.response?.data?.error || "Could not save target.");
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await axios.delete(`${BACKEND_URL}/api/targets/${id}`);
+      await loadTargets();
+      onChange();
+    } catch (err) {
+      console.error("Error deleting target", err);
+    }
+  };
+
+  return (
+    <div className="targets-panel">
+      {targets.length > 0 && (
+        <table className="data-table">
+          <thead><tr><th>Target</th><th>Scope</th><th>Base</th><th>By</th><th>Cut</th>{canEdit && <th />}</tr></thead>
+          <tbody>
+            {targets.map((t) => (
+              <tr key={t.id}>
+                <td>{t.name}</td><td>{t.sector || "Total"}</td><td>{t.baseYear}</td><td>{t.targetYear}</td><td>-{t.reductionPct}%</td>
+                {canEdit && <td><button className="chip" onClick={() => handleDelete(t.id)}>Remove</button></td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {targets.length === 0 && !canEdit && <small>No targets yet.</small>}
+      {canEdit && (
+        <form className="target-form" onSubmit={handleAdd}>
+          <select value={form.sector} onChange={update("sector")}>
+            <option value="">Total</option>
+            {sectors.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <label>Base&nbsp;
+            <select value={form.baseYear} onChange={update("baseYear")}>
+              {years.map((y) => <option key={y} value={y}>{y}</option>)}
+            </select>
+          </label>
+          <label>By&nbsp;<input type="number" value={form.targetYear} onChange={update("targetYear")} style={{ width: 70 }} /></label>
+          <label>Cut %&nbsp;<input type="number" value={form.reductionPct} onChange={update("reductionPct")} style={{ width: 56 }} /></label>
+          <button className="btn small" type="submit">Add target</button>
+        </form>
+      )}
+      {error && <div className="import-error">{error}</div>}
+    </div>
+  );
+}
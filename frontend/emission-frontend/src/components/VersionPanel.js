@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { BACKEND_URL } from "../config";
+import { formatValue } from "../units";
+
+const CHANGE_LABELS = { added: "added", removed: "removed", changed: "restated", unchanged: "" };
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : "-";
+}
+
+function formatPct(value) {
+  if (typeof value !== "number") return "-";
+  return `${value > 0 ? "+" : ""}${value.toFixed(1)}%`;
+}
+
+/**
+ * Dataset version history plus a row-by-row diff of two versions, restated values highlighted.
+ * `params` carries the unit / GWP query params so both sides compare in the dashboard's unit.
+ * With canRollback (admins) an older version can be made current again.
+ */
+export default function VersionPanel({ versions, current, params, unit, canRollback, onRolledBack, onClose }) {
+  const latest = versions[0] ? versions[0].id : null;
+  const [from, setFrom] = useState(versions[1] ? String(versions[1].id) : "");
+  const [to, setTo] = useState(latest ? String(latest) : "");
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!from || !to) {
+      setDiff(null);
+      return;
+    }
+    const loadDiff = async () => {
+      try {
+        const res = await axios.get(`${BACKEND_URL}/api/datasets/versions/diff`, {
+          params: { ...params, from, to, includeUnchanged: showUnchanged ? 1 : undefined },
+        });
+        setDiff(res.data);
+        setError("");
+      } catch (err) {
+        setDiff(null);
+        setError(err?.response?.data?.error || "Could not compare these versions.");
+      }
+    };
+    loadDiff();
+  }, [from, to, showUnchanged, params]);
+
+  const compareWithPrevious = (index) => {
+    setTo(String(versions[index].id));
+    setFrom(versions[index + 1] ? String(versions[index + 1].id) : "");
+  };
+
+  const handleRollback = async (version) => {
+    if (!window.confirm(`Make v${version.id} (${version.label}) the current data? This is recorded as a new version.`)) return;
+    try {
+      await axios.post(`${BACKEND_URL}/api/datasets/versions/${version.id}/rollback`);
+      onRolledBack();
+    } catch (err) {
+      setError(err?.response?.data?.error || "Rollback failed.");
+    }
+  };
+
+  return (
+    <section className="chart-card version-panel">
+      <div className="chart-header">
+        <h3>Dataset versions</h3>
+        <button className="btn small" onClick={onClose}>Close</button>
+      </div>
+
+      <table className="data-table">
+        <thead><tr><th>Version</th><th>Label</th><th>By</th><th>When</th><th>Changes</th><th /></tr></thead>
+        <tbody>
+          {versions.map((v, i) => (
+            <tr key={v.id}>
+              <td>v{v.id}{v.id === current && <span className="source-tag">current</span>}</td>
+              <td>{v.label}</td>
+              <td>{v.author || "-"}</td>
+              <td>{formatDate(v.createdAt)}</td>
+              <td>{v.action === "initial" ? `${v.rowCount} rows` : `+${v.added} −${v.removed} ~${v.changed}`}</td>
+              <td>
+                {i < versions.length - 1 && <button className="chip" onClick={() => compareWithPrevious(i)}>Diff</button>}
+                {canRollback && v.id !== current && <button className="chip" onClick={() => handleRollback(v)}>Roll back</button>}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="controls-row version-diff-controls">
+        <label className="filter">Compare&nbsp;
+          <select value={from} onChange={(e) => setFrom(e.target.value)}>
+            <option value="">--</option>
+            {versions.map((v) => <option key={v.id} value={v.id}>v{v.id} · {v.label}</option>)}
+          </select>
+        </label>
+        <label className="filter">with&nbsp;
+          <select value={to} onChange={(e) => setTo(e.target.value)}>
+            {versions.map((v) => <option key={v.id} value={v.id}>v{v.id} · {v.label}</option>)}
+          </select>
+        </label>
+        <label className="search-toggle">
+          <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+          <span>Show unchanged rows</span>
+        </label>
+      </div>
+
+      {error && <div className="import-error">{error}</div>}
+      {diff && (
+        <>
+          <p className="card-value small">
+            v{diff.from} → v{diff.to}: <strong>{diff.counts.changed}</strong> restated, <strong>{diff.counts.added}</strong> added,
+            {" "}<strong>{diff.counts.removed}</strong> removed, {diff.counts.unchanged} unchanged
+          </p>
+          {diff.rows.length > 0 && (
+            <div className="version-diff">
+              <table className="data-table">
+                <thead>
+                  <tr><th>Year</th><th>Sector</th><th>Sub-sector</th><th>Region</th><th>Gas</th><th>v{diff.from}</th><th>v{diff.to}</th><th>Change</th><th /></tr>
+                </thead>
+                <tbody>
+                  {diff.rows.map((r, i) => (
+                    <tr key={i} className={`diff-${r.change}`}>
+                      <td>{r.year}</td><td>{r.sector}</td><td>{r.subSector || "-"}</td><td>{r.region}</td><td>{r.gas}</td>
+                      <td>{r.before === null ? "-" : formatValue(r.before, unit)}</td>
+                      <td>{r.after === null ? "-" : formatValue(r.after, unit)}</td>
+                      <td>{r.delta === null ? "-" : `${r.delta > 0 ? "+" : ""}${formatValue(r.delta, unit)} (${formatPct(r.deltaPct)})`}</td>
+                      <td>{CHANGE_LABELS[r.change]}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,51 @@
+import React from "react";
+import { Cell, Pie, PieChart } from "recharts";
+import { formatValue } from "../../units";
+
+const STATUS_COLORS = { ok: "#2e7d32", warning: "#f9a825", breached: "#d32f2f" };
+const TRACK_COLOR = "#e3e4e8";
+
+// "Energy budget: 2015–2020, 4 years interpolated"
+function describe(budget) {
+  if (budget.from === null) return `${budget.name}: no data in its period yet`;
+  const estimated = budget.estimatedYears ? `, ${budget.estimatedYears} year${budget.estimatedYears === 1 ? "" : "s"} interpolated` : "";
+  return `${budget.name}: ${budget.from}–${budget.to}${estimated}`;
+}
+
+/**
+ * Half-circle gauge of how much of a carbon budget is used, for one budget evaluated
+ * by /api/alerts/status ({ name, limit, used, remaining, usedPct, status, unit, from, to, estimatedYears }).
+ */
+export default function BudgetGauge({ budget, size = 160 }) {
+  const used = Math.min(Math.max(budget.used, 0), budget.limit);
+  const segments = [{ key: "used", value: used }, { key: "left", value: budget.limit - used }];
+  return (
+    <div className="budget-gauge" title={describe(budget)}>
+      <PieChart width={size} height={size / 2 + 8}>
+        <Pie
+          data={segments}
+          dataKey="value"
+          cx="50%"
+          cy={size / 2}
+          startAngle={180}
+          endAngle={0}
+          innerRadius={size * 0.3}
+          outerRadius={size * 0.45}
+          stroke="none"
+          isAnimationActive={false}
+        >
+          <Cell fill={STATUS_COLORS[budget.status]} />
+          <Cell fill={TRACK_COLOR} />
+        </Pie>
+      </PieChart>
+      <div className="budget-gauge-value">{budget.usedPct.toFixed(0)}% used</div>
+      <div className="budget-gauge-label">
+        <strong>{budget.sector || "Total"}</strong>
+        {budget.from !== null && ` · ${budget.from}–${budget.to}`}
+        {budget.remaining >= 0
+          ? ` · ${formatValue(budget.remaining, budget.unit)} left of ${formatValue(budget.limit, budget.unit)}`
+          : ` · over by ${formatValue(-budget.remaining, budget.unit)}`}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import React from "react";
+
+// The frame every dashboard chart sits in: title, options on the right, an optional
+// panel (e.g. an editor) above the chart and a footer for readouts below it
+export default function ChartCard({ title, options = null, panel = null, footer = null, children }) {
+  return (
+    <div className="chart-card">
+      <div className="chart-header">
+        <h3>{title}</h3>
+        {options}
+      </div>
+      {panel}
+      <div className="chart-body">{children}</div>
+      {footer}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React from "react";
+import { Bar, BarChart, CartesianGrid, Cell, LabelList, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { formatValue } from "../../units";
+
+// Small ▲/▼ percent change above a bar; rising emissions are shown in red
+function DeltaLabel({ x, y, width, value }) {
+  if (typeof value !== "number") return null;
+  return (
+    <text x={x + width / 2} y={y - 6} textAnchor="middle" fontSize={11} fill={value > 0 ? "#d32f2f" : "#2e7d32"}>
+      {value > 0 ? "▲" : "▼"} {Math.abs(value).toFixed(1)}%
+    </text>
+  );
+}
+
+const BAR_COLOR = "#7b68ee";
+const BREACH_COLOR = "#d32f2f";
+
+// "⚠" inside the top of a bar that breaches an alert threshold
+function BreachMark({ x, y, width, height, value }) {
+  if (!value || height < 16) return null;
+  return (
+    <text x={x + width / 2} y={y + 14} textAnchor="middle" fontSize={12} fill="#fff">⚠</text>
+  );
+}
+
+/**
+ * One bar per item of `data` ([{ name, value, changePct? }]); changePct is drawn as a badge.
+ * With onBarClick the bars are clickable and the handler gets the clicked item's name.
+ * Bars named in `breached` (e.g. sectors over an alert threshold) are drawn red with a ⚠.
+ */
+export default function SectorBarChart({ data, unit, onBarClick = null, breached = [], height = 300 }) {
+  const rows = data.map((r) => ({ ...r, breached: breached.includes(r.name) }));
+  const handleClick = (entry) => {
+    const name = entry && (entry.payload ? entry.payload.name : entry.name);
+    if (name && onBarClick) onBarClick(name);
+  };
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={rows} margin={{ top: 24, right: 16, left: 8, bottom: 32 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="name" />
+        <YAxis />
+        <Tooltip formatter={(value) => formatValue(value, unit)} />
+        <Bar dataKey="value" fill={BAR_COLOR} onClick={handleClick} cursor={onBarClick ? "pointer" : "default"}>
+          {rows.map((r) => <Cell key={r.name} fill={r.breached ? BREACH_COLOR : BAR_COLOR} />)}
+          <LabelList dataKey="changePct" content={DeltaLabel} />
+          <LabelList dataKey="breached" content={BreachMark} />
+        </Bar>
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
@@ -0,0 +1,46 @@
+import React from "react";
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { formatValue } from "../../units";
+import { sectorColor } from "./chartData";
+
+/**
+ * Chosen sectors side by side over the years. The sector chips toggle what is compared;
+ * onChange(selected) gets the new list. `data` rows: { year, [sector]: value }.
+ */
+export default function SectorComparisonChart({ data, sectors, selected, onChange, unit, height = 260 }) {
+  const toggle = (sector) => onChange(selected.includes(sector)
+    ? selected.filter((s) => s !== sector)
+    : sectors.filter((s) => s === sector || selected.includes(s)));
+
+  return (
+    <>
+      <div className="sector-chips" role="group" aria-label="Sectors to compare">
+        {sectors.map((sector) => (
+          <button
+            key={sector}
+            className={`chip${selected.includes(sector) ? " chip-active" : ""}`}
+            style={selected.includes(sector) ? { borderColor: sectorColor(sector, sectors) } : undefined}
+            aria-pressed={selected.includes(sector)}
+            onClick={() => toggle(sector)}
+          >
+            {sector}
+          </button>
+        ))}
+      </div>
+      {selected.length === 0 ? <div className="loader">Pick sectors to compare.</div> : (
+        <ResponsiveContainer width="100%" height={height}>
+          <LineChart data={data} margin={{ top: 8, right: 24, left: 8, bottom: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="year" type="number" domain={["dataMin", "dataMax"]} allowDecimals={false} />
+            <YAxis />
+            <Tooltip formatter={(value) => formatValue(value, unit)} />
+            {selected.map((sector) => (
+              <Line key={sector} type="monotone" dataKey={sector} stroke={sectorColor(sector, sectors)} strokeWidth={2} dot connectNulls />
+            ))}
+            <Legend />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </>
+  );
+}
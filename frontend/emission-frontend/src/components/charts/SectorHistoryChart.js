@@ -0,0 +1,33 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import { BACKEND_URL } from "../../config";
+import StackedAreaChart from "./StackedAreaChart";
+import { pivotRows, subSectorLabel } from "./chartData";
+
+/**
+ * One sector across all years, stacked by sub-sector (a sector without sub-sectors
+ * is a single area). `params` carries the dashboard's region / gas / unit / GWP /
+ * version query params; a new dataVersion reloads the history.
+ */
+export default function SectorHistoryChart({ sector, params, unit, dataVersion }) {
+  const [history, setHistory] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const res = await axios.get(`${BACKEND_URL}/api/emissions`, {
+          params: { ...params, sector, groupBy: "year,subSector" },
+        });
+        setHistory(pivotRows(res.data || [], "subSector", { label: (s) => subSectorLabel(s, sector) }));
+      } catch (err) {
+        console.error("Error loading sector history", err);
+        setHistory(null);
+      }
+    };
+    load();
+  }, [sector, params, dataVersion]);
+
+  if (!history) return <div className="loader">Loading {sector} history…</div>;
+  if (history.rows.length === 0) return <div className="loader">No {sector} data for these filters.</div>;
+  return <StackedAreaChart data={history.rows} keys={history.keys} unit={unit} height={240} />;
+}
@@ -0,0 +1,36 @@
+import React from "react";
+import { Area, AreaChart, CartesianGrid, Legend, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { formatValue } from "../../units";
+import { sectorColor, toShares } from "./chartData";
+
+/**
+ * Keys (sectors, sub-sectors) stacked across the years. With percent the stack is
+ * shown as shares of each year's total, so the mix can be compared between years.
+ * `data` rows: { year, [key]: value }; colors follow `colorKeys` (default: keys).
+ */
+export default function StackedAreaChart({ data, keys, unit, percent = false, colorKeys = keys, height = 280 }) {
+  const rows = percent ? toShares(data, keys) : data;
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <AreaChart data={rows} margin={{ top: 8, right: 24, left: 8, bottom: 20 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="year" type="number" domain={["dataMin", "dataMax"]} allowDecimals={false} />
+        <YAxis domain={percent ? [0, 100] : [0, "auto"]} tickFormatter={percent ? (v) => `${v}%` : undefined} />
+        <Tooltip formatter={(value) => (percent ? `${value.toFixed(1)}%` : formatValue(value, unit))} />
+        {keys.map((key) => (
+          <Area
+            key={key}
+            type="monotone"
+            dataKey={key}
+            stackId="stack"
+            stroke={sectorColor(key, colorKeys)}
+            fill={sectorColor(key, colorKeys)}
+            fillOpacity={0.7}
+            connectNulls
+          />
+        ))}
+        <Legend />
+      </AreaChart>
+    </ResponsiveContainer>
+  );
+}
@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import ChartCard from "./ChartCard";
+import TrendChart from "./TrendChart";
+import TargetsPanel from "../TargetsPanel";
+import { trendRows } from "./chartData";
+import { formatValue } from "../../units";
+
+// "target 15 MtCO₂e in 2030, projected 18 MtCO₂e" plus whether that is on track
+function TargetReadout({ target, unit }) {
+  return (
+    <div className="target-readout">
+      <strong>{target.name}</strong>: target {formatValue(target.targetValue, unit)} in {target.targetYear},
+      {target.projectedIsActual ? " actual " : " projected "}{formatValue(target.projectedValue, unit)}
+      <span className={`delta ${target.onTrack ? "delta-down" : "delta-up"}`}>
+        {target.onTrack
+          ? `on track (${formatValue(-target.gap, unit)} below)`
+          : `${formatValue(target.gap, unit)} above target`}
+      </span>
+    </div>
+  );
+}
+
+/**
+ * The trend card: the total (or `focusKey` sector) over the years with optional sector lines,
+ * the projection from /api/forecast (`forecast`) with its band, and the targets for that series
+ * with their pathway and on-track readouts. The targets editor opens from the card; a new
+ * targetsRefreshKey reloads it. Toggles are controlled, so they can live in the URL state.
+ */
+export default function TrendCard({
+  lines, lineSectors, sectors, years, unit, focusKey, forecast,
+  showSectorLines, onShowSectorLines, showProjection, onShowProjection, method, onMethod,
+  targetsRefreshKey, canEditTargets, onTargetsChange,
+}) {
+  const [showTargets, setShowTargets] = useState(false);
+
+  const series = forecast ? forecast.series.find((s) => s.key === focusKey) : null;
+  const targets = forecast ? forecast.targets.filter((t) => !t.error && (t.sector || "Total") === focusKey) : [];
+  const pathwayTarget = targets[0] || null;
+
+  const options = (
+    <div className="chart-options">
+      <label className="search-toggle">
+        <input type="checkbox" checked={showSectorLines} onChange={(e) => onShowSectorLines(e.target.checked)} />
+        <span>Show sector lines</span>
+      </label>
+      <label className="search-toggle">
+        <input type="checkbox" checked={showProjection} onChange={(e) => onShowProjection(e.target.checked)} />
+        <span>Projection</span>
+      </label>
+      {showProjection && (
+        <select value={method} onChange={(e) => onMethod(e.target.value)}>
+          <option value="linear">Linear</option>
+          <option value="exponential">Exponential</option>
+        </select>
+      )}
+      <button className="btn small" onClick={() => setShowTargets((v) => !v)}>Targets</button>
+    </div>
+  );
+
+  const footer = showProjection && (
+    <>
+      {series && series.error && <small>No projection: {series.error}</small>}
+      {targets.map((t) => <TargetReadout key={t.id} target={t} unit={unit} />)}
+    </>
+  );
+
+  return (
+    <ChartCard
+      title="Trend over years (line chart)"
+      options={options}
+      panel={showTargets && <TargetsPanel sectors={sectors} years={years} refreshKey={targetsRefreshKey} canEdit={canEditTargets} onChange={onTargetsChange} />}
+      footer={footer}
+    >
+      {lines.length === 0 ? <div className="loader">Loading trend…</div> : (
+        <TrendChart
+          data={trendRows(lines, series, pathwayTarget)}
+          unit={unit}
+          totalName={focusKey === "Total" ? "total" : focusKey}
+          sectorLines={showSectorLines ? lineSectors : []}
+          sectors={sectors}
+          projection={showProjection ? { level: forecast ? forecast.level : 95 } : null}
+          showPathway={Boolean(pathwayTarget)}
+        />
+      )}
+    </ChartCard>
+  );
+}
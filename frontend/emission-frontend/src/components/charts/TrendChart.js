@@ -0,0 +1,38 @@
+import React from "react";
+import { Area, CartesianGrid, ComposedChart, Legend, Line, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { formatValue } from "../../units";
+import { sectorColor } from "./chartData";
+
+/**
+ * Total (or focused sector) over the years, optionally with a dashed projection and its
+ * confidence band, a target pathway and one thin line per sector.
+ * `data` rows: { year, total, projection?, band?: [lower, upper], pathway?, [sector]: value }.
+ */
+export default function TrendChart({ data, unit, totalName = "total", sectorLines = [], sectors = sectorLines, projection = null, showPathway = false, height = 260 }) {
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <ComposedChart data={data} margin={{ top: 8, right: 24, left: 8, bottom: 20 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="year" type="number" domain={["dataMin", "dataMax"]} allowDecimals={false} />
+        <YAxis />
+        <Tooltip formatter={(value) => (Array.isArray(value)
+          ? `${formatValue(value[0], unit)} – ${formatValue(value[1], unit)}`
+          : formatValue(value, unit))} />
+        {projection && (
+          <Area dataKey="band" name={`${projection.level}% band`} stroke="none" fill="#4caf50" fillOpacity={0.12} connectNulls />
+        )}
+        <Line type="monotone" dataKey="total" name={totalName} stroke="#4caf50" strokeWidth={2} dot connectNulls />
+        {projection && (
+          <Line type="monotone" dataKey="projection" name="projection" stroke="#4caf50" strokeDasharray="6 4" dot={false} connectNulls />
+        )}
+        {projection && showPathway && (
+          <Line type="linear" dataKey="pathway" name="target pathway" stroke="#d32f2f" strokeDasharray="2 3" dot={false} connectNulls />
+        )}
+        {sectorLines.map((sector) => (
+          <Line key={sector} type="monotone" dataKey={sector} stroke={sectorColor(sector, sectors)} strokeWidth={1.5} dot={false} connectNulls />
+        ))}
+        <Legend />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
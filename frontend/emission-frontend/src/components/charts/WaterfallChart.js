@@ -0,0 +1,42 @@
+import React from "react";
+import { Bar, BarChart, CartesianGrid, Cell, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { formatValue } from "../../units";
+
+const STEP_COLORS = { total: "#7b68ee", increase: "#d32f2f", decrease: "#2e7d32" };
+
+// Tooltip: totals show their value, sector steps the signed change
+function StepTooltip({ active, payload, unit }) {
+  if (!active || !payload || payload.length === 0) return null;
+  const step = payload[0].payload;
+  return (
+    <div className="chart-tooltip">
+      <strong>{step.name}</strong>
+      <div>
+        {step.kind === "total"
+          ? formatValue(step.value, unit)
+          : `${step.delta > 0 ? "+" : ""}${formatValue(step.delta, unit)}`}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Change between two years broken down by sector: `steps` from waterfallSteps().
+ * Each bar floats on an invisible base bar; rises are red, falls green.
+ */
+export default function WaterfallChart({ steps, unit, height = 280 }) {
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={steps} margin={{ top: 8, right: 16, left: 8, bottom: 32 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="name" interval={0} />
+        <YAxis />
+        <Tooltip content={<StepTooltip unit={unit} />} />
+        <Bar dataKey="base" stackId="waterfall" fill="transparent" isAnimationActive={false} />
+        <Bar dataKey="value" stackId="waterfall">
+          {steps.map((step) => <Cell key={step.name} fill={STEP_COLORS[step.kind]} />)}
+        </Bar>
+      </BarChart>
+    </ResponsiveContainer>
+  );
+}
@@ -0,0 +1,104 @@
+// Shapes API data for the chart components. Rows are one object per year,
+// e.g. { year: 2020, total: 48, Energy: 21, Transport: 7.8 }, as recharts wants them.
+
+// The API groups rows without a sub-sector as "Unspecified"
+const UNSPECIFIED = "Unspecified";
+
+export const SECTOR_COLORS = ["#7b68ee", "#ff9800", "#03a9f4", "#e91e63", "#795548", "#009688", "#9c27b0", "#607d8b"];
+
+// A sector keeps its color in every chart: it follows the sector's place in the full list
+export function sectorColor(sector, sectors) {
+  const i = sectors.indexOf(sector);
+  return SECTOR_COLORS[(i === -1 ? sectors.length : i) % SECTOR_COLORS.length];
+}
+
+// A sector's rows without a sub-sector are the sector itself, so they carry its name
+export function subSectorLabel(subSector, sector) {
+  return subSector && subSector !== UNSPECIFIED ? subSector : sector;
+}
+
+// [{ year, subSector, value }] -> [{ year, [subSector]: value }], sorted by year, plus the keys found
+export function pivotRows(rows, seriesKey, { label = (key) => key } = {}) {
+  const byYear = new Map();
+  const keys = [];
+  rows.forEach((r) => {
+    const key = label(r[seriesKey]);
+    if (!keys.includes(key)) keys.push(key);
+    if (!byYear.has(r.year)) byYear.set(r.year, { year: r.year });
+    const row = byYear.get(r.year);
+    row[key] = (row[key] || 0) + r.value;
+  });
+  return { rows: [...byYear.values()].sort((a, b) => a.year - b.year), keys };
+}
+
+// Same rows with each key as a percentage of that year's sum of keys (the 100% stacked view)
+export function toShares(rows, keys) {
+  return rows.map((row) => {
+    const sum = keys.reduce((acc, k) => acc + (row[k] || 0), 0);
+    const shares = { year: row.year };
+    keys.forEach((k) => {
+      shares[k] = sum ? ((row[k] || 0) / sum) * 100 : 0;
+    });
+    return shares;
+  });
+}
+
+/**
+ * Waterfall steps from one year's total to another's: a start bar, one floating bar per
+ * sector change (largest first), an end bar. Each step is { name, base, value, delta, kind }
+ * where the bar spans base..base+value and kind is "total", "increase" or "decrease".
+ * Returns null when either year is missing from rows.
+ */
+export function waterfallSteps(rows, keys, fromYear, toYear) {
+  const from = rows.find((r) => r.year === Number(fromYear));
+  const to = rows.find((r) => r.year === Number(toYear));
+  if (!from || !to) return null;
+  const total = (row) => keys.reduce((acc, k) => acc + (row[k] || 0), 0);
+  const changes = keys
+    .map((k) => ({ name: k, delta: (to[k] || 0) - (from[k] || 0) }))
+    .filter((c) => c.delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  const start = total(from);
+  const steps = [{ name: String(from.year), base: 0, value: start, delta: null, kind: "total" }];
+  let running = start;
+  changes.forEach(({ name, delta }) => {
+    steps.push({
+      name,
+      base: delta >= 0 ? running : running + delta,
+      value: Math.abs(delta),
+      delta,
+      kind: delta >= 0 ? "increase" : "decrease",
+    });
+    running += delta;
+  });
+  steps.push({ name: String(to.year), base: 0, value: total(to), delta: total(to) - start, kind: "total" });
+  return steps;
+}
+
+/**
+ * Rows for the trend chart: the yearly lines plus the projection (joined to the last actual
+ * point), its band as [lower, upper] and the target pathway, each when given.
+ */
+export function trendRows(lines, series, target) {
+  const byYear = new Map(lines.map((r) => [r.year, { ...r }]));
+  const row = (year) => {
+    if (!byYear.has(year)) byYear.set(year, { year });
+    return byYear.get(year);
+  };
+  if (series && series.projection.length > 0) {
+    const last = series.history[series.history.length - 1];
+    if (last) row(last.year).projection = last.value;
+    series.projection.forEach((p) => {
+      const r = row(p.year);
+      r.projection = p.value;
+      if (p.lower !== null && p.upper !== null) r.band = [p.lower, p.upper];
+    });
+  }
+  if (target) {
+    target.pathway.forEach((p) => {
+      row(p.year).pathway = p.value;
+    });
+  }
+  return [...byYear.values()].sort((a, b) => a.year - b.year);
+}
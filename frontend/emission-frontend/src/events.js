@@ -0,0 +1,97 @@
+import { BACKEND_URL } from "./config";
+import { getToken } from "./auth";
+
+// Reconnect delays: 1s, 2s, 4s … capped at 30s, with jitter so dashboards don't reconnect in lockstep
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+export function backoffDelay(attempt) {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+// Splits buffered stream text into complete SSE frames; returns [events, leftover text]
+export function parseFrames(buffer) {
+  const frames = buffer.split(/\r?\n\r?\n/);
+  const rest = frames.pop();
+  const events = frames.map((frame) => {
+    const event = { type: "message", data: [] };
+    frame.split(/\r?\n/).forEach((line) => {
+      if (!line || line.startsWith(":")) return;
+      const colon = line.indexOf(":");
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+      if (field === "event") event.type = value;
+      else if (field === "data") event.data.push(value);
+      else if (field === "id") event.id = value;
+    });
+    return event;
+  }).filter((event) => event.data.length > 0);
+  return [events, rest];
+}
+
+/**
+ * Subscribes to /api/events. EventSource can't send the Authorization header, so the
+ * stream is read with fetch instead. onEvent(type, data) gets every event;
+ * onStatus("connecting" | "open" | "retrying" | "closed") follows the connection.
+ * Drops are retried with backoff; a 401 / 403 stops retrying. Returns an unsubscribe function.
+ */
+export function subscribeEvents({ onEvent, onStatus = () => {} }) {
+  let stopped = false;
+  let attempt = 0;
+  let timer = null;
+  let controller = null;
+
+  const retry = () => {
+    if (stopped) return;
+    onStatus("retrying");
+    timer = setTimeout(connect, backoffDelay(attempt));
+    attempt += 1;
+  };
+
+  async function connect() {
+    if (stopped) return;
+    onStatus("connecting");
+    controller = new AbortController();
+    const token = getToken();
+    try {
+      const res = await fetch(`${BACKEND_URL}/api/events`, {
+        headers: { Accept: "text/event-stream", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        signal: controller.signal,
+      });
+      if (res.status === 401 || res.status === 403) {
+        onStatus("closed");
+        return;
+      }
+      if (!res.ok || !res.body) throw new Error(`event stream failed with ${res.status}`);
+      onStatus("open");
+      attempt = 0;
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        const [events, rest] = parseFrames(buffer + decoder.decode(value, { stream: true }));
+        buffer = rest;
+        events.forEach((event) => {
+          try {
+            onEvent(event.type, JSON.parse(event.data.join("\n")));
+          } catch (err) {
+            console.error("Bad event from the server", event, err);
+          }
+        });
+      }
+      retry();
+    } catch (err) {
+      if (!stopped) retry();
+    }
+  }
+
+  connect();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (controller) controller.abort();
+  };
+}
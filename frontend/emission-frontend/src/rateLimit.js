@@ -0,0 +1,8 @@
+// Seconds to wait after a 429, from Retry-After (or RateLimit-Reset); null for other errors
+export function retryAfterSeconds(err) {
+  const res = err && err.response;
+  if (!res || res.status !== 429) return null;
+  const headers = res.headers || {};
+  const seconds = Number(headers["retry-after"] ?? headers["ratelimit-reset"] ?? res.data?.retryAfter);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.ceil(seconds) : 1;
+}
@@ -0,0 +1,19 @@
+export const DEFAULT_UNIT = "MtCO2e";
+export const DEFAULT_GWP = "AR5:100";
+
+// "MtCO2e" -> "MtCO₂e"
+export function unitLabel(unit) {
+  return (unit || DEFAULT_UNIT).replace("CO2e", "CO₂e");
+}
+
+export function formatValue(value, unit) {
+  if (typeof value !== "number") return "-";
+  const digits = Math.abs(value) >= 100 ? 1 : 3;
+  return `${value.toLocaleString("en-US", { maximumFractionDigits: digits })} ${unitLabel(unit)}`;
+}
+
+// "AR6:20" -> { gwp: "AR6", horizon: 20 }
+export function gwpParams(basis) {
+  const [gwp, horizon] = (basis || DEFAULT_GWP).split(":");
+  return { gwp, horizon: Number(horizon) };
+}
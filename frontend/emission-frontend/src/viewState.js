@@ -0,0 +1,49 @@
+import { DEFAULT_GWP, DEFAULT_UNIT } from "./units";
+
+// Dashboard state as URL query params (?year=2015&sector=Transport), also the shape saved views store.
+// Values equal to the default are left out so links stay short.
+export const DEFAULT_VIEW = {
+  year: "",
+  sector: "All",
+  region: "All",
+  gas: "All",
+  drill: "",
+  unit: DEFAULT_UNIT,
+  gwp: DEFAULT_GWP,
+  lines: "0",
+  projection: "1",
+  method: "linear",
+  // dataset version number, "" for the current data
+  version: "",
+  // stacked area as absolute values or 100% shares
+  stack: "abs",
+  // comma-separated sectors in the comparison chart
+  compare: "",
+  // first year of the waterfall, "" for the first year with data
+  from: "",
+};
+
+export function parseViewState(search) {
+  const params = new URLSearchParams(search);
+  const state = { ...DEFAULT_VIEW };
+  Object.keys(DEFAULT_VIEW).forEach((key) => {
+    const value = params.get(key);
+    if (value) state[key] = value;
+  });
+  return state;
+}
+
+// Only the params that differ from the defaults
+export function compactViewState(state) {
+  const compact = {};
+  Object.keys(DEFAULT_VIEW).forEach((key) => {
+    const value = state[key] === undefined || state[key] === null ? "" : `${state[key]}`;
+    if (value !== DEFAULT_VIEW[key]) compact[key] = value;
+  });
+  return compact;
+}
+
+export function toQueryString(state) {
+  const query = new URLSearchParams(compactViewState(state)).toString();
+  return query ? `?${query}` : "";
+}